@@ -0,0 +1,68 @@
+const os = require('os');
+const { masterPool } = require('../src/config/database');
+const {
+    claimNextAutogradeRun,
+    requeueStaleAutogradeRuns,
+    processAutogradeRun
+} = require('../src/utils/autograder');
+
+const POLL_INTERVAL_MS = parseInt(process.env.AUTOGRADER_POLL_INTERVAL_MS || '5000', 10);
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let stopping = false;
+
+// 대기열의 채점 실행을 처리 (once이면 비어 있을 때 종료, 아니면 계속 대기)
+async function runAutograderWorker({ once = false } = {}) {
+    console.log(`🤖 Autograder worker ${workerId} started${once ? ' (once)' : ''}`);
+
+    while (!stopping) {
+        const client = await masterPool.connect();
+        let run = null;
+
+        try {
+            const requeued = await requeueStaleAutogradeRuns(client);
+            if (requeued > 0) {
+                console.log(`♻️  Recovered ${requeued} stale runs`);
+            }
+
+            run = await claimNextAutogradeRun(client, workerId);
+            if (run) {
+                const result = await processAutogradeRun(client, run);
+                const summary = result.status === 'COMPLETED'
+                    ? `${result.tests_passed}/${result.tests_total} passed, score ${result.score}${result.applied ? '' : ' (not applied)'}`
+                    : `${result.status}: ${result.error_message}`;
+                console.log(`  ✅ Run ${run.run_id} (grade ${run.grade_id}): ${summary}`);
+            }
+        } catch (error) {
+            console.error(`  ❌ Run ${run ? run.run_id : '-'} failed:`, error.message);
+        } finally {
+            client.release();
+        }
+
+        if (!run) {
+            if (once) break;
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+        }
+    }
+}
+
+// 스크립트가 직접 실행될 때만 실행 (사용법: node scripts/autograder-worker.js [--once])
+if (require.main === module) {
+    // 진행 중인 실행을 마친 뒤 종료
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+        console.log(`🛑 ${signal} received, finishing current run...`);
+        stopping = true;
+    }));
+
+    runAutograderWorker({ once: process.argv.includes('--once') })
+        .then(() => {
+            console.log('🎉 Autograder worker stopped');
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('💥 Autograder worker failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runAutograderWorker };
@@ -0,0 +1,94 @@
+const { masterPool, SCHEMAS } = require('../src/config/database');
+const { REPORT_STATUS, runSimilarityReport } = require('../src/utils/similarity');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SIMILARITY_POLL_INTERVAL_MS || '5000', 10);
+
+let stopping = false;
+
+// 대기 중인 유사도 검사 보고서 실행 (itemId를 지정하면 해당 평가 항목의 검사를 새로 등록)
+async function runSimilarityReports(itemId = null) {
+    const client = await masterPool.connect();
+    let processed = 0;
+
+    try {
+        if (itemId) {
+            await client.query(`
+                INSERT INTO ${SCHEMAS.GRADE}.similarity_reports (item_id, status)
+                SELECT $1, $2
+                WHERE NOT EXISTS (
+                    SELECT 1 FROM ${SCHEMAS.GRADE}.similarity_reports
+                    WHERE item_id = $1 AND status IN ($2, $3)
+                )
+            `, [itemId, REPORT_STATUS.PENDING, REPORT_STATUS.RUNNING]);
+        }
+
+        const pending = await client.query(`
+            SELECT report_id, item_id
+            FROM ${SCHEMAS.GRADE}.similarity_reports
+            WHERE status = $1 AND ($2::bigint IS NULL OR item_id = $2)
+            ORDER BY created_at ASC
+        `, [REPORT_STATUS.PENDING, itemId]);
+
+        console.log(`🔍 Pending similarity reports: ${pending.rows.length}`);
+
+        for (const row of pending.rows) {
+            if (stopping) break;
+            try {
+                const report = await runSimilarityReport(client, row.report_id);
+                if (report) {
+                    processed++;
+                    console.log(`  ✅ Report ${row.report_id} (item ${row.item_id}): ${report.submission_count} submissions, ${report.pair_count} pairs`);
+                }
+            } catch (error) {
+                console.error(`  ❌ Report ${row.report_id} (item ${row.item_id}) failed:`, error.message);
+            }
+        }
+    } finally {
+        client.release();
+    }
+
+    return processed;
+}
+
+// 관리자가 요청한 검사를 계속 실행하는 작업자 (대기 중인 보고서가 없으면 POLL_INTERVAL_MS 동안 대기)
+async function runSimilarityWorker() {
+    console.log('🔍 Similarity worker started');
+
+    while (!stopping) {
+        let processed = 0;
+        try {
+            processed = await runSimilarityReports();
+        } catch (error) {
+            console.error('  ❌ Similarity worker iteration failed:', error.message);
+        }
+
+        if (processed === 0 && !stopping) {
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+        }
+    }
+}
+
+// 스크립트가 직접 실행될 때만 실행
+// 사용법: node scripts/run-similarity-reports.js [itemId] (한 번 실행), node scripts/run-similarity-reports.js --watch (작업자)
+if (require.main === module) {
+    const watch = process.argv.includes('--watch');
+    const itemId = process.argv.slice(2).find(arg => !arg.startsWith('--')) || null;
+
+    // 진행 중인 보고서를 마친 뒤 종료
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+        console.log(`🛑 ${signal} received, finishing current report...`);
+        stopping = true;
+    }));
+
+    (watch ? runSimilarityWorker() : runSimilarityReports(itemId))
+        .then(() => {
+            console.log('🎉 Similarity reports completed!');
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('💥 Similarity reports failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runSimilarityReports, runSimilarityWorker };
@@ -0,0 +1,184 @@
+const express = require('express');
+const crypto = require('crypto');
+
+// 로컬 개발·검증용 가짜 Zoom API 서버
+// 사용법: node scripts/zoom-fake-server.js [--port 4010] [--rate-limit-every N] [--participants N]
+// 서버 실행 후 ZOOM_API_BASE_URL=http://localhost:4010/v2, ZOOM_OAUTH_URL=http://localhost:4010/oauth/token으로 설정
+//   --rate-limit-every N: API 요청 N번마다 429(Retry-After: 1) 응답
+//   --participants N: 지난 미팅 참가자 수 (page_size 단위로 next_page_token 페이지 제공)
+
+function parseArgs(argv) {
+    const options = { port: 4010, rateLimitEvery: 0, participants: 450 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--rate-limit-every') options.rateLimitEvery = parseInt(argv[++i], 10);
+        else if (argv[i] === '--participants') options.participants = parseInt(argv[++i], 10);
+    }
+    return options;
+}
+
+/**
+ * 가짜 Zoom API 서버 시작
+ * @param {Object} options - { port(0이면 임의 포트), rateLimitEvery, participants, tokenTtlSeconds }
+ * @returns {Promise<Object>} { server, apiBaseUrl, oauthUrl, stats, close }
+ */
+function startFakeZoomServer({ port = 0, rateLimitEvery = 0, participants = 450, tokenTtlSeconds = 3600 } = {}) {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    const stats = { tokensIssued: 0, apiRequests: 0, rateLimited: 0 };
+    const validTokens = new Set();
+    const meetings = new Map();
+
+    // 반복 미팅(type 8) 회차: 일간은 하루, 나머지는 7일 간격으로 end_times(기본 12)회 (요일 설정은 무시)
+    const buildOccurrences = (meeting) => {
+        if (meeting.type !== 8 || !meeting.recurrence) return undefined;
+        const stepDays = (meeting.recurrence.type === 1 ? 1 : 7) * (meeting.recurrence.repeat_interval || 1);
+        const first = new Date(`${meeting.start_time}+09:00`).getTime();
+        return Array.from({ length: meeting.recurrence.end_times || 12 }, (_, i) => {
+            const start = first + i * stepDays * 24 * 60 * 60 * 1000;
+            return { occurrence_id: String(start), start_time: new Date(start).toISOString().replace('.000', ''), duration: meeting.duration, status: 'available' };
+        });
+    };
+
+    app.post('/oauth/token', (req, res) => {
+        if (!req.headers.authorization?.startsWith('Basic ') || req.body.grant_type !== 'account_credentials') {
+            return res.status(400).json({ reason: 'Invalid client_id or client_secret', error: 'invalid_client' });
+        }
+        const token = crypto.randomBytes(16).toString('hex');
+        validTokens.add(token);
+        stats.tokensIssued++;
+        res.json({ access_token: token, token_type: 'bearer', expires_in: tokenTtlSeconds, scope: 'meeting:read meeting:write' });
+    });
+
+    // 토큰 확인과 요청 한도 시뮬레이션
+    app.use('/v2', (req, res, next) => {
+        const token = req.headers.authorization?.replace(/^Bearer /, '');
+        if (!validTokens.has(token)) {
+            return res.status(401).json({ code: 124, message: 'Invalid access token.' });
+        }
+
+        stats.apiRequests++;
+        if (rateLimitEvery > 0 && stats.apiRequests % rateLimitEvery === 0) {
+            stats.rateLimited++;
+            res.set('Retry-After', '1');
+            res.set('X-RateLimit-Type', 'Light');
+            return res.status(429).json({ code: 429, message: "You have reached the maximum per-second rate limit for this API. Try again later." });
+        }
+        next();
+    });
+
+    app.get('/v2/users/me', (req, res) => {
+        res.json({ id: 'fake-user', email: 'host@example.com', first_name: 'Fake', last_name: 'Host', type: 2 });
+    });
+
+    app.post('/v2/users/:userId/meetings', (req, res) => {
+        const id = 80000000000 + meetings.size + 1;
+        const meeting = {
+            id,
+            uuid: crypto.randomBytes(16).toString('base64'),
+            host_id: 'fake-user',
+            topic: req.body.topic,
+            type: req.body.type,
+            start_time: req.body.start_time,
+            duration: req.body.duration,
+            timezone: req.body.timezone,
+            recurrence: req.body.recurrence,
+            settings: req.body.settings || {},
+            password: req.body.password || '',
+            join_url: `https://zoom.us/j/${id}`,
+            start_url: `https://zoom.us/s/${id}`
+        };
+        meeting.occurrences = buildOccurrences(meeting);
+        meetings.set(String(id), meeting);
+        res.status(201).json(meeting);
+    });
+
+    app.get('/v2/users/:userId/meetings', (req, res) => {
+        res.json({ page_size: 300, total_records: meetings.size, next_page_token: '', meetings: [...meetings.values()] });
+    });
+
+    app.get('/v2/meetings/:meetingId', (req, res) => {
+        const meeting = meetings.get(req.params.meetingId);
+        if (!meeting) return res.status(404).json({ code: 3001, message: 'Meeting does not exist.' });
+        res.json(meeting);
+    });
+
+    app.patch('/v2/meetings/:meetingId', (req, res) => {
+        const meeting = meetings.get(req.params.meetingId);
+        if (!meeting) return res.status(404).json({ code: 3001, message: 'Meeting does not exist.' });
+        if (req.query.occurrence_id) {
+            const occurrence = meeting.occurrences?.find(o => o.occurrence_id === req.query.occurrence_id);
+            if (!occurrence) return res.status(404).json({ code: 3000, message: 'Invalid occurrence_id.' });
+            if (req.body.start_time) occurrence.start_time = new Date(`${req.body.start_time}+09:00`).toISOString().replace('.000', '');
+            if (req.body.duration) occurrence.duration = req.body.duration;
+            return res.status(204).end();
+        }
+        Object.assign(meeting, req.body, { settings: { ...meeting.settings, ...(req.body.settings || {}) } });
+        res.status(204).end();
+    });
+
+    app.delete('/v2/meetings/:meetingId', (req, res) => {
+        const meeting = meetings.get(req.params.meetingId);
+        if (!meeting) return res.status(404).json({ code: 3001, message: 'Meeting does not exist.' });
+        if (req.query.occurrence_id) {
+            const occurrence = meeting.occurrences?.find(o => o.occurrence_id === req.query.occurrence_id);
+            if (!occurrence || occurrence.status === 'deleted') return res.status(404).json({ code: 3000, message: 'Invalid occurrence_id.' });
+            occurrence.status = 'deleted';
+        } else {
+            meetings.delete(req.params.meetingId);
+        }
+        res.status(204).end();
+    });
+
+    app.get('/v2/past_meetings/:meetingId/participants', (req, res) => {
+        const pageSize = Math.min(parseInt(req.query.page_size, 10) || 30, 300);
+        const offset = req.query.next_page_token ? parseInt(Buffer.from(req.query.next_page_token, 'base64').toString(), 10) : 0;
+        const end = Math.min(offset + pageSize, participants);
+        const joinTime = new Date(Date.now() - 60 * 60 * 1000);
+
+        res.json({
+            page_size: pageSize,
+            total_records: participants,
+            next_page_token: end < participants ? Buffer.from(String(end)).toString('base64') : '',
+            participants: Array.from({ length: end - offset }, (_, i) => ({
+                id: `participant-${offset + i + 1}`,
+                name: `참가자 ${offset + i + 1}`,
+                user_email: `participant${offset + i + 1}@example.com`,
+                join_time: joinTime.toISOString(),
+                leave_time: new Date(joinTime.getTime() + 50 * 60 * 1000).toISOString(),
+                duration: 3000
+            }))
+        });
+    });
+
+    app.use((req, res) => {
+        res.status(404).json({ code: 404, message: `Fake Zoom server does not implement ${req.method} ${req.path}` });
+    });
+
+    return new Promise((resolve) => {
+        const server = app.listen(port, () => {
+            const base = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                server,
+                apiBaseUrl: `${base}/v2`,
+                oauthUrl: `${base}/oauth/token`,
+                stats,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// 스크립트가 직접 실행될 때만 실행
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    startFakeZoomServer(options).then(({ apiBaseUrl, oauthUrl }) => {
+        console.log('🧪 Fake Zoom API server started');
+        console.log(`   ZOOM_API_BASE_URL=${apiBaseUrl}`);
+        console.log(`   ZOOM_OAUTH_URL=${oauthUrl}`);
+    });
+}
+
+module.exports = { startFakeZoomServer };
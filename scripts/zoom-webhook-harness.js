@@ -0,0 +1,145 @@
+require('dotenv').config();
+const axios = require('axios');
+const crypto = require('crypto');
+const { signZoomWebhook, urlValidationResponse } = require('../src/utils/zoom-webhook-signature');
+
+// 로컬 서버의 Zoom 웹훅 엔드포인트에 서명한 샘플 이벤트를 전송
+// 사용법: node scripts/zoom-webhook-harness.js [이벤트 ...] [--url <URL>] [--meeting <미팅 ID>] [--stale] [--bad-signature] [--dry-run]
+//   이벤트: validation, started, joined, left, ended (생략하면 순서대로 모두 전송)
+//   --stale: 10분 전 시각으로 서명 (401 응답 확인용)
+//   --bad-signature: 잘못된 시크릿으로 서명 (401 응답 확인용)
+//   --dry-run: 전송하지 않고 본문과 헤더만 출력
+
+const DEFAULT_URL = 'http://localhost:3000/api/v1/admin/zoom/webhook';
+const SECRET = process.env.ZOOM_WEBHOOK_SECRET_TOKEN;
+
+function parseArgs(argv) {
+    const options = { events: [], url: DEFAULT_URL, meetingId: '1234567890', stale: false, badSignature: false, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--url') options.url = argv[++i];
+        else if (arg === '--meeting') options.meetingId = argv[++i];
+        else if (arg === '--stale') options.stale = true;
+        else if (arg === '--bad-signature') options.badSignature = true;
+        else if (arg === '--dry-run') options.dryRun = true;
+        else options.events.push(arg);
+    }
+    return options;
+}
+
+// 같은 실행에서 만든 샘플 이벤트는 한 회차(미팅 UUID)와 참가자 한 명을 공유
+function buildSamples(meetingId) {
+    const meetingUuid = crypto.randomBytes(16).toString('base64');
+    const startTime = new Date(Date.now() - 60 * 60 * 1000);
+    const joinTime = new Date(startTime.getTime() + 2 * 60 * 1000);
+    const leaveTime = new Date(startTime.getTime() + 55 * 60 * 1000);
+    const endTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+
+    const meeting = {
+        id: Number(meetingId),
+        uuid: meetingUuid,
+        topic: 'Zoom webhook harness',
+        host_id: 'harness-host',
+        start_time: startTime.toISOString()
+    };
+    const participant = {
+        user_id: '16778240',
+        id: 'harness-participant',
+        participant_user_id: 'harness-participant',
+        user_name: '테스트 학생',
+        email: 'student@example.com'
+    };
+
+    const event = (name, eventTs, object) => ({
+        event: name,
+        event_ts: eventTs.getTime(),
+        payload: { account_id: 'harness-account', object }
+    });
+
+    return {
+        validation: {
+            event: 'endpoint.url_validation',
+            event_ts: Date.now(),
+            payload: { plainToken: crypto.randomBytes(16).toString('base64url') }
+        },
+        started: event('meeting.started', startTime, meeting),
+        joined: event('meeting.participant_joined', joinTime, {
+            ...meeting,
+            participant: { ...participant, join_time: joinTime.toISOString() }
+        }),
+        left: event('meeting.participant_left', leaveTime, {
+            ...meeting,
+            participant: { ...participant, leave_time: leaveTime.toISOString() }
+        }),
+        ended: event('meeting.ended', endTime, { ...meeting, end_time: endTime.toISOString() })
+    };
+}
+
+async function sendSample(name, body, options) {
+    // 서버는 받은 바이트 그대로 서명을 검증하므로 서명한 문자열을 그대로 전송
+    const rawBody = JSON.stringify(body);
+    const timestamp = Math.floor(Date.now() / 1000) - (options.stale ? 10 * 60 : 0);
+    const secret = options.badSignature ? `${SECRET}-wrong` : SECRET;
+    const headers = {
+        'Content-Type': 'application/json',
+        'x-zm-request-timestamp': String(timestamp),
+        'x-zm-signature': signZoomWebhook(secret, timestamp, rawBody)
+    };
+
+    if (options.dryRun) {
+        console.log(`\n📝 ${name}`, JSON.stringify({ headers, body }, null, 2));
+        return true;
+    }
+
+    try {
+        const response = await axios.post(options.url, rawBody, { headers });
+        if (body.event === 'endpoint.url_validation') {
+            const expected = urlValidationResponse(SECRET, body.payload.plainToken);
+            const matched = response.data.encryptedToken === expected.encryptedToken;
+            console.log(`  ${matched ? '✅' : '❌'} ${name}: ${response.status} encryptedToken ${matched ? 'matches' : 'does not match'}`);
+            return matched;
+        }
+        console.log(`  ✅ ${name}: ${response.status}`, JSON.stringify(response.data));
+        return true;
+    } catch (error) {
+        const status = error.response?.status;
+        console.log(`  ${status ? '⚠️ ' : '❌'} ${name}: ${status || error.message}`, error.response ? JSON.stringify(error.response.data) : '');
+        return false;
+    }
+}
+
+async function runHarness(options) {
+    if (!SECRET) {
+        throw new Error('ZOOM_WEBHOOK_SECRET_TOKEN is not set');
+    }
+
+    const samples = buildSamples(options.meetingId);
+    const names = options.events.length > 0 ? options.events : Object.keys(samples);
+    const unknown = names.filter(name => !samples[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown events: ${unknown.join(', ')} (available: ${Object.keys(samples).join(', ')})`);
+    }
+
+    console.log(`🧪 Sending ${names.length} signed Zoom webhook events to ${options.url}${options.stale ? ' (stale timestamp)' : ''}${options.badSignature ? ' (bad signature)' : ''}`);
+
+    let passed = 0;
+    for (const name of names) {
+        if (await sendSample(name, samples[name], options)) passed++;
+    }
+    return { passed, total: names.length };
+}
+
+// 스크립트가 직접 실행될 때만 실행
+if (require.main === module) {
+    runHarness(parseArgs(process.argv.slice(2)))
+        .then(({ passed, total }) => {
+            console.log(`🎉 ${passed}/${total} accepted`);
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('💥 Zoom webhook harness failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { buildSamples, runHarness };
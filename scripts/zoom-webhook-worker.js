@@ -0,0 +1,84 @@
+const os = require('os');
+const { masterPool } = require('../src/config/database');
+const {
+    claimNextWebhookEvent,
+    requeueStaleWebhookEvents,
+    processWebhookEvent
+} = require('../src/utils/zoom-webhook-events');
+const {
+    claimNextRecordingImport,
+    requeueStaleRecordingImports,
+    importRecordingFile
+} = require('../src/utils/zoom-recordings');
+
+const POLL_INTERVAL_MS = parseInt(process.env.ZOOM_WEBHOOK_POLL_INTERVAL_MS || '5000', 10);
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let stopping = false;
+
+// 저장된 Zoom 웹훅 이벤트를 처리하고, 처리할 이벤트가 없으면 녹화 파일을 가져옴 (once이면 둘 다 비어 있을 때 종료, 아니면 계속 대기)
+async function runZoomWebhookWorker({ once = false } = {}) {
+    console.log(`📡 Zoom webhook worker ${workerId} started${once ? ' (once)' : ''}`);
+
+    while (!stopping) {
+        const client = await masterPool.connect();
+        let event = null;
+        let recording = null;
+
+        try {
+            const requeued = await requeueStaleWebhookEvents(client) + await requeueStaleRecordingImports(client);
+            if (requeued > 0) {
+                console.log(`♻️  Recovered ${requeued} stale events and recording imports`);
+            }
+
+            event = await claimNextWebhookEvent(client, workerId);
+            if (event) {
+                const result = await processWebhookEvent(client, event);
+                const summary = result.error
+                    ? `${result.status} (attempt ${event.attempts}): ${result.error}`
+                    : result.status;
+                console.log(`  ${result.error ? '⚠️ ' : '✅'} ${event.event_type} ${event.event_id}: ${summary}`);
+            } else {
+                recording = await claimNextRecordingImport(client, workerId);
+                if (recording) {
+                    const result = await importRecordingFile(client, recording);
+                    const summary = result.error
+                        ? `${result.status} (attempt ${recording.attempts}${result.retry ? ', will retry' : ''}): ${result.error}`
+                        : `${result.s3_key}${result.downloadable ? ' (downloadable)' : ''}`;
+                    console.log(`  ${result.error ? '⚠️ ' : '🎬'} Recording ${recording.recording_file_id}: ${summary}`);
+                }
+            }
+        } catch (error) {
+            const item = event ? `Event ${event.event_id}` : `Recording ${recording ? recording.recording_file_id : '-'}`;
+            console.error(`  ❌ ${item} failed:`, error.message);
+        } finally {
+            client.release();
+        }
+
+        if (!event && !recording) {
+            if (once) break;
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+        }
+    }
+}
+
+// 스크립트가 직접 실행될 때만 실행 (사용법: node scripts/zoom-webhook-worker.js [--once])
+if (require.main === module) {
+    // 진행 중인 이벤트를 마친 뒤 종료
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+        console.log(`🛑 ${signal} received, finishing current event...`);
+        stopping = true;
+    }));
+
+    runZoomWebhookWorker({ once: process.argv.includes('--once') })
+        .then(() => {
+            console.log('🎉 Zoom webhook worker stopped');
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('💥 Zoom webhook worker failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runZoomWebhookWorker };
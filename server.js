@@ -46,8 +46,19 @@ const API_PREFIX = '/api/v1';
  * Order is important!
  */
 
+// Zoom webhook route whose signature is verified against the raw request body
+const ZOOM_WEBHOOK_PATH = `${API_PREFIX}/admin/zoom/webhook`;
+
 // 1. Basic middlewares
-app.use(express.json({ limit: '50mb' }));
+// Keep the raw request body on req.rawBody only for the Zoom webhook (signature verification)
+app.use(express.json({
+    limit: '50mb',
+    verify: (req, res, buf) => {
+        if (req.originalUrl.split('?')[0] === ZOOM_WEBHOOK_PATH) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
 // 2. Security middlewares
@@ -87,8 +98,16 @@ app.use(`${API_PREFIX}/admin/attendance`, adminAttendanceRouter);
 app.use(`${API_PREFIX}/admin/enrollments`, require('./src/routes/admin/enrollments'));
 app.use(`${API_PREFIX}/admin/students`, require('./src/routes/admin/students'));
 app.use(`${API_PREFIX}/admin/reviews`, adminReviewsRouter);
+app.use(`${API_PREFIX}/admin/quizzes`, require('./src/routes/admin/quizzes'));
+app.use(`${API_PREFIX}/admin/peer-reviews`, require('./src/routes/admin/peer-reviews'));
+app.use(`${API_PREFIX}/admin/groups`, require('./src/routes/admin/groups'));
+app.use(`${API_PREFIX}/admin/similarity`, require('./src/routes/admin/similarity'));
+app.use(`${API_PREFIX}/admin/autograder`, require('./src/routes/admin/autograder'));
 app.use(`${API_PREFIX}/timemarks`, timemarksRouter);
 app.use(`${API_PREFIX}/assignments`, assignmentsRouter);
+app.use(`${API_PREFIX}/appeals`, require('./src/routes/appeals'));
+app.use(`${API_PREFIX}/attendance`, require('./src/routes/attendance'));
+app.use(`${API_PREFIX}/peer-reviews`, require('./src/routes/peer-reviews'));
 app.use('/auth', authRoutes);
 
 // 별칭 라우터: /student/grade/{courseId} -> /courses/{courseId}/my-grades
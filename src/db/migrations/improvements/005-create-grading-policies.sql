@@ -0,0 +1,48 @@
+-- 성적 관리 시스템 개선 - 강좌별 성적 산출 정책 테이블 생성
+-- 2026-10-19
+
+-- grading_policies 테이블 생성 (강좌별 버전 관리)
+CREATE TABLE IF NOT EXISTS grade_schema.grading_policies (
+    policy_id SERIAL PRIMARY KEY,
+    course_id TEXT NOT NULL REFERENCES course_schema.courses(id),
+    version INTEGER NOT NULL,
+    policy JSONB NOT NULL,
+    created_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(course_id, version)
+);
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_grading_policies_course_id ON grade_schema.grading_policies(course_id);
+
+-- 평가 항목별 카테고리, 항목 가중치, 가산점 여부 컬럼 추가
+ALTER TABLE grade_schema.grade_items
+ADD COLUMN IF NOT EXISTS category_key VARCHAR(50),
+ADD COLUMN IF NOT EXISTS item_weight NUMERIC(6,2) NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS is_extra_credit BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- 최종 성적에 적용된 정책 정보 컬럼 추가
+ALTER TABLE grade_schema.final_grades
+ADD COLUMN IF NOT EXISTS policy_version INTEGER,
+ADD COLUMN IF NOT EXISTS category_scores JSONB,
+ADD COLUMN IF NOT EXISTS attendance_gate_failed BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.grading_policies IS '강좌별 성적 산출 정책 테이블 (버전 관리)';
+COMMENT ON COLUMN grade_schema.grading_policies.policy_id IS '정책 ID';
+COMMENT ON COLUMN grade_schema.grading_policies.course_id IS '강좌 ID';
+COMMENT ON COLUMN grade_schema.grading_policies.version IS '정책 버전 (가장 높은 버전이 현재 적용 정책)';
+COMMENT ON COLUMN grade_schema.grading_policies.policy IS '정책 내용 (카테고리, 가중치, 최저 점수 제외, 최소 출석률)';
+COMMENT ON COLUMN grade_schema.grading_policies.created_by IS '정책을 등록한 사용자 ID';
+COMMENT ON COLUMN grade_schema.grading_policies.reason IS '변경 사유';
+COMMENT ON COLUMN grade_schema.grade_items.category_key IS '성적 산출 정책의 카테고리 키 (없으면 item_type으로 매칭)';
+COMMENT ON COLUMN grade_schema.grade_items.item_weight IS '카테고리 내 항목 가중치';
+COMMENT ON COLUMN grade_schema.grade_items.is_extra_credit IS '가산점 항목 여부';
+COMMENT ON COLUMN grade_schema.final_grades.policy_version IS '계산에 사용된 정책 버전';
+COMMENT ON COLUMN grade_schema.final_grades.category_scores IS '카테고리별 점수';
+COMMENT ON COLUMN grade_schema.final_grades.attendance_gate_failed IS '최소 출석률 미달로 인한 F 처리 여부';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created grading_policies table and policy columns on grade_items/final_grades');
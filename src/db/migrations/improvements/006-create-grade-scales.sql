@@ -0,0 +1,46 @@
+-- 성적 관리 시스템 개선 - 등급 산출 기준(grade scale) 테이블 생성
+-- 2026-10-19
+
+-- grade_scales 테이블 생성
+CREATE TABLE IF NOT EXISTS grade_schema.grade_scales (
+    scale_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    scale_type VARCHAR(20) NOT NULL DEFAULT 'LETTER' CHECK (scale_type IN ('LETTER', 'PASS_FAIL')),
+    cutoffs JSONB NOT NULL DEFAULT '[]'::jsonb,
+    passing_score NUMERIC(5,2) NOT NULL DEFAULT 60,
+    curve JSONB,
+    created_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 강좌에 등급 기준 연결
+ALTER TABLE course_schema.courses
+ADD COLUMN IF NOT EXISTS grade_scale_id INTEGER REFERENCES grade_schema.grade_scales(scale_id);
+
+-- 최종 성적에 등급 및 이수 여부 컬럼 추가
+ALTER TABLE grade_schema.final_grades
+ADD COLUMN IF NOT EXISTS letter_grade VARCHAR(5),
+ADD COLUMN IF NOT EXISTS is_passed BOOLEAN,
+ADD COLUMN IF NOT EXISTS grade_scale_id INTEGER REFERENCES grade_schema.grade_scales(scale_id);
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_courses_grade_scale_id ON course_schema.courses(grade_scale_id);
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.grade_scales IS '등급 산출 기준 테이블';
+COMMENT ON COLUMN grade_schema.grade_scales.scale_id IS '등급 기준 ID';
+COMMENT ON COLUMN grade_schema.grade_scales.name IS '등급 기준 이름';
+COMMENT ON COLUMN grade_schema.grade_scales.scale_type IS '등급 유형 (LETTER: 문자 등급, PASS_FAIL: 이수/미이수)';
+COMMENT ON COLUMN grade_schema.grade_scales.cutoffs IS '등급별 최저 점수 목록 ([{ letter, minScore }])';
+COMMENT ON COLUMN grade_schema.grade_scales.passing_score IS '이수 기준 점수';
+COMMENT ON COLUMN grade_schema.grade_scales.curve IS '상대평가 설정 ({ method: PERCENTILE, bands: [{ letter, percent }] })';
+COMMENT ON COLUMN course_schema.courses.grade_scale_id IS '강좌에 적용되는 등급 기준 ID (없으면 기본 기준)';
+COMMENT ON COLUMN grade_schema.final_grades.letter_grade IS '최종 등급';
+COMMENT ON COLUMN grade_schema.final_grades.is_passed IS '이수 여부';
+COMMENT ON COLUMN grade_schema.final_grades.grade_scale_id IS '계산에 사용된 등급 기준 ID';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created grade_scales table and letter grade columns on final_grades');
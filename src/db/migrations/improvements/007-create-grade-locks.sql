@@ -0,0 +1,45 @@
+-- 성적 관리 시스템 개선 - 성적 확정(잠금) 테이블 생성
+-- 2026-10-19
+
+-- course_grade_locks 테이블 생성 (강좌별 현재 잠금 상태)
+CREATE TABLE IF NOT EXISTS grade_schema.course_grade_locks (
+    course_id TEXT PRIMARY KEY REFERENCES course_schema.courses(id),
+    is_locked BOOLEAN NOT NULL DEFAULT FALSE,
+    locked_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    lock_note TEXT,
+    reopened_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    reopened_at TIMESTAMP WITH TIME ZONE,
+    reopen_reason TEXT,
+    lock_count INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- grade_history에 강좌 단위 이벤트(확정, 재개방) 기록을 위한 컬럼 추가
+ALTER TABLE grade_schema.grade_history
+ALTER COLUMN grade_id DROP NOT NULL,
+ALTER COLUMN previous_score DROP NOT NULL,
+ALTER COLUMN new_score DROP NOT NULL,
+ADD COLUMN IF NOT EXISTS course_id TEXT REFERENCES course_schema.courses(id),
+ADD COLUMN IF NOT EXISTS event_type VARCHAR(30) NOT NULL DEFAULT 'SCORE_CHANGE';
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_grade_history_course_id ON grade_schema.grade_history(course_id);
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.course_grade_locks IS '강좌별 성적 확정(잠금) 상태 테이블';
+COMMENT ON COLUMN grade_schema.course_grade_locks.course_id IS '강좌 ID';
+COMMENT ON COLUMN grade_schema.course_grade_locks.is_locked IS '현재 잠금 여부';
+COMMENT ON COLUMN grade_schema.course_grade_locks.locked_by IS '성적을 확정한 사용자 ID (교수자 서명)';
+COMMENT ON COLUMN grade_schema.course_grade_locks.locked_at IS '최근 확정 일시';
+COMMENT ON COLUMN grade_schema.course_grade_locks.lock_note IS '확정 시 메모';
+COMMENT ON COLUMN grade_schema.course_grade_locks.reopened_by IS '잠금을 해제한 관리자 ID';
+COMMENT ON COLUMN grade_schema.course_grade_locks.reopened_at IS '최근 잠금 해제 일시';
+COMMENT ON COLUMN grade_schema.course_grade_locks.reopen_reason IS '잠금 해제 사유';
+COMMENT ON COLUMN grade_schema.course_grade_locks.lock_count IS '확정 횟수 (1 이상이면 이후 변경은 확정 후 변경으로 기록)';
+COMMENT ON COLUMN grade_schema.grade_history.course_id IS '강좌 ID';
+COMMENT ON COLUMN grade_schema.grade_history.event_type IS '이벤트 유형 (SCORE_CHANGE, LOCK, REOPEN, POST_LOCK_CHANGE)';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created course_grade_locks table and event columns on grade_history');
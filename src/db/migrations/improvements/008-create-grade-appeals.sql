@@ -0,0 +1,92 @@
+-- 성적 관리 시스템 개선 - 성적 이의신청 테이블 생성
+-- 2026-10-19
+
+-- grade_appeals 테이블 생성
+CREATE TABLE IF NOT EXISTS grade_schema.grade_appeals (
+    appeal_id SERIAL PRIMARY KEY,
+    grade_id INTEGER NOT NULL REFERENCES grade_schema.student_grades(grade_id) ON DELETE CASCADE,
+    course_id TEXT NOT NULL REFERENCES course_schema.courses(id),
+    student_id VARCHAR(36) NOT NULL REFERENCES auth_schema.users(cognito_user_id),
+    message TEXT NOT NULL,
+    attachments JSONB NOT NULL DEFAULT '[]'::jsonb,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'ACCEPTED', 'REJECTED')),
+    original_score NUMERIC(5,2),
+    resolved_score NUMERIC(5,2),
+    reply TEXT,
+    reviewed_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 한 성적에 대해 처리 대기 중인 이의신청은 하나만 허용
+CREATE UNIQUE INDEX IF NOT EXISTS uq_grade_appeals_pending
+ON grade_schema.grade_appeals(grade_id)
+WHERE status = 'PENDING';
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_grade_appeals_course_status ON grade_schema.grade_appeals(course_id, status);
+CREATE INDEX IF NOT EXISTS idx_grade_appeals_student_id ON grade_schema.grade_appeals(student_id);
+
+-- 성적 변경 트리거 함수 갱신
+-- 애플리케이션이 app.current_user_id를 설정한 경우에만 기록하고 (그 외 경로는 수동 기록),
+-- 강좌 ID와 이벤트 유형(확정 이력이 있으면 POST_LOCK_CHANGE)을 함께 저장
+CREATE OR REPLACE FUNCTION grade_schema.record_grade_history()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_user_id TEXT := NULLIF(current_setting('app.current_user_id', true), '');
+    v_course_id TEXT;
+    v_lock_count INTEGER;
+BEGIN
+    IF v_user_id IS NULL OR OLD.score IS NOT DISTINCT FROM NEW.score THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT gi.course_id INTO v_course_id
+    FROM grade_schema.grade_items gi
+    WHERE gi.item_id = NEW.item_id;
+
+    SELECT l.lock_count INTO v_lock_count
+    FROM grade_schema.course_grade_locks l
+    WHERE l.course_id = v_course_id;
+
+    INSERT INTO grade_schema.grade_history (
+        grade_id,
+        previous_score,
+        new_score,
+        modified_by,
+        reason,
+        course_id,
+        event_type
+    ) VALUES (
+        NEW.grade_id,
+        OLD.score,
+        NEW.score,
+        v_user_id,
+        current_setting('app.score_change_reason', true),
+        v_course_id,
+        CASE WHEN COALESCE(v_lock_count, 0) > 0 THEN 'POST_LOCK_CHANGE' ELSE 'SCORE_CHANGE' END
+    );
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.grade_appeals IS '성적 이의신청 테이블';
+COMMENT ON COLUMN grade_schema.grade_appeals.appeal_id IS '이의신청 ID';
+COMMENT ON COLUMN grade_schema.grade_appeals.grade_id IS '이의신청 대상 학생 성적 ID';
+COMMENT ON COLUMN grade_schema.grade_appeals.course_id IS '강좌 ID';
+COMMENT ON COLUMN grade_schema.grade_appeals.student_id IS '신청 학생 ID';
+COMMENT ON COLUMN grade_schema.grade_appeals.message IS '이의신청 내용';
+COMMENT ON COLUMN grade_schema.grade_appeals.attachments IS '첨부 파일 목록 ([{ key, fileName }])';
+COMMENT ON COLUMN grade_schema.grade_appeals.status IS '처리 상태 (PENDING, ACCEPTED, REJECTED)';
+COMMENT ON COLUMN grade_schema.grade_appeals.original_score IS '신청 당시 점수';
+COMMENT ON COLUMN grade_schema.grade_appeals.resolved_score IS '처리 후 점수';
+COMMENT ON COLUMN grade_schema.grade_appeals.reply IS '교수자 답변';
+COMMENT ON COLUMN grade_schema.grade_appeals.reviewed_by IS '처리한 사용자 ID';
+COMMENT ON COLUMN grade_schema.grade_appeals.reviewed_at IS '처리 일시';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created grade_appeals table and updated grade history trigger');
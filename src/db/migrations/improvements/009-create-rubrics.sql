@@ -0,0 +1,30 @@
+-- 성적 관리 시스템 개선 - 평가 항목별 루브릭 테이블 생성
+-- 2026-10-19
+
+-- rubrics 테이블 생성 (평가 항목당 하나의 루브릭)
+CREATE TABLE IF NOT EXISTS grade_schema.rubrics (
+    rubric_id SERIAL PRIMARY KEY,
+    item_id BIGINT NOT NULL UNIQUE REFERENCES grade_schema.grade_items(item_id) ON DELETE CASCADE,
+    title VARCHAR(200),
+    criteria JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 제출물에 루브릭 선택 결과 저장
+ALTER TABLE grade_schema.student_grades
+ADD COLUMN IF NOT EXISTS rubric_id INTEGER REFERENCES grade_schema.rubrics(rubric_id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS rubric_selections JSONB;
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.rubrics IS '평가 항목별 채점 루브릭 테이블';
+COMMENT ON COLUMN grade_schema.rubrics.item_id IS '평가 항목 ID';
+COMMENT ON COLUMN grade_schema.rubrics.title IS '루브릭 제목';
+COMMENT ON COLUMN grade_schema.rubrics.criteria IS '평가 기준 목록 ([{ key, title, description, levels: [{ key, label, description, points }] }])';
+COMMENT ON COLUMN grade_schema.student_grades.rubric_id IS '채점에 사용된 루브릭 ID';
+COMMENT ON COLUMN grade_schema.student_grades.rubric_selections IS '기준별 선택 수준과 코멘트 (채점 시점의 수준 설명과 배점 포함)';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created rubrics table and rubric selection columns on student_grades');
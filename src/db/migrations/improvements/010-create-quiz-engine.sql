@@ -0,0 +1,88 @@
+-- 성적 관리 시스템 개선 - 서버 채점 퀴즈(문제 은행, 응시 기록) 테이블 생성
+-- 2026-10-19
+
+-- question_banks 테이블 생성 (강좌별 문제 은행)
+CREATE TABLE IF NOT EXISTS grade_schema.question_banks (
+    bank_id SERIAL PRIMARY KEY,
+    course_id TEXT NOT NULL REFERENCES course_schema.courses(id),
+    name VARCHAR(200) NOT NULL,
+    description TEXT,
+    created_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- quiz_questions 테이블 생성
+CREATE TABLE IF NOT EXISTS grade_schema.quiz_questions (
+    question_id SERIAL PRIMARY KEY,
+    bank_id INTEGER NOT NULL REFERENCES grade_schema.question_banks(bank_id) ON DELETE CASCADE,
+    question_type VARCHAR(20) NOT NULL CHECK (question_type IN ('MULTIPLE_CHOICE', 'MULTI_SELECT', 'SHORT_ANSWER', 'NUMERIC')),
+    prompt TEXT NOT NULL,
+    choices JSONB NOT NULL DEFAULT '[]'::jsonb,
+    answer JSONB NOT NULL,
+    points NUMERIC(6,2) NOT NULL DEFAULT 1 CHECK (points > 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- quiz_settings 테이블 생성 (QUIZ 평가 항목별 출제 설정)
+CREATE TABLE IF NOT EXISTS grade_schema.quiz_settings (
+    item_id BIGINT PRIMARY KEY REFERENCES grade_schema.grade_items(item_id) ON DELETE CASCADE,
+    bank_id INTEGER NOT NULL REFERENCES grade_schema.question_banks(bank_id),
+    question_count INTEGER CHECK (question_count IS NULL OR question_count > 0),
+    shuffle_questions BOOLEAN NOT NULL DEFAULT TRUE,
+    shuffle_choices BOOLEAN NOT NULL DEFAULT TRUE,
+    time_limit_minutes INTEGER CHECK (time_limit_minutes IS NULL OR time_limit_minutes > 0),
+    max_attempts INTEGER NOT NULL DEFAULT 1 CHECK (max_attempts > 0),
+    scoring_method VARCHAR(10) NOT NULL DEFAULT 'HIGHEST' CHECK (scoring_method IN ('HIGHEST', 'LATEST')),
+    updated_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- quiz_attempts 테이블 생성 (응시별 출제 문항 스냅샷, 답안, 채점 결과)
+CREATE TABLE IF NOT EXISTS grade_schema.quiz_attempts (
+    attempt_id SERIAL PRIMARY KEY,
+    grade_id INTEGER NOT NULL REFERENCES grade_schema.student_grades(grade_id) ON DELETE CASCADE,
+    item_id BIGINT NOT NULL REFERENCES grade_schema.grade_items(item_id) ON DELETE CASCADE,
+    student_id VARCHAR(36) NOT NULL REFERENCES auth_schema.users(cognito_user_id),
+    attempt_number INTEGER NOT NULL,
+    questions JSONB NOT NULL,
+    answers JSONB,
+    results JSONB,
+    score NUMERIC(5,2),
+    status VARCHAR(20) NOT NULL DEFAULT 'IN_PROGRESS' CHECK (status IN ('IN_PROGRESS', 'SUBMITTED', 'EXPIRED')),
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (grade_id, attempt_number)
+);
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_question_banks_course_id ON grade_schema.question_banks(course_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_questions_bank_id ON grade_schema.quiz_questions(bank_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_grade_id ON grade_schema.quiz_attempts(grade_id);
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.question_banks IS '강좌별 퀴즈 문제 은행';
+COMMENT ON TABLE grade_schema.quiz_questions IS '퀴즈 문항';
+COMMENT ON COLUMN grade_schema.quiz_questions.question_type IS '문항 유형 (MULTIPLE_CHOICE, MULTI_SELECT, SHORT_ANSWER, NUMERIC)';
+COMMENT ON COLUMN grade_schema.quiz_questions.choices IS '선택지 목록 ([{ key, text }])';
+COMMENT ON COLUMN grade_schema.quiz_questions.answer IS '정답 (유형별: { choiceKey } / { choiceKeys } / { accepted, caseSensitive } / { value, tolerance })';
+COMMENT ON COLUMN grade_schema.quiz_questions.points IS '배점';
+COMMENT ON COLUMN grade_schema.quiz_questions.is_active IS '출제 대상 여부 (삭제 시 FALSE)';
+COMMENT ON TABLE grade_schema.quiz_settings IS 'QUIZ 평가 항목별 출제 설정';
+COMMENT ON COLUMN grade_schema.quiz_settings.question_count IS '응시별 출제 문항 수 (NULL이면 전체)';
+COMMENT ON COLUMN grade_schema.quiz_settings.time_limit_minutes IS '제한 시간(분, NULL이면 제한 없음)';
+COMMENT ON COLUMN grade_schema.quiz_settings.max_attempts IS '최대 응시 횟수';
+COMMENT ON COLUMN grade_schema.quiz_settings.scoring_method IS '성적 반영 방식 (HIGHEST: 최고 점수, LATEST: 마지막 응시)';
+COMMENT ON TABLE grade_schema.quiz_attempts IS '퀴즈 응시 기록';
+COMMENT ON COLUMN grade_schema.quiz_attempts.questions IS '응시 시 출제된 문항 스냅샷 (정답 제외, 섞인 순서)';
+COMMENT ON COLUMN grade_schema.quiz_attempts.answers IS '학생 답안 ({ [question_id]: answer })';
+COMMENT ON COLUMN grade_schema.quiz_attempts.results IS '문항별 채점 결과';
+COMMENT ON COLUMN grade_schema.quiz_attempts.status IS '응시 상태 (IN_PROGRESS, SUBMITTED, EXPIRED)';
+COMMENT ON COLUMN grade_schema.quiz_attempts.expires_at IS '제출 마감 시각 (제한 시간과 마감일 중 이른 시각)';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created question bank, quiz settings and quiz attempt tables');
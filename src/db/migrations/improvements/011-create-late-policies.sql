@@ -0,0 +1,48 @@
+-- 성적 관리 시스템 개선 - 지각 제출 정책 및 학생별 기한 연장 테이블 생성
+-- 2026-10-19
+
+-- late_policies 테이블 생성 (평가 항목별 지각 제출 정책)
+CREATE TABLE IF NOT EXISTS grade_schema.late_policies (
+    item_id BIGINT PRIMARY KEY REFERENCES grade_schema.grade_items(item_id) ON DELETE CASCADE,
+    grace_minutes INTEGER NOT NULL DEFAULT 0 CHECK (grace_minutes >= 0),
+    penalty_per_day NUMERIC(5,2) NOT NULL DEFAULT 0 CHECK (penalty_per_day >= 0 AND penalty_per_day <= 100),
+    cutoff_hours INTEGER CHECK (cutoff_hours IS NULL OR cutoff_hours >= 0),
+    updated_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- assignment_extensions 테이블 생성 (학생별 제출 기한 연장)
+CREATE TABLE IF NOT EXISTS grade_schema.assignment_extensions (
+    extension_id SERIAL PRIMARY KEY,
+    item_id BIGINT NOT NULL REFERENCES grade_schema.grade_items(item_id) ON DELETE CASCADE,
+    student_id VARCHAR(36) NOT NULL REFERENCES auth_schema.users(cognito_user_id),
+    due_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    reason TEXT,
+    granted_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (item_id, student_id)
+);
+
+-- 제출물에 지각 여부와 감점 저장 (기존 제출물은 NULL로 두고 마감일과 비교해 판단)
+ALTER TABLE grade_schema.student_grades
+ADD COLUMN IF NOT EXISTS is_late BOOLEAN,
+ADD COLUMN IF NOT EXISTS late_minutes INTEGER,
+ADD COLUMN IF NOT EXISTS late_penalty_percent NUMERIC(5,2) NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS raw_score NUMERIC(5,2);
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.late_policies IS '평가 항목별 지각 제출 정책 (정책이 없으면 마감 후 제출 불가)';
+COMMENT ON COLUMN grade_schema.late_policies.grace_minutes IS '마감 후 감점 없이 제출을 허용하는 유예 시간(분)';
+COMMENT ON COLUMN grade_schema.late_policies.penalty_per_day IS '마감 후 하루(24시간)마다 적용되는 감점 비율(%)';
+COMMENT ON COLUMN grade_schema.late_policies.cutoff_hours IS '마감 후 제출을 받는 최대 시간 (NULL이면 제한 없음)';
+COMMENT ON TABLE grade_schema.assignment_extensions IS '학생별 제출 기한 연장';
+COMMENT ON COLUMN grade_schema.assignment_extensions.due_date IS '연장된 마감일 (지각 정책은 이 마감일 기준으로 적용)';
+COMMENT ON COLUMN grade_schema.student_grades.is_late IS '마감(연장 포함) 이후 제출 여부';
+COMMENT ON COLUMN grade_schema.student_grades.late_minutes IS '마감 이후 경과 시간(분)';
+COMMENT ON COLUMN grade_schema.student_grades.late_penalty_percent IS '지각 제출 감점 비율(%)';
+COMMENT ON COLUMN grade_schema.student_grades.raw_score IS '지각 감점 적용 전 채점 점수';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created late policy and assignment extension tables and late submission columns on student_grades');
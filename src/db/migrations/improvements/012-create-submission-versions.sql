@@ -0,0 +1,67 @@
+-- 성적 관리 시스템 개선 - 과제 제출 버전 기록 테이블 생성
+-- 2026-10-19
+
+-- submission_versions 테이블 생성 (재제출 시 덮어쓰지 않고 제출마다 버전으로 보관)
+CREATE TABLE IF NOT EXISTS grade_schema.submission_versions (
+    version_id SERIAL PRIMARY KEY,
+    grade_id INTEGER NOT NULL REFERENCES grade_schema.student_grades(grade_id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    submission_data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    file_keys TEXT[] NOT NULL DEFAULT '{}',
+    submitted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    is_late BOOLEAN,
+    late_minutes INTEGER,
+    late_penalty_percent NUMERIC(5,2) NOT NULL DEFAULT 0,
+    UNIQUE (grade_id, version_number)
+);
+
+-- 채점 대상 버전
+ALTER TABLE grade_schema.student_grades
+ADD COLUMN IF NOT EXISTS graded_version_id INTEGER REFERENCES grade_schema.submission_versions(version_id) ON DELETE SET NULL;
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_submission_versions_grade_id ON grade_schema.submission_versions(grade_id);
+
+-- 제출 버전은 수정할 수 없음 (제출물 삭제 시 CASCADE 삭제만 허용)
+CREATE OR REPLACE FUNCTION grade_schema.prevent_submission_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'submission_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tr_prevent_submission_version_update ON grade_schema.submission_versions;
+CREATE TRIGGER tr_prevent_submission_version_update
+BEFORE UPDATE ON grade_schema.submission_versions
+FOR EACH ROW
+EXECUTE FUNCTION grade_schema.prevent_submission_version_update();
+
+-- 기존 제출물을 첫 번째 버전으로 등록
+INSERT INTO grade_schema.submission_versions
+    (grade_id, version_number, submission_data, file_keys, submitted_at, is_late, late_minutes, late_penalty_percent)
+SELECT sg.grade_id, 1, COALESCE(sg.submission_data, '{}'::jsonb),
+    ARRAY(
+        SELECT COALESCE(f->>'fileKey', f->>'key', f #>> '{}')
+        FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(sg.submission_data->'files') = 'array'
+                THEN sg.submission_data->'files' ELSE '[]'::jsonb END
+        ) f
+    ),
+    sg.submission_date, sg.is_late, sg.late_minutes, COALESCE(sg.late_penalty_percent, 0)
+FROM grade_schema.student_grades sg
+WHERE sg.submission_date IS NOT NULL
+  AND NOT EXISTS (
+      SELECT 1 FROM grade_schema.submission_versions sv WHERE sv.grade_id = sg.grade_id
+  );
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.submission_versions IS '과제 제출 버전 기록 (수정 불가)';
+COMMENT ON COLUMN grade_schema.submission_versions.version_number IS '제출물 내 버전 번호 (1부터 증가)';
+COMMENT ON COLUMN grade_schema.submission_versions.submission_data IS '제출 당시의 제출 데이터';
+COMMENT ON COLUMN grade_schema.submission_versions.file_keys IS '제출 당시의 S3 파일 키 목록';
+COMMENT ON COLUMN grade_schema.submission_versions.late_penalty_percent IS '제출 당시 계산된 지각 감점 비율(%)';
+COMMENT ON COLUMN grade_schema.student_grades.graded_version_id IS '채점한 제출 버전 ID';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created immutable submission_versions table and graded_version_id on student_grades');
@@ -0,0 +1,54 @@
+-- 성적 관리 시스템 개선 - 동료 평가(peer review) 테이블 생성
+-- 2026-10-19
+
+-- peer_review_settings 테이블 생성 (설정이 있는 평가 항목은 동료 평가 모드로 운영)
+CREATE TABLE IF NOT EXISTS grade_schema.peer_review_settings (
+    item_id BIGINT PRIMARY KEY REFERENCES grade_schema.grade_items(item_id) ON DELETE CASCADE,
+    reviews_per_submission INTEGER NOT NULL DEFAULT 3 CHECK (reviews_per_submission > 0),
+    review_due_date TIMESTAMP WITH TIME ZONE,
+    requires_moderation BOOLEAN NOT NULL DEFAULT FALSE,
+    assigned_at TIMESTAMP WITH TIME ZONE,
+    assigned_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    updated_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- peer_reviews 테이블 생성 (제출물별 평가자 배정과 평가 결과)
+CREATE TABLE IF NOT EXISTS grade_schema.peer_reviews (
+    review_id SERIAL PRIMARY KEY,
+    item_id BIGINT NOT NULL REFERENCES grade_schema.grade_items(item_id) ON DELETE CASCADE,
+    grade_id INTEGER NOT NULL REFERENCES grade_schema.student_grades(grade_id) ON DELETE CASCADE,
+    reviewer_id VARCHAR(36) NOT NULL REFERENCES auth_schema.users(cognito_user_id),
+    status VARCHAR(20) NOT NULL DEFAULT 'ASSIGNED' CHECK (status IN ('ASSIGNED', 'SUBMITTED')),
+    rubric_selections JSONB,
+    score NUMERIC(5,2),
+    comments TEXT,
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (grade_id, reviewer_id)
+);
+
+-- 제출물에 동료 평가 집계 점수와 조정 정보 저장
+ALTER TABLE grade_schema.student_grades
+ADD COLUMN IF NOT EXISTS peer_score NUMERIC(5,2),
+ADD COLUMN IF NOT EXISTS peer_moderated_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+ADD COLUMN IF NOT EXISTS peer_moderated_at TIMESTAMP WITH TIME ZONE;
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_peer_reviews_item_id ON grade_schema.peer_reviews(item_id);
+CREATE INDEX IF NOT EXISTS idx_peer_reviews_reviewer_id ON grade_schema.peer_reviews(reviewer_id);
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.peer_review_settings IS '평가 항목별 동료 평가 설정';
+COMMENT ON COLUMN grade_schema.peer_review_settings.reviews_per_submission IS '제출물당 배정할 평가자 수';
+COMMENT ON COLUMN grade_schema.peer_review_settings.review_due_date IS '동료 평가 마감일 (NULL이면 제한 없음)';
+COMMENT ON COLUMN grade_schema.peer_review_settings.requires_moderation IS 'TRUE면 강사가 조정(승인)한 뒤에 성적에 반영';
+COMMENT ON COLUMN grade_schema.peer_review_settings.assigned_at IS '평가자 배정 시각 (NULL이면 미배정)';
+COMMENT ON TABLE grade_schema.peer_reviews IS '동료 평가 배정 및 결과 (평가자와 제출자는 학생에게 공개하지 않음)';
+COMMENT ON COLUMN grade_schema.peer_reviews.rubric_selections IS '평가 항목 루브릭의 기준별 선택 수준과 코멘트';
+COMMENT ON COLUMN grade_schema.student_grades.peer_score IS '제출된 동료 평가 점수의 평균';
+COMMENT ON COLUMN grade_schema.student_grades.peer_moderated_by IS '동료 평가 점수를 조정(승인)한 강사 ID';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created peer review settings and peer review tables and peer score columns on student_grades');
@@ -0,0 +1,48 @@
+-- 성적 관리 시스템 개선 - 강좌 조(그룹) 및 조별 과제 지원
+-- 2026-10-19
+
+-- course_groups 테이블 생성 (강좌별 조)
+CREATE TABLE IF NOT EXISTS enrollment_schema.course_groups (
+    group_id SERIAL PRIMARY KEY,
+    course_id TEXT NOT NULL REFERENCES course_schema.courses(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    created_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (course_id, name)
+);
+
+-- course_group_members 테이블 생성 (학생은 강좌별로 하나의 조에만 소속)
+CREATE TABLE IF NOT EXISTS enrollment_schema.course_group_members (
+    group_id INTEGER NOT NULL REFERENCES enrollment_schema.course_groups(group_id) ON DELETE CASCADE,
+    course_id TEXT NOT NULL REFERENCES course_schema.courses(id) ON DELETE CASCADE,
+    student_id VARCHAR(36) NOT NULL REFERENCES auth_schema.users(cognito_user_id),
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (group_id, student_id),
+    UNIQUE (course_id, student_id)
+);
+
+-- 조별 과제 여부
+ALTER TABLE grade_schema.grade_items
+ADD COLUMN IF NOT EXISTS is_group_assignment BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- 조별 제출물 정보 (조원 모두의 student_grades 행에 같은 제출 내용과 점수를 반영)
+ALTER TABLE grade_schema.student_grades
+ADD COLUMN IF NOT EXISTS group_id INTEGER REFERENCES enrollment_schema.course_groups(group_id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS group_submitted_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+ADD COLUMN IF NOT EXISTS group_adjustment NUMERIC(5,2) NOT NULL DEFAULT 0;
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_course_groups_course_id ON enrollment_schema.course_groups(course_id);
+CREATE INDEX IF NOT EXISTS idx_student_grades_group_id ON grade_schema.student_grades(group_id);
+
+-- 코멘트 추가
+COMMENT ON TABLE enrollment_schema.course_groups IS '강좌별 조(팀)';
+COMMENT ON TABLE enrollment_schema.course_group_members IS '조 구성원 (강좌별로 한 조에만 소속)';
+COMMENT ON COLUMN grade_schema.grade_items.is_group_assignment IS '조별 과제 여부 (조당 하나의 제출물)';
+COMMENT ON COLUMN grade_schema.student_grades.group_id IS '조별 과제 제출 시 조 ID';
+COMMENT ON COLUMN grade_schema.student_grades.group_submitted_by IS '조별 과제를 제출한 조원 ID';
+COMMENT ON COLUMN grade_schema.student_grades.group_adjustment IS '조별 점수에 더하는 조원별 조정 점수';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created course groups and group members tables and group assignment columns');
@@ -0,0 +1,47 @@
+-- 성적 관리 시스템 개선 - 제출물 유사도(표절) 검사 보고서 테이블 생성
+-- 2026-10-19
+
+-- similarity_reports 테이블 생성 (평가 항목별 검사 실행 단위)
+CREATE TABLE IF NOT EXISTS grade_schema.similarity_reports (
+    report_id SERIAL PRIMARY KEY,
+    item_id BIGINT NOT NULL REFERENCES grade_schema.grade_items(item_id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'RUNNING', 'COMPLETED', 'FAILED')),
+    options JSONB NOT NULL DEFAULT '{}'::jsonb,
+    submission_count INTEGER,
+    pair_count INTEGER,
+    skipped_files JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error_message TEXT,
+    requested_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- similarity_pairs 테이블 생성 (제출물 쌍별 유사도와 일치 구간)
+CREATE TABLE IF NOT EXISTS grade_schema.similarity_pairs (
+    pair_id SERIAL PRIMARY KEY,
+    report_id INTEGER NOT NULL REFERENCES grade_schema.similarity_reports(report_id) ON DELETE CASCADE,
+    grade_id_a INTEGER NOT NULL REFERENCES grade_schema.student_grades(grade_id) ON DELETE CASCADE,
+    grade_id_b INTEGER NOT NULL REFERENCES grade_schema.student_grades(grade_id) ON DELETE CASCADE,
+    similarity NUMERIC(5,2) NOT NULL,
+    overlap NUMERIC(5,2) NOT NULL,
+    matches JSONB NOT NULL DEFAULT '[]'::jsonb,
+    UNIQUE (report_id, grade_id_a, grade_id_b)
+);
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_similarity_reports_item_id ON grade_schema.similarity_reports(item_id);
+CREATE INDEX IF NOT EXISTS idx_similarity_pairs_report_id ON grade_schema.similarity_pairs(report_id, similarity DESC);
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.similarity_reports IS '평가 항목별 제출물 유사도 검사 보고서';
+COMMENT ON COLUMN grade_schema.similarity_reports.options IS '검사 옵션 (shingle 길이, 공통 코드 제외 기준, 최소 유사도)';
+COMMENT ON COLUMN grade_schema.similarity_reports.skipped_files IS '검사하지 못한 파일 목록 (형식 미지원, 크기 초과 등)';
+COMMENT ON TABLE grade_schema.similarity_pairs IS '제출물 쌍별 유사도';
+COMMENT ON COLUMN grade_schema.similarity_pairs.similarity IS '두 제출물 fingerprint 집합의 Jaccard 유사도(%)';
+COMMENT ON COLUMN grade_schema.similarity_pairs.overlap IS '작은 제출물 기준 일치 비율(%)';
+COMMENT ON COLUMN grade_schema.similarity_pairs.matches IS '파일별 일치 구간 ([{ fileA, fileB, rangeA, rangeB, textA, textB }])';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created similarity report and similarity pair tables');
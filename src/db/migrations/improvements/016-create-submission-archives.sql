@@ -0,0 +1,30 @@
+-- 성적 관리 시스템 개선 - 과제 제출물 일괄 다운로드(ZIP) 작업 테이블 생성
+-- 2026-10-19
+
+-- submission_archives 테이블 생성 (평가 항목별 ZIP 생성 작업)
+CREATE TABLE IF NOT EXISTS grade_schema.submission_archives (
+    archive_id SERIAL PRIMARY KEY,
+    item_id BIGINT NOT NULL REFERENCES grade_schema.grade_items(item_id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'RUNNING', 'COMPLETED', 'FAILED')),
+    s3_key TEXT,
+    student_count INTEGER,
+    file_count INTEGER,
+    missing_files JSONB NOT NULL DEFAULT '[]'::jsonb,
+    error_message TEXT,
+    requested_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_submission_archives_item_id ON grade_schema.submission_archives(item_id);
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.submission_archives IS '과제 제출물 일괄 다운로드(ZIP) 생성 작업';
+COMMENT ON COLUMN grade_schema.submission_archives.s3_key IS '생성된 ZIP 파일의 S3 키';
+COMMENT ON COLUMN grade_schema.submission_archives.missing_files IS 'S3에서 찾을 수 없어 ZIP에 포함하지 못한 파일 목록';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created submission archives table for bulk submission downloads');
@@ -0,0 +1,59 @@
+-- 성적 관리 시스템 개선 - 제출물 피드백 첨부 파일, 파일 위치 지정 코멘트, 피드백 감사 로그
+-- 2026-10-19
+
+-- feedback_attachments 테이블 생성 (채점자가 돌려주는 첨삭 파일)
+CREATE TABLE IF NOT EXISTS grade_schema.feedback_attachments (
+    attachment_id SERIAL PRIMARY KEY,
+    grade_id INTEGER NOT NULL REFERENCES grade_schema.student_grades(grade_id) ON DELETE CASCADE,
+    file_key TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    uploaded_by VARCHAR(36) NOT NULL REFERENCES auth_schema.users(cognito_user_id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    deleted_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+-- feedback_comments 테이블 생성 (제출 파일의 페이지/줄에 지정한 코멘트)
+CREATE TABLE IF NOT EXISTS grade_schema.feedback_comments (
+    comment_id SERIAL PRIMARY KEY,
+    grade_id INTEGER NOT NULL REFERENCES grade_schema.student_grades(grade_id) ON DELETE CASCADE,
+    version_id INTEGER REFERENCES grade_schema.submission_versions(version_id) ON DELETE SET NULL,
+    file_key TEXT NOT NULL,
+    anchor JSONB NOT NULL DEFAULT '{}'::jsonb,
+    body TEXT NOT NULL,
+    created_by VARCHAR(36) NOT NULL REFERENCES auth_schema.users(cognito_user_id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    deleted_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+-- feedback_audit_logs 테이블 생성 (채점자의 피드백 작업 기록)
+CREATE TABLE IF NOT EXISTS grade_schema.feedback_audit_logs (
+    log_id SERIAL PRIMARY KEY,
+    grade_id INTEGER NOT NULL REFERENCES grade_schema.student_grades(grade_id) ON DELETE CASCADE,
+    action VARCHAR(30) NOT NULL CHECK (action IN (
+        'ATTACHMENT_ADDED', 'ATTACHMENT_DELETED', 'COMMENT_CREATED', 'COMMENT_UPDATED', 'COMMENT_DELETED'
+    )),
+    target_id INTEGER,
+    actor_id VARCHAR(36) NOT NULL REFERENCES auth_schema.users(cognito_user_id),
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_feedback_attachments_grade_id ON grade_schema.feedback_attachments(grade_id);
+CREATE INDEX IF NOT EXISTS idx_feedback_comments_grade_id ON grade_schema.feedback_comments(grade_id);
+CREATE INDEX IF NOT EXISTS idx_feedback_audit_logs_grade_id ON grade_schema.feedback_audit_logs(grade_id, created_at);
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.feedback_attachments IS '채점자가 업로드한 피드백(첨삭) 파일';
+COMMENT ON TABLE grade_schema.feedback_comments IS '제출 파일의 위치(페이지/줄)를 지정한 피드백 코멘트';
+COMMENT ON COLUMN grade_schema.feedback_comments.file_key IS '코멘트 대상 제출 파일의 S3 키';
+COMMENT ON COLUMN grade_schema.feedback_comments.anchor IS '코멘트 위치 ({ page, line, lineEnd })';
+COMMENT ON TABLE grade_schema.feedback_audit_logs IS '피드백 첨부 파일과 코멘트의 추가·수정·삭제 기록';
+COMMENT ON COLUMN grade_schema.feedback_audit_logs.details IS '작업 내용 (수정 전후 값 등)';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created feedback attachments, anchored feedback comments and feedback audit log tables');
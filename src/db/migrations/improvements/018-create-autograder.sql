@@ -0,0 +1,63 @@
+-- 성적 관리 시스템 개선 - 코드 과제 자동 채점 (숨김 테스트 실행 대기열)
+-- 2026-10-19
+
+-- autograder_configs 테이블 생성 (자동 채점 과제 설정)
+CREATE TABLE IF NOT EXISTS grade_schema.autograder_configs (
+    item_id BIGINT PRIMARY KEY REFERENCES grade_schema.grade_items(item_id) ON DELETE CASCADE,
+    runtime VARCHAR(20) NOT NULL,
+    test_command TEXT,
+    test_suite_key TEXT NOT NULL,
+    timeout_seconds INTEGER NOT NULL DEFAULT 60 CHECK (timeout_seconds BETWEEN 1 AND 600),
+    memory_mb INTEGER NOT NULL DEFAULT 256 CHECK (memory_mb BETWEEN 32 AND 4096),
+    updated_by VARCHAR(36) NOT NULL REFERENCES auth_schema.users(cognito_user_id),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- autograde_runs 테이블 생성 (제출 버전별 채점 실행, 대기열 겸용)
+CREATE TABLE IF NOT EXISTS grade_schema.autograde_runs (
+    run_id SERIAL PRIMARY KEY,
+    item_id BIGINT NOT NULL REFERENCES grade_schema.grade_items(item_id) ON DELETE CASCADE,
+    grade_id INTEGER NOT NULL REFERENCES grade_schema.student_grades(grade_id) ON DELETE CASCADE,
+    version_id INTEGER NOT NULL REFERENCES grade_schema.submission_versions(version_id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'QUEUED' CHECK (status IN ('QUEUED', 'RUNNING', 'COMPLETED', 'FAILED')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    worker_id TEXT,
+    score NUMERIC(5,2),
+    tests_passed INTEGER,
+    tests_total INTEGER,
+    test_results JSONB NOT NULL DEFAULT '[]'::jsonb,
+    exit_code INTEGER,
+    timed_out BOOLEAN NOT NULL DEFAULT FALSE,
+    stdout TEXT,
+    stderr TEXT,
+    error_message TEXT,
+    applied BOOLEAN NOT NULL DEFAULT FALSE,
+    requested_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    queued_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 자동 채점 결과 (최근 반영된 실행과 요약 로그)
+ALTER TABLE grade_schema.student_grades
+ADD COLUMN IF NOT EXISTS autograde_run_id INTEGER REFERENCES grade_schema.autograde_runs(run_id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS autograde_log TEXT;
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_autograde_runs_queue ON grade_schema.autograde_runs(status, queued_at);
+CREATE INDEX IF NOT EXISTS idx_autograde_runs_grade_id ON grade_schema.autograde_runs(grade_id);
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.autograder_configs IS '자동 채점 과제 설정 (숨김 테스트와 실행 제한)';
+COMMENT ON COLUMN grade_schema.autograder_configs.runtime IS '실행 환경 (node, python, java 등)';
+COMMENT ON COLUMN grade_schema.autograder_configs.test_command IS '테스트 실행 명령 (없으면 실행 환경 기본 명령)';
+COMMENT ON COLUMN grade_schema.autograder_configs.test_suite_key IS '숨김 테스트 zip 파일의 S3 키';
+COMMENT ON TABLE grade_schema.autograde_runs IS '자동 채점 실행 기록 및 대기열';
+COMMENT ON COLUMN grade_schema.autograde_runs.test_results IS '테스트별 결과 ([{ name, passed, score, maxScore, message }])';
+COMMENT ON COLUMN grade_schema.autograde_runs.applied IS '실행 결과가 student_grades 점수에 반영되었는지 여부';
+COMMENT ON COLUMN grade_schema.student_grades.autograde_run_id IS '점수에 반영된 자동 채점 실행 ID';
+COMMENT ON COLUMN grade_schema.student_grades.autograde_log IS '반영된 자동 채점 실행의 요약 로그';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created autograder configs and autograde runs tables and autograde result columns');
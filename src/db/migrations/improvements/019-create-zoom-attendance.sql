@@ -0,0 +1,47 @@
+-- 성적 관리 시스템 개선 - Zoom 참가 기록 기반 자동 출석 처리
+-- 2026-10-19
+
+-- zoom_meeting_sessions 테이블 생성 (반복 미팅의 회차별 진행 기록)
+CREATE TABLE IF NOT EXISTS course_schema.zoom_meeting_sessions (
+    meeting_uuid TEXT PRIMARY KEY,
+    zoom_meeting_id TEXT NOT NULL,
+    course_id TEXT REFERENCES course_schema.courses(id) ON DELETE SET NULL,
+    topic TEXT,
+    start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    end_time TIMESTAMP WITH TIME ZONE,
+    attendance_processed_at TIMESTAMP WITH TIME ZONE,
+    matched_count INTEGER NOT NULL DEFAULT 0,
+    unmatched_participants JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 참가자 식별 정보 (회차 UUID, 이메일, 등록자 ID, Zoom 계정 ID)
+ALTER TABLE course_schema.zoom_meeting_participants
+ADD COLUMN IF NOT EXISTS meeting_uuid TEXT,
+ADD COLUMN IF NOT EXISTS participant_email TEXT,
+ADD COLUMN IF NOT EXISTS registrant_id TEXT,
+ADD COLUMN IF NOT EXISTS participant_user_id TEXT;
+
+-- 출석 기록 출처와 입·퇴장 시각
+ALTER TABLE grade_schema.attendance_records
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'MANUAL' CHECK (source IN ('MANUAL', 'ZOOM')),
+ADD COLUMN IF NOT EXISTS first_join_time TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS last_leave_time TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS segment_count INTEGER NOT NULL DEFAULT 0;
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_zoom_meeting_sessions_course_id ON course_schema.zoom_meeting_sessions(course_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_zoom_meeting_participants_meeting_uuid ON course_schema.zoom_meeting_participants(meeting_uuid);
+
+-- 코멘트 추가
+COMMENT ON TABLE course_schema.zoom_meeting_sessions IS 'Zoom 미팅 회차별 진행 기록 (출석 처리 단위)';
+COMMENT ON COLUMN course_schema.zoom_meeting_sessions.meeting_uuid IS 'Zoom 미팅 회차 UUID (attendance_records.session_id)';
+COMMENT ON COLUMN course_schema.zoom_meeting_sessions.unmatched_participants IS '수강생과 연결하지 못한 참가자 ([{ name, email, duration_seconds }])';
+COMMENT ON COLUMN course_schema.zoom_meeting_participants.meeting_uuid IS 'Zoom 미팅 회차 UUID';
+COMMENT ON COLUMN course_schema.zoom_meeting_participants.participant_email IS '참가자 Zoom 계정 또는 등록 이메일';
+COMMENT ON COLUMN grade_schema.attendance_records.source IS '출석 기록 출처 (MANUAL: 직접 입력, ZOOM: 미팅 종료 시 자동 처리)';
+COMMENT ON COLUMN grade_schema.attendance_records.segment_count IS '재접속을 포함한 접속 구간 수';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created zoom meeting sessions table and automatic attendance columns');
@@ -0,0 +1,50 @@
+-- 성적 관리 시스템 개선 - 강좌별 출석 인정 규칙과 회차별 출석 상태
+-- 2026-10-19
+
+-- attendance_policies 테이블 생성 (지각·조퇴·최소 참여율·공결 처리 규칙)
+CREATE TABLE IF NOT EXISTS grade_schema.attendance_policies (
+    course_id TEXT PRIMARY KEY REFERENCES course_schema.courses(id) ON DELETE CASCADE,
+    late_threshold_minutes INTEGER NOT NULL DEFAULT 10 CHECK (late_threshold_minutes >= 0),
+    early_leave_minutes INTEGER NOT NULL DEFAULT 10 CHECK (early_leave_minutes >= 0),
+    min_presence_percent NUMERIC(5,2) NOT NULL DEFAULT 50 CHECK (min_presence_percent BETWEEN 0 AND 100),
+    late_credit NUMERIC(3,2) NOT NULL DEFAULT 0.5 CHECK (late_credit BETWEEN 0 AND 1),
+    early_leave_credit NUMERIC(3,2) NOT NULL DEFAULT 0.5 CHECK (early_leave_credit BETWEEN 0 AND 1),
+    excused_mode VARCHAR(20) NOT NULL DEFAULT 'EXCLUDE' CHECK (excused_mode IN ('EXCLUDE', 'PRESENT')),
+    updated_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 회차별 출석 상태와 회차 시작·종료 시각 (규칙 변경 시 상태 재계산에 사용)
+ALTER TABLE grade_schema.attendance_records
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) CHECK (status IN ('PRESENT', 'LATE', 'EARLY_LEAVE', 'ABSENT', 'EXCUSED')),
+ADD COLUMN IF NOT EXISTS session_start_time TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS session_end_time TIMESTAMP WITH TIME ZONE;
+
+-- 기존 기록은 기본 최소 참여율(50%)로 상태 지정
+UPDATE grade_schema.attendance_records
+SET status = CASE
+    WHEN total_duration_seconds > 0 AND duration_seconds * 100.0 / total_duration_seconds >= 50 THEN 'PRESENT'
+    ELSE 'ABSENT'
+END
+WHERE status IS NULL;
+
+-- Zoom 회차 기록의 시작·종료 시각 채우기
+UPDATE grade_schema.attendance_records ar
+SET session_start_time = zs.start_time,
+    session_end_time = zs.end_time
+FROM course_schema.zoom_meeting_sessions zs
+WHERE ar.session_id = zs.meeting_uuid AND ar.session_start_time IS NULL;
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.attendance_policies IS '강좌별 출석 인정 규칙';
+COMMENT ON COLUMN grade_schema.attendance_policies.late_threshold_minutes IS '회차 시작 후 이 시간(분)이 지나 처음 입장하면 지각';
+COMMENT ON COLUMN grade_schema.attendance_policies.early_leave_minutes IS '회차 종료 이 시간(분) 전에 마지막으로 퇴장하면 조퇴';
+COMMENT ON COLUMN grade_schema.attendance_policies.min_presence_percent IS '출석으로 인정하는 최소 참여율 (미만이면 결석)';
+COMMENT ON COLUMN grade_schema.attendance_policies.late_credit IS '지각 회차의 출석 인정 비율 (0~1)';
+COMMENT ON COLUMN grade_schema.attendance_policies.early_leave_credit IS '조퇴 회차의 출석 인정 비율 (0~1)';
+COMMENT ON COLUMN grade_schema.attendance_policies.excused_mode IS '공결 처리 방식 (EXCLUDE: 출석률 계산에서 제외, PRESENT: 출석으로 인정)';
+COMMENT ON COLUMN grade_schema.attendance_records.status IS '회차 출석 상태 (PRESENT, LATE, EARLY_LEAVE, ABSENT, EXCUSED)';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created attendance policies table and attendance status columns');
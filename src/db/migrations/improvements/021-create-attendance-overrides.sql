@@ -0,0 +1,62 @@
+-- 성적 관리 시스템 개선 - 출석 수동 정정 이력과 공결 신청
+-- 2026-10-19
+
+-- excused_absence_requests 테이블 생성 (학생의 회차별 공결 신청)
+CREATE TABLE IF NOT EXISTS grade_schema.excused_absence_requests (
+    request_id SERIAL PRIMARY KEY,
+    record_id INTEGER NOT NULL REFERENCES grade_schema.attendance_records(record_id) ON DELETE CASCADE,
+    course_id TEXT NOT NULL REFERENCES course_schema.courses(id),
+    student_id VARCHAR(36) NOT NULL REFERENCES auth_schema.users(cognito_user_id),
+    reason TEXT NOT NULL,
+    attachments JSONB NOT NULL DEFAULT '[]'::jsonb,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED')),
+    reply TEXT,
+    reviewed_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- attendance_overrides 테이블 생성 (교수자의 출석 상태 정정, 이력 보관)
+CREATE TABLE IF NOT EXISTS grade_schema.attendance_overrides (
+    override_id SERIAL PRIMARY KEY,
+    record_id INTEGER NOT NULL REFERENCES grade_schema.attendance_records(record_id) ON DELETE CASCADE,
+    course_id TEXT NOT NULL REFERENCES course_schema.courses(id),
+    student_id VARCHAR(36) NOT NULL REFERENCES auth_schema.users(cognito_user_id),
+    previous_status VARCHAR(20),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('PRESENT', 'LATE', 'EARLY_LEAVE', 'ABSENT', 'EXCUSED')),
+    reason TEXT NOT NULL,
+    request_id INTEGER REFERENCES grade_schema.excused_absence_requests(request_id) ON DELETE SET NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by VARCHAR(36) NOT NULL REFERENCES auth_schema.users(cognito_user_id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    revoked_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoke_reason TEXT
+);
+
+-- 한 출석 기록에 적용 중인 정정과 처리 대기 중인 공결 신청은 하나만 허용
+CREATE UNIQUE INDEX IF NOT EXISTS uq_attendance_overrides_active
+ON grade_schema.attendance_overrides(record_id)
+WHERE is_active;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_excused_absence_requests_pending
+ON grade_schema.excused_absence_requests(record_id)
+WHERE status = 'PENDING';
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_attendance_overrides_course_student ON grade_schema.attendance_overrides(course_id, student_id);
+CREATE INDEX IF NOT EXISTS idx_excused_absence_requests_course_status ON grade_schema.excused_absence_requests(course_id, status);
+
+-- 코멘트 추가
+COMMENT ON TABLE grade_schema.excused_absence_requests IS '학생의 회차별 공결 신청';
+COMMENT ON COLUMN grade_schema.excused_absence_requests.attachments IS '증빙 서류 목록 ([{ key, fileName }])';
+COMMENT ON COLUMN grade_schema.excused_absence_requests.status IS '처리 상태 (PENDING, APPROVED, REJECTED, CANCELLED)';
+COMMENT ON TABLE grade_schema.attendance_overrides IS '출석 상태 수동 정정 이력 (적용 중인 정정이 계산된 상태보다 우선)';
+COMMENT ON COLUMN grade_schema.attendance_overrides.previous_status IS '정정 당시 적용 중이던 출석 상태';
+COMMENT ON COLUMN grade_schema.attendance_overrides.request_id IS '공결 신청 승인으로 생성된 경우 신청 ID';
+COMMENT ON COLUMN grade_schema.attendance_overrides.is_active IS '현재 적용 중인 정정 여부 (새 정정 또는 취소 시 FALSE)';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created attendance overrides and excused absence requests tables');
@@ -0,0 +1,33 @@
+-- 성적 관리 시스템 개선 - Zoom 참가자와 LMS 사용자 연결
+-- 2026-10-19
+
+-- zoom_identity_mappings 테이블 생성 (관리자가 확인한 Zoom 계정·이메일·표시 이름과 사용자 연결)
+CREATE TABLE IF NOT EXISTS course_schema.zoom_identity_mappings (
+    mapping_id SERIAL PRIMARY KEY,
+    identity_type VARCHAR(20) NOT NULL CHECK (identity_type IN ('ZOOM_USER_ID', 'EMAIL', 'DISPLAY_NAME')),
+    identity_value TEXT NOT NULL,
+    course_id TEXT REFERENCES course_schema.courses(id) ON DELETE CASCADE,
+    user_id VARCHAR(36) NOT NULL REFERENCES auth_schema.users(cognito_user_id) ON DELETE CASCADE,
+    confirmed_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (identity_type <> 'DISPLAY_NAME' OR course_id IS NOT NULL)
+);
+
+-- 같은 식별 정보는 (강좌 범위별로) 한 사용자에게만 연결
+CREATE UNIQUE INDEX IF NOT EXISTS uq_zoom_identity_mappings_identity
+ON course_schema.zoom_identity_mappings(identity_type, identity_value, COALESCE(course_id, ''));
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_zoom_identity_mappings_user ON course_schema.zoom_identity_mappings(user_id);
+CREATE INDEX IF NOT EXISTS idx_zoom_participants_user_id ON course_schema.zoom_meeting_participants(participant_user_id);
+
+-- 코멘트 추가
+COMMENT ON TABLE course_schema.zoom_identity_mappings IS '관리자가 확인한 Zoom 참가자 식별 정보와 LMS 사용자 연결';
+COMMENT ON COLUMN course_schema.zoom_identity_mappings.identity_type IS '식별 정보 종류 (ZOOM_USER_ID, EMAIL, DISPLAY_NAME)';
+COMMENT ON COLUMN course_schema.zoom_identity_mappings.identity_value IS '정규화한 식별 값 (이메일·표시 이름은 소문자, 공백 정리)';
+COMMENT ON COLUMN course_schema.zoom_identity_mappings.course_id IS '적용 강좌 (NULL이면 모든 강좌, 표시 이름은 동명이인 때문에 강좌별로만 연결)';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created zoom identity mappings table');
@@ -0,0 +1,24 @@
+-- 성적 관리 시스템 개선 - 수강생별 Zoom 미팅 등록자와 개인 참가 링크
+-- 2026-10-19
+
+-- 수강 정보에 Zoom 등록자 정보 추가 (수강신청 시 등록, 수강 취소 시 등록 취소)
+ALTER TABLE enrollment_schema.enrollments
+ADD COLUMN IF NOT EXISTS zoom_meeting_id TEXT,
+ADD COLUMN IF NOT EXISTS zoom_registrant_id TEXT,
+ADD COLUMN IF NOT EXISTS zoom_join_url TEXT,
+ADD COLUMN IF NOT EXISTS zoom_registration_status VARCHAR(20) CHECK (zoom_registration_status IN ('REGISTERED', 'FAILED', 'CANCELLED')),
+ADD COLUMN IF NOT EXISTS zoom_registration_error TEXT,
+ADD COLUMN IF NOT EXISTS zoom_registered_at TIMESTAMP WITH TIME ZONE;
+
+-- 인덱스 생성 (참가 기록의 등록자 ID로 수강생 조회)
+CREATE INDEX IF NOT EXISTS idx_enrollments_zoom_registrant ON enrollment_schema.enrollments(zoom_registrant_id);
+
+-- 코멘트 추가
+COMMENT ON COLUMN enrollment_schema.enrollments.zoom_meeting_id IS '등록자로 추가된 강좌 Zoom 미팅 ID';
+COMMENT ON COLUMN enrollment_schema.enrollments.zoom_registrant_id IS 'Zoom 등록자 ID (참가 기록의 registrant_id와 일치하면 해당 수강생으로 출석 처리)';
+COMMENT ON COLUMN enrollment_schema.enrollments.zoom_join_url IS '수강생 개인 Zoom 참가 링크 (등록 취소 시 NULL)';
+COMMENT ON COLUMN enrollment_schema.enrollments.zoom_registration_status IS 'Zoom 등록 상태 (REGISTERED, FAILED, CANCELLED)';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Added zoom registrant columns to enrollments');
@@ -0,0 +1,44 @@
+-- 성적 관리 시스템 개선 - Zoom 웹훅 이벤트 저장과 재처리
+-- 2026-10-19
+
+-- zoom_webhook_events 테이블 생성 (검증된 웹훅 이벤트 기록과 처리 대기열)
+CREATE TABLE IF NOT EXISTS course_schema.zoom_webhook_events (
+    event_id TEXT PRIMARY KEY,
+    event_type VARCHAR(100) NOT NULL,
+    event_ts TIMESTAMP WITH TIME ZONE,
+    meeting_id TEXT,
+    meeting_uuid TEXT,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'PROCESSING', 'PROCESSED', 'FAILED', 'DEAD', 'IGNORED')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    worker_id TEXT,
+    replay_count INTEGER NOT NULL DEFAULT 0,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    processing_started_at TIMESTAMP WITH TIME ZONE,
+    processed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 같은 입장 이벤트가 다시 처리되어도 참가 기록은 한 번만 생성
+ALTER TABLE course_schema.zoom_meeting_participants
+ADD COLUMN IF NOT EXISTS webhook_event_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_zoom_participants_webhook_event
+ON course_schema.zoom_meeting_participants(webhook_event_id);
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_zoom_webhook_events_queue ON course_schema.zoom_webhook_events(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_zoom_webhook_events_meeting ON course_schema.zoom_webhook_events(meeting_id, event_ts);
+CREATE INDEX IF NOT EXISTS idx_zoom_webhook_events_uuid ON course_schema.zoom_webhook_events(meeting_uuid);
+
+-- 코멘트 추가
+COMMENT ON TABLE course_schema.zoom_webhook_events IS '검증된 Zoom 웹훅 이벤트 기록 (작업자가 순서대로 처리, 실패 시 지연 재시도)';
+COMMENT ON COLUMN course_schema.zoom_webhook_events.event_id IS '이벤트 ID (Zoom 재전송 시에도 동일한 값)';
+COMMENT ON COLUMN course_schema.zoom_webhook_events.status IS '처리 상태 (PENDING, PROCESSING, PROCESSED, FAILED: 재시도 예정, DEAD: 재시도 횟수 초과, IGNORED: 처리 대상이 아닌 이벤트)';
+COMMENT ON COLUMN course_schema.zoom_webhook_events.next_attempt_at IS '다음 처리 시도 시각 (실패 시 지수적으로 늘어남)';
+COMMENT ON COLUMN course_schema.zoom_meeting_participants.webhook_event_id IS '참가 기록을 만든 웹훅 이벤트 ID';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created zoom webhook events table');
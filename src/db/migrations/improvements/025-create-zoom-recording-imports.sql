@@ -0,0 +1,48 @@
+-- 성적 관리 시스템 개선 - Zoom 클라우드 녹화를 강좌 주차 VOD로 가져오기
+-- 2026-10-19
+
+-- zoom_recording_imports 테이블 생성 (녹화 파일별 가져오기 대기열과 결과)
+CREATE TABLE IF NOT EXISTS course_schema.zoom_recording_imports (
+    recording_file_id TEXT PRIMARY KEY,
+    meeting_uuid TEXT NOT NULL,
+    zoom_meeting_id TEXT NOT NULL,
+    course_id TEXT NOT NULL REFERENCES course_schema.courses(id) ON DELETE CASCADE,
+    week_number INTEGER NOT NULL,
+    recording_type VARCHAR(100),
+    file_type VARCHAR(50) NOT NULL,
+    file_extension VARCHAR(20) NOT NULL,
+    file_size BIGINT,
+    recording_start TIMESTAMP WITH TIME ZONE,
+    recording_end TIMESTAMP WITH TIME ZONE,
+    download_url TEXT NOT NULL,
+    download_token TEXT,
+    download_token_expires_at TIMESTAMP WITH TIME ZONE,
+    s3_key TEXT NOT NULL,
+    downloadable BOOLEAN,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'IMPORTING', 'IMPORTED', 'FAILED')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    worker_id TEXT,
+    importing_started_at TIMESTAMP WITH TIME ZONE,
+    imported_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_zoom_recording_imports_queue ON course_schema.zoom_recording_imports(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_zoom_recording_imports_course ON course_schema.zoom_recording_imports(course_id, week_number);
+CREATE INDEX IF NOT EXISTS idx_zoom_recording_imports_meeting_uuid ON course_schema.zoom_recording_imports(meeting_uuid);
+
+-- 코멘트 추가
+COMMENT ON TABLE course_schema.zoom_recording_imports IS 'Zoom 클라우드 녹화 파일을 강좌 주차 폴더({courseId}/{week}주차/)로 가져오는 대기열';
+COMMENT ON COLUMN course_schema.zoom_recording_imports.recording_file_id IS 'Zoom 녹화 파일 ID';
+COMMENT ON COLUMN course_schema.zoom_recording_imports.week_number IS '회차 날짜로 계산한 주차 (강좌 첫 수업 주가 1주차)';
+COMMENT ON COLUMN course_schema.zoom_recording_imports.download_token IS '녹화 다운로드 토큰 (웹훅 download_token 또는 API 액세스 토큰)';
+COMMENT ON COLUMN course_schema.zoom_recording_imports.downloadable IS 'S3 객체에 저장된 다운로드 허용 여부 (이미 있는 파일은 기존 값을 유지)';
+COMMENT ON COLUMN course_schema.zoom_recording_imports.status IS '가져오기 상태 (PENDING, IMPORTING, IMPORTED, FAILED: next_attempt_at이 있으면 재시도 예정)';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created zoom recording imports table');
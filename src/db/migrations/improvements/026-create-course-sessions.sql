@@ -0,0 +1,49 @@
+-- 성적 관리 시스템 개선 - 강좌 수업 일정과 회차별 Zoom 반복 미팅 연결
+-- 2026-10-19
+
+-- course_sessions 테이블 생성 (강좌 개설 시 반복 설정으로 생성한 수업 회차)
+CREATE TABLE IF NOT EXISTS course_schema.course_sessions (
+    session_id SERIAL PRIMARY KEY,
+    course_id TEXT NOT NULL REFERENCES course_schema.courses(id) ON DELETE CASCADE,
+    session_number INTEGER NOT NULL,
+    week_number INTEGER NOT NULL,
+    session_date DATE NOT NULL,
+    start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    end_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    zoom_meeting_id TEXT,
+    zoom_occurrence_id TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'SCHEDULED' CHECK (status IN ('SCHEDULED', 'RESCHEDULED', 'CANCELLED')),
+    original_start_time TIMESTAMP WITH TIME ZONE,
+    cancel_reason TEXT,
+    updated_by VARCHAR(36) REFERENCES auth_schema.users(cognito_user_id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (course_id, session_number),
+    CHECK (end_time > start_time)
+);
+
+-- 진행된 Zoom 회차를 수업 회차와 연결 (출석, 녹화 주차의 기준)
+ALTER TABLE course_schema.zoom_meeting_sessions
+ADD COLUMN IF NOT EXISTS course_session_id INTEGER REFERENCES course_schema.course_sessions(session_id) ON DELETE SET NULL;
+
+-- 인덱스 생성 (성능 향상)
+CREATE INDEX IF NOT EXISTS idx_course_sessions_course ON course_schema.course_sessions(course_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_course_sessions_zoom_meeting ON course_schema.course_sessions(zoom_meeting_id, start_time);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_course_sessions_zoom_occurrence
+ON course_schema.course_sessions(zoom_meeting_id, zoom_occurrence_id)
+WHERE zoom_occurrence_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_zoom_meeting_sessions_course_session ON course_schema.zoom_meeting_sessions(course_session_id);
+
+-- 코멘트 추가
+COMMENT ON TABLE course_schema.course_sessions IS '강좌 수업 일정 (회차별 날짜, 시간, 주차, Zoom 반복 미팅 회차)';
+COMMENT ON COLUMN course_schema.course_sessions.session_number IS '강좌 안의 회차 번호 (1부터, 생성 시 시작 시각 순)';
+COMMENT ON COLUMN course_schema.course_sessions.week_number IS '주차 (첫 회차 날짜부터 7일 단위, 주차 자료 폴더와 같은 번호)';
+COMMENT ON COLUMN course_schema.course_sessions.session_date IS '수업 날짜 (한국 시간)';
+COMMENT ON COLUMN course_schema.course_sessions.zoom_occurrence_id IS 'Zoom 반복 미팅 회차 ID (단일 미팅이면 NULL)';
+COMMENT ON COLUMN course_schema.course_sessions.status IS '회차 상태 (SCHEDULED, RESCHEDULED: 일정 변경됨, CANCELLED: 휴강)';
+COMMENT ON COLUMN course_schema.course_sessions.original_start_time IS '처음 일정 변경 전 시작 시각';
+COMMENT ON COLUMN course_schema.zoom_meeting_sessions.course_session_id IS '진행된 Zoom 회차에 해당하는 수업 회차';
+
+-- 마이그레이션 로그 기록
+INSERT INTO public.migration_logs (description)
+VALUES ('Created course sessions table and linked zoom meeting sessions');
@@ -5,6 +5,31 @@ const { masterPool, SCHEMAS } = require('../../config/database');
 const { s3Client } = require('../../config/s3');
 const { GetObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { updateStudentsFinalGrades, recordGradeHistory } = require('../../utils/grade-calculator');
+const { GRADE_LOCKED_MESSAGE, getGradeLock, scoreChangeEventType } = require('../../utils/grade-lock');
+const { getItemRubric, computeRubricScore } = require('../../utils/rubric');
+const { getQuizAttempts } = require('../../utils/quiz');
+const { validateLatePolicy, getLatePolicy, applyLatePenalty } = require('../../utils/late-policy');
+const { getSubmissionVersions, diffSubmissionVersions } = require('../../utils/submission-version');
+const { applyGroupAdjustment } = require('../../utils/course-group');
+const {
+    ARCHIVE_STATUS,
+    buildSubmissionArchive,
+    requeueStaleSubmissionArchive,
+    generateArchiveDownloadUrl
+} = require('../../utils/submission-archive');
+const { generateUploadUrls } = require('../../utils/s3');
+const {
+    FEEDBACK_ACTIONS,
+    feedbackAttachmentPrefix,
+    validateCommentAnchor,
+    normalizeAnchor,
+    isSubmissionFile,
+    recordFeedbackAudit,
+    getSubmissionFeedback,
+    getFeedbackAuditLogs
+} = require('../../utils/submission-feedback');
+const { getAutograderConfig } = require('../../utils/autograder');
 
 /**
  * @swagger
@@ -57,6 +82,7 @@ router.get('/course/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']
                 gi.item_name,
                 gi.due_date,
                 gi.item_order,
+                gi.is_group_assignment,
                 c.title AS course_title,
                 COUNT(DISTINCT e.id) AS total_students,
                 COUNT(DISTINCT sg.grade_id) AS total_submissions,
@@ -71,7 +97,7 @@ router.get('/course/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']
             LEFT JOIN ${SCHEMAS.GRADE}.student_grades sg 
                 ON gi.item_id::text = sg.item_id::text AND sg.enrollment_id = e.id
             WHERE gi.course_id = $1
-            GROUP BY gi.item_id, gi.item_name, gi.due_date, gi.item_type, gi.item_order, c.title
+            GROUP BY gi.item_id, gi.item_name, gi.due_date, gi.item_type, gi.item_order, gi.is_group_assignment, c.title
             ORDER BY gi.due_date DESC, gi.item_order ASC
         `, [courseId]);
         
@@ -97,7 +123,7 @@ router.get('/course/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']
  *   get:
  *     summary: Get all student submissions for an assignment
  *     tags: [Admin: Assignments]
- *     description: Retrieves submission status for all enrolled students for a specific assignment.
+ *     description: Retrieves submission status for all enrolled students for a specific assignment, including late status, the late penalty applied, per-student extensions, the student's group and the highest similarity from the latest completed similarity report.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -131,6 +157,16 @@ router.get('/:assignmentId/submissions', verifyToken, requireRole(['ADMIN', 'INS
         }
         
         const assignment = assignmentCheck.rows[0];
+
+        // 최근 완료된 유사도 검사 보고서
+        const similarityResult = await client.query(`
+            SELECT report_id, submission_count, pair_count, completed_at
+            FROM ${SCHEMAS.GRADE}.similarity_reports
+            WHERE item_id = $1 AND status = 'COMPLETED'
+            ORDER BY completed_at DESC
+            LIMIT 1
+        `, [assignmentId]);
+        const similarityReport = similarityResult.rows[0] || null;
         
         // 모든 학생의 제출 현황 조회
         const result = await client.query(`
@@ -160,10 +196,15 @@ router.get('/:assignmentId/submissions', verifyToken, requireRole(['ADMIN', 'INS
                     WHEN sg.submission_date IS NOT NULL THEN true
                     ELSE false
                 END AS has_submitted,
-                CASE 
-                    WHEN sg.submission_date > $2 THEN true
-                    ELSE false
-                END AS is_late,
+                COALESCE(sg.is_late, sg.submission_date > COALESCE(ax.due_date, $2), false) AS is_late,
+                sg.late_minutes,
+                COALESCE(sg.late_penalty_percent, 0) AS late_penalty_percent,
+                sg.raw_score,
+                ax.due_date AS extended_due_date,
+                cg.group_id,
+                cg.name AS group_name,
+                COALESCE(sg.group_adjustment, 0) AS group_adjustment,
+                sg.group_submitted_by,
                 CASE 
                     WHEN sg.feedback IS NOT NULL AND LENGTH(sg.feedback) > 0 THEN true
                     ELSE false
@@ -173,17 +214,39 @@ router.get('/:assignmentId/submissions', verifyToken, requireRole(['ADMIN', 'INS
                         SELECT jsonb_array_length(submission_data->'files')
                     )
                     ELSE 0
-                END AS file_count
+                END AS file_count,
+                (
+                    SELECT COUNT(*)
+                    FROM ${SCHEMAS.GRADE}.quiz_attempts qa
+                    WHERE qa.grade_id = sg.grade_id AND qa.status = 'SUBMITTED'
+                ) AS attempt_count,
+                (
+                    -- 조별 과제는 조 대표 제출물 하나로 비교하므로 같은 조의 결과를 함께 조회
+                    SELECT MAX(sp.similarity)
+                    FROM ${SCHEMAS.GRADE}.similarity_pairs sp
+                    JOIN ${SCHEMAS.GRADE}.student_grades psg ON psg.grade_id IN (sp.grade_id_a, sp.grade_id_b)
+                    WHERE sp.report_id = $4
+                    AND (psg.grade_id = sg.grade_id OR (sg.group_id IS NOT NULL AND psg.group_id = sg.group_id))
+                ) AS max_similarity
             FROM enrolled_students es
             LEFT JOIN ${SCHEMAS.GRADE}.student_grades sg 
                 ON es.enrollment_id = sg.enrollment_id AND sg.item_id::text = $3::text
+            LEFT JOIN ${SCHEMAS.GRADE}.assignment_extensions ax
+                ON ax.student_id = es.student_id AND ax.item_id::text = $3::text
+            LEFT JOIN ${SCHEMAS.ENROLLMENT}.course_group_members cgm
+                ON cgm.course_id = $1 AND cgm.student_id = es.student_id
+            LEFT JOIN ${SCHEMAS.ENROLLMENT}.course_groups cg ON cgm.group_id = cg.group_id
             ORDER BY sg.submission_date DESC NULLS LAST, es.student_name ASC
-        `, [assignment.course_id, assignment.due_date, assignmentId]);
+        `, [assignment.course_id, assignment.due_date, assignmentId, similarityReport ? similarityReport.report_id : null]);
+
+        const latePolicy = await getLatePolicy(client, assignmentId);
         
         res.json({
             success: true,
             data: {
                 assignment: assignment,
+                late_policy: latePolicy,
+                similarity_report: similarityReport,
                 submissions: result.rows
             }
         });
@@ -199,13 +262,171 @@ router.get('/:assignmentId/submissions', verifyToken, requireRole(['ADMIN', 'INS
     }
 });
 
+// 요청 처리와 분리해 제출물 ZIP 생성 (실패는 작업 상태로 남김)
+function buildArchiveInBackground(archiveId) {
+    setImmediate(async () => {
+        let client;
+        try {
+            client = await masterPool.connect();
+            await buildSubmissionArchive(client, archiveId);
+        } catch (error) {
+            console.error(`Error building submission archive ${archiveId}:`, error);
+        } finally {
+            if (client) {
+                client.release();
+            }
+        }
+    });
+}
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/{assignmentId}/submissions/archive:
+ *   post:
+ *     summary: Start building a ZIP of all submitted files for an assignment
+ *     tags: [Admin: Assignments]
+ *     description: The ZIP has one folder per student (name_studentId) and a manifest.csv with submission times and late flags. It is built in the background; poll the archive until it is COMPLETED to get the download URL.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '202':
+ *         description: Archive job queued.
+ *       '404':
+ *         description: Assignment not found.
+ */
+// 제출물 일괄 다운로드(ZIP) 생성 요청
+router.post('/:assignmentId/submissions/archive', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { assignmentId } = req.params;
+
+        const assignmentCheck = await client.query(`
+            SELECT item_id FROM ${SCHEMAS.GRADE}.grade_items WHERE item_id = $1
+        `, [assignmentId]);
+
+        if (assignmentCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "과제를 찾을 수 없습니다."
+            });
+        }
+
+        const result = await client.query(`
+            INSERT INTO ${SCHEMAS.GRADE}.submission_archives (item_id, status, requested_by)
+            VALUES ($1, $2, $3)
+            RETURNING *
+        `, [assignmentId, ARCHIVE_STATUS.PENDING, req.user.sub]);
+
+        buildArchiveInBackground(result.rows[0].archive_id);
+
+        res.status(202).json({
+            success: true,
+            message: "제출물 압축 파일 생성이 시작되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error starting submission archive:', error);
+        res.status(500).json({
+            success: false,
+            message: "제출물 압축 파일 생성 요청 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/{assignmentId}/submissions/archive/{archiveId}:
+ *   get:
+ *     summary: Get the status of a submission ZIP and its download URL
+ *     tags: [Admin: Assignments]
+ *     description: A job that is still PENDING, or stuck in RUNNING for over 30 minutes (e.g. after a server restart), is started again when polled.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: archiveId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Archive job, with a presigned download URL (valid for 1 hour) once COMPLETED.
+ *       '404':
+ *         description: Archive not found.
+ */
+// 제출물 압축 파일 상태 및 다운로드 URL 조회
+router.get('/:assignmentId/submissions/archive/:archiveId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { assignmentId, archiveId } = req.params;
+
+        await requeueStaleSubmissionArchive(client, archiveId);
+
+        const result = await client.query(`
+            SELECT sa.*, gi.item_name
+            FROM ${SCHEMAS.GRADE}.submission_archives sa
+            JOIN ${SCHEMAS.GRADE}.grade_items gi ON sa.item_id = gi.item_id
+            WHERE sa.archive_id = $1 AND sa.item_id = $2
+        `, [archiveId, assignmentId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "제출물 압축 파일을 찾을 수 없습니다."
+            });
+        }
+
+        const archive = result.rows[0];
+
+        // 시작되지 못했거나 중단된 작업은 다시 실행 (이미 실행 중이면 buildSubmissionArchive가 건너뜀)
+        if (archive.status === ARCHIVE_STATUS.PENDING) {
+            buildArchiveInBackground(archive.archive_id);
+        }
+
+        const downloadUrl = archive.status === ARCHIVE_STATUS.COMPLETED
+            ? await generateArchiveDownloadUrl(archive, archive.item_name)
+            : null;
+
+        res.json({
+            success: true,
+            data: {
+                ...archive,
+                downloadUrl
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching submission archive:', error);
+        res.status(500).json({
+            success: false,
+            message: "제출물 압축 파일 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
 /**
  * @swagger
  * /api/v1/admin/assignments/submission/{submissionId}:
  *   get:
  *     summary: Get submission details
  *     tags: [Admin: Assignments]
- *     description: Retrieves detailed information for a single submission, including submitted files.
+ *     description: Retrieves detailed information for a single submission, including submitted files and the version history of every (re)submission.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -238,10 +459,7 @@ router.get('/submission/:submissionId', verifyToken, requireRole(['ADMIN', 'INST
                 u.cognito_user_id AS student_id,
                 u.name AS student_name,
                 u.email AS student_email,
-                CASE 
-                    WHEN sg.submission_date > gi.due_date THEN true
-                    ELSE false
-                END AS is_late,
+                COALESCE(sg.is_late, sg.submission_date > gi.due_date, false) AS is_late,
                 CASE 
                     WHEN sg.submission_date IS NOT NULL THEN true
                     ELSE false
@@ -266,6 +484,12 @@ router.get('/submission/:submissionId', verifyToken, requireRole(['ADMIN', 'INST
         }
         
         const submission = result.rows[0];
+        const rubric = await getItemRubric(client, submission.item_id);
+        const quizAttempts = submission.item_type === 'QUIZ'
+            ? await getQuizAttempts(client, submission.grade_id)
+            : [];
+        const versions = await getSubmissionVersions(client, submission.grade_id);
+        const feedback = await getSubmissionFeedback(client, submission.grade_id);
         
         // 제출물에 포함된 파일 정보 추출
         let files = [];
@@ -277,7 +501,12 @@ router.get('/submission/:submissionId', verifyToken, requireRole(['ADMIN', 'INST
             success: true,
             data: {
                 ...submission,
-                files: files
+                files: files,
+                rubric,
+                quiz_attempts: quizAttempts,
+                versions,
+                feedback_attachments: feedback.attachments,
+                feedback_comments: feedback.comments
             }
         });
     } catch (error) {
@@ -294,84 +523,95 @@ router.get('/submission/:submissionId', verifyToken, requireRole(['ADMIN', 'INST
 
 /**
  * @swagger
- * /api/v1/admin/assignments/file/{fileKey(*)}/download-url:
+ * /api/v1/admin/assignments/submission/{submissionId}/versions/diff:
  *   get:
- *     summary: Get a download URL for a submitted file
+ *     summary: Compare two versions of a submission
  *     tags: [Admin: Assignments]
- *     description: Generates a presigned URL to download a file submitted by a student.
+ *     description: Compares submission fields and S3 file keys between two version numbers. Defaults to the previous version and the latest version.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: fileKey
+ *         name: submissionId
  *         required: true
- *         description: The S3 key of the file.
  *         schema:
- *           type: string
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: Version number to compare from.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Version number to compare to.
  *     responses:
  *       '200':
- *         description: A presigned download URL.
+ *         description: Changed fields and added, removed and unchanged files.
  *       '404':
- *         description: File not found.
+ *         description: Submission or version not found.
  */
-router.get('/file/:fileKey(*)/download-url', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+router.get('/submission/:submissionId/versions/diff', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
     try {
-        let { fileKey } = req.params;
-        
-        // fileKey가 URL 인코딩되어 있을 수 있으므로 디코딩
-        fileKey = decodeURIComponent(fileKey);
-        
-        // S3 버킷 정보
-        const bucketName = process.env.S3_BUCKET_NAME || 'nationslablmscoursebucket';
-        
-        // 파일 존재 여부 확인
-        try {
-            await s3Client.send(new GetObjectCommand({
-                Bucket: bucketName,
-                Key: fileKey
-            }));
-        } catch (error) {
+        const versions = await getSubmissionVersions(client, req.params.submissionId);
+
+        if (versions.length === 0) {
             return res.status(404).json({
                 success: false,
-                message: "파일을 찾을 수 없습니다.",
-                error: error.message
+                message: "제출 버전 기록이 없습니다."
             });
         }
-        
-        // 다운로드 URL 생성
-        const command = new GetObjectCommand({
-            Bucket: bucketName,
-            Key: fileKey
-        });
-        
-        const downloadUrl = await getSignedUrl(s3Client, command, { 
-            expiresIn: 3600 // 1시간 유효
-        });
-        
+
+        const latest = versions[versions.length - 1];
+        const toNumber = req.query.to ? parseInt(req.query.to, 10) : latest.version_number;
+        const fromNumber = req.query.from ? parseInt(req.query.from, 10) : toNumber - 1;
+        const fromVersion = versions.find(v => v.version_number === fromNumber);
+        const toVersion = versions.find(v => v.version_number === toNumber);
+
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({
+                success: false,
+                message: "비교할 제출 버전을 찾을 수 없습니다."
+            });
+        }
+
         res.json({
             success: true,
-            data: {
-                downloadUrl,
-                fileKey
-            }
+            data: diffSubmissionVersions(fromVersion, toVersion)
         });
     } catch (error) {
-        console.error('Error generating download URL:', error);
+        console.error('Error comparing submission versions:', error);
         res.status(500).json({
             success: false,
-            message: "다운로드 URL 생성 중 오류가 발생했습니다.",
+            message: "제출 버전 비교 중 오류가 발생했습니다.",
             error: error.message
         });
+    } finally {
+        client.release();
     }
 });
 
+// 피드백 작업 대상 제출물 조회
+async function getFeedbackSubmission(client, submissionId) {
+    const result = await client.query(`
+        SELECT sg.grade_id, sg.submission_data, gi.course_id
+        FROM ${SCHEMAS.GRADE}.student_grades sg
+        JOIN ${SCHEMAS.GRADE}.grade_items gi ON sg.item_id = gi.item_id
+        WHERE sg.grade_id = $1
+    `, [submissionId]);
+
+    return result.rows[0] || null;
+}
+
 /**
  * @swagger
- * /api/v1/admin/assignments/submission/{submissionId}/grade:
- *   put:
- *     summary: Grade a submission
+ * /api/v1/admin/assignments/submission/{submissionId}/feedback/upload-urls:
+ *   post:
+ *     summary: Get presigned upload URLs for feedback files
  *     tags: [Admin: Assignments]
- *     description: Sets the score and provides feedback for a student's submission.
+ *     description: Upload marked-up files with the returned URLs, then register them with the feedback attachments endpoint.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -386,130 +626,1398 @@ router.get('/file/:fileKey(*)/download-url', verifyToken, requireRole(['ADMIN',
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [files]
  *             properties:
- *               score:
- *                 type: number
- *               feedback:
- *                 type: string
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                     size:
+ *                       type: number
  *     responses:
  *       '200':
- *         description: Submission graded successfully.
- *       '400':
- *         description: Invalid score.
+ *         description: Presigned upload URLs.
  *       '404':
  *         description: Submission not found.
  */
-router.put('/submission/:submissionId/grade', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+// 피드백 첨부 파일 업로드 URL 발급
+router.post('/submission/:submissionId/feedback/upload-urls', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
     const client = await masterPool.connect();
     try {
-        const { submissionId } = req.params;
-        const { score, feedback } = req.body;
-        
-        // 점수 유효성 검사
-        if (score < 0 || score > 100) {
+        const { files } = req.body;
+
+        if (!files || !Array.isArray(files) || files.length === 0) {
             return res.status(400).json({
                 success: false,
-                message: "점수는 0에서 100 사이여야 합니다."
+                message: "업로드할 파일 정보가 없습니다."
             });
         }
-        
-        // 제출물 존재 여부 확인
-        const submissionCheck = await client.query(`
-            SELECT sg.*, gi.item_name
-            FROM ${SCHEMAS.GRADE}.student_grades sg
-            JOIN ${SCHEMAS.GRADE}.grade_items gi ON sg.item_id::text = gi.item_id::text
-            WHERE sg.grade_id = $1
-        `, [submissionId]);
-        
-        if (submissionCheck.rows.length === 0) {
+
+        const submission = await getFeedbackSubmission(client, req.params.submissionId);
+        if (!submission) {
             return res.status(404).json({
                 success: false,
                 message: "제출물을 찾을 수 없습니다."
             });
         }
-        
-        // 트랜잭션 시작
-        await client.query('BEGIN');
-        
-        // 점수 및 피드백 업데이트 (채점 시 is_completed를 true로 설정)
-        const result = await client.query(`
-            UPDATE ${SCHEMAS.GRADE}.student_grades
-            SET score = $1, 
-                feedback = $2, 
-                is_completed = TRUE,
-                updated_at = NOW()
-            WHERE grade_id = $3
-            RETURNING *
-        `, [score, feedback, submissionId]);
-        
-        try {
-            // 학생 및 과목 정보 조회
-            const enrollmentInfo = await client.query(`
-                SELECT e.student_id, gi.course_id
-                FROM ${SCHEMAS.ENROLLMENT}.enrollments e
-                JOIN ${SCHEMAS.GRADE}.student_grades sg ON e.id = sg.enrollment_id
-                JOIN ${SCHEMAS.GRADE}.grade_items gi ON sg.item_id::text = gi.item_id::text
-                WHERE sg.grade_id = $1
-            `, [submissionId]);
-            
-            if (enrollmentInfo.rows.length > 0) {
-                const { student_id, course_id } = enrollmentInfo.rows[0];
-                
-                // 간단한 최종 성적 업데이트 로직
-                await client.query(`
-                    WITH assignment_score AS (
-                        SELECT AVG(sg.score) as avg_score
-                        FROM ${SCHEMAS.GRADE}.grade_items gi
-                        JOIN ${SCHEMAS.GRADE}.student_grades sg ON gi.item_id::text = sg.item_id::text
-                        JOIN ${SCHEMAS.ENROLLMENT}.enrollments e ON sg.enrollment_id = e.id
-                        WHERE gi.course_id = $1 AND e.student_id = $2 AND gi.item_type = 'ASSIGNMENT'
-                    ),
-                    exam_score AS (
-                        SELECT AVG(sg.score) as avg_score
-                        FROM ${SCHEMAS.GRADE}.grade_items gi
-                        JOIN ${SCHEMAS.GRADE}.student_grades sg ON gi.item_id::text = sg.item_id::text
-                        JOIN ${SCHEMAS.ENROLLMENT}.enrollments e ON sg.enrollment_id = e.id
-                        WHERE gi.course_id = $1 AND e.student_id = $2 AND gi.item_type = 'EXAM'
-                    ),
-                    attendance_rate AS (
-                        SELECT 
-                            CASE WHEN SUM(total_duration_seconds) > 0 
-                                THEN (SUM(duration_seconds)::float / SUM(total_duration_seconds)) * 100 
-                                ELSE 0 
-                            END as rate
-                        FROM ${SCHEMAS.GRADE}.attendance_records
-                        WHERE course_id = $1 AND student_id = $2
-                    )
-                    UPDATE ${SCHEMAS.ENROLLMENT}.enrollments e
-                    SET final_grade = (
-                        (COALESCE((SELECT rate FROM attendance_rate), 0) * c.attendance_weight / 100) +
-                        (COALESCE((SELECT avg_score FROM assignment_score), 0) * c.assignment_weight / 100) +
-                        (COALESCE((SELECT avg_score FROM exam_score), 0) * c.exam_weight / 100)
-                    )
-                    FROM ${SCHEMAS.COURSE}.courses c
-                    WHERE e.course_id = $1 AND e.student_id = $2 AND c.id = $1
-                `, [course_id, student_id]);
-            }
-        } catch (gradeUpdateError) {
-            console.warn('Warning: Could not update final grade:', gradeUpdateError.message);
-            // 최종 성적 업데이트 실패는 전체 트랜잭션을 중단하지 않음
-        }
-        
-        // 트랜잭션 커밋
-        await client.query('COMMIT');
-        
+
+        const prefix = feedbackAttachmentPrefix(submission.course_id, submission.grade_id);
+        const urls = await generateUploadUrls(
+            submission.course_id,
+            'feedback',
+            files.map(file => ({ ...file, prefix }))
+        );
+
         res.json({
             success: true,
-            message: "채점이 완료되었습니다.",
-            data: result.rows[0]
+            data: urls
         });
     } catch (error) {
-        // 트랜잭션 롤백
-        await client.query('ROLLBACK');
-        console.error('Error grading submission:', error);
+        console.error('Error generating feedback upload URLs:', error);
         res.status(500).json({
             success: false,
-            message: "채점 중 오류가 발생했습니다.",
+            message: "업로드 URL 생성 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/submission/{submissionId}/feedback/attachments:
+ *   post:
+ *     summary: Attach uploaded feedback files to a submission
+ *     tags: [Admin: Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: submissionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [attachments]
+ *             properties:
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     fileName:
+ *                       type: string
+ *     responses:
+ *       '201':
+ *         description: Feedback files attached.
+ *       '400':
+ *         description: File keys were not issued for this submission.
+ *       '404':
+ *         description: Submission not found.
+ */
+// 피드백 첨부 파일 등록
+router.post('/submission/:submissionId/feedback/attachments', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { attachments } = req.body;
+
+        if (!Array.isArray(attachments) || attachments.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "첨부 파일 정보가 없습니다."
+            });
+        }
+
+        const submission = await getFeedbackSubmission(client, req.params.submissionId);
+        if (!submission) {
+            return res.status(404).json({
+                success: false,
+                message: "제출물을 찾을 수 없습니다."
+            });
+        }
+
+        // 업로드 URL로 발급된 경로의 파일만 첨부 허용
+        const prefix = `${feedbackAttachmentPrefix(submission.course_id, submission.grade_id)}/`;
+        if (attachments.some(file => !file.key || !file.key.startsWith(prefix))) {
+            return res.status(400).json({
+                success: false,
+                message: "허용되지 않은 첨부 파일 경로입니다."
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const created = [];
+        for (const file of attachments) {
+            const fileName = file.fileName || file.key.split('/').pop();
+            const result = await client.query(`
+                INSERT INTO ${SCHEMAS.GRADE}.feedback_attachments (grade_id, file_key, file_name, uploaded_by)
+                VALUES ($1, $2, $3, $4)
+                RETURNING *
+            `, [submission.grade_id, file.key, fileName, req.user.sub]);
+
+            await recordFeedbackAudit(
+                client,
+                submission.grade_id,
+                FEEDBACK_ACTIONS.ATTACHMENT_ADDED,
+                req.user.sub,
+                result.rows[0].attachment_id,
+                { fileKey: file.key, fileName }
+            );
+            created.push(result.rows[0]);
+        }
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            success: true,
+            message: "피드백 파일이 첨부되었습니다.",
+            data: created
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error attaching feedback files:', error);
+        res.status(500).json({
+            success: false,
+            message: "피드백 파일 첨부 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/submission/{submissionId}/feedback/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Remove a feedback file from a submission
+ *     tags: [Admin: Assignments]
+ *     description: The file is hidden from the student; the record is kept for the audit trail.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: submissionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Feedback file removed.
+ *       '404':
+ *         description: Feedback file not found.
+ */
+// 피드백 첨부 파일 삭제
+router.delete('/submission/:submissionId/feedback/attachments/:attachmentId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { submissionId, attachmentId } = req.params;
+
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            UPDATE ${SCHEMAS.GRADE}.feedback_attachments
+            SET deleted_by = $1, deleted_at = CURRENT_TIMESTAMP
+            WHERE attachment_id = $2 AND grade_id = $3 AND deleted_at IS NULL
+            RETURNING *
+        `, [req.user.sub, attachmentId, submissionId]);
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: "피드백 파일을 찾을 수 없습니다."
+            });
+        }
+
+        await recordFeedbackAudit(
+            client,
+            result.rows[0].grade_id,
+            FEEDBACK_ACTIONS.ATTACHMENT_DELETED,
+            req.user.sub,
+            result.rows[0].attachment_id,
+            { fileKey: result.rows[0].file_key, fileName: result.rows[0].file_name }
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "피드백 파일이 삭제되었습니다."
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error deleting feedback file:', error);
+        res.status(500).json({
+            success: false,
+            message: "피드백 파일 삭제 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/submission/{submissionId}/feedback/comments:
+ *   post:
+ *     summary: Add a comment anchored to a submitted file
+ *     tags: [Admin: Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: submissionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fileKey, body]
+ *             properties:
+ *               fileKey:
+ *                 type: string
+ *                 description: S3 key of a file in any version of the submission
+ *               versionId:
+ *                 type: integer
+ *               anchor:
+ *                 type: object
+ *                 properties:
+ *                   page:
+ *                     type: integer
+ *                   line:
+ *                     type: integer
+ *                   lineEnd:
+ *                     type: integer
+ *               body:
+ *                 type: string
+ *     responses:
+ *       '201':
+ *         description: Comment added.
+ *       '400':
+ *         description: Invalid anchor or the file is not part of the submission.
+ *       '404':
+ *         description: Submission not found.
+ */
+// 제출 파일 위치 지정 코멘트 작성
+router.post('/submission/:submissionId/feedback/comments', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { fileKey, versionId = null, anchor = {}, body } = req.body;
+
+        if (!body || !body.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: "코멘트 내용을 입력해주세요."
+            });
+        }
+
+        const errors = validateCommentAnchor(anchor);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "코멘트 위치가 올바르지 않습니다.",
+                errors
+            });
+        }
+
+        const submission = await getFeedbackSubmission(client, req.params.submissionId);
+        if (!submission) {
+            return res.status(404).json({
+                success: false,
+                message: "제출물을 찾을 수 없습니다."
+            });
+        }
+
+        if (!fileKey || !(await isSubmissionFile(client, submission, fileKey))) {
+            return res.status(400).json({
+                success: false,
+                message: "제출물에 포함된 파일이 아닙니다."
+            });
+        }
+
+        if (versionId) {
+            const versionCheck = await client.query(`
+                SELECT version_id FROM ${SCHEMAS.GRADE}.submission_versions
+                WHERE version_id = $1 AND grade_id = $2
+            `, [versionId, submission.grade_id]);
+
+            if (versionCheck.rows.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: "제출 버전을 찾을 수 없습니다."
+                });
+            }
+        }
+
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            INSERT INTO ${SCHEMAS.GRADE}.feedback_comments (grade_id, version_id, file_key, anchor, body, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [submission.grade_id, versionId, fileKey, JSON.stringify(normalizeAnchor(anchor)), body.trim(), req.user.sub]);
+
+        await recordFeedbackAudit(
+            client,
+            submission.grade_id,
+            FEEDBACK_ACTIONS.COMMENT_CREATED,
+            req.user.sub,
+            result.rows[0].comment_id,
+            { fileKey, anchor: result.rows[0].anchor, body: result.rows[0].body }
+        );
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            success: true,
+            message: "코멘트가 등록되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error creating feedback comment:', error);
+        res.status(500).json({
+            success: false,
+            message: "코멘트 등록 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/submission/{submissionId}/feedback/comments/{commentId}:
+ *   put:
+ *     summary: Edit an anchored feedback comment
+ *     tags: [Admin: Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: submissionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               anchor:
+ *                 type: object
+ *               body:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Comment updated.
+ *       '404':
+ *         description: Comment not found.
+ */
+// 코멘트 수정
+router.put('/submission/:submissionId/feedback/comments/:commentId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { submissionId, commentId } = req.params;
+        const { anchor, body } = req.body;
+
+        if (body !== undefined && (!body || !body.trim())) {
+            return res.status(400).json({
+                success: false,
+                message: "코멘트 내용을 입력해주세요."
+            });
+        }
+
+        const errors = validateCommentAnchor(anchor);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "코멘트 위치가 올바르지 않습니다.",
+                errors
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const current = await client.query(`
+            SELECT * FROM ${SCHEMAS.GRADE}.feedback_comments
+            WHERE comment_id = $1 AND grade_id = $2 AND deleted_at IS NULL
+            FOR UPDATE
+        `, [commentId, submissionId]);
+
+        if (current.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: "코멘트를 찾을 수 없습니다."
+            });
+        }
+
+        const previous = current.rows[0];
+        const result = await client.query(`
+            UPDATE ${SCHEMAS.GRADE}.feedback_comments
+            SET anchor = $1, body = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE comment_id = $3
+            RETURNING *
+        `, [
+            anchor !== undefined ? JSON.stringify(normalizeAnchor(anchor)) : JSON.stringify(previous.anchor),
+            body !== undefined ? body.trim() : previous.body,
+            commentId
+        ]);
+
+        await recordFeedbackAudit(
+            client,
+            previous.grade_id,
+            FEEDBACK_ACTIONS.COMMENT_UPDATED,
+            req.user.sub,
+            previous.comment_id,
+            {
+                previous: { anchor: previous.anchor, body: previous.body },
+                current: { anchor: result.rows[0].anchor, body: result.rows[0].body }
+            }
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "코멘트가 수정되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating feedback comment:', error);
+        res.status(500).json({
+            success: false,
+            message: "코멘트 수정 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/submission/{submissionId}/feedback/comments/{commentId}:
+ *   delete:
+ *     summary: Delete an anchored feedback comment
+ *     tags: [Admin: Assignments]
+ *     description: The comment is hidden from the student; the record is kept for the audit trail.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: submissionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Comment deleted.
+ *       '404':
+ *         description: Comment not found.
+ */
+// 코멘트 삭제
+router.delete('/submission/:submissionId/feedback/comments/:commentId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { submissionId, commentId } = req.params;
+
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            UPDATE ${SCHEMAS.GRADE}.feedback_comments
+            SET deleted_by = $1, deleted_at = CURRENT_TIMESTAMP
+            WHERE comment_id = $2 AND grade_id = $3 AND deleted_at IS NULL
+            RETURNING *
+        `, [req.user.sub, commentId, submissionId]);
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: "코멘트를 찾을 수 없습니다."
+            });
+        }
+
+        await recordFeedbackAudit(
+            client,
+            result.rows[0].grade_id,
+            FEEDBACK_ACTIONS.COMMENT_DELETED,
+            req.user.sub,
+            result.rows[0].comment_id,
+            { fileKey: result.rows[0].file_key, anchor: result.rows[0].anchor, body: result.rows[0].body }
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "코멘트가 삭제되었습니다."
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error deleting feedback comment:', error);
+        res.status(500).json({
+            success: false,
+            message: "코멘트 삭제 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/submission/{submissionId}/feedback/audit:
+ *   get:
+ *     summary: Get the audit trail of feedback actions on a submission
+ *     tags: [Admin: Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: submissionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Feedback audit log entries, newest first.
+ */
+// 피드백 감사 로그 조회
+router.get('/submission/:submissionId/feedback/audit', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const logs = await getFeedbackAuditLogs(client, req.params.submissionId);
+
+        res.json({
+            success: true,
+            data: logs
+        });
+    } catch (error) {
+        console.error('Error fetching feedback audit logs:', error);
+        res.status(500).json({
+            success: false,
+            message: "피드백 기록 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/file/{fileKey(*)}/download-url:
+ *   get:
+ *     summary: Get a download URL for a submitted file
+ *     tags: [Admin: Assignments]
+ *     description: Generates a presigned URL to download a file submitted by a student.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fileKey
+ *         required: true
+ *         description: The S3 key of the file.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: A presigned download URL.
+ *       '404':
+ *         description: File not found.
+ */
+router.get('/file/:fileKey(*)/download-url', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    try {
+        let { fileKey } = req.params;
+        
+        // fileKey가 URL 인코딩되어 있을 수 있으므로 디코딩
+        fileKey = decodeURIComponent(fileKey);
+        
+        // S3 버킷 정보
+        const bucketName = process.env.S3_BUCKET_NAME || 'nationslablmscoursebucket';
+        
+        // 파일 존재 여부 확인
+        try {
+            await s3Client.send(new GetObjectCommand({
+                Bucket: bucketName,
+                Key: fileKey
+            }));
+        } catch (error) {
+            return res.status(404).json({
+                success: false,
+                message: "파일을 찾을 수 없습니다.",
+                error: error.message
+            });
+        }
+        
+        // 다운로드 URL 생성
+        const command = new GetObjectCommand({
+            Bucket: bucketName,
+            Key: fileKey
+        });
+        
+        const downloadUrl = await getSignedUrl(s3Client, command, { 
+            expiresIn: 3600 // 1시간 유효
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                downloadUrl,
+                fileKey
+            }
+        });
+    } catch (error) {
+        console.error('Error generating download URL:', error);
+        res.status(500).json({
+            success: false,
+            message: "다운로드 URL 생성 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/submission/{submissionId}/grade:
+ *   put:
+ *     summary: Grade a submission
+ *     tags: [Admin: Assignments]
+ *     description: Sets the score and provides feedback for a student's submission. When rubricSelections is given, the score is computed from the selected rubric levels and the score field is ignored. The late penalty recorded on the graded version is deducted from the graded score, which is kept as raw_score. For group assignments the grade is applied to every member's submission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: submissionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               score:
+ *                 type: number
+ *               feedback:
+ *                 type: string
+ *               versionId:
+ *                 type: integer
+ *                 description: Submission version to grade. Defaults to the latest version.
+ *               memberAdjustments:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: number
+ *                 description: Group assignments only. Points added to the group score per member, keyed by student ID. Members without an entry keep their previous adjustment.
+ *               rubricSelections:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     criterionKey:
+ *                       type: string
+ *                     levelKey:
+ *                       type: string
+ *                     comment:
+ *                       type: string
+ *     responses:
+ *       '200':
+ *         description: Submission graded successfully.
+ *       '400':
+ *         description: Invalid score, rubric selections or version.
+ *       '404':
+ *         description: Submission not found.
+ *       '423':
+ *         description: Course grades are locked.
+ */
+router.put('/submission/:submissionId/grade', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { submissionId } = req.params;
+        const { feedback, rubricSelections, versionId, memberAdjustments = {} } = req.body;
+        let { score } = req.body;
+        
+        // 점수 유효성 검사 (루브릭 채점은 선택 결과로 점수를 계산)
+        if (rubricSelections === undefined && (score < 0 || score > 100)) {
+            return res.status(400).json({
+                success: false,
+                message: "점수는 0에서 100 사이여야 합니다."
+            });
+        }
+        
+        // 제출물 존재 여부 확인
+        const submissionCheck = await client.query(`
+            SELECT sg.*, gi.item_name, gi.course_id
+            FROM ${SCHEMAS.GRADE}.student_grades sg
+            JOIN ${SCHEMAS.GRADE}.grade_items gi ON sg.item_id::text = gi.item_id::text
+            WHERE sg.grade_id = $1
+        `, [submissionId]);
+        
+        if (submissionCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "제출물을 찾을 수 없습니다."
+            });
+        }
+
+        // 성적이 확정된 강좌는 채점 불가
+        const gradeLock = await getGradeLock(client, submissionCheck.rows[0].course_id);
+        if (gradeLock.is_locked) {
+            return res.status(423).json({
+                success: false,
+                message: GRADE_LOCKED_MESSAGE,
+                data: { grade_lock: gradeLock }
+            });
+        }
+
+        // 루브릭 채점: 기준별 선택 수준으로 점수 계산
+        let rubricId = null;
+        let selections = null;
+        if (rubricSelections !== undefined) {
+            const rubric = await getItemRubric(client, submissionCheck.rows[0].item_id);
+            if (!rubric) {
+                return res.status(400).json({
+                    success: false,
+                    message: "루브릭이 등록되지 않은 평가 항목입니다."
+                });
+            }
+
+            const computed = computeRubricScore(rubric, rubricSelections);
+            if (computed.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: "루브릭 선택이 올바르지 않습니다.",
+                    errors: computed.errors
+                });
+            }
+
+            score = computed.score;
+            rubricId = rubric.rubric_id;
+            selections = JSON.stringify(computed.selections);
+        }
+
+        // 채점할 제출 버전 확인 (지정하지 않으면 최신 버전)
+        const versions = await getSubmissionVersions(client, submissionId);
+        const gradedVersion = versionId !== undefined
+            ? versions.find(v => Number(v.version_id) === Number(versionId))
+            : versions[versions.length - 1];
+        if (versionId !== undefined && !gradedVersion) {
+            return res.status(400).json({
+                success: false,
+                message: "해당 제출물의 버전이 아닙니다."
+            });
+        }
+
+        // 지각 제출 감점 적용 (채점 버전의 감점 비율 기준, 감점 전 점수는 raw_score에 보관)
+        const lateSource = gradedVersion || submissionCheck.rows[0];
+        const rawScore = score;
+        const latePenalty = Number(lateSource.late_penalty_percent) || 0;
+        if (latePenalty > 0) {
+            score = applyLatePenalty(rawScore, latePenalty);
+        }
+        
+        // 조원별 조정 점수 유효성 검사 ({ [studentId]: 조정 점수 })
+        const invalidAdjustment = Object.values(memberAdjustments)
+            .some(value => isNaN(Number(value)) || Number(value) < -100 || Number(value) > 100);
+        if (invalidAdjustment) {
+            return res.status(400).json({
+                success: false,
+                message: "조원별 조정 점수는 -100에서 100 사이여야 합니다."
+            });
+        }
+        
+        // 트랜잭션 시작
+        await client.query('BEGIN');
+
+        // 조별 과제는 같은 조 조원의 제출물 모두에 채점 결과 반영
+        const targets = await client.query(`
+            SELECT sg.grade_id, sg.score, sg.group_id, sg.group_adjustment, e.student_id
+            FROM ${SCHEMAS.GRADE}.student_grades sg
+            JOIN ${SCHEMAS.ENROLLMENT}.enrollments e ON sg.enrollment_id = e.id
+            WHERE sg.grade_id = $1
+               OR (sg.group_id = $2 AND sg.item_id::text = $3::text)
+            ORDER BY sg.grade_id = $1 DESC, sg.grade_id ASC
+            FOR UPDATE OF sg
+        `, [submissionId, submissionCheck.rows[0].group_id, submissionCheck.rows[0].item_id]);
+
+        const gradedRows = [];
+        for (const target of targets.rows) {
+            const isGroupSubmission = target.group_id !== null;
+            const adjustment = memberAdjustments[target.student_id] !== undefined
+                ? Number(memberAdjustments[target.student_id])
+                : Number(target.group_adjustment) || 0;
+            const memberScore = isGroupSubmission ? applyGroupAdjustment(score, adjustment) : score;
+
+            // 조원의 제출물은 같은 번호의 버전을 채점 버전으로 기록
+            let targetVersionId = gradedVersion ? gradedVersion.version_id : null;
+            if (gradedVersion && String(target.grade_id) !== String(submissionId)) {
+                const memberVersion = await client.query(`
+                    SELECT version_id FROM ${SCHEMAS.GRADE}.submission_versions
+                    WHERE grade_id = $1 AND version_number = $2
+                `, [target.grade_id, gradedVersion.version_number]);
+                targetVersionId = memberVersion.rows.length > 0 ? memberVersion.rows[0].version_id : null;
+            }
+
+            // 점수 및 피드백 업데이트 (채점 시 is_completed를 true로 설정)
+            const result = await client.query(`
+                UPDATE ${SCHEMAS.GRADE}.student_grades
+                SET score = $1, 
+                    feedback = $2, 
+                    is_completed = TRUE,
+                    rubric_id = $3,
+                    rubric_selections = $4,
+                    raw_score = $5,
+                    graded_version_id = $6,
+                    is_late = $7,
+                    late_minutes = $8,
+                    late_penalty_percent = $9,
+                    group_adjustment = $10,
+                    updated_at = NOW()
+                WHERE grade_id = $11
+                RETURNING *
+            `, [
+                memberScore, feedback, rubricId, selections, rawScore,
+                targetVersionId,
+                lateSource.is_late, lateSource.late_minutes, latePenalty,
+                isGroupSubmission ? adjustment : 0,
+                target.grade_id
+            ]);
+            gradedRows.push(result.rows[0]);
+
+            // 점수가 변경된 경우 히스토리 기록 (확정 이력이 있으면 확정 후 변경으로 기록)
+            const previousScore = target.score;
+            if (previousScore !== null && Number(previousScore) !== Number(memberScore)) {
+                const reasons = ['제출물 채점'];
+                if (latePenalty > 0) reasons.push(`지각 감점 ${latePenalty}%`);
+                if (isGroupSubmission && adjustment !== 0) reasons.push(`조원 조정 ${adjustment > 0 ? '+' : ''}${adjustment}`);
+                await recordGradeHistory(
+                    client,
+                    target.grade_id,
+                    previousScore,
+                    memberScore,
+                    req.user.sub,
+                    reasons.length > 1 ? `${reasons[0]} (${reasons.slice(1).join(', ')})` : reasons[0],
+                    { courseId: submissionCheck.rows[0].course_id, eventType: scoreChangeEventType(gradeLock) }
+                );
+            }
+        }
+
+        try {
+            // 강좌 성적 산출 정책에 따라 채점된 학생(조원 전체)의 최종 성적을 한 번에 업데이트
+            await updateStudentsFinalGrades(
+                client,
+                submissionCheck.rows[0].course_id,
+                targets.rows.map(target => target.student_id)
+            );
+        } catch (gradeUpdateError) {
+            console.warn('Warning: Could not update final grade:', gradeUpdateError.message);
+            // 최종 성적 업데이트 실패는 전체 트랜잭션을 중단하지 않음
+        }
+        
+        // 트랜잭션 커밋
+        await client.query('COMMIT');
+        
+        res.json({
+            success: true,
+            message: gradedRows.length > 1
+                ? `조원 ${gradedRows.length}명의 채점이 완료되었습니다.`
+                : "채점이 완료되었습니다.",
+            data: {
+                ...gradedRows[0],
+                group_members: gradedRows.length > 1 ? gradedRows : undefined
+            }
+        });
+    } catch (error) {
+        // 트랜잭션 롤백
+        await client.query('ROLLBACK');
+        console.error('Error grading submission:', error);
+        res.status(500).json({
+            success: false,
+            message: "채점 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/{assignmentId}/group-mode:
+ *   put:
+ *     summary: Turn group submission mode on or off for an assignment
+ *     tags: [Admin: Assignments]
+ *     description: In group mode one member submits for the whole course group and grades are applied to every member.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [enabled]
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       '200':
+ *         description: Group mode updated.
+ *       '400':
+ *         description: Quizzes cannot be group assignments.
+ *       '404':
+ *         description: Assignment not found.
+ */
+router.put('/:assignmentId/group-mode', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { assignmentId } = req.params;
+        const enabled = req.body.enabled === true;
+
+        const assignmentCheck = await client.query(`
+            SELECT item_type FROM ${SCHEMAS.GRADE}.grade_items WHERE item_id = $1
+        `, [assignmentId]);
+
+        if (assignmentCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "과제를 찾을 수 없습니다."
+            });
+        }
+
+        // 퀴즈는 응시 기록이 학생별이므로 조별 제출 불가
+        if (enabled && assignmentCheck.rows[0].item_type === 'QUIZ') {
+            return res.status(400).json({
+                success: false,
+                message: "퀴즈는 조별 과제로 설정할 수 없습니다."
+            });
+        }
+
+        // 자동 채점은 학생별 제출 버전을 채점하므로 조별 제출과 함께 사용할 수 없음
+        if (enabled && await getAutograderConfig(client, assignmentId)) {
+            return res.status(400).json({
+                success: false,
+                message: "자동 채점 과제는 조별 과제로 설정할 수 없습니다."
+            });
+        }
+
+        const result = await client.query(`
+            UPDATE ${SCHEMAS.GRADE}.grade_items
+            SET is_group_assignment = $1
+            WHERE item_id = $2
+            RETURNING item_id, item_name, is_group_assignment
+        `, [enabled, assignmentId]);
+
+        res.json({
+            success: true,
+            message: enabled ? "조별 과제로 설정되었습니다." : "개인 과제로 설정되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error updating group mode:', error);
+        res.status(500).json({
+            success: false,
+            message: "조별 과제 설정 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/{assignmentId}/late-policy:
+ *   get:
+ *     summary: Get the late policy and student extensions of an assignment
+ *     tags: [Admin: Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Late policy (null when late submissions are not accepted) and per-student extensions.
+ */
+router.get('/:assignmentId/late-policy', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { assignmentId } = req.params;
+
+        const latePolicy = await getLatePolicy(client, assignmentId);
+        const extensions = await client.query(`
+            SELECT ax.*, u.name AS student_name, u.email AS student_email
+            FROM ${SCHEMAS.GRADE}.assignment_extensions ax
+            JOIN ${SCHEMAS.AUTH}.users u ON ax.student_id = u.cognito_user_id
+            WHERE ax.item_id = $1
+            ORDER BY ax.due_date ASC
+        `, [assignmentId]);
+
+        res.json({
+            success: true,
+            data: {
+                late_policy: latePolicy,
+                extensions: extensions.rows
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching late policy:', error);
+        res.status(500).json({
+            success: false,
+            message: "지각 제출 정책 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/{assignmentId}/late-policy:
+ *   put:
+ *     summary: Set the late policy of an assignment
+ *     tags: [Admin: Assignments]
+ *     description: |
+ *       Submissions within grace_minutes after the due date are not late. After that, penalty_per_day
+ *       percent is deducted for each started 24 hours after the due date, capped at 100.
+ *       Submissions more than cutoff_hours after the due date are rejected (null means no cutoff).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               grace_minutes:
+ *                 type: integer
+ *               penalty_per_day:
+ *                 type: number
+ *               cutoff_hours:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       '200':
+ *         description: Late policy saved.
+ *       '400':
+ *         description: Invalid policy.
+ *       '404':
+ *         description: Assignment not found.
+ */
+router.put('/:assignmentId/late-policy', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { assignmentId } = req.params;
+        const { grace_minutes = 0, penalty_per_day = 0, cutoff_hours = null } = req.body;
+
+        const errors = validateLatePolicy({ grace_minutes, penalty_per_day, cutoff_hours });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "유효하지 않은 지각 제출 정책입니다.",
+                errors
+            });
+        }
+
+        const assignmentCheck = await client.query(`
+            SELECT item_id FROM ${SCHEMAS.GRADE}.grade_items WHERE item_id = $1
+        `, [assignmentId]);
+
+        if (assignmentCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "과제를 찾을 수 없습니다."
+            });
+        }
+
+        const result = await client.query(`
+            INSERT INTO ${SCHEMAS.GRADE}.late_policies
+            (item_id, grace_minutes, penalty_per_day, cutoff_hours, updated_by)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (item_id)
+            DO UPDATE SET
+                grace_minutes = EXCLUDED.grace_minutes,
+                penalty_per_day = EXCLUDED.penalty_per_day,
+                cutoff_hours = EXCLUDED.cutoff_hours,
+                updated_by = EXCLUDED.updated_by,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [assignmentId, grace_minutes, penalty_per_day, cutoff_hours, req.user.sub]);
+
+        res.json({
+            success: true,
+            message: "지각 제출 정책이 저장되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error saving late policy:', error);
+        res.status(500).json({
+            success: false,
+            message: "지각 제출 정책 저장 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/{assignmentId}/late-policy:
+ *   delete:
+ *     summary: Remove the late policy of an assignment
+ *     tags: [Admin: Assignments]
+ *     description: Without a late policy, submissions after the (extended) due date are rejected.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Late policy removed.
+ */
+router.delete('/:assignmentId/late-policy', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        await client.query(`
+            DELETE FROM ${SCHEMAS.GRADE}.late_policies WHERE item_id = $1
+        `, [req.params.assignmentId]);
+
+        res.json({
+            success: true,
+            message: "지각 제출 정책이 삭제되었습니다."
+        });
+    } catch (error) {
+        console.error('Error deleting late policy:', error);
+        res.status(500).json({
+            success: false,
+            message: "지각 제출 정책 삭제 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/{assignmentId}/extensions/{studentId}:
+ *   put:
+ *     summary: Grant or update a due date extension for a student
+ *     tags: [Admin: Assignments]
+ *     description: The late policy of the assignment is applied relative to the extended due date.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [dueDate]
+ *             properties:
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Extension saved.
+ *       '400':
+ *         description: Invalid due date.
+ *       '404':
+ *         description: Assignment not found or student not enrolled.
+ */
+router.put('/:assignmentId/extensions/:studentId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { assignmentId, studentId } = req.params;
+        const { dueDate, reason = null } = req.body;
+
+        if (!dueDate || isNaN(new Date(dueDate).getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: "유효한 연장 마감일(dueDate)이 필요합니다."
+            });
+        }
+
+        // 과제가 속한 과목을 수강 중인 학생인지 확인
+        const enrollmentCheck = await client.query(`
+            SELECT gi.due_date
+            FROM ${SCHEMAS.GRADE}.grade_items gi
+            JOIN ${SCHEMAS.ENROLLMENT}.enrollments e ON e.course_id = gi.course_id
+            WHERE gi.item_id = $1 AND e.student_id = $2 AND e.status = 'ACTIVE'
+        `, [assignmentId, studentId]);
+
+        if (enrollmentCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "과제 또는 수강 중인 학생을 찾을 수 없습니다."
+            });
+        }
+
+        const result = await client.query(`
+            INSERT INTO ${SCHEMAS.GRADE}.assignment_extensions
+            (item_id, student_id, due_date, reason, granted_by)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (item_id, student_id)
+            DO UPDATE SET
+                due_date = EXCLUDED.due_date,
+                reason = EXCLUDED.reason,
+                granted_by = EXCLUDED.granted_by,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [assignmentId, studentId, dueDate, reason, req.user.sub]);
+
+        res.json({
+            success: true,
+            message: "제출 기한이 연장되었습니다.",
+            data: {
+                ...result.rows[0],
+                original_due_date: enrollmentCheck.rows[0].due_date
+            }
+        });
+    } catch (error) {
+        console.error('Error granting extension:', error);
+        res.status(500).json({
+            success: false,
+            message: "제출 기한 연장 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/assignments/{assignmentId}/extensions/{studentId}:
+ *   delete:
+ *     summary: Revoke a student's due date extension
+ *     tags: [Admin: Assignments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Extension revoked.
+ *       '404':
+ *         description: Extension not found.
+ */
+router.delete('/:assignmentId/extensions/:studentId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(`
+            DELETE FROM ${SCHEMAS.GRADE}.assignment_extensions
+            WHERE item_id = $1 AND student_id = $2
+            RETURNING extension_id
+        `, [req.params.assignmentId, req.params.studentId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "제출 기한 연장 내역을 찾을 수 없습니다."
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "제출 기한 연장이 취소되었습니다."
+        });
+    } catch (error) {
+        console.error('Error revoking extension:', error);
+        res.status(500).json({
+            success: false,
+            message: "제출 기한 연장 취소 중 오류가 발생했습니다.",
             error: error.message
         });
     } finally {
@@ -1,77 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const { verifyToken, requireRole } = require('../../middlewares/auth');
 const { masterPool, SCHEMAS } = require('../../config/database');
-
-// Zoom API 설정
-const ZOOM_CLIENT_ID = process.env.ZOOM_CLIENT_ID;
-const ZOOM_CLIENT_SECRET = process.env.ZOOM_CLIENT_SECRET;
-const ZOOM_ACCOUNT_ID = process.env.ZOOM_ACCOUNT_ID;
-
-/**
- * Zoom API 토큰 발급 함수
- * @returns {Promise<string>} Zoom API 토큰
- */
-async function getZoomToken() {
-    try {
-        const authHeader = Buffer.from(`${ZOOM_CLIENT_ID}:${ZOOM_CLIENT_SECRET}`).toString('base64');
-        const response = await axios.post('https://zoom.us/oauth/token', 
-            'grant_type=account_credentials&account_id=' + ZOOM_ACCOUNT_ID,
-            {
-                headers: {
-                    'Authorization': `Basic ${authHeader}`,
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
-            }
-        );
-        
-        return response.data.access_token;
-    } catch (error) {
-        console.error('Zoom 토큰 발급 오류:', error.response?.data || error.message);
-        throw new Error('Zoom API 토큰 발급에 실패했습니다.');
-    }
-}
+const { zoomClient } = require('../../services/zoom-client');
 
 /**
  * 활성화된 모든 Zoom 미팅 목록 조회
  */
 router.get('/meetings/active', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
     try {
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-        
         // 사용자 정보 조회
-        const userResponse = await axios.get(
-            'https://api.zoom.us/v2/users/me',
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            }
-        );
+        const userResponse = await zoomClient.get('/users/me');
         
         const userId = userResponse.data.id;
         
-        // 현재 진행 중인 미팅 목록 조회
-        const meetingsResponse = await axios.get(
-            `https://api.zoom.us/v2/users/${userId}/meetings`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                params: {
-                    type: 'live', // 현재 진행 중인 미팅만 조회
-                    page_size: 100
-                }
-            }
-        );
+        // 현재 진행 중인 미팅 목록 조회 (모든 페이지)
+        const meetingsData = await zoomClient.paginate(`/users/${userId}/meetings`, 'meetings', {
+            type: 'live' // 현재 진행 중인 미팅만 조회
+        });
         
         // 사용자에게 관련 강좌 정보와 함께 미팅 정보 전송
         const client = await masterPool.connect();
         try {
             // 미팅 목록에서 미팅 ID 추출
-            const meetingIds = meetingsResponse.data.meetings.map(meeting => meeting.id);
+            const meetingIds = meetingsData.meetings.map(meeting => meeting.id);
             
             // 미팅 ID에 해당하는 강좌 정보 조회 (DB에 저장된 경우)
             let courseInfo = [];
@@ -86,7 +38,7 @@ router.get('/meetings/active', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR'])
             }
             
             // 미팅 정보에 강좌 정보 매핑
-            const meetingsWithCourseInfo = meetingsResponse.data.meetings.map(meeting => {
+            const meetingsWithCourseInfo = meetingsData.meetings.map(meeting => {
                 const course = courseInfo.find(c => c.zoom_meeting_id === meeting.id.toString());
                 return {
                     ...meeting,
@@ -99,7 +51,7 @@ router.get('/meetings/active', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR'])
                 success: true,
                 data: {
                     meetings: meetingsWithCourseInfo,
-                    total: meetingsResponse.data.total_records
+                    total: meetingsData.total_records
                 }
             });
         } finally {
@@ -122,18 +74,8 @@ router.get('/meetings/completed', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR
     try {
         const { page = 1, page_size = 20 } = req.query;
         
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-        
         // 사용자 정보 조회
-        const userResponse = await axios.get(
-            'https://api.zoom.us/v2/users/me',
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            }
-        );
+        const userResponse = await zoomClient.get('/users/me');
         
         const userId = userResponse.data.id;
         
@@ -146,19 +88,13 @@ router.get('/meetings/completed', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR
         const toDateStr = toDate.toISOString().split('T')[0];
         
         // 종료된 미팅 목록 조회
-        const meetingsResponse = await axios.get(
-            `https://api.zoom.us/v2/users/${userId}/meetings`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                params: {
-                    type: 'scheduled', // 예약된 미팅 (종료된 미팅 포함)
-                    page_size: page_size,
-                    page_number: page
-                }
+        const meetingsResponse = await zoomClient.get(`/users/${userId}/meetings`, {
+            params: {
+                type: 'scheduled', // 예약된 미팅 (종료된 미팅 포함)
+                page_size: page_size,
+                page_number: page
             }
-        );
+        });
         
         // 종료된 미팅만 필터링
         const completedMeetings = meetingsResponse.data.meetings.filter(meeting => {
@@ -223,35 +159,21 @@ router.get('/meetings/:meetingId/participants', verifyToken, requireRole(['ADMIN
         const { meetingId } = req.params;
         const { type = 'live' } = req.query; // live: 실시간 참석자, past: 종료된 미팅 참석자
         
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-        
         let participantsData = { participants: [] };
         let apiEndpoint = '';
         
         if (type === 'live') {
             // 실시간 참가자 조회 (Dashboard API)
-            apiEndpoint = `https://api.zoom.us/v2/metrics/meetings/${meetingId}/participants`;
+            apiEndpoint = `/metrics/meetings/${meetingId}/participants`;
         } else {
             // 종료된 미팅 참가자 조회 (Past Meeting API)
-            apiEndpoint = `https://api.zoom.us/v2/past_meetings/${meetingId}/participants`;
+            apiEndpoint = `/past_meetings/${meetingId}/participants`;
         }
         
         try {
-            const response = await axios.get(
-                apiEndpoint,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
-                    params: { 
-                        page_size: 100,
-                        type: type === 'live' ? 'live' : undefined
-                    }
-                }
-            );
-            
-            participantsData = response.data;
+            participantsData = await zoomClient.paginate(apiEndpoint, 'participants', {
+                type: type === 'live' ? 'live' : undefined
+            });
         } catch (participantsError) {
             // 첫 번째 API 실패시 다른 API 시도
             console.log('첫 번째 API 실패, 대체 API 시도:', participantsError.response?.data || participantsError.message);
@@ -259,27 +181,15 @@ router.get('/meetings/:meetingId/participants', verifyToken, requireRole(['ADMIN
             // 대체 API 목록
             const alternativeEndpoints = [
                 // 미팅 참가자 (Meeting API)
-                `https://api.zoom.us/v2/meetings/${meetingId}/participants`,
+                `/meetings/${meetingId}/participants`,
                 // 보고서 참가자 (Report API)
-                `https://api.zoom.us/v2/report/meetings/${meetingId}/participants`
+                `/report/meetings/${meetingId}/participants`
             ];
             
             for (const endpoint of alternativeEndpoints) {
                 try {
-                    const response = await axios.get(
-                        endpoint,
-                        {
-                            headers: {
-                                'Authorization': `Bearer ${token}`
-                            },
-                            params: { page_size: 100 }
-                        }
-                    );
-                    
-                    if (response.data.participants) {
-                        participantsData = response.data;
-                        break;
-                    }
+                    participantsData = await zoomClient.paginate(endpoint, 'participants');
+                    break;
                 } catch (altError) {
                     console.log(`대체 API ${endpoint} 실패:`, altError.response?.data || altError.message);
                 }
@@ -371,9 +281,6 @@ router.get('/meetings/:meetingId/students/:studentId', verifyToken, requireRole(
     try {
         const { meetingId, studentId } = req.params;
         
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-        
         // 학생 정보 조회
         const client = await masterPool.connect();
         try {
@@ -393,63 +300,37 @@ router.get('/meetings/:meetingId/students/:studentId', verifyToken, requireRole(
             const student = studentResult.rows[0];
             
             // 미팅 정보 조회
-            const meetingResponse = await axios.get(
-                `https://api.zoom.us/v2/meetings/${meetingId}`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    }
-                }
-            );
+            const meetingResponse = await zoomClient.get(`/meetings/${meetingId}`);
             
             const meetingInfo = meetingResponse.data;
             
             // 학생 참석 정보 조회 (여러 API 시도)
             const endpoints = [
                 // 종료된 미팅 참가자 (Past Meeting API)
-                {
-                    url: `https://api.zoom.us/v2/past_meetings/${meetingId}/participants`,
-                    params: { page_size: 100 }
-                },
+                `/past_meetings/${meetingId}/participants`,
                 // 미팅 참가자 (Meeting API)
-                {
-                    url: `https://api.zoom.us/v2/meetings/${meetingId}/participants`,
-                    params: { page_size: 100 }
-                },
+                `/meetings/${meetingId}/participants`,
                 // 보고서 참가자 (Report API)
-                {
-                    url: `https://api.zoom.us/v2/report/meetings/${meetingId}/participants`,
-                    params: { page_size: 100 }
-                }
+                `/report/meetings/${meetingId}/participants`
             ];
             
             let studentAttendanceRecords = [];
             
             for (const endpoint of endpoints) {
                 try {
-                    const response = await axios.get(
-                        endpoint.url,
-                        {
-                            headers: {
-                                'Authorization': `Bearer ${token}`
-                            },
-                            params: endpoint.params
-                        }
+                    const { participants } = await zoomClient.paginate(endpoint, 'participants');
+                    
+                    // 해당 학생의 참석 기록만 필터링
+                    const studentRecords = participants.filter(
+                        p => p.user_email && p.user_email.toLowerCase() === student.email.toLowerCase()
                     );
                     
-                    if (response.data.participants) {
-                        // 해당 학생의 참석 기록만 필터링
-                        const studentRecords = response.data.participants.filter(
-                            p => p.user_email && p.user_email.toLowerCase() === student.email.toLowerCase()
-                        );
-                        
-                        if (studentRecords.length > 0) {
-                            studentAttendanceRecords = studentRecords;
-                            break;
-                        }
+                    if (studentRecords.length > 0) {
+                        studentAttendanceRecords = studentRecords;
+                        break;
                     }
                 } catch (error) {
-                    console.log(`엔드포인트 ${endpoint.url} 조회 실패:`, error.response?.data || error.message);
+                    console.log(`엔드포인트 ${endpoint} 조회 실패:`, error.response?.data || error.message);
                 }
             }
             
@@ -530,33 +411,13 @@ router.get('/meetings/:meetingId/attendance-summary', verifyToken, requireRole([
     try {
         const { meetingId } = req.params;
         
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-        
         // 미팅 정보 조회
-        const meetingResponse = await axios.get(
-            `https://api.zoom.us/v2/meetings/${meetingId}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            }
-        );
+        const meetingResponse = await zoomClient.get(`/meetings/${meetingId}`);
         
         const meetingInfo = meetingResponse.data;
         
-        // 참가자 정보 조회
-        const participantsResponse = await axios.get(
-            `https://api.zoom.us/v2/past_meetings/${meetingId}/participants`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                params: { page_size: 300 }
-            }
-        );
-        
-        const participants = participantsResponse.data.participants || [];
+        // 참가자 정보 조회 (모든 페이지)
+        const { participants } = await zoomClient.paginate(`/past_meetings/${meetingId}/participants`, 'participants');
         
         // 강좌 정보 및 학생 목록 조회
         const client = await masterPool.connect();
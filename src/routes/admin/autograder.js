@@ -0,0 +1,697 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requireRole } = require('../../middlewares/auth');
+const { masterPool, SCHEMAS } = require('../../config/database');
+const { generateUploadUrls } = require('../../utils/s3');
+const {
+    RUN_STATUS,
+    RUNTIMES,
+    validateAutograderConfig,
+    getAutograderConfig,
+    enqueueAutogradeRun
+} = require('../../utils/autograder');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Admin: Autograder
+ *     description: Automated grading of code assignments against hidden test suites
+ */
+
+// 숨김 테스트 업로드 경로 (학생에게 노출되지 않는 별도 경로)
+function testSuitePrefix(courseId, itemId) {
+    return `autograder/${courseId}/${itemId}`;
+}
+
+// 평가 항목 조회
+async function getItem(client, itemId) {
+    const result = await client.query(`
+        SELECT item_id, course_id, item_name, item_type, is_group_assignment
+        FROM ${SCHEMAS.GRADE}.grade_items
+        WHERE item_id = $1
+    `, [itemId]);
+
+    return result.rows[0] || null;
+}
+
+// 제출물의 최신 제출 버전
+async function getLatestVersion(client, gradeId) {
+    const result = await client.query(`
+        SELECT version_id, version_number
+        FROM ${SCHEMAS.GRADE}.submission_versions
+        WHERE grade_id = $1
+        ORDER BY version_number DESC
+        LIMIT 1
+    `, [gradeId]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * @swagger
+ * /api/v1/admin/autograder/runtimes:
+ *   get:
+ *     summary: List supported autograder runtimes
+ *     tags: [Admin: Autograder]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Runtimes with their default test command.
+ */
+// 지원 실행 환경 목록
+router.get('/runtimes', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(RUNTIMES).map(([runtime, definition]) => ({
+            runtime,
+            image: definition.image,
+            default_command: definition.command
+        }))
+    });
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/autograder/items/{itemId}/config:
+ *   get:
+ *     summary: Get the autograder configuration of a grade item
+ *     tags: [Admin: Autograder]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Configuration, or null when the item is not autograded.
+ *       '404':
+ *         description: Grade item not found.
+ */
+// 자동 채점 설정 조회
+router.get('/items/:itemId/config', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const item = await getItem(client, req.params.itemId);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: "평가 항목을 찾을 수 없습니다."
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await getAutograderConfig(client, item.item_id)
+        });
+    } catch (error) {
+        console.error('Error fetching autograder config:', error);
+        res.status(500).json({
+            success: false,
+            message: "자동 채점 설정 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/autograder/items/{itemId}/config:
+ *   put:
+ *     summary: Enable or update automated grading for a code assignment
+ *     tags: [Admin: Autograder]
+ *     description: |
+ *       Upload the hidden test suite first (see test-suite/upload-url). The test suite zip is extracted over the
+ *       student's zip and the test command runs in a sandbox without network access. The command should write
+ *       autograder-results.json ([{ name, passed, score, maxScore, message }]) or JUnit XML to autograder-junit.xml
+ *       in the directory given by the AUTOGRADER_RESULTS_DIR environment variable (outside the workspace, so result
+ *       files shipped in a submission are ignored); otherwise the exit code decides between 0 and 100 points.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [runtime, testSuiteKey]
+ *             properties:
+ *               runtime:
+ *                 type: string
+ *                 enum: [node, python, java, c]
+ *               testSuiteKey:
+ *                 type: string
+ *               testCommand:
+ *                 type: string
+ *                 description: Defaults to the runtime's default command
+ *               timeoutSeconds:
+ *                 type: integer
+ *                 description: 1-600 (default 60)
+ *               memoryMb:
+ *                 type: integer
+ *                 description: 32-4096 (default 256)
+ *     responses:
+ *       '200':
+ *         description: Configuration saved.
+ *       '400':
+ *         description: Invalid configuration, or the item is a quiz or group assignment.
+ *       '404':
+ *         description: Grade item not found.
+ */
+// 자동 채점 설정 저장
+router.put('/items/:itemId/config', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const config = req.body || {};
+
+        const errors = validateAutograderConfig(config);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "자동 채점 설정이 올바르지 않습니다.",
+                errors
+            });
+        }
+
+        const item = await getItem(client, req.params.itemId);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: "평가 항목을 찾을 수 없습니다."
+            });
+        }
+
+        if (item.item_type === 'QUIZ') {
+            return res.status(400).json({
+                success: false,
+                message: "퀴즈는 자동 채점 과제로 설정할 수 없습니다."
+            });
+        }
+
+        if (item.is_group_assignment) {
+            return res.status(400).json({
+                success: false,
+                message: "조별 과제는 자동 채점 과제로 설정할 수 없습니다."
+            });
+        }
+
+        if (!config.testSuiteKey.startsWith(testSuitePrefix(item.course_id, item.item_id) + '/')) {
+            return res.status(400).json({
+                success: false,
+                message: "이 평가 항목에 업로드된 테스트 파일이 아닙니다."
+            });
+        }
+
+        const result = await client.query(`
+            INSERT INTO ${SCHEMAS.GRADE}.autograder_configs (
+                item_id, runtime, test_command, test_suite_key, timeout_seconds, memory_mb, updated_by
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (item_id) DO UPDATE SET
+                runtime = EXCLUDED.runtime,
+                test_command = EXCLUDED.test_command,
+                test_suite_key = EXCLUDED.test_suite_key,
+                timeout_seconds = EXCLUDED.timeout_seconds,
+                memory_mb = EXCLUDED.memory_mb,
+                updated_by = EXCLUDED.updated_by,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [
+            item.item_id,
+            config.runtime,
+            config.testCommand ? config.testCommand.trim() : null,
+            config.testSuiteKey,
+            config.timeoutSeconds !== undefined ? Number(config.timeoutSeconds) : 60,
+            config.memoryMb !== undefined ? Number(config.memoryMb) : 256,
+            req.user.sub
+        ]);
+
+        res.json({
+            success: true,
+            message: "자동 채점 설정이 저장되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error saving autograder config:', error);
+        res.status(500).json({
+            success: false,
+            message: "자동 채점 설정 저장 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/autograder/items/{itemId}/config:
+ *   delete:
+ *     summary: Disable automated grading for a grade item
+ *     tags: [Admin: Autograder]
+ *     description: Existing run history and applied scores are kept. Queued runs are cancelled.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Automated grading disabled.
+ *       '404':
+ *         description: The item is not autograded.
+ */
+// 자동 채점 해제
+router.delete('/items/:itemId/config', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            DELETE FROM ${SCHEMAS.GRADE}.autograder_configs WHERE item_id = $1 RETURNING item_id
+        `, [req.params.itemId]);
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: "자동 채점 설정을 찾을 수 없습니다."
+            });
+        }
+
+        await client.query(`
+            UPDATE ${SCHEMAS.GRADE}.autograde_runs
+            SET status = $1, error_message = '자동 채점 해제로 취소됨', completed_at = CURRENT_TIMESTAMP
+            WHERE item_id = $2 AND status = $3
+        `, [RUN_STATUS.FAILED, req.params.itemId, RUN_STATUS.QUEUED]);
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "자동 채점이 해제되었습니다."
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error deleting autograder config:', error);
+        res.status(500).json({
+            success: false,
+            message: "자동 채점 해제 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/autograder/items/{itemId}/test-suite/upload-url:
+ *   post:
+ *     summary: Get a presigned upload URL for the hidden test suite zip
+ *     tags: [Admin: Autograder]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   type:
+ *                     type: string
+ *                   size:
+ *                     type: integer
+ *     responses:
+ *       '200':
+ *         description: Upload URL and the key to pass as testSuiteKey.
+ *       '400':
+ *         description: Missing file or not a zip file.
+ *       '404':
+ *         description: Grade item not found.
+ */
+// 숨김 테스트 업로드 URL 발급
+router.post('/items/:itemId/test-suite/upload-url', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { file } = req.body;
+
+        if (!file || !file.name || !file.name.toLowerCase().endsWith('.zip')) {
+            return res.status(400).json({
+                success: false,
+                message: "테스트 파일은 zip 파일이어야 합니다."
+            });
+        }
+
+        const item = await getItem(client, req.params.itemId);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: "평가 항목을 찾을 수 없습니다."
+            });
+        }
+
+        const prefix = `${testSuitePrefix(item.course_id, item.item_id)}/${Date.now()}`;
+        const [url] = await generateUploadUrls(
+            item.course_id,
+            'autograder',
+            [{ ...file, prefix }]
+        );
+
+        res.json({
+            success: true,
+            data: url
+        });
+    } catch (error) {
+        console.error('Error generating test suite upload URL:', error);
+        res.status(500).json({
+            success: false,
+            message: "업로드 URL 생성 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/autograder/items/{itemId}/runs:
+ *   get:
+ *     summary: List autograde runs of a grade item
+ *     tags: [Admin: Autograder]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [QUEUED, RUNNING, COMPLETED, FAILED]
+ *       - in: query
+ *         name: latestOnly
+ *         schema:
+ *           type: boolean
+ *         description: Only the latest run of each submission
+ *     responses:
+ *       '200':
+ *         description: Runs without stdout/stderr, plus counts by status.
+ */
+// 평가 항목의 채점 실행 목록
+router.get('/items/:itemId/runs', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { itemId } = req.params;
+        const { status } = req.query;
+        const latestOnly = req.query.latestOnly === 'true';
+
+        if (status && !Object.values(RUN_STATUS).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: "유효하지 않은 상태입니다."
+            });
+        }
+
+        const result = await client.query(`
+            SELECT * FROM (
+                SELECT ${latestOnly ? 'DISTINCT ON (r.grade_id)' : ''}
+                    r.run_id, r.grade_id, r.version_id, sv.version_number, r.status, r.attempts,
+                    r.score, r.tests_passed, r.tests_total, r.exit_code, r.timed_out, r.applied,
+                    r.error_message, r.queued_at, r.started_at, r.completed_at,
+                    u.cognito_user_id AS student_id, u.name AS student_name
+                FROM ${SCHEMAS.GRADE}.autograde_runs r
+                JOIN ${SCHEMAS.GRADE}.submission_versions sv ON r.version_id = sv.version_id
+                JOIN ${SCHEMAS.GRADE}.student_grades sg ON r.grade_id = sg.grade_id
+                JOIN ${SCHEMAS.ENROLLMENT}.enrollments e ON sg.enrollment_id = e.id
+                JOIN ${SCHEMAS.AUTH}.users u ON e.student_id = u.cognito_user_id
+                WHERE r.item_id = $1
+                ${latestOnly ? 'ORDER BY r.grade_id, r.queued_at DESC, r.run_id DESC' : ''}
+            ) runs
+            WHERE ($2::text IS NULL OR runs.status = $2)
+            ORDER BY runs.queued_at DESC, runs.run_id DESC
+        `, [itemId, status || null]);
+
+        const counts = Object.values(RUN_STATUS).reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+        result.rows.forEach(run => { counts[run.status] += 1; });
+
+        res.json({
+            success: true,
+            data: {
+                runs: result.rows,
+                counts
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching autograde runs:', error);
+        res.status(500).json({
+            success: false,
+            message: "채점 실행 목록 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/autograder/runs/{runId}:
+ *   get:
+ *     summary: Get an autograde run with test results and logs
+ *     tags: [Admin: Autograder]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Run including per-test results, stdout and stderr.
+ *       '404':
+ *         description: Run not found.
+ */
+// 채점 실행 상세 (테스트별 결과와 실행 로그)
+router.get('/runs/:runId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(`
+            SELECT r.*, sv.version_number, u.name AS student_name, e.student_id
+            FROM ${SCHEMAS.GRADE}.autograde_runs r
+            JOIN ${SCHEMAS.GRADE}.submission_versions sv ON r.version_id = sv.version_id
+            JOIN ${SCHEMAS.GRADE}.student_grades sg ON r.grade_id = sg.grade_id
+            JOIN ${SCHEMAS.ENROLLMENT}.enrollments e ON sg.enrollment_id = e.id
+            JOIN ${SCHEMAS.AUTH}.users u ON e.student_id = u.cognito_user_id
+            WHERE r.run_id = $1
+        `, [req.params.runId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "채점 실행을 찾을 수 없습니다."
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error fetching autograde run:', error);
+        res.status(500).json({
+            success: false,
+            message: "채점 실행 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/autograder/submissions/{gradeId}/rerun:
+ *   post:
+ *     summary: Queue a new autograde run for the latest version of a submission
+ *     tags: [Admin: Autograder]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gradeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '202':
+ *         description: Run queued.
+ *       '400':
+ *         description: The item is not autograded or the submission has no versions.
+ *       '404':
+ *         description: Submission not found.
+ */
+// 제출물 재채점
+router.post('/submissions/:gradeId/rerun', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const submissionResult = await client.query(`
+            SELECT grade_id, item_id FROM ${SCHEMAS.GRADE}.student_grades WHERE grade_id = $1
+        `, [req.params.gradeId]);
+
+        if (submissionResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: "제출물을 찾을 수 없습니다."
+            });
+        }
+
+        const submission = submissionResult.rows[0];
+        const config = await getAutograderConfig(client, submission.item_id);
+        const version = await getLatestVersion(client, submission.grade_id);
+
+        if (!config || !version) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: !config ? "자동 채점 과제가 아닙니다." : "제출 기록이 없습니다."
+            });
+        }
+
+        const run = await enqueueAutogradeRun(client, {
+            itemId: submission.item_id,
+            gradeId: submission.grade_id,
+            versionId: version.version_id,
+            requestedBy: req.user.sub
+        });
+
+        await client.query('COMMIT');
+
+        res.status(202).json({
+            success: true,
+            message: "재채점이 요청되었습니다.",
+            data: run
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error queueing autograde rerun:', error);
+        res.status(500).json({
+            success: false,
+            message: "재채점 요청 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/autograder/items/{itemId}/rerun:
+ *   post:
+ *     summary: Queue autograde runs for the latest version of every submission of a grade item
+ *     tags: [Admin: Autograder]
+ *     description: Use after changing the hidden tests or limits.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '202':
+ *         description: Runs queued.
+ *       '400':
+ *         description: The item is not autograded.
+ */
+// 평가 항목 전체 재채점
+router.post('/items/:itemId/rerun', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { itemId } = req.params;
+        await client.query('BEGIN');
+
+        const config = await getAutograderConfig(client, itemId);
+        if (!config) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: "자동 채점 과제가 아닙니다."
+            });
+        }
+
+        const versionsResult = await client.query(`
+            SELECT DISTINCT ON (sv.grade_id) sv.grade_id, sv.version_id
+            FROM ${SCHEMAS.GRADE}.submission_versions sv
+            JOIN ${SCHEMAS.GRADE}.student_grades sg ON sv.grade_id = sg.grade_id
+            WHERE sg.item_id = $1
+            ORDER BY sv.grade_id, sv.version_number DESC
+        `, [itemId]);
+
+        for (const version of versionsResult.rows) {
+            await enqueueAutogradeRun(client, {
+                itemId: config.item_id,
+                gradeId: version.grade_id,
+                versionId: version.version_id,
+                requestedBy: req.user.sub
+            });
+        }
+
+        await client.query('COMMIT');
+
+        res.status(202).json({
+            success: true,
+            message: `${versionsResult.rows.length}건의 재채점이 요청되었습니다.`,
+            data: { queued: versionsResult.rows.length }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error queueing autograde reruns:', error);
+        res.status(500).json({
+            success: false,
+            message: "재채점 요청 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -18,6 +18,18 @@ const { s3Client } = require('../../config/s3');
 const { ListObjectsV2Command, HeadObjectCommand } = require('@aws-sdk/client-s3');
 const { v4: uuidv4 } = require('uuid');
 const { createZoomMeeting } = require('./zoom');
+const {
+    SESSION_STATUS,
+    kstDateTime,
+    buildSessionSchedule,
+    createCourseSessions,
+    getCourseSessions,
+    attachSessionsToWeeks,
+    validateSessionReschedule,
+    getCourseSessionForUpdate,
+    rescheduleCourseSession,
+    cancelCourseSession
+} = require('../../utils/course-sessions');
 const crypto = require('crypto');
 
 /**
@@ -90,7 +102,7 @@ router.get('/:courseId', verifyToken, requireRole(['ADMIN']), async (req, res) =
         const weeklyMaterials = await listCourseWeekMaterials(coursePrefix, 'ADMIN');
         
         // 주차별 데이터를 정렬하여 배열로 변환
-        const weeks = Object.entries(weeklyMaterials)
+        const materialWeeks = Object.entries(weeklyMaterials)
             .sort(([weekA], [weekB]) => {
                 const numA = parseInt(weekA.replace('week', ''));
                 const numB = parseInt(weekB.replace('week', ''));
@@ -117,6 +129,10 @@ router.get('/:courseId', verifyToken, requireRole(['ADMIN']), async (req, res) =
                 }, {})
             }));
 
+        // 주차별 수업 회차 추가
+        const sessions = await getCourseSessions(client, course.id);
+        const weeks = attachSessionsToWeeks(materialWeeks, sessions);
+
         res.json({
             success: true,
             data: {
@@ -748,6 +764,8 @@ router.post('/', verifyToken, requireRole(['ADMIN']), async (req, res) => {
         // Zoom 미팅 URL 생성 (ONLINE 강의인 경우)
         let finalZoomLink = zoom_link;
         let zoomMeetingData = null;
+        // 반복 설정으로 만든 수업 일정 (Zoom 미팅 생성에 실패해도 일정은 생성)
+        let sessionSchedule = [];
         
         if (classmode && classmode.toUpperCase() === 'ONLINE' && !zoom_link && zoom_meeting) {
             console.log('🔵 Zoom 미팅 생성 시작 (ONLINE 강의)');
@@ -882,6 +900,19 @@ router.post('/', verifyToken, requireRole(['ADMIN']), async (req, res) => {
                 } else {
                     console.error('❌ Zoom 미팅 생성 실패:', meetingResult.error);
                 }
+
+                // 수업 일정 생성 (Zoom이 계산한 반복 설정과 회차가 있으면 회차 ID 연결)
+                const firstSessionStart = kstDateTime(zoom_meeting.start_date, zoom_meeting.start_time);
+                if (!isNaN(firstSessionStart.getTime())) {
+                    sessionSchedule = buildSessionSchedule({
+                        startTime: firstSessionStart,
+                        durationMinutes: sessionDuration,
+                        recurrence: (meetingResult.success && meetingResult.recurrence) || recurrence,
+                        weeksCount: weeks_count,
+                        zoomOccurrences: meetingResult.success ? meetingResult.occurrences : []
+                    });
+                    console.log(`▶ 수업 일정 ${sessionSchedule.length}회 생성`);
+                }
             } catch (zoomError) {
                 console.error('❌ Zoom 미팅 생성 중 오류:', zoomError);
                 // 오류가 발생해도 강의 생성은 계속 진행
@@ -962,14 +993,29 @@ router.post('/', verifyToken, requireRole(['ADMIN']), async (req, res) => {
         
         // Zoom 미팅 데이터가 있는 경우 zoom_meetings 테이블에 저장
         if (classmode && classmode.toUpperCase() === 'ONLINE' && zoomMeetingData) {
-            try {
-                console.log('✅ Zoom 미팅 URL이 courses 테이블의 zoom_link 컬럼에 저장되었습니다.');
-                console.log('   join_url:', zoomMeetingData.join_url);
-            } catch (zoomDbError) {
-                console.error('❌ Zoom 정보 저장 중 오류 (강의는 생성됨):', zoomDbError.message);
-            }
+            await client.query(`
+                INSERT INTO ${SCHEMAS.COURSE}.zoom_meetings
+                (id, course_id, topic, start_time, duration, zoom_meeting_id, zoom_join_url, zoom_password, recurrence, settings)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            `, [
+                crypto.randomUUID(),
+                courseId,
+                zoom_meeting.meeting_name || title,
+                sessionSchedule[0]?.start_time || new Date(zoomMeetingData.start_time || Date.now()),
+                zoomMeetingData.duration,
+                zoomMeetingData.meeting_id,
+                zoomMeetingData.join_url,
+                zoomMeetingData.password,
+                JSON.stringify(zoomMeetingData.recurrence || null),
+                JSON.stringify({})
+            ]);
+            console.log('✅ Zoom 미팅 정보가 zoom_meetings 테이블에 저장되었습니다.');
+            console.log('   join_url:', zoomMeetingData.join_url);
         }
 
+        // 수업 일정 저장
+        const sessions = await createCourseSessions(client, courseId, sessionSchedule, zoomMeetingData?.meeting_id);
+
         await client.query('COMMIT');
         console.log('✅ Transaction committed successfully');
 
@@ -978,7 +1024,8 @@ router.post('/', verifyToken, requireRole(['ADMIN']), async (req, res) => {
             message: 'Course created successfully',
             data: {
                 course: result.rows[0],
-                zoom_meeting: zoomMeetingData
+                zoom_meeting: zoomMeetingData,
+                sessions
             }
         });
     } catch (error) {
@@ -1174,6 +1221,257 @@ router.put('/:courseId/materials/:weekNumber/:fileName/permission', verifyToken,
     }
 });
 
+/**
+ * @swagger
+ * /api/v1/admin/courses/{courseId}/sessions:
+ *   get:
+ *     summary: Get the session calendar of a course
+ *     tags: [Admin: Courses]
+ *     description: Returns the course sessions generated from the recurrence settings, with the linked Zoom occurrences, attendance and imported recordings.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Course sessions ordered by start time.
+ */
+// Admin: Get course session calendar
+router.get('/:courseId/sessions', verifyToken, requireRole(['ADMIN']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+
+        const courseResult = await client.query(`
+            SELECT id FROM ${SCHEMAS.COURSE}.${TABLES.COURSE.COURSES}
+            WHERE id = $1
+        `, [courseId]);
+
+        if (courseResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        const sessions = await getCourseSessions(client, courseId);
+
+        res.json({
+            success: true,
+            data: {
+                sessions
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching course sessions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch course sessions',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/courses/{courseId}/sessions/{sessionId}:
+ *   put:
+ *     summary: Reschedule a course session
+ *     tags: [Admin: Courses]
+ *     description: Moves one session to a new date and time (Korea time). The matching Zoom meeting occurrence is updated first; if Zoom rejects the change the session is not modified.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [start_date, start_time]
+ *             properties:
+ *               start_date:
+ *                 type: string
+ *                 example: '2026-11-03'
+ *               start_time:
+ *                 type: string
+ *                 example: '19:30'
+ *               duration:
+ *                 type: integer
+ *                 description: Session length in minutes (defaults to the current length).
+ *     responses:
+ *       '200':
+ *         description: Session rescheduled.
+ *       '400':
+ *         description: Invalid schedule.
+ *       '404':
+ *         description: Session not found.
+ *       '409':
+ *         description: The session is cancelled.
+ *       '502':
+ *         description: Zoom rejected the change.
+ */
+// Admin: Reschedule one course session (and its Zoom occurrence)
+router.put('/:courseId/sessions/:sessionId', verifyToken, requireRole(['ADMIN']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId, sessionId } = req.params;
+        const { start_date, start_time, duration } = req.body;
+
+        const errors = validateSessionReschedule({ start_date, start_time, duration });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid session schedule',
+                errors
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const session = await getCourseSessionForUpdate(client, courseId, parseInt(sessionId));
+        if (!session) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (session.status === SESSION_STATUS.CANCELLED) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                message: 'Cancelled sessions cannot be rescheduled'
+            });
+        }
+
+        const updated = await rescheduleCourseSession(client, session, {
+            startTime: kstDateTime(start_date, start_time),
+            durationMinutes: duration,
+            updatedBy: req.user.sub
+        });
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: 'Session rescheduled successfully',
+            data: {
+                session: updated
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error rescheduling course session:', error.response?.data || error);
+        const zoomFailed = Boolean(error.response);
+        res.status(zoomFailed ? 502 : 500).json({
+            success: false,
+            message: zoomFailed ? 'Failed to update the Zoom meeting occurrence' : 'Failed to reschedule session',
+            error: error.response?.data?.message || error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/courses/{courseId}/sessions/{sessionId}/cancel:
+ *   post:
+ *     summary: Cancel a course session
+ *     tags: [Admin: Courses]
+ *     description: Marks one session as cancelled and deletes the matching Zoom meeting occurrence.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Session cancelled.
+ *       '404':
+ *         description: Session not found.
+ *       '502':
+ *         description: Zoom rejected the change.
+ */
+// Admin: Cancel one course session (and its Zoom occurrence)
+router.post('/:courseId/sessions/:sessionId/cancel', verifyToken, requireRole(['ADMIN']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId, sessionId } = req.params;
+        const { reason = null } = req.body;
+
+        await client.query('BEGIN');
+
+        const session = await getCourseSessionForUpdate(client, courseId, parseInt(sessionId));
+        if (!session) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const updated = session.status === SESSION_STATUS.CANCELLED
+            ? session
+            : await cancelCourseSession(client, session, { reason, updatedBy: req.user.sub });
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: 'Session cancelled successfully',
+            data: {
+                session: updated
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error cancelling course session:', error.response?.data || error);
+        const zoomFailed = Boolean(error.response);
+        res.status(zoomFailed ? 502 : 500).json({
+            success: false,
+            message: zoomFailed ? 'Failed to delete the Zoom meeting occurrence' : 'Failed to cancel session',
+            error: error.response?.data?.message || error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
 /**
  * @swagger
  * /api/v1/admin/courses/create-zoom-session:
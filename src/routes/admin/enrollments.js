@@ -4,6 +4,7 @@ const { verifyToken, requireRole } = require('../../middlewares/auth');
 const { masterPool, getPool, SCHEMAS, TABLES } = require('../../config/database');
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
+const { updateZoomRegistrationInBackground } = require('../../utils/zoom-registrants');
 
 // DynamoDB 클라이언트 설정 - S3처럼 region만 설정
 // ECS에서는 IAM 역할, 로컬에서는 환경 변수 자동 사용
@@ -174,6 +175,9 @@ router.put('/:enrollmentId/status', verifyToken, requireRole(['ADMIN']), async (
                 enrollment: detailResult.rows[0]
             }
         });
+
+        // 응답 후 수강 정지 시 Zoom 등록 취소, 재활성화 시 다시 등록
+        updateZoomRegistrationInBackground(enrollmentId, { cancel: status === 'DROPPED' });
     } catch (error) {
         await client.query('ROLLBACK');
         console.error('수강 상태 변경 중 오류:', error);
@@ -9,8 +9,54 @@ const {
     updateFinalGrades, 
     recordGradeHistory,
     getGradeStatistics,
-    exportGradeData
+    exportGradeData,
+    calculateCourseGrade,
+    updateStudentsFinalGrades,
+    updateCourseFinalGrades,
+    refreshCourseLetterGrades,
+    setScoreChangeContext
 } = require('../../utils/grade-calculator');
+const {
+    getActivePolicy,
+    saveGradingPolicy,
+    validateGradingPolicy,
+    buildDefaultPolicy
+} = require('../../utils/grading-policy');
+const { validateGradeScale, getCourseGradeScale, DEFAULT_GRADE_SCALE } = require('../../utils/grade-scale');
+const {
+    GRADE_LOCKED_MESSAGE,
+    getGradeLock,
+    scoreChangeEventType,
+    lockCourseGrades,
+    reopenCourseGrades
+} = require('../../utils/grade-lock');
+const { APPEAL_STATUS } = require('../../utils/grade-appeal');
+const {
+    SUPPORTED_FORMATS,
+    buildGradebook,
+    gradebookToCsv,
+    gradebookToXlsx,
+    parseGradebookFile,
+    diffGradebook,
+    applyGradebookChanges
+} = require('../../utils/gradebook');
+const { validateRubric, getItemRubric } = require('../../utils/rubric');
+const {
+    ATTENDANCE_STATUS,
+    DEFAULT_ATTENDANCE_POLICY,
+    validateAttendancePolicy,
+    getAttendancePolicy,
+    computeAttendanceStatus,
+    recomputeAttendanceStatuses
+} = require('../../utils/attendance-policy');
+const {
+    EXCUSE_REQUEST_STATUS,
+    activeOverrideJoin,
+    applyAttendanceOverride,
+    revokeAttendanceOverride,
+    getAttendanceOverrides,
+    withAttachmentUrls
+} = require('../../utils/attendance-override');
 
 /**
  * @swagger
@@ -80,6 +126,14 @@ const {
  *               due_date:
  *                 type: string
  *                 format: date
+ *               category_key:
+ *                 type: string
+ *                 description: Grading policy category key (defaults to matching by type)
+ *               item_weight:
+ *                 type: number
+ *                 description: Weight of the item inside its category (default 1)
+ *               is_extra_credit:
+ *                 type: boolean
  *     responses:
  *       '200':
  *         description: Grade item added successfully.
@@ -93,13 +147,17 @@ router.post('/items', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (
     const client = await masterPool.connect();
     try {
         await client.query('BEGIN');
-        const { courseId, type, title, due_date, files } = req.body;
+        const { courseId, type, title, due_date, files, category_key, item_weight, is_extra_credit } = req.body;
 
         // 평가 항목 유효성 검사
         if (!['ASSIGNMENT', 'EXAM'].includes(type)) {
             throw new Error('평가 항목 유형은 ASSIGNMENT 또는 EXAM이어야 합니다.');
         }
 
+        if (item_weight !== undefined && (isNaN(Number(item_weight)) || Number(item_weight) <= 0)) {
+            throw new Error('항목 가중치(item_weight)는 0보다 커야 합니다.');
+        }
+
         // 과목 존재 여부 및 설정 확인
         const courseQuery = `
             SELECT id, assignment_count, exam_count 
@@ -146,10 +204,10 @@ router.post('/items', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (
         // 새 평가 항목 추가 (트리거가 자동으로 학생 기록 생성)
         const insertResult = await client.query(
             `INSERT INTO ${SCHEMAS.GRADE}.grade_items 
-            (course_id, item_type, item_name, item_order, due_date)
-            VALUES ($1, $2, $3, $4, $5)
+            (course_id, item_type, item_name, item_order, due_date, category_key, item_weight, is_extra_credit)
+            VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 1), COALESCE($8, false))
             RETURNING *`,
-            [courseId, type, title, nextOrder, due_date]
+            [courseId, type, title, nextOrder, due_date, category_key || null, item_weight, is_extra_credit]
         );
 
         const itemId = insertResult.rows[0].item_id;
@@ -440,6 +498,12 @@ router.post('/items/:itemId', verifyToken, async (req, res, next) => {
  *               type:
  *                 type: string
  *                 enum: [ASSIGNMENT, EXAM]
+ *               category_key:
+ *                 type: string
+ *               item_weight:
+ *                 type: number
+ *               is_extra_credit:
+ *                 type: boolean
  *     responses:
  *       '200':
  *         description: Grade item updated successfully.
@@ -464,7 +528,14 @@ router.put('/items/:itemId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']),
     try {
         await client.query('BEGIN');
         const { itemId } = req.params;
-        const { title, due_date, type } = req.body;
+        const { title, due_date, type, category_key, item_weight, is_extra_credit } = req.body;
+
+        if (item_weight !== undefined && (isNaN(Number(item_weight)) || Number(item_weight) <= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: "항목 가중치(item_weight)는 0보다 커야 합니다."
+            });
+        }
 
         // type 필드 확인
         if (!type || !['ASSIGNMENT', 'EXAM'].includes(type)) {
@@ -495,10 +566,13 @@ router.put('/items/:itemId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']),
                 item_name = $1,
                 item_type = $2,
                 due_date = $3,
+                category_key = COALESCE($5, category_key),
+                item_weight = COALESCE($6, item_weight),
+                is_extra_credit = COALESCE($7, is_extra_credit),
                 updated_at = CURRENT_TIMESTAMP
             WHERE item_id = $4
             RETURNING *`,
-            [title, type, due_date, itemId]
+            [title, type, due_date, itemId, category_key, item_weight, is_extra_credit]
         );
 
         await client.query('COMMIT');
@@ -575,6 +649,207 @@ router.delete('/items/:itemId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']
     }
 });
 
+/**
+ * @swagger
+ * /api/v1/admin/grades/items/{itemId}/rubric:
+ *   get:
+ *     summary: Get the rubric attached to a grade item
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The rubric, or null if the item has none.
+ */
+// 평가 항목 루브릭 조회
+router.get('/items/:itemId/rubric', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const rubric = await getItemRubric(client, req.params.itemId);
+
+        res.json({
+            success: true,
+            data: rubric
+        });
+    } catch (error) {
+        console.error('Error fetching rubric:', error);
+        res.status(500).json({
+            success: false,
+            message: "루브릭 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/items/{itemId}/rubric:
+ *   put:
+ *     summary: Create or replace the rubric of a grade item
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [criteria]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               criteria:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     title:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     levels:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                           label:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ *                           points:
+ *                             type: number
+ *     responses:
+ *       '200':
+ *         description: Rubric saved. Submissions already graded keep their stored selections.
+ *       '400':
+ *         description: Invalid rubric.
+ */
+// 평가 항목 루브릭 등록/수정 (이미 채점된 제출물은 저장된 선택 결과를 유지)
+router.put('/items/:itemId/rubric', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { itemId } = req.params;
+        const { title = null, criteria } = req.body;
+
+        const errors = validateRubric(criteria);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "유효하지 않은 루브릭입니다.",
+                errors
+            });
+        }
+
+        const itemCheck = await client.query(
+            `SELECT item_id FROM ${SCHEMAS.GRADE}.grade_items WHERE item_id = $1`,
+            [itemId]
+        );
+
+        if (itemCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "평가 항목을 찾을 수 없습니다."
+            });
+        }
+
+        const result = await client.query(
+            `INSERT INTO ${SCHEMAS.GRADE}.rubrics (item_id, title, criteria, created_by)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (item_id)
+            DO UPDATE SET
+                title = EXCLUDED.title,
+                criteria = EXCLUDED.criteria,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *`,
+            [itemId, title, JSON.stringify(criteria), req.user.sub]
+        );
+
+        res.json({
+            success: true,
+            message: "루브릭이 저장되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error saving rubric:', error);
+        res.status(500).json({
+            success: false,
+            message: "루브릭 저장 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/items/{itemId}/rubric:
+ *   delete:
+ *     summary: Remove the rubric of a grade item
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Rubric removed.
+ */
+// 평가 항목 루브릭 삭제
+router.delete('/items/:itemId/rubric', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(
+            `DELETE FROM ${SCHEMAS.GRADE}.rubrics WHERE item_id = $1 RETURNING rubric_id`,
+            [req.params.itemId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "루브릭을 찾을 수 없습니다."
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "루브릭이 삭제되었습니다."
+        });
+    } catch (error) {
+        console.error('Error deleting rubric:', error);
+        res.status(500).json({
+            success: false,
+            message: "루브릭 삭제 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
 // 평가 항목 목록 조회
 router.get('/items/:courseId', verifyToken, async (req, res) => {
     const client = await masterPool.connect();
@@ -644,7 +919,7 @@ router.put('/scores', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (
 
         const { gradeItemId, scores, reason } = req.body;
         // scores 형식: [{ enrollmentId: 'xxx', score: 85 }, ...]
-        const modifiedBy = req.user.id;
+        const modifiedBy = req.user.sub;
 
         // 평가 항목 존재 확인 및 정보 조회
         const gradeItemResult = await client.query(
@@ -660,6 +935,18 @@ router.put('/scores', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (
         }
 
         const courseId = gradeItemResult.rows[0].course_id;
+
+        // 성적이 확정된 강좌는 수정 불가
+        const gradeLock = await getGradeLock(client, courseId);
+        if (gradeLock.is_locked) {
+            await client.query('ROLLBACK');
+            return res.status(423).json({
+                success: false,
+                message: GRADE_LOCKED_MESSAGE,
+                data: { grade_lock: gradeLock }
+            });
+        }
+
         const updatedStudents = [];
 
         // 점수 유효성 검사 및 업데이트
@@ -702,17 +989,16 @@ router.put('/scores', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (
                     previousScore,
                     score,
                     modifiedBy,
-                    reason || '관리자에 의한 점수 수정'
+                    reason || '관리자에 의한 점수 수정',
+                    { courseId, eventType: scoreChangeEventType(gradeLock) }
                 );
 
                 updatedStudents.push(student_id);
             }
         }
 
-        // 성적이 변경된 학생들의 최종 성적 업데이트
-        for (const studentId of updatedStudents) {
-            await updateFinalGrades(client, courseId, studentId);
-        }
+        // 성적이 변경된 학생들의 최종 성적을 한 번에 업데이트
+        await updateStudentsFinalGrades(client, courseId, updatedStudents);
 
         await client.query('COMMIT');
 
@@ -885,9 +1171,12 @@ router.get('/course/:courseId/student/:studentId', verifyToken, async (req, res)
  *               attendanceDate:
  *                 type: string
  *                 format: date
+ *               excused:
+ *                 type: boolean
+ *                 description: Record the session as an excused absence
  *     responses:
  *       '200':
- *         description: Attendance recorded successfully.
+ *         description: Attendance recorded successfully. The session status is derived from the course attendance policy.
  */
 // 수업 참여 기록
 router.post('/attendance', verifyToken, validateAttendance, async (req, res) => {
@@ -895,7 +1184,13 @@ router.post('/attendance', verifyToken, validateAttendance, async (req, res) =>
     try {
         await client.query('BEGIN');
         
-        const { studentId, courseId, sessionType, sessionId, durationSeconds, totalDurationSeconds, attendanceDate } = req.body;
+        const { studentId, courseId, sessionType, sessionId, durationSeconds, totalDurationSeconds, attendanceDate, excused } = req.body;
+
+        // 출석 인정 규칙으로 회차 상태 결정 (입·퇴장 시각이 없으므로 참여율 기준)
+        const attendancePolicy = await getAttendancePolicy(client, courseId);
+        const status = excused === true
+            ? ATTENDANCE_STATUS.EXCUSED
+            : computeAttendanceStatus({ duration_seconds: durationSeconds, total_duration_seconds: totalDurationSeconds }, attendancePolicy);
 
         // 기존 참여 기록 확인
         const existingRecord = await client.query(
@@ -910,19 +1205,20 @@ router.post('/attendance', verifyToken, validateAttendance, async (req, res) =>
             result = await client.query(
                 `UPDATE ${SCHEMAS.GRADE}.attendance_records
                 SET duration_seconds = LEAST($4, $5),
+                    status = $6,
                     updated_at = CURRENT_TIMESTAMP
                 WHERE student_id = $1 AND course_id = $2 AND session_id = $3
                 RETURNING *`,
-                [studentId, courseId, sessionId, durationSeconds, totalDurationSeconds]
+                [studentId, courseId, sessionId, durationSeconds, totalDurationSeconds, status]
             );
         } else {
             // 새 기록 생성
             result = await client.query(
                 `INSERT INTO ${SCHEMAS.GRADE}.attendance_records
-                (student_id, course_id, session_type, session_id, duration_seconds, total_duration_seconds, attendance_date)
-                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                (student_id, course_id, session_type, session_id, duration_seconds, total_duration_seconds, attendance_date, status)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
                 RETURNING *`,
-                [studentId, courseId, sessionType, sessionId, durationSeconds, totalDurationSeconds, attendanceDate]
+                [studentId, courseId, sessionType, sessionId, durationSeconds, totalDurationSeconds, attendanceDate, status]
             );
         }
 
@@ -949,42 +1245,43 @@ router.post('/attendance', verifyToken, validateAttendance, async (req, res) =>
     }
 });
 
-// 성적 산출 규칙 설정
+// 성적 산출 규칙 설정 (출석/과제/시험 3개 카테고리 정책으로 저장)
 router.post('/rules', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), validateGradeRules, async (req, res) => {
     const client = await masterPool.connect();
     try {
+        await client.query('BEGIN');
         const { courseId, attendance_weight, assignment_weight, exam_weight, min_attendance_weight } = req.body;
 
-        // 가중치 합계 확인
-        const totalWeight = attendance_weight + assignment_weight + exam_weight;
-        if (totalWeight !== 100) {
-            return res.status(400).json({
+        const gradeLock = await getGradeLock(client, courseId);
+        if (gradeLock.is_locked) {
+            await client.query('ROLLBACK');
+            return res.status(423).json({
                 success: false,
-                message: "가중치의 합이 100이 되어야 합니다."
+                message: GRADE_LOCKED_MESSAGE,
+                data: { grade_lock: gradeLock }
             });
         }
 
-        const result = await client.query(
-            `INSERT INTO grade_schema.course_grade_rules
-            (course_id, attendance_weight, assignment_weight, exam_weight, min_attendance_rate)
-            VALUES ($1, $2, $3, $4, $5)
-            ON CONFLICT (course_id)
-            DO UPDATE SET
-                attendance_weight = EXCLUDED.attendance_weight,
-                assignment_weight = EXCLUDED.assignment_weight,
-                exam_weight = EXCLUDED.exam_weight,
-                min_attendance_rate = EXCLUDED.min_attendance_rate,
-                updated_at = CURRENT_TIMESTAMP
-            RETURNING *`,
-            [courseId, attendance_weight, assignment_weight, exam_weight, min_attendance_weight]
-        );
+        const policy = {
+            ...buildDefaultPolicy({ attendance_weight, assignment_weight, exam_weight }),
+            minAttendanceRate: min_attendance_weight
+        };
+
+        const saved = await saveGradingPolicy(client, courseId, policy, req.user.sub, '성적 산출 규칙 설정');
+        const recalculatedCount = await updateCourseFinalGrades(client, courseId);
+
+        await client.query('COMMIT');
 
         res.json({
             success: true,
             message: "성적 산출 규칙이 설정되었습니다.",
-            data: result.rows[0]
+            data: {
+                ...saved,
+                recalculated_count: recalculatedCount
+            }
         });
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Error setting grade rules:', error);
         res.status(500).json({
             success: false,
@@ -996,65 +1293,11 @@ router.post('/rules', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), validat
     }
 });
 
-// 최종 성적 조회
-router.get('/final/:courseId/:studentId', verifyToken, async (req, res) => {
-    const client = await masterPool.connect();
-    try {
-        const { courseId, studentId } = req.params;
-
-        // 권한 확인
-        if (req.user.role !== 'ADMIN' && req.user.role !== 'INSTRUCTOR' && req.user.id !== studentId) {
-            return res.status(403).json({
-                success: false,
-                message: "성적 조회 권한이 없습니다."
-            });
-        }
-
-        const result = await client.query(
-            `SELECT 
-                fg.*,
-                u.given_name as student_name,
-                c.title as course_title,
-                cgr.attendance_weight,
-                cgr.assignment_weight,
-                cgr.exam_weight,
-                cgr.min_attendance_rate
-            FROM grade_schema.final_grades fg
-            JOIN auth_schema.users u ON fg.student_id = u.id
-            JOIN course_schema.courses c ON fg.course_id = c.id
-            JOIN grade_schema.course_grade_rules cgr ON fg.course_id = cgr.course_id
-            WHERE fg.course_id = $1 AND fg.student_id = $2`,
-            [courseId, studentId]
-        );
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: "성적 정보를 찾을 수 없습니다."
-            });
-        }
-
-        res.json({
-            success: true,
-            data: result.rows[0]
-        });
-    } catch (error) {
-        console.error('Error fetching final grades:', error);
-        res.status(500).json({
-            success: false,
-            message: "성적 조회 중 오류가 발생했습니다.",
-            error: error.message
-        });
-    } finally {
-        client.release();
-    }
-});
-
 /**
  * @swagger
- * /api/v1/admin/grades/statistics/{courseId}:
+ * /api/v1/admin/grades/policy/{courseId}:
  *   get:
- *     summary: Get grade statistics for a course
+ *     summary: Get the active grading policy for a course
  *     tags: [Admin: Grades]
  *     security:
  *       - bearerAuth: []
@@ -1066,44 +1309,9 @@ router.get('/final/:courseId/:studentId', verifyToken, async (req, res) => {
  *           type: string
  *     responses:
  *       '200':
- *         description: Grade statistics for the course.
- */
-// 성적 통계 조회 API 추가
-router.get('/statistics/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
-    const client = await masterPool.connect();
-    try {
-        const { courseId } = req.params;
-        
-        const statistics = await getGradeStatistics(client, courseId);
-        
-        if (!statistics) {
-            return res.status(404).json({
-                success: false,
-                message: "과목 정보를 찾을 수 없습니다."
-            });
-        }
-        
-        res.json({
-            success: true,
-            data: statistics
-        });
-    } catch (error) {
-        console.error('Error fetching grade statistics:', error);
-        res.status(500).json({
-            success: false,
-            message: "성적 통계 조회 중 오류가 발생했습니다.",
-            error: error.message
-        });
-    } finally {
-        client.release();
-    }
-});
-
-/**
- * @swagger
- * /api/v1/admin/grades/export/{courseId}:
- *   get:
- *     summary: Export course grades to Excel
+ *         description: Active grading policy (version 0 means the default policy built from course weights).
+ *   put:
+ *     summary: Save a new grading policy version for a course
  *     tags: [Admin: Grades]
  *     security:
  *       - bearerAuth: []
@@ -1113,44 +1321,2048 @@ router.get('/statistics/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCT
  *         required: true
  *         schema:
  *           type: string
- *     responses:
- *       '200':
- *         description: Grade data for export.
- */
-// 성적 엑셀 내보내기 API 추가
-router.get('/export/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     weight:
+ *                       type: number
+ *                     source:
+ *                       type: string
+ *                       enum: [ATTENDANCE]
+ *                     itemTypes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     dropLowest:
+ *                       type: integer
+ *               minAttendanceRate:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Policy saved and final grades recalculated.
+ *       '400':
+ *         description: Invalid policy.
+ */
+// 강좌 성적 산출 정책 조회
+router.get('/policy/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
     const client = await masterPool.connect();
     try {
         const { courseId } = req.params;
-        
-        // 과목 존재 여부 확인
+        const { version, policy } = await getActivePolicy(client, courseId);
+
+        res.json({
+            success: true,
+            data: {
+                course_id: courseId,
+                version,
+                policy
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching grading policy:', error);
+        res.status(500).json({
+            success: false,
+            message: "성적 산출 정책 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 강좌 성적 산출 정책 저장 (새 버전 생성 후 최종 성적 재계산)
+router.put('/policy/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+        const { categories, minAttendanceRate = 0, reason } = req.body;
+        const policy = { categories, minAttendanceRate };
+
+        const errors = validateGradingPolicy(policy);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "유효하지 않은 성적 산출 정책입니다.",
+                errors
+            });
+        }
+
         const courseCheck = await client.query(
-            `SELECT title FROM ${SCHEMAS.COURSE}.courses WHERE id = $1`,
+            `SELECT id FROM ${SCHEMAS.COURSE}.courses WHERE id = $1`,
             [courseId]
         );
-        
+
         if (courseCheck.rows.length === 0) {
             return res.status(404).json({
                 success: false,
                 message: "과목을 찾을 수 없습니다."
             });
         }
-        
-        const courseTitle = courseCheck.rows[0].title;
-        const gradeData = await exportGradeData(client, courseId);
-        
+
+        // 확정된 성적은 정책 변경으로 재계산되지 않도록 차단
+        const gradeLock = await getGradeLock(client, courseId);
+        if (gradeLock.is_locked) {
+            return res.status(423).json({
+                success: false,
+                message: GRADE_LOCKED_MESSAGE,
+                data: { grade_lock: gradeLock }
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const saved = await saveGradingPolicy(client, courseId, policy, req.user.sub, reason || '');
+        const recalculatedCount = await updateCourseFinalGrades(client, courseId);
+
+        await client.query('COMMIT');
+
         res.json({
             success: true,
+            message: "성적 산출 정책이 저장되었습니다.",
             data: {
-                courseTitle,
-                students: gradeData
+                ...saved,
+                recalculated_count: recalculatedCount
             }
         });
     } catch (error) {
-        console.error('Error exporting grades:', error);
+        await client.query('ROLLBACK');
+        console.error('Error saving grading policy:', error);
         res.status(500).json({
             success: false,
-            message: "성적 내보내기 중 오류가 발생했습니다.",
+            message: "성적 산출 정책 저장 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 강좌 성적 산출 정책 버전 이력 조회
+router.get('/policy/:courseId/versions', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+
+        const result = await client.query(
+            `SELECT gp.*, u.name AS created_by_name
+            FROM ${SCHEMAS.GRADE}.grading_policies gp
+            LEFT JOIN ${SCHEMAS.AUTH}.users u ON gp.created_by = u.cognito_user_id
+            WHERE gp.course_id = $1
+            ORDER BY gp.version DESC`,
+            [courseId]
+        );
+
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error fetching grading policy versions:', error);
+        res.status(500).json({
+            success: false,
+            message: "성적 산출 정책 이력 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/attendance-policy/{courseId}:
+ *   get:
+ *     summary: Get the attendance policy of a course
+ *     tags: [Admin: Grades]
+ *     description: Courses without a policy use the default policy (is_default true).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Attendance policy.
+ *   put:
+ *     summary: Set the attendance policy of a course
+ *     tags: [Admin: Grades]
+ *     description: Recomputes every session status of the course and recalculates final grades.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               late_threshold_minutes:
+ *                 type: integer
+ *                 description: First join later than this many minutes after the session start counts as LATE
+ *               early_leave_minutes:
+ *                 type: integer
+ *                 description: Last leave earlier than this many minutes before the session end counts as EARLY_LEAVE
+ *               min_presence_percent:
+ *                 type: number
+ *                 description: Sessions attended below this percentage count as ABSENT
+ *               late_credit:
+ *                 type: number
+ *                 description: Attendance credit (0-1) for a LATE session
+ *               early_leave_credit:
+ *                 type: number
+ *                 description: Attendance credit (0-1) for an EARLY_LEAVE session
+ *               excused_mode:
+ *                 type: string
+ *                 enum: [EXCLUDE, PRESENT]
+ *                 description: Leave excused sessions out of the rate, or count them as present
+ *     responses:
+ *       '200':
+ *         description: Policy saved, statuses recomputed and final grades recalculated.
+ *       '400':
+ *         description: Invalid policy.
+ *       '404':
+ *         description: Course not found.
+ *       '423':
+ *         description: Grades are locked.
+ */
+// 강좌 출석 인정 규칙 조회
+router.get('/attendance-policy/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        res.json({
+            success: true,
+            data: await getAttendancePolicy(client, req.params.courseId)
+        });
+    } catch (error) {
+        console.error('Error fetching attendance policy:', error);
+        res.status(500).json({
+            success: false,
+            message: "출석 인정 규칙 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 강좌 출석 인정 규칙 저장 (회차별 출석 상태를 다시 계산한 뒤 최종 성적 재계산)
+router.put('/attendance-policy/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+        const policy = { ...DEFAULT_ATTENDANCE_POLICY };
+        Object.keys(DEFAULT_ATTENDANCE_POLICY).forEach(key => {
+            if (req.body[key] !== undefined) policy[key] = req.body[key];
+        });
+
+        const errors = validateAttendancePolicy(policy);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "유효하지 않은 출석 인정 규칙입니다.",
+                errors
+            });
+        }
+
+        const courseCheck = await client.query(
+            `SELECT id FROM ${SCHEMAS.COURSE}.courses WHERE id = $1`,
+            [courseId]
+        );
+
+        if (courseCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "과목을 찾을 수 없습니다."
+            });
+        }
+
+        // 확정된 성적은 규칙 변경으로 재계산되지 않도록 차단
+        const gradeLock = await getGradeLock(client, courseId);
+        if (gradeLock.is_locked) {
+            return res.status(423).json({
+                success: false,
+                message: GRADE_LOCKED_MESSAGE,
+                data: { grade_lock: gradeLock }
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            INSERT INTO ${SCHEMAS.GRADE}.attendance_policies (
+                course_id, late_threshold_minutes, early_leave_minutes, min_presence_percent,
+                late_credit, early_leave_credit, excused_mode, updated_by
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (course_id) DO UPDATE SET
+                late_threshold_minutes = EXCLUDED.late_threshold_minutes,
+                early_leave_minutes = EXCLUDED.early_leave_minutes,
+                min_presence_percent = EXCLUDED.min_presence_percent,
+                late_credit = EXCLUDED.late_credit,
+                early_leave_credit = EXCLUDED.early_leave_credit,
+                excused_mode = EXCLUDED.excused_mode,
+                updated_by = EXCLUDED.updated_by,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [
+            courseId,
+            policy.late_threshold_minutes,
+            policy.early_leave_minutes,
+            Number(policy.min_presence_percent),
+            Number(policy.late_credit),
+            Number(policy.early_leave_credit),
+            policy.excused_mode,
+            req.user.sub
+        ]);
+
+        const changedCount = await recomputeAttendanceStatuses(client, courseId, await getAttendancePolicy(client, courseId));
+        const recalculatedCount = await updateCourseFinalGrades(client, courseId);
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "출석 인정 규칙이 저장되었습니다.",
+            data: {
+                ...result.rows[0],
+                changed_status_count: changedCount,
+                recalculated_count: recalculatedCount
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error saving attendance policy:', error);
+        res.status(500).json({
+            success: false,
+            message: "출석 인정 규칙 저장 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/attendance/course/{courseId}/overrides:
+ *   get:
+ *     summary: Get the attendance override history for a course
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Overrides for the course, newest first, including revoked ones.
+ */
+// 강좌 출석 정정 이력 조회 (취소된 정정 포함)
+router.get('/attendance/course/:courseId/overrides', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const overrides = await getAttendanceOverrides(client, {
+            courseId: req.params.courseId,
+            studentId: req.query.studentId || null
+        });
+
+        res.json({
+            success: true,
+            data: overrides
+        });
+    } catch (error) {
+        console.error('Error fetching attendance overrides:', error);
+        res.status(500).json({
+            success: false,
+            message: "출석 정정 이력 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/attendance/records/{recordId}/override:
+ *   post:
+ *     summary: Override the attendance status of a session record
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status, reason]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [PRESENT, LATE, EARLY_LEAVE, ABSENT, EXCUSED]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Override applied. It takes precedence over the computed status and the final grade is recalculated.
+ *       '404':
+ *         description: Attendance record not found.
+ *       '423':
+ *         description: Course grades are locked.
+ */
+// 회차 출석 상태 정정 (이전 정정은 이력으로 보관)
+router.post('/attendance/records/:recordId/override', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { recordId } = req.params;
+        const { status, reason } = req.body;
+
+        if (!Object.values(ATTENDANCE_STATUS).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: "유효하지 않은 출석 상태입니다."
+            });
+        }
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: "정정 사유를 입력해주세요."
+            });
+        }
+
+        const recordResult = await client.query(
+            `SELECT record_id, course_id, student_id FROM ${SCHEMAS.GRADE}.attendance_records WHERE record_id = $1`,
+            [recordId]
+        );
+
+        if (recordResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "출석 기록을 찾을 수 없습니다."
+            });
+        }
+
+        const record = recordResult.rows[0];
+        const gradeLock = await getGradeLock(client, record.course_id);
+        if (gradeLock.is_locked) {
+            return res.status(423).json({
+                success: false,
+                message: GRADE_LOCKED_MESSAGE,
+                data: { grade_lock: gradeLock }
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const override = await applyAttendanceOverride(client, record.record_id, {
+            status,
+            reason: reason.trim(),
+            actorId: req.user.sub
+        });
+
+        await updateFinalGrades(client, record.course_id, record.student_id);
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "출석 상태가 정정되었습니다.",
+            data: override
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error overriding attendance:', error);
+        res.status(500).json({
+            success: false,
+            message: "출석 상태 정정 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/attendance/overrides/{overrideId}:
+ *   delete:
+ *     summary: Revoke an active attendance override
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: overrideId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Override revoked. The computed status applies again and the final grade is recalculated.
+ *       '404':
+ *         description: No active override with this ID.
+ *       '423':
+ *         description: Course grades are locked.
+ */
+// 출석 정정 취소 (계산된 상태로 되돌리고 이력은 보관)
+router.delete('/attendance/overrides/:overrideId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { overrideId } = req.params;
+        const { reason = null } = req.body || {};
+
+        const overrideResult = await client.query(
+            `SELECT course_id FROM ${SCHEMAS.GRADE}.attendance_overrides WHERE override_id = $1 AND is_active`,
+            [overrideId]
+        );
+
+        if (overrideResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "적용 중인 출석 정정을 찾을 수 없습니다."
+            });
+        }
+
+        const gradeLock = await getGradeLock(client, overrideResult.rows[0].course_id);
+        if (gradeLock.is_locked) {
+            return res.status(423).json({
+                success: false,
+                message: GRADE_LOCKED_MESSAGE,
+                data: { grade_lock: gradeLock }
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const revoked = await revokeAttendanceOverride(client, overrideId, req.user.sub, reason);
+        if (!revoked) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: "적용 중인 출석 정정을 찾을 수 없습니다."
+            });
+        }
+
+        await updateFinalGrades(client, revoked.course_id, revoked.student_id);
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "출석 정정이 취소되었습니다.",
+            data: revoked
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error revoking attendance override:', error);
+        res.status(500).json({
+            success: false,
+            message: "출석 정정 취소 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/attendance/excuses/course/{courseId}:
+ *   get:
+ *     summary: Get the excused absence request queue for a course
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, APPROVED, REJECTED, CANCELLED]
+ *     responses:
+ *       '200':
+ *         description: Requests for the course, oldest pending first, with download URLs for the supporting documents.
+ */
+// 강좌별 공결 신청 목록 조회 (처리 대기 건 우선, 증빙 서류 다운로드 URL 포함)
+router.get('/attendance/excuses/course/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+        const { status } = req.query;
+
+        if (status && !Object.values(EXCUSE_REQUEST_STATUS).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: "유효하지 않은 처리 상태입니다."
+            });
+        }
+
+        const result = await client.query(
+            `SELECT
+                q.*,
+                u.name as student_name,
+                u.email as student_email,
+                ar.session_id,
+                ar.session_type,
+                ar.attendance_date,
+                ar.status as computed_status,
+                ov.status as override_status,
+                r.name as reviewed_by_name
+            FROM ${SCHEMAS.GRADE}.excused_absence_requests q
+            JOIN ${SCHEMAS.GRADE}.attendance_records ar ON q.record_id = ar.record_id
+            ${activeOverrideJoin('ar', 'ov')}
+            JOIN ${SCHEMAS.AUTH}.users u ON q.student_id = u.cognito_user_id
+            LEFT JOIN ${SCHEMAS.AUTH}.users r ON q.reviewed_by = r.cognito_user_id
+            WHERE q.course_id = $1
+            AND ($2::text IS NULL OR q.status = $2)
+            ORDER BY (q.status = 'PENDING') DESC, q.created_at ASC`,
+            [courseId, status || null]
+        );
+
+        const requests = await Promise.all(result.rows.map(async (request) => ({
+            ...request,
+            attachments: await withAttachmentUrls(request.attachments)
+        })));
+
+        res.json({
+            success: true,
+            data: requests
+        });
+    } catch (error) {
+        console.error('Error fetching excused absence requests:', error);
+        res.status(500).json({
+            success: false,
+            message: "공결 신청 목록 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * 처리 대기 중인 공결 신청을 잠금과 함께 조회하고 처리 가능 여부를 확인
+ * 처리할 수 없으면 응답을 보내고 null 반환
+ */
+async function lockPendingExcuseRequest(client, requestId, res) {
+    const result = await client.query(
+        `SELECT * FROM ${SCHEMAS.GRADE}.excused_absence_requests
+        WHERE request_id = $1
+        FOR UPDATE`,
+        [requestId]
+    );
+
+    if (result.rows.length === 0) {
+        res.status(404).json({
+            success: false,
+            message: "공결 신청을 찾을 수 없습니다."
+        });
+        return null;
+    }
+
+    const request = result.rows[0];
+    if (request.status !== EXCUSE_REQUEST_STATUS.PENDING) {
+        res.status(409).json({
+            success: false,
+            message: "이미 처리된 공결 신청입니다.",
+            data: request
+        });
+        return null;
+    }
+
+    return request;
+}
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/attendance/excuses/{requestId}/approve:
+ *   put:
+ *     summary: Approve an excused absence request
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reply:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Request approved. The session is overridden to EXCUSED and the final grade is recalculated.
+ *       '409':
+ *         description: Request was already resolved.
+ *       '423':
+ *         description: Course grades are locked.
+ */
+// 공결 신청 승인 (해당 회차를 공결로 정정)
+router.put('/attendance/excuses/:requestId/approve', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { requestId } = req.params;
+        const { reply = '' } = req.body || {};
+
+        await client.query('BEGIN');
+
+        const request = await lockPendingExcuseRequest(client, requestId, res);
+        if (!request) {
+            await client.query('ROLLBACK');
+            return;
+        }
+
+        const gradeLock = await getGradeLock(client, request.course_id);
+        if (gradeLock.is_locked) {
+            await client.query('ROLLBACK');
+            return res.status(423).json({
+                success: false,
+                message: GRADE_LOCKED_MESSAGE,
+                data: { grade_lock: gradeLock }
+            });
+        }
+
+        const override = await applyAttendanceOverride(client, request.record_id, {
+            status: ATTENDANCE_STATUS.EXCUSED,
+            reason: `공결 신청 #${request.request_id} 승인: ${request.reason}`,
+            actorId: req.user.sub,
+            requestId: request.request_id
+        });
+
+        const result = await client.query(
+            `UPDATE ${SCHEMAS.GRADE}.excused_absence_requests
+            SET status = $1,
+                reply = $2,
+                reviewed_by = $3,
+                reviewed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE request_id = $4
+            RETURNING *`,
+            [EXCUSE_REQUEST_STATUS.APPROVED, reply, req.user.sub, request.request_id]
+        );
+
+        await updateFinalGrades(client, request.course_id, request.student_id);
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "공결 신청이 승인되었습니다.",
+            data: {
+                ...result.rows[0],
+                override
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error approving excused absence request:', error);
+        res.status(500).json({
+            success: false,
+            message: "공결 신청 처리 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/attendance/excuses/{requestId}/reject:
+ *   put:
+ *     summary: Reject an excused absence request with a reply
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reply]
+ *             properties:
+ *               reply:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Request rejected.
+ *       '409':
+ *         description: Request was already resolved.
+ */
+// 공결 신청 반려 (답변 필수)
+router.put('/attendance/excuses/:requestId/reject', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { requestId } = req.params;
+        const { reply } = req.body;
+
+        if (!reply || !reply.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: "반려 사유를 입력해주세요."
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const request = await lockPendingExcuseRequest(client, requestId, res);
+        if (!request) {
+            await client.query('ROLLBACK');
+            return;
+        }
+
+        const result = await client.query(
+            `UPDATE ${SCHEMAS.GRADE}.excused_absence_requests
+            SET status = $1,
+                reply = $2,
+                reviewed_by = $3,
+                reviewed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE request_id = $4
+            RETURNING *`,
+            [EXCUSE_REQUEST_STATUS.REJECTED, reply.trim(), req.user.sub, request.request_id]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "공결 신청이 반려되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error rejecting excused absence request:', error);
+        res.status(500).json({
+            success: false,
+            message: "공결 신청 처리 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/scales:
+ *   get:
+ *     summary: List grade scales
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Registered grade scales and the default scale.
+ *   post:
+ *     summary: Create a grade scale
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               scale_type:
+ *                 type: string
+ *                 enum: [LETTER, PASS_FAIL]
+ *               cutoffs:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     letter:
+ *                       type: string
+ *                     minScore:
+ *                       type: number
+ *               passing_score:
+ *                 type: number
+ *               curve:
+ *                 type: object
+ *                 description: "Optional percentile curve, e.g. { method: 'PERCENTILE', bands: [{ letter: 'A+', percent: 10 }] }"
+ *     responses:
+ *       '200':
+ *         description: Grade scale created.
+ *       '400':
+ *         description: Invalid grade scale.
+ */
+// 등급 기준 목록 조회
+router.get('/scales', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(
+            `SELECT * FROM ${SCHEMAS.GRADE}.grade_scales
+            ORDER BY created_at DESC`
+        );
+
+        res.json({
+            success: true,
+            data: {
+                defaultScale: DEFAULT_GRADE_SCALE,
+                scales: result.rows
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching grade scales:', error);
+        res.status(500).json({
+            success: false,
+            message: "등급 기준 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 등급 기준 생성
+router.post('/scales', verifyToken, requireRole(['ADMIN']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { name, description, scale_type = 'LETTER', cutoffs = [], passing_score = 60, curve = null } = req.body;
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                message: "등급 기준 이름(name)은 필수 항목입니다."
+            });
+        }
+
+        const errors = validateGradeScale({ scale_type, cutoffs, passing_score, curve });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "유효하지 않은 등급 기준입니다.",
+                errors
+            });
+        }
+
+        const result = await client.query(
+            `INSERT INTO ${SCHEMAS.GRADE}.grade_scales
+            (name, description, scale_type, cutoffs, passing_score, curve, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *`,
+            [name, description, scale_type, JSON.stringify(cutoffs), passing_score, curve ? JSON.stringify(curve) : null, req.user.sub]
+        );
+
+        res.json({
+            success: true,
+            message: "등급 기준이 생성되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error creating grade scale:', error);
+        res.status(500).json({
+            success: false,
+            message: "등급 기준 생성 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 등급 기준 수정 (이 기준을 사용하는 강좌의 등급 재부여)
+router.put('/scales/:scaleId', verifyToken, requireRole(['ADMIN']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { scaleId } = req.params;
+
+        const existing = await client.query(
+            `SELECT * FROM ${SCHEMAS.GRADE}.grade_scales WHERE scale_id = $1`,
+            [scaleId]
+        );
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "등급 기준을 찾을 수 없습니다."
+            });
+        }
+
+        const merged = { ...existing.rows[0], ...req.body };
+        const errors = validateGradeScale(merged);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "유효하지 않은 등급 기준입니다.",
+                errors
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `UPDATE ${SCHEMAS.GRADE}.grade_scales
+            SET name = $1,
+                description = $2,
+                scale_type = $3,
+                cutoffs = $4,
+                passing_score = $5,
+                curve = $6,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE scale_id = $7
+            RETURNING *`,
+            [
+                merged.name, merged.description, merged.scale_type, JSON.stringify(merged.cutoffs),
+                merged.passing_score, merged.curve ? JSON.stringify(merged.curve) : null, scaleId
+            ]
+        );
+
+        // 성적이 확정된 강좌는 기존 등급을 유지
+        const courses = await client.query(
+            `SELECT c.id
+            FROM ${SCHEMAS.COURSE}.courses c
+            LEFT JOIN ${SCHEMAS.GRADE}.course_grade_locks l ON c.id = l.course_id
+            WHERE c.grade_scale_id = $1
+            AND COALESCE(l.is_locked, false) = false`,
+            [scaleId]
+        );
+
+        for (const course of courses.rows) {
+            await refreshCourseLetterGrades(client, course.id);
+        }
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "등급 기준이 수정되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating grade scale:', error);
+        res.status(500).json({
+            success: false,
+            message: "등급 기준 수정 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/scales/course/{courseId}:
+ *   put:
+ *     summary: Attach a grade scale to a course
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scaleId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: null to fall back to the default scale
+ *     responses:
+ *       '200':
+ *         description: Grade scale attached and letter grades recalculated.
+ */
+// 강좌에 등급 기준 연결
+router.put('/scales/course/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+        const { scaleId = null } = req.body;
+
+        const gradeLock = await getGradeLock(client, courseId);
+        if (gradeLock.is_locked) {
+            return res.status(423).json({
+                success: false,
+                message: GRADE_LOCKED_MESSAGE,
+                data: { grade_lock: gradeLock }
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `UPDATE ${SCHEMAS.COURSE}.courses
+            SET grade_scale_id = $1
+            WHERE id = $2
+            RETURNING id, title, grade_scale_id`,
+            [scaleId, courseId]
+        );
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: "과목을 찾을 수 없습니다."
+            });
+        }
+
+        const updatedCount = await refreshCourseLetterGrades(client, courseId);
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "강좌 등급 기준이 설정되었습니다.",
+            data: {
+                ...result.rows[0],
+                updated_count: updatedCount
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error attaching grade scale:', error);
+        res.status(500).json({
+            success: false,
+            message: "강좌 등급 기준 설정 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 최종 성적 조회 (강좌 성적 산출 정책으로 계산)
+router.get('/final/:courseId/:studentId', verifyToken, async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId, studentId } = req.params;
+        const userGroups = req.user['cognito:groups'] || [];
+
+        // 권한 확인 (본인 또는 관리자/교수자만 조회 가능)
+        if (!userGroups.includes('ADMIN') && !userGroups.includes('INSTRUCTOR') && req.user.sub !== studentId) {
+            return res.status(403).json({
+                success: false,
+                message: "성적 조회 권한이 없습니다."
+            });
+        }
+
+        const grade = await calculateCourseGrade(client, courseId, studentId);
+
+        if (!grade) {
+            return res.status(404).json({
+                success: false,
+                message: "성적 정보를 찾을 수 없습니다."
+            });
+        }
+
+        const infoResult = await client.query(
+            `SELECT u.name AS student_name, c.title AS course_title
+            FROM ${SCHEMAS.AUTH}.users u
+            CROSS JOIN ${SCHEMAS.COURSE}.courses c
+            WHERE u.cognito_user_id = $1 AND c.id = $2`,
+            [studentId, courseId]
+        );
+
+        const { policy } = await getActivePolicy(client, courseId);
+        const info = infoResult.rows[0] || {};
+
+        res.json({
+            success: true,
+            data: {
+                student_id: studentId,
+                course_id: courseId,
+                student_name: info.student_name,
+                course_title: info.course_title,
+                attendance_rate: grade.attendanceRate,
+                total_score: grade.totalScore,
+                categories: grade.categories,
+                attendance_gate_failed: grade.attendanceGateFailed,
+                letter_grade: grade.letterGrade,
+                is_passed: grade.isPassed,
+                min_attendance_rate: policy.minAttendanceRate || 0,
+                policy_version: grade.policy_version
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching final grades:', error);
+        res.status(500).json({
+            success: false,
+            message: "성적 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/statistics/{courseId}:
+ *   get:
+ *     summary: Get grade statistics for a course
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Grade statistics for the course.
+ */
+// 성적 통계 조회 API 추가
+router.get('/statistics/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+        
+        const statistics = await getGradeStatistics(client, courseId);
+        
+        if (!statistics) {
+            return res.status(404).json({
+                success: false,
+                message: "과목 정보를 찾을 수 없습니다."
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: statistics
+        });
+    } catch (error) {
+        console.error('Error fetching grade statistics:', error);
+        res.status(500).json({
+            success: false,
+            message: "성적 통계 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/export/{courseId}:
+ *   get:
+ *     summary: Export course grades to Excel
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         description: Download a gradebook file instead of JSON
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *     responses:
+ *       '200':
+ *         description: Grade data for export, or a CSV/XLSX gradebook with one column per grade item.
+ */
+// 성적 엑셀 내보내기 API 추가
+router.get('/export/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+        
+        // 과목 존재 여부 확인
+        const courseCheck = await client.query(
+            `SELECT title FROM ${SCHEMAS.COURSE}.courses WHERE id = $1`,
+            [courseId]
+        );
+        
+        if (courseCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "과목을 찾을 수 없습니다."
+            });
+        }
+        
+        const courseTitle = courseCheck.rows[0].title;
+        const { format } = req.query;
+
+        // 파일 형식 요청 시 성적부 파일로 다운로드
+        if (format) {
+            if (!SUPPORTED_FORMATS.includes(format)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "지원하지 않는 파일 형식입니다. (csv, xlsx)"
+                });
+            }
+
+            const gradebook = await buildGradebook(client, courseId);
+            const fileName = encodeURIComponent(`${courseTitle}_성적부.${format}`);
+            res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${fileName}`);
+
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                return res.send(gradebookToCsv(gradebook));
+            }
+
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            return res.send(await gradebookToXlsx(gradebook));
+        }
+
+        const gradeData = await exportGradeData(client, courseId);
+        const gradeScale = await getCourseGradeScale(client, courseId);
+        const gradeLock = await getGradeLock(client, courseId);
+        
+        res.json({
+            success: true,
+            data: {
+                courseTitle,
+                gradeScale,
+                gradeLock,
+                students: gradeData
+            }
+        });
+    } catch (error) {
+        console.error('Error exporting grades:', error);
+        res.status(500).json({
+            success: false,
+            message: "성적 내보내기 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/import/{courseId}:
+ *   post:
+ *     summary: Import scores from a CSV/XLSX gradebook
+ *     tags: [Admin: Grades]
+ *     description: Accepts the file produced by the export endpoint. Validates student IDs and score ranges and returns a diff. Changes are applied only when dryRun is false.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fileName, content]
+ *             properties:
+ *               fileName:
+ *                 type: string
+ *                 description: Used to detect the format (.csv or .xlsx)
+ *               content:
+ *                 type: string
+ *                 format: byte
+ *                 description: Base64-encoded file content
+ *               dryRun:
+ *                 type: boolean
+ *                 default: true
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Diff of score changes (dry run) or the applied result.
+ *       '400':
+ *         description: Invalid file, unknown students or out-of-range scores.
+ *       '423':
+ *         description: Course grades are locked.
+ */
+// 성적부 파일 가져오기 (기본은 dry-run으로 변경 내역만 반환)
+router.post('/import/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+        const { fileName = '', content, dryRun = true, reason } = req.body;
+        const format = fileName.split('.').pop().toLowerCase();
+
+        if (!content || !SUPPORTED_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: "CSV 또는 XLSX 파일이 필요합니다."
+            });
+        }
+
+        let rows;
+        try {
+            rows = await parseGradebookFile(format, Buffer.from(content, 'base64'));
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                message: "파일을 읽을 수 없습니다.",
+                error: parseError.message
+            });
+        }
+
+        const diff = await diffGradebook(client, courseId, rows);
+
+        if (diff.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "파일에 오류가 있어 가져올 수 없습니다.",
+                data: diff
+            });
+        }
+
+        if (dryRun) {
+            return res.json({
+                success: true,
+                message: `${diff.changes.length}건의 점수가 변경됩니다.`,
+                data: { dryRun: true, ...diff }
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const gradeLock = await getGradeLock(client, courseId);
+        if (gradeLock.is_locked) {
+            await client.query('ROLLBACK');
+            return res.status(423).json({
+                success: false,
+                message: GRADE_LOCKED_MESSAGE,
+                data: { grade_lock: gradeLock }
+            });
+        }
+
+        const recalculatedCount = await applyGradebookChanges(
+            client,
+            courseId,
+            diff.changes,
+            req.user.sub,
+            reason || `성적부 파일 가져오기 (${fileName})`
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: `${diff.changes.length}건의 점수가 반영되었습니다.`,
+            data: {
+                dryRun: false,
+                ...diff,
+                recalculated_count: recalculatedCount
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error importing gradebook:', error);
+        res.status(500).json({
+            success: false,
+            message: "성적부 가져오기 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/lock/{courseId}:
+ *   get:
+ *     summary: Get the grade lock state of a course
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Current lock state and lock/reopen history.
+ */
+// 성적 확정 상태 및 이력 조회
+router.get('/lock/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+
+        const gradeLock = await getGradeLock(client, courseId);
+        const history = await client.query(
+            `SELECT gh.id as history_id, gh.event_type, gh.grade_id, gh.previous_score, gh.new_score,
+                gh.modified_by, u.name as modified_by_name, gh.reason, gh.created_at
+            FROM ${SCHEMAS.GRADE}.grade_history gh
+            LEFT JOIN ${SCHEMAS.AUTH}.users u ON gh.modified_by = u.cognito_user_id
+            WHERE gh.course_id = $1
+            AND gh.event_type IN ('LOCK', 'REOPEN', 'POST_LOCK_CHANGE')
+            ORDER BY gh.created_at DESC`,
+            [courseId]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                ...gradeLock,
+                history: history.rows
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching grade lock:', error);
+        res.status(500).json({
+            success: false,
+            message: "성적 확정 상태 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/lock/{courseId}:
+ *   post:
+ *     summary: Finalize and lock course grades (instructor sign-off)
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Final grades recalculated and locked.
+ *       '409':
+ *         description: Grades are already locked.
+ */
+// 성적 확정 (교수자 서명) - 최종 성적을 재계산한 뒤 잠금
+router.post('/lock/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+        const { note = '' } = req.body;
+
+        await client.query('BEGIN');
+
+        const courseCheck = await client.query(
+            `SELECT id FROM ${SCHEMAS.COURSE}.courses WHERE id = $1 FOR UPDATE`,
+            [courseId]
+        );
+
+        if (courseCheck.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: "과목을 찾을 수 없습니다."
+            });
+        }
+
+        const currentLock = await getGradeLock(client, courseId);
+        if (currentLock.is_locked) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                message: "이미 확정된 성적입니다.",
+                data: currentLock
+            });
+        }
+
+        const recalculatedCount = await updateCourseFinalGrades(client, courseId);
+        const gradeLock = await lockCourseGrades(client, courseId, req.user.sub, note);
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "성적이 확정되었습니다.",
+            data: {
+                ...gradeLock,
+                recalculated_count: recalculatedCount
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error locking grades:', error);
+        res.status(500).json({
+            success: false,
+            message: "성적 확정 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/lock/{courseId}/reopen:
+ *   post:
+ *     summary: Reopen locked course grades (admin only)
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Grades reopened for editing.
+ *       '409':
+ *         description: Grades are not locked.
+ */
+// 확정된 성적 재개방 (관리자 전용, 사유 필수)
+router.post('/lock/:courseId/reopen', verifyToken, requireRole(['ADMIN']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+        const { reason } = req.body;
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: "재개방 사유를 입력해주세요."
+            });
+        }
+
+        await client.query('BEGIN');
+
+        await client.query(
+            `SELECT course_id FROM ${SCHEMAS.GRADE}.course_grade_locks WHERE course_id = $1 FOR UPDATE`,
+            [courseId]
+        );
+
+        const currentLock = await getGradeLock(client, courseId);
+        if (!currentLock.is_locked) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                message: "확정되지 않은 성적입니다.",
+                data: currentLock
+            });
+        }
+
+        const gradeLock = await reopenCourseGrades(client, courseId, req.user.sub, reason.trim());
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "성적이 재개방되었습니다.",
+            data: gradeLock
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error reopening grades:', error);
+        res.status(500).json({
+            success: false,
+            message: "성적 재개방 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/appeals/course/{courseId}:
+ *   get:
+ *     summary: Get the grade appeal queue for a course
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, ACCEPTED, REJECTED]
+ *     responses:
+ *       '200':
+ *         description: Appeals for the course, oldest pending first.
+ */
+// 강좌별 이의신청 목록 조회 (처리 대기 건 우선, 오래된 순)
+router.get('/appeals/course/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+        const { status } = req.query;
+
+        if (status && !Object.values(APPEAL_STATUS).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: "유효하지 않은 처리 상태입니다."
+            });
+        }
+
+        const result = await client.query(
+            `SELECT
+                a.*,
+                u.name as student_name,
+                u.email as student_email,
+                gi.item_id,
+                gi.item_name,
+                gi.item_type,
+                sg.score as current_score,
+                r.name as reviewed_by_name
+            FROM ${SCHEMAS.GRADE}.grade_appeals a
+            JOIN ${SCHEMAS.GRADE}.student_grades sg ON a.grade_id = sg.grade_id
+            JOIN ${SCHEMAS.GRADE}.grade_items gi ON sg.item_id = gi.item_id
+            JOIN ${SCHEMAS.AUTH}.users u ON a.student_id = u.cognito_user_id
+            LEFT JOIN ${SCHEMAS.AUTH}.users r ON a.reviewed_by = r.cognito_user_id
+            WHERE a.course_id = $1
+            AND ($2::text IS NULL OR a.status = $2)
+            ORDER BY (a.status = 'PENDING') DESC, a.created_at ASC`,
+            [courseId, status || null]
+        );
+
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error fetching grade appeals:', error);
+        res.status(500).json({
+            success: false,
+            message: "이의신청 목록 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * 처리 대기 중인 이의신청을 잠금과 함께 조회하고 처리 가능 여부를 확인
+ * 처리할 수 없으면 응답을 보내고 null 반환
+ */
+async function lockPendingAppeal(client, appealId, res) {
+    const result = await client.query(
+        `SELECT a.*, e.student_id as enrolled_student_id
+        FROM ${SCHEMAS.GRADE}.grade_appeals a
+        JOIN ${SCHEMAS.GRADE}.student_grades sg ON a.grade_id = sg.grade_id
+        JOIN ${SCHEMAS.ENROLLMENT}.enrollments e ON sg.enrollment_id = e.id
+        WHERE a.appeal_id = $1
+        FOR UPDATE OF a`,
+        [appealId]
+    );
+
+    if (result.rows.length === 0) {
+        res.status(404).json({
+            success: false,
+            message: "이의신청을 찾을 수 없습니다."
+        });
+        return null;
+    }
+
+    const appeal = result.rows[0];
+    if (appeal.status !== APPEAL_STATUS.PENDING) {
+        res.status(409).json({
+            success: false,
+            message: "이미 처리된 이의신청입니다.",
+            data: appeal
+        });
+        return null;
+    }
+
+    return appeal;
+}
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/appeals/{appealId}/accept:
+ *   put:
+ *     summary: Accept a grade appeal and change the score
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appealId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [newScore]
+ *             properties:
+ *               newScore:
+ *                 type: number
+ *               reply:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Appeal accepted and score updated.
+ *       '409':
+ *         description: Appeal was already resolved.
+ *       '423':
+ *         description: Course grades are locked.
+ */
+// 이의신청 수용 (점수 변경은 히스토리 트리거로 기록)
+router.put('/appeals/:appealId/accept', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { appealId } = req.params;
+        const { newScore, reply = '' } = req.body;
+        const score = Number(newScore);
+
+        if (newScore === undefined || newScore === null || isNaN(score) || score < 0 || score > 100) {
+            return res.status(400).json({
+                success: false,
+                message: "점수는 0에서 100 사이여야 합니다."
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const appeal = await lockPendingAppeal(client, appealId, res);
+        if (!appeal) {
+            await client.query('ROLLBACK');
+            return;
+        }
+
+        const gradeLock = await getGradeLock(client, appeal.course_id);
+        if (gradeLock.is_locked) {
+            await client.query('ROLLBACK');
+            return res.status(423).json({
+                success: false,
+                message: GRADE_LOCKED_MESSAGE,
+                data: { grade_lock: gradeLock }
+            });
+        }
+
+        await setScoreChangeContext(client, req.user.sub, `이의신청 #${appeal.appeal_id} 수용${reply ? `: ${reply}` : ''}`);
+
+        await client.query(
+            `UPDATE ${SCHEMAS.GRADE}.student_grades
+            SET score = $1,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE grade_id = $2`,
+            [score, appeal.grade_id]
+        );
+
+        const result = await client.query(
+            `UPDATE ${SCHEMAS.GRADE}.grade_appeals
+            SET status = $1,
+                resolved_score = $2,
+                reply = $3,
+                reviewed_by = $4,
+                reviewed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE appeal_id = $5
+            RETURNING *`,
+            [APPEAL_STATUS.ACCEPTED, score, reply, req.user.sub, appeal.appeal_id]
+        );
+
+        await updateFinalGrades(client, appeal.course_id, appeal.enrolled_student_id);
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "이의신청이 수용되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error accepting grade appeal:', error);
+        res.status(500).json({
+            success: false,
+            message: "이의신청 처리 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/grades/appeals/{appealId}/reject:
+ *   put:
+ *     summary: Reject a grade appeal with a reply
+ *     tags: [Admin: Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appealId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reply]
+ *             properties:
+ *               reply:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Appeal rejected.
+ *       '409':
+ *         description: Appeal was already resolved.
+ */
+// 이의신청 반려 (답변 필수)
+router.put('/appeals/:appealId/reject', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { appealId } = req.params;
+        const { reply } = req.body;
+
+        if (!reply || !reply.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: "반려 사유를 입력해주세요."
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const appeal = await lockPendingAppeal(client, appealId, res);
+        if (!appeal) {
+            await client.query('ROLLBACK');
+            return;
+        }
+
+        const result = await client.query(
+            `UPDATE ${SCHEMAS.GRADE}.grade_appeals
+            SET status = $1,
+                resolved_score = original_score,
+                reply = $2,
+                reviewed_by = $3,
+                reviewed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE appeal_id = $4
+            RETURNING *`,
+            [APPEAL_STATUS.REJECTED, reply.trim(), req.user.sub, appeal.appeal_id]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "이의신청이 반려되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error rejecting grade appeal:', error);
+        res.status(500).json({
+            success: false,
+            message: "이의신청 처리 중 오류가 발생했습니다.",
             error: error.message
         });
     } finally {
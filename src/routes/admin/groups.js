@@ -0,0 +1,478 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requireRole } = require('../../middlewares/auth');
+const { masterPool, SCHEMAS } = require('../../config/database');
+const { buildAutoGroups, getCourseGroups } = require('../../utils/course-group');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Admin: Groups
+ *     description: Course groups used for group assignments
+ */
+
+// 조원으로 지정할 학생이 모두 수강 중인지 확인하고, 수강 중이 아닌 학생 ID 목록 반환
+async function findNotEnrolled(client, courseId, memberIds) {
+    const result = await client.query(
+        `SELECT student_id
+        FROM ${SCHEMAS.ENROLLMENT}.enrollments
+        WHERE course_id = $1 AND status = 'ACTIVE' AND student_id = ANY($2::text[])`,
+        [courseId, memberIds]
+    );
+    const enrolled = new Set(result.rows.map(row => row.student_id));
+    return memberIds.filter(id => !enrolled.has(id));
+}
+
+// 조원 지정 (다른 조에 소속된 학생은 이 조로 이동)
+async function setGroupMembers(client, groupId, courseId, memberIds) {
+    await client.query(
+        `DELETE FROM ${SCHEMAS.ENROLLMENT}.course_group_members
+        WHERE group_id = $1 OR (course_id = $2 AND student_id = ANY($3::text[]))`,
+        [groupId, courseId, memberIds]
+    );
+
+    for (const studentId of memberIds) {
+        await client.query(
+            `INSERT INTO ${SCHEMAS.ENROLLMENT}.course_group_members (group_id, course_id, student_id)
+            VALUES ($1, $2, $3)`,
+            [groupId, courseId, studentId]
+        );
+    }
+}
+
+/**
+ * @swagger
+ * /api/v1/admin/groups/course/{courseId}:
+ *   get:
+ *     summary: List groups of a course
+ *     tags: [Admin: Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Groups with members, and actively enrolled students without a group.
+ */
+// 강좌 조 목록 조회
+router.get('/course/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+
+        const groups = await getCourseGroups(client, courseId);
+        const ungrouped = await client.query(
+            `SELECT u.cognito_user_id AS student_id, u.name, u.email
+            FROM ${SCHEMAS.ENROLLMENT}.enrollments e
+            JOIN ${SCHEMAS.AUTH}.users u ON e.student_id = u.cognito_user_id
+            LEFT JOIN ${SCHEMAS.ENROLLMENT}.course_group_members m
+                ON m.course_id = e.course_id AND m.student_id = e.student_id
+            WHERE e.course_id = $1 AND e.status = 'ACTIVE' AND m.group_id IS NULL
+            ORDER BY u.name ASC`,
+            [courseId]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                groups,
+                ungrouped_students: ungrouped.rows
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching course groups:', error);
+        res.status(500).json({
+            success: false,
+            message: "조 목록 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/groups/course/{courseId}:
+ *   post:
+ *     summary: Create a group manually
+ *     tags: [Admin: Groups]
+ *     description: Members that already belong to another group of the course are moved to the new group.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               memberIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       '201':
+ *         description: Group created.
+ *       '400':
+ *         description: Missing name or members not enrolled.
+ *       '409':
+ *         description: A group with the same name exists.
+ */
+// 조 수동 생성
+router.post('/course/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+        const { name, memberIds = [] } = req.body;
+
+        if (!name || !String(name).trim() || !Array.isArray(memberIds)) {
+            return res.status(400).json({
+                success: false,
+                message: "조 이름과 조원 목록(memberIds)이 필요합니다."
+            });
+        }
+
+        const notEnrolled = await findNotEnrolled(client, courseId, memberIds);
+        if (notEnrolled.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "수강 중이 아닌 학생이 포함되어 있습니다.",
+                data: { notEnrolled }
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `INSERT INTO ${SCHEMAS.ENROLLMENT}.course_groups (course_id, name, created_by)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (course_id, name) DO NOTHING
+            RETURNING *`,
+            [courseId, String(name).trim(), req.user.sub]
+        );
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                message: "같은 이름의 조가 이미 있습니다."
+            });
+        }
+
+        await setGroupMembers(client, result.rows[0].group_id, courseId, memberIds);
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            success: true,
+            message: "조가 생성되었습니다.",
+            data: { ...result.rows[0], memberIds }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error creating course group:', error);
+        res.status(500).json({
+            success: false,
+            message: "조 생성 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/groups/course/{courseId}/auto:
+ *   post:
+ *     summary: Generate groups randomly
+ *     tags: [Admin: Groups]
+ *     description: |
+ *       Randomly splits actively enrolled students without a group into groups of about groupSize members.
+ *       With replaceExisting, all existing groups of the course are removed first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [groupSize]
+ *             properties:
+ *               groupSize:
+ *                 type: integer
+ *               replaceExisting:
+ *                 type: boolean
+ *               namePrefix:
+ *                 type: string
+ *                 description: Defaults to "조".
+ *     responses:
+ *       '201':
+ *         description: Groups generated.
+ *       '400':
+ *         description: Invalid group size or no students to group.
+ */
+// 조 자동 편성
+router.post('/course/:courseId/auto', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+        const { groupSize, replaceExisting = false, namePrefix = '조' } = req.body;
+
+        if (!Number.isInteger(groupSize) || groupSize < 1) {
+            return res.status(400).json({
+                success: false,
+                message: "조당 인원(groupSize)은 1 이상의 정수여야 합니다."
+            });
+        }
+
+        await client.query('BEGIN');
+
+        if (replaceExisting) {
+            await client.query(
+                `DELETE FROM ${SCHEMAS.ENROLLMENT}.course_groups WHERE course_id = $1`,
+                [courseId]
+            );
+        }
+
+        const students = await client.query(
+            `SELECT e.student_id
+            FROM ${SCHEMAS.ENROLLMENT}.enrollments e
+            LEFT JOIN ${SCHEMAS.ENROLLMENT}.course_group_members m
+                ON m.course_id = e.course_id AND m.student_id = e.student_id
+            WHERE e.course_id = $1 AND e.status = 'ACTIVE' AND m.group_id IS NULL`,
+            [courseId]
+        );
+
+        if (students.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: "조를 편성할 학생이 없습니다."
+            });
+        }
+
+        // 기존 조 이름과 겹치지 않도록 번호 이어서 부여
+        const existing = await client.query(
+            `SELECT COUNT(*) AS count FROM ${SCHEMAS.ENROLLMENT}.course_groups WHERE course_id = $1`,
+            [courseId]
+        );
+        let sequence = Number(existing.rows[0].count);
+
+        const created = [];
+        for (const memberIds of buildAutoGroups(students.rows.map(row => row.student_id), groupSize)) {
+            let group;
+            do {
+                sequence += 1;
+                group = await client.query(
+                    `INSERT INTO ${SCHEMAS.ENROLLMENT}.course_groups (course_id, name, created_by)
+                    VALUES ($1, $2, $3)
+                    ON CONFLICT (course_id, name) DO NOTHING
+                    RETURNING *`,
+                    [courseId, `${namePrefix} ${sequence}`, req.user.sub]
+                );
+            } while (group.rows.length === 0);
+
+            await setGroupMembers(client, group.rows[0].group_id, courseId, memberIds);
+            created.push({ ...group.rows[0], memberIds });
+        }
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            success: true,
+            message: `${created.length}개의 조가 편성되었습니다.`,
+            data: created
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error generating course groups:', error);
+        res.status(500).json({
+            success: false,
+            message: "조 자동 편성 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/groups/{groupId}:
+ *   put:
+ *     summary: Rename a group or replace its members
+ *     tags: [Admin: Groups]
+ *     description: Existing group submissions keep their group; only future submissions use the new membership.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               memberIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       '200':
+ *         description: Group updated.
+ *       '400':
+ *         description: Members not enrolled.
+ *       '404':
+ *         description: Group not found.
+ */
+// 조 이름 및 조원 수정
+router.put('/:groupId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { groupId } = req.params;
+        const { name, memberIds } = req.body;
+
+        const groupCheck = await client.query(
+            `SELECT * FROM ${SCHEMAS.ENROLLMENT}.course_groups WHERE group_id = $1`,
+            [groupId]
+        );
+
+        if (groupCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "조를 찾을 수 없습니다."
+            });
+        }
+
+        const group = groupCheck.rows[0];
+
+        if (memberIds !== undefined) {
+            const notEnrolled = Array.isArray(memberIds)
+                ? await findNotEnrolled(client, group.course_id, memberIds)
+                : [];
+            if (!Array.isArray(memberIds) || notEnrolled.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: "수강 중이 아닌 학생이 포함되어 있습니다.",
+                    data: { notEnrolled }
+                });
+            }
+        }
+
+        await client.query('BEGIN');
+
+        if (name && String(name).trim()) {
+            await client.query(
+                `UPDATE ${SCHEMAS.ENROLLMENT}.course_groups SET name = $1 WHERE group_id = $2`,
+                [String(name).trim(), groupId]
+            );
+        }
+
+        if (memberIds !== undefined) {
+            await setGroupMembers(client, group.group_id, group.course_id, memberIds);
+        }
+
+        await client.query('COMMIT');
+
+        const groups = await getCourseGroups(client, group.course_id);
+
+        res.json({
+            success: true,
+            message: "조 정보가 수정되었습니다.",
+            data: groups.find(g => g.group_id === group.group_id)
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error updating course group:', error);
+        res.status(500).json({
+            success: false,
+            message: error.code === '23505' ? "같은 이름의 조가 이미 있습니다." : "조 수정 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/groups/{groupId}:
+ *   delete:
+ *     summary: Delete a group
+ *     tags: [Admin: Groups]
+ *     description: Submissions already made by the group remain on each member's record.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Group deleted.
+ *       '404':
+ *         description: Group not found.
+ */
+// 조 삭제
+router.delete('/:groupId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(
+            `DELETE FROM ${SCHEMAS.ENROLLMENT}.course_groups WHERE group_id = $1 RETURNING group_id`,
+            [req.params.groupId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "조를 찾을 수 없습니다."
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "조가 삭제되었습니다."
+        });
+    } catch (error) {
+        console.error('Error deleting course group:', error);
+        res.status(500).json({
+            success: false,
+            message: "조 삭제 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
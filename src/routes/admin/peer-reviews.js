@@ -0,0 +1,523 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requireRole } = require('../../middlewares/auth');
+const { masterPool, SCHEMAS } = require('../../config/database');
+const { GRADE_LOCKED_MESSAGE, getGradeLock } = require('../../utils/grade-lock');
+const { getItemRubric } = require('../../utils/rubric');
+const {
+    validatePeerReviewSettings,
+    getPeerReviewSettings,
+    assignPeerReviewers,
+    applyPeerScore
+} = require('../../utils/peer-review');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Admin: Peer Reviews
+ *     description: Peer review settings, reviewer assignment and moderation
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/peer-reviews/items/{itemId}/settings:
+ *   get:
+ *     summary: Get peer review settings of a grade item
+ *     tags: [Admin: Peer Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Peer review settings, or null if the item is not peer reviewed.
+ */
+// 동료 평가 설정 조회
+router.get('/items/:itemId/settings', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const settings = await getPeerReviewSettings(client, req.params.itemId);
+
+        res.json({
+            success: true,
+            data: settings
+        });
+    } catch (error) {
+        console.error('Error fetching peer review settings:', error);
+        res.status(500).json({
+            success: false,
+            message: "동료 평가 설정 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/peer-reviews/items/{itemId}/settings:
+ *   put:
+ *     summary: Enable peer review on a grade item or update its settings
+ *     tags: [Admin: Peer Reviews]
+ *     description: Reviewers score submissions with the rubric of the grade item, so a rubric must exist before reviewers are assigned.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reviews_per_submission:
+ *                 type: integer
+ *               review_due_date:
+ *                 type: string
+ *                 format: date-time
+ *               requires_moderation:
+ *                 type: boolean
+ *                 description: When true, peer scores only count after an instructor moderates them.
+ *     responses:
+ *       '200':
+ *         description: Settings saved.
+ *       '400':
+ *         description: Invalid settings.
+ *       '404':
+ *         description: Grade item not found.
+ */
+// 동료 평가 설정 저장
+router.put('/items/:itemId/settings', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { itemId } = req.params;
+        const { reviews_per_submission = 3, review_due_date = null, requires_moderation = false } = req.body;
+
+        const errors = validatePeerReviewSettings({ reviews_per_submission, review_due_date });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "유효하지 않은 동료 평가 설정입니다.",
+                errors
+            });
+        }
+
+        const itemCheck = await client.query(
+            `SELECT item_id FROM ${SCHEMAS.GRADE}.grade_items WHERE item_id = $1`,
+            [itemId]
+        );
+
+        if (itemCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "평가 항목을 찾을 수 없습니다."
+            });
+        }
+
+        const result = await client.query(
+            `INSERT INTO ${SCHEMAS.GRADE}.peer_review_settings
+            (item_id, reviews_per_submission, review_due_date, requires_moderation, updated_by)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (item_id)
+            DO UPDATE SET
+                reviews_per_submission = EXCLUDED.reviews_per_submission,
+                review_due_date = EXCLUDED.review_due_date,
+                requires_moderation = EXCLUDED.requires_moderation,
+                updated_by = EXCLUDED.updated_by,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *`,
+            [itemId, reviews_per_submission, review_due_date, requires_moderation, req.user.sub]
+        );
+
+        res.json({
+            success: true,
+            message: "동료 평가 설정이 저장되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error saving peer review settings:', error);
+        res.status(500).json({
+            success: false,
+            message: "동료 평가 설정 저장 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/peer-reviews/items/{itemId}/assign:
+ *   post:
+ *     summary: Assign reviewers to submissions after the deadline
+ *     tags: [Admin: Peer Reviews]
+ *     description: |
+ *       Each submission is assigned to reviews_per_submission other actively enrolled students,
+ *       spreading the load evenly. Assignment runs once per item.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '201':
+ *         description: Reviewers assigned.
+ *       '400':
+ *         description: Deadline not passed, no rubric, or not enough students.
+ *       '404':
+ *         description: Item is not peer reviewed.
+ *       '409':
+ *         description: Reviewers were already assigned.
+ */
+// 마감 후 평가자 배정
+router.post('/items/:itemId/assign', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { itemId } = req.params;
+
+        await client.query('BEGIN');
+
+        const settingsResult = await client.query(
+            `SELECT prs.*, gi.course_id, gi.due_date
+            FROM ${SCHEMAS.GRADE}.peer_review_settings prs
+            JOIN ${SCHEMAS.GRADE}.grade_items gi ON prs.item_id = gi.item_id
+            WHERE prs.item_id = $1
+            FOR UPDATE OF prs`,
+            [itemId]
+        );
+
+        if (settingsResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: "동료 평가가 설정되지 않은 평가 항목입니다."
+            });
+        }
+
+        const settings = settingsResult.rows[0];
+
+        if (settings.assigned_at) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                message: "이미 평가자가 배정되었습니다."
+            });
+        }
+
+        if (settings.due_date && new Date() <= new Date(settings.due_date)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: "제출 마감 이후에 평가자를 배정할 수 있습니다."
+            });
+        }
+
+        const rubric = await getItemRubric(client, itemId);
+        if (!rubric) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: "동료 평가에 사용할 루브릭을 먼저 등록해주세요."
+            });
+        }
+
+        const submissions = await client.query(
+            `SELECT sg.grade_id AS "gradeId", e.student_id AS "authorId"
+            FROM ${SCHEMAS.GRADE}.student_grades sg
+            JOIN ${SCHEMAS.ENROLLMENT}.enrollments e ON sg.enrollment_id = e.id
+            WHERE sg.item_id::text = $1::text AND sg.submission_date IS NOT NULL AND e.status = 'ACTIVE'`,
+            [itemId]
+        );
+
+        const students = await client.query(
+            `SELECT student_id
+            FROM ${SCHEMAS.ENROLLMENT}.enrollments
+            WHERE course_id = $1 AND status = 'ACTIVE'`,
+            [settings.course_id]
+        );
+
+        if (submissions.rows.length === 0 || students.rows.length < 2) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: "평가자를 배정할 제출물 또는 수강생이 부족합니다."
+            });
+        }
+
+        const assignments = assignPeerReviewers(
+            submissions.rows,
+            students.rows.map(row => row.student_id),
+            settings.reviews_per_submission
+        );
+
+        for (const { gradeId, reviewerId } of assignments) {
+            await client.query(
+                `INSERT INTO ${SCHEMAS.GRADE}.peer_reviews (item_id, grade_id, reviewer_id)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (grade_id, reviewer_id) DO NOTHING`,
+                [itemId, gradeId, reviewerId]
+            );
+        }
+
+        await client.query(
+            `UPDATE ${SCHEMAS.GRADE}.peer_review_settings
+            SET assigned_at = CURRENT_TIMESTAMP,
+                assigned_by = $1
+            WHERE item_id = $2`,
+            [req.user.sub, itemId]
+        );
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            success: true,
+            message: "평가자가 배정되었습니다.",
+            data: {
+                submission_count: submissions.rows.length,
+                review_count: assignments.length
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error assigning peer reviewers:', error);
+        res.status(500).json({
+            success: false,
+            message: "평가자 배정 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/peer-reviews/items/{itemId}/reviews:
+ *   get:
+ *     summary: List peer reviews of a grade item by submission
+ *     tags: [Admin: Peer Reviews]
+ *     description: Instructors see the identities of authors and reviewers.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Submissions with their peer score, moderation state and reviews.
+ */
+// 제출물별 동료 평가 현황 조회
+router.get('/items/:itemId/reviews', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { itemId } = req.params;
+
+        const result = await client.query(
+            `SELECT
+                sg.grade_id,
+                e.student_id,
+                u.name AS student_name,
+                sg.score,
+                sg.raw_score,
+                sg.peer_score,
+                sg.peer_moderated_by,
+                sg.peer_moderated_at,
+                COALESCE(
+                    json_agg(
+                        json_build_object(
+                            'review_id', pr.review_id,
+                            'reviewer_id', pr.reviewer_id,
+                            'reviewer_name', ru.name,
+                            'status', pr.status,
+                            'score', pr.score,
+                            'comments', pr.comments,
+                            'rubric_selections', pr.rubric_selections,
+                            'submitted_at', pr.submitted_at
+                        ) ORDER BY pr.review_id
+                    ) FILTER (WHERE pr.review_id IS NOT NULL),
+                    '[]'
+                ) AS reviews
+            FROM ${SCHEMAS.GRADE}.student_grades sg
+            JOIN ${SCHEMAS.ENROLLMENT}.enrollments e ON sg.enrollment_id = e.id
+            JOIN ${SCHEMAS.AUTH}.users u ON e.student_id = u.cognito_user_id
+            LEFT JOIN ${SCHEMAS.GRADE}.peer_reviews pr ON pr.grade_id = sg.grade_id
+            LEFT JOIN ${SCHEMAS.AUTH}.users ru ON pr.reviewer_id = ru.cognito_user_id
+            WHERE sg.item_id::text = $1::text AND sg.submission_date IS NOT NULL
+            GROUP BY sg.grade_id, e.student_id, u.name
+            ORDER BY u.name ASC`,
+            [itemId]
+        );
+
+        const settings = await getPeerReviewSettings(client, itemId);
+
+        res.json({
+            success: true,
+            data: {
+                settings,
+                submissions: result.rows
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching peer reviews:', error);
+        res.status(500).json({
+            success: false,
+            message: "동료 평가 현황 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/peer-reviews/submissions/{gradeId}/moderate:
+ *   put:
+ *     summary: Moderate the peer score of a submission
+ *     tags: [Admin: Peer Reviews]
+ *     description: Applies the aggregated peer score, or an instructor-adjusted score, to the grade. The submission's late penalty is deducted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gradeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               score:
+ *                 type: number
+ *                 description: Adjusted score. Defaults to the aggregated peer score.
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Score applied.
+ *       '400':
+ *         description: Invalid score or no submitted peer reviews.
+ *       '404':
+ *         description: Submission not found.
+ *       '423':
+ *         description: Course grades are locked.
+ */
+// 동료 평가 점수 조정(승인) 후 성적 반영
+router.put('/submissions/:gradeId/moderate', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { gradeId } = req.params;
+        const { score, reason = '' } = req.body;
+
+        await client.query('BEGIN');
+
+        const submissionResult = await client.query(
+            `SELECT sg.grade_id, sg.peer_score, sg.late_penalty_percent, gi.course_id, e.student_id
+            FROM ${SCHEMAS.GRADE}.student_grades sg
+            JOIN ${SCHEMAS.GRADE}.grade_items gi ON sg.item_id = gi.item_id
+            JOIN ${SCHEMAS.ENROLLMENT}.enrollments e ON sg.enrollment_id = e.id
+            JOIN ${SCHEMAS.GRADE}.peer_review_settings prs ON prs.item_id = gi.item_id
+            WHERE sg.grade_id = $1
+            FOR UPDATE OF sg`,
+            [gradeId]
+        );
+
+        if (submissionResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: "동료 평가 제출물을 찾을 수 없습니다."
+            });
+        }
+
+        const submission = submissionResult.rows[0];
+        const moderatedScore = score !== undefined && score !== null ? Number(score) : submission.peer_score;
+
+        if (moderatedScore === null) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: "제출된 동료 평가가 없습니다. 점수를 직접 입력해주세요."
+            });
+        }
+
+        if (isNaN(Number(moderatedScore)) || Number(moderatedScore) < 0 || Number(moderatedScore) > 100) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: "점수는 0에서 100 사이여야 합니다."
+            });
+        }
+
+        const gradeLock = await getGradeLock(client, submission.course_id);
+        if (gradeLock.is_locked) {
+            await client.query('ROLLBACK');
+            return res.status(423).json({
+                success: false,
+                message: GRADE_LOCKED_MESSAGE,
+                data: { grade_lock: gradeLock }
+            });
+        }
+
+        const finalScore = await applyPeerScore(
+            client,
+            submission,
+            Number(moderatedScore),
+            req.user.sub,
+            `동료 평가 조정${reason ? `: ${reason}` : ''}`
+        );
+
+        await client.query(
+            `UPDATE ${SCHEMAS.GRADE}.student_grades
+            SET peer_moderated_by = $1,
+                peer_moderated_at = CURRENT_TIMESTAMP
+            WHERE grade_id = $2`,
+            [req.user.sub, gradeId]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "동료 평가 점수가 성적에 반영되었습니다.",
+            data: {
+                grade_id: submission.grade_id,
+                peer_score: submission.peer_score,
+                raw_score: Number(moderatedScore),
+                score: finalScore
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error moderating peer score:', error);
+        res.status(500).json({
+            success: false,
+            message: "동료 평가 점수 반영 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,576 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requireRole } = require('../../middlewares/auth');
+const { masterPool, SCHEMAS } = require('../../config/database');
+const {
+    validateQuestion,
+    validateQuizSettings,
+    getQuizSettings
+} = require('../../utils/quiz');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Admin: Quizzes
+ *     description: Question banks and quiz settings for server-graded quizzes
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/quizzes/banks/course/{courseId}:
+ *   get:
+ *     summary: List question banks of a course
+ *     tags: [Admin: Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Question banks with active question counts.
+ */
+// 강좌별 문제 은행 목록 조회
+router.get('/banks/course/:courseId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(
+            `SELECT qb.*,
+                COUNT(q.question_id) FILTER (WHERE q.is_active) AS question_count
+            FROM ${SCHEMAS.GRADE}.question_banks qb
+            LEFT JOIN ${SCHEMAS.GRADE}.quiz_questions q ON qb.bank_id = q.bank_id
+            WHERE qb.course_id = $1
+            GROUP BY qb.bank_id
+            ORDER BY qb.created_at ASC`,
+            [req.params.courseId]
+        );
+
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error fetching question banks:', error);
+        res.status(500).json({
+            success: false,
+            message: "문제 은행 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/quizzes/banks:
+ *   post:
+ *     summary: Create a question bank
+ *     tags: [Admin: Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [courseId, name]
+ *             properties:
+ *               courseId:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       '201':
+ *         description: Question bank created.
+ */
+// 문제 은행 생성
+router.post('/banks', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId, name, description = null } = req.body;
+
+        if (!courseId || !name) {
+            return res.status(400).json({
+                success: false,
+                message: "강좌 ID와 문제 은행 이름이 필요합니다."
+            });
+        }
+
+        const result = await client.query(
+            `INSERT INTO ${SCHEMAS.GRADE}.question_banks (course_id, name, description, created_by)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *`,
+            [courseId, name, description, req.user.sub]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: "문제 은행이 생성되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error creating question bank:', error);
+        res.status(500).json({
+            success: false,
+            message: "문제 은행 생성 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/quizzes/banks/{bankId}/questions:
+ *   get:
+ *     summary: List questions in a bank, including answer keys
+ *     tags: [Admin: Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bankId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Active questions in the bank.
+ */
+// 문제 은행 문항 목록 조회 (정답 포함)
+router.get('/banks/:bankId/questions', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(
+            `SELECT *
+            FROM ${SCHEMAS.GRADE}.quiz_questions
+            WHERE bank_id = $1 AND is_active = true
+            ORDER BY question_id ASC`,
+            [req.params.bankId]
+        );
+
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error fetching quiz questions:', error);
+        res.status(500).json({
+            success: false,
+            message: "문항 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/quizzes/banks/{bankId}/questions:
+ *   post:
+ *     summary: Add a question to a bank
+ *     tags: [Admin: Quizzes]
+ *     description: |
+ *       Answer format depends on question_type:
+ *       MULTIPLE_CHOICE `{ choiceKey }`, MULTI_SELECT `{ choiceKeys }`,
+ *       SHORT_ANSWER `{ accepted, caseSensitive }`, NUMERIC `{ value, tolerance }`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bankId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [question_type, prompt, answer]
+ *             properties:
+ *               question_type:
+ *                 type: string
+ *                 enum: [MULTIPLE_CHOICE, MULTI_SELECT, SHORT_ANSWER, NUMERIC]
+ *               prompt:
+ *                 type: string
+ *               choices:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     text:
+ *                       type: string
+ *               answer:
+ *                 type: object
+ *               points:
+ *                 type: number
+ *     responses:
+ *       '201':
+ *         description: Question added.
+ *       '400':
+ *         description: Invalid question.
+ */
+// 문항 추가
+router.post('/banks/:bankId/questions', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { bankId } = req.params;
+        const { question_type, prompt, choices = [], answer, points = 1 } = req.body;
+
+        const errors = validateQuestion({ question_type, prompt, choices, answer, points });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "유효하지 않은 문항입니다.",
+                errors
+            });
+        }
+
+        const bankCheck = await client.query(
+            `SELECT bank_id FROM ${SCHEMAS.GRADE}.question_banks WHERE bank_id = $1`,
+            [bankId]
+        );
+
+        if (bankCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "문제 은행을 찾을 수 없습니다."
+            });
+        }
+
+        const result = await client.query(
+            `INSERT INTO ${SCHEMAS.GRADE}.quiz_questions
+            (bank_id, question_type, prompt, choices, answer, points)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *`,
+            [bankId, question_type, prompt, JSON.stringify(choices), JSON.stringify(answer), points]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: "문항이 추가되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error adding quiz question:', error);
+        res.status(500).json({
+            success: false,
+            message: "문항 추가 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/quizzes/questions/{questionId}:
+ *   put:
+ *     summary: Update a question
+ *     tags: [Admin: Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Question updated. Attempts in progress are graded against the updated answer key.
+ */
+// 문항 수정 (진행 중인 응시는 수정된 정답으로 채점됨)
+router.put('/questions/:questionId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { questionId } = req.params;
+
+        const current = await client.query(
+            `SELECT * FROM ${SCHEMAS.GRADE}.quiz_questions WHERE question_id = $1 AND is_active = true`,
+            [questionId]
+        );
+
+        if (current.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "문항을 찾을 수 없습니다."
+            });
+        }
+
+        const merged = { ...current.rows[0], ...req.body };
+        const errors = validateQuestion(merged);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "유효하지 않은 문항입니다.",
+                errors
+            });
+        }
+
+        const result = await client.query(
+            `UPDATE ${SCHEMAS.GRADE}.quiz_questions
+            SET question_type = $1,
+                prompt = $2,
+                choices = $3,
+                answer = $4,
+                points = $5,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE question_id = $6
+            RETURNING *`,
+            [
+                merged.question_type, merged.prompt, JSON.stringify(merged.choices || []),
+                JSON.stringify(merged.answer), merged.points, questionId
+            ]
+        );
+
+        res.json({
+            success: true,
+            message: "문항이 수정되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error updating quiz question:', error);
+        res.status(500).json({
+            success: false,
+            message: "문항 수정 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/quizzes/questions/{questionId}:
+ *   delete:
+ *     summary: Retire a question from its bank
+ *     tags: [Admin: Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Question is no longer drawn. Past attempts keep referencing it.
+ */
+// 문항 삭제 (기존 응시 기록 보존을 위해 출제 대상에서만 제외)
+router.delete('/questions/:questionId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(
+            `UPDATE ${SCHEMAS.GRADE}.quiz_questions
+            SET is_active = false,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE question_id = $1 AND is_active = true
+            RETURNING question_id`,
+            [req.params.questionId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "문항을 찾을 수 없습니다."
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "문항이 삭제되었습니다."
+        });
+    } catch (error) {
+        console.error('Error deleting quiz question:', error);
+        res.status(500).json({
+            success: false,
+            message: "문항 삭제 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/quizzes/items/{itemId}/settings:
+ *   get:
+ *     summary: Get quiz settings of a QUIZ grade item
+ *     tags: [Admin: Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Quiz settings, or null if not configured.
+ */
+// 퀴즈 출제 설정 조회
+router.get('/items/:itemId/settings', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const settings = await getQuizSettings(client, req.params.itemId);
+
+        res.json({
+            success: true,
+            data: settings
+        });
+    } catch (error) {
+        console.error('Error fetching quiz settings:', error);
+        res.status(500).json({
+            success: false,
+            message: "퀴즈 설정 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/quizzes/items/{itemId}/settings:
+ *   put:
+ *     summary: Configure a QUIZ grade item
+ *     tags: [Admin: Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [bank_id]
+ *             properties:
+ *               bank_id:
+ *                 type: integer
+ *               question_count:
+ *                 type: integer
+ *                 nullable: true
+ *               shuffle_questions:
+ *                 type: boolean
+ *               shuffle_choices:
+ *                 type: boolean
+ *               time_limit_minutes:
+ *                 type: integer
+ *                 nullable: true
+ *               max_attempts:
+ *                 type: integer
+ *               scoring_method:
+ *                 type: string
+ *                 enum: [HIGHEST, LATEST]
+ *     responses:
+ *       '200':
+ *         description: Quiz settings saved.
+ */
+// 퀴즈 출제 설정 저장
+router.put('/items/:itemId/settings', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { itemId } = req.params;
+        const {
+            bank_id,
+            question_count = null,
+            shuffle_questions = true,
+            shuffle_choices = true,
+            time_limit_minutes = null,
+            max_attempts = 1,
+            scoring_method = 'HIGHEST'
+        } = req.body;
+        const settings = { bank_id, question_count, shuffle_questions, shuffle_choices, time_limit_minutes, max_attempts, scoring_method };
+
+        const errors = validateQuizSettings(settings);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "유효하지 않은 퀴즈 설정입니다.",
+                errors
+            });
+        }
+
+        // 문제 은행은 같은 강좌의 QUIZ 항목에만 연결 가능
+        const itemCheck = await client.query(
+            `SELECT gi.item_id
+            FROM ${SCHEMAS.GRADE}.grade_items gi
+            JOIN ${SCHEMAS.GRADE}.question_banks qb ON qb.course_id = gi.course_id
+            WHERE gi.item_id = $1 AND gi.item_type = 'QUIZ' AND qb.bank_id = $2`,
+            [itemId, bank_id]
+        );
+
+        if (itemCheck.rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "같은 강좌의 퀴즈 항목과 문제 은행만 연결할 수 있습니다."
+            });
+        }
+
+        const result = await client.query(
+            `INSERT INTO ${SCHEMAS.GRADE}.quiz_settings
+            (item_id, bank_id, question_count, shuffle_questions, shuffle_choices,
+             time_limit_minutes, max_attempts, scoring_method, updated_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            ON CONFLICT (item_id)
+            DO UPDATE SET
+                bank_id = EXCLUDED.bank_id,
+                question_count = EXCLUDED.question_count,
+                shuffle_questions = EXCLUDED.shuffle_questions,
+                shuffle_choices = EXCLUDED.shuffle_choices,
+                time_limit_minutes = EXCLUDED.time_limit_minutes,
+                max_attempts = EXCLUDED.max_attempts,
+                scoring_method = EXCLUDED.scoring_method,
+                updated_by = EXCLUDED.updated_by,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *`,
+            [
+                itemId, bank_id, question_count, shuffle_questions, shuffle_choices,
+                time_limit_minutes, max_attempts, scoring_method, req.user.sub
+            ]
+        );
+
+        res.json({
+            success: true,
+            message: "퀴즈 설정이 저장되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error saving quiz settings:', error);
+        res.status(500).json({
+            success: false,
+            message: "퀴즈 설정 저장 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
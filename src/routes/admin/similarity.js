@@ -0,0 +1,317 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requireRole } = require('../../middlewares/auth');
+const { masterPool, SCHEMAS } = require('../../config/database');
+const {
+    REPORT_STATUS,
+    validateSimilarityOptions,
+    normalizeSimilarityOptions
+} = require('../../utils/similarity');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Admin: Similarity
+ *     description: Plagiarism and similarity reports for text and code submissions
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/similarity/items/{itemId}/reports:
+ *   post:
+ *     summary: Start a similarity check over all submissions of a grade item
+ *     tags: [Admin: Similarity]
+ *     description: The check is queued and run by the similarity worker (scripts/run-similarity-reports.js), not by the API server. Poll the report until its status is COMPLETED or FAILED.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               textShingleSize:
+ *                 type: integer
+ *                 description: Number of consecutive words per fingerprint (default 5)
+ *               codeShingleSize:
+ *                 type: integer
+ *                 description: Number of consecutive code tokens per fingerprint (default 12)
+ *               commonThreshold:
+ *                 type: number
+ *                 description: Ignore fingerprints shared by at least this ratio of submissions, e.g. starter code (default 0.5)
+ *               minSimilarity:
+ *                 type: number
+ *                 description: Only store pairs at or above this similarity percentage (default 20)
+ *     responses:
+ *       '202':
+ *         description: Report queued.
+ *       '404':
+ *         description: Grade item not found.
+ *       '409':
+ *         description: A check for this item is already running.
+ */
+// 유사도 검사 실행 요청
+router.post('/items/:itemId/reports', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { itemId } = req.params;
+        const options = req.body || {};
+
+        const errors = validateSimilarityOptions(options);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "검사 옵션이 올바르지 않습니다.",
+                errors
+            });
+        }
+
+        const itemResult = await client.query(`
+            SELECT item_id FROM ${SCHEMAS.GRADE}.grade_items WHERE item_id = $1
+        `, [itemId]);
+
+        if (itemResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "평가 항목을 찾을 수 없습니다."
+            });
+        }
+
+        const activeResult = await client.query(`
+            SELECT report_id FROM ${SCHEMAS.GRADE}.similarity_reports
+            WHERE item_id = $1
+            AND (status = $2 OR (status = $3 AND started_at > NOW() - INTERVAL '1 hour'))
+        `, [itemId, REPORT_STATUS.PENDING, REPORT_STATUS.RUNNING]);
+
+        if (activeResult.rows.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: "이미 진행 중인 유사도 검사가 있습니다.",
+                data: { report_id: activeResult.rows[0].report_id }
+            });
+        }
+
+        const { maxFileBytes, ...storedOptions } = normalizeSimilarityOptions(options);
+        const result = await client.query(`
+            INSERT INTO ${SCHEMAS.GRADE}.similarity_reports (item_id, status, options, requested_by)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *
+        `, [itemId, REPORT_STATUS.PENDING, JSON.stringify(storedOptions), req.user.sub]);
+
+        res.status(202).json({
+            success: true,
+            message: "유사도 검사가 대기열에 등록되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error starting similarity report:', error);
+        res.status(500).json({
+            success: false,
+            message: "유사도 검사 요청 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/similarity/items/{itemId}/reports:
+ *   get:
+ *     summary: List similarity reports of a grade item
+ *     tags: [Admin: Similarity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Reports, newest first.
+ */
+// 평가 항목의 유사도 검사 보고서 목록
+router.get('/items/:itemId/reports', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(`
+            SELECT r.*, u.name AS requested_by_name,
+                (SELECT MAX(p.similarity) FROM ${SCHEMAS.GRADE}.similarity_pairs p WHERE p.report_id = r.report_id) AS max_similarity
+            FROM ${SCHEMAS.GRADE}.similarity_reports r
+            LEFT JOIN ${SCHEMAS.AUTH}.users u ON r.requested_by = u.cognito_user_id
+            WHERE r.item_id = $1
+            ORDER BY r.created_at DESC
+        `, [req.params.itemId]);
+
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error fetching similarity reports:', error);
+        res.status(500).json({
+            success: false,
+            message: "유사도 검사 보고서 목록 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/similarity/reports/{reportId}:
+ *   get:
+ *     summary: Get a similarity report with its submission pairs
+ *     tags: [Admin: Similarity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: gradeId
+ *         description: Only pairs that include this submission
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Report and pairs ordered by similarity, without matched regions.
+ *       '404':
+ *         description: Report not found.
+ */
+// 유사도 검사 보고서 조회 (제출물 쌍 목록)
+router.get('/reports/:reportId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { reportId } = req.params;
+        const { gradeId = null } = req.query;
+
+        const reportResult = await client.query(`
+            SELECT r.*, gi.item_name, gi.course_id
+            FROM ${SCHEMAS.GRADE}.similarity_reports r
+            JOIN ${SCHEMAS.GRADE}.grade_items gi ON r.item_id = gi.item_id
+            WHERE r.report_id = $1
+        `, [reportId]);
+
+        if (reportResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "유사도 검사 보고서를 찾을 수 없습니다."
+            });
+        }
+
+        const pairsResult = await client.query(`
+            SELECT
+                p.pair_id, p.similarity, p.overlap, jsonb_array_length(p.matches) AS match_count,
+                p.grade_id_a, ua.cognito_user_id AS student_id_a, ua.name AS student_name_a, sga.group_id AS group_id_a,
+                p.grade_id_b, ub.cognito_user_id AS student_id_b, ub.name AS student_name_b, sgb.group_id AS group_id_b
+            FROM ${SCHEMAS.GRADE}.similarity_pairs p
+            JOIN ${SCHEMAS.GRADE}.student_grades sga ON p.grade_id_a = sga.grade_id
+            JOIN ${SCHEMAS.ENROLLMENT}.enrollments ea ON sga.enrollment_id = ea.id
+            JOIN ${SCHEMAS.AUTH}.users ua ON ea.student_id = ua.cognito_user_id
+            JOIN ${SCHEMAS.GRADE}.student_grades sgb ON p.grade_id_b = sgb.grade_id
+            JOIN ${SCHEMAS.ENROLLMENT}.enrollments eb ON sgb.enrollment_id = eb.id
+            JOIN ${SCHEMAS.AUTH}.users ub ON eb.student_id = ub.cognito_user_id
+            WHERE p.report_id = $1
+            AND ($2::integer IS NULL OR p.grade_id_a = $2 OR p.grade_id_b = $2)
+            ORDER BY p.similarity DESC, p.pair_id ASC
+        `, [reportId, gradeId]);
+
+        res.json({
+            success: true,
+            data: {
+                report: reportResult.rows[0],
+                pairs: pairsResult.rows
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching similarity report:', error);
+        res.status(500).json({
+            success: false,
+            message: "유사도 검사 보고서 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/similarity/pairs/{pairId}:
+ *   get:
+ *     summary: Get matched regions of a submission pair
+ *     tags: [Admin: Similarity]
+ *     description: Each match has character ranges in both files and the matched text, for side-by-side highlighting.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: pairId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Pair with matched regions.
+ *       '404':
+ *         description: Pair not found.
+ */
+// 제출물 쌍의 일치 구간 조회
+router.get('/pairs/:pairId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(`
+            SELECT
+                p.*, r.item_id,
+                ua.name AS student_name_a, sga.submission_data AS submission_data_a,
+                ub.name AS student_name_b, sgb.submission_data AS submission_data_b
+            FROM ${SCHEMAS.GRADE}.similarity_pairs p
+            JOIN ${SCHEMAS.GRADE}.similarity_reports r ON p.report_id = r.report_id
+            JOIN ${SCHEMAS.GRADE}.student_grades sga ON p.grade_id_a = sga.grade_id
+            JOIN ${SCHEMAS.ENROLLMENT}.enrollments ea ON sga.enrollment_id = ea.id
+            JOIN ${SCHEMAS.AUTH}.users ua ON ea.student_id = ua.cognito_user_id
+            JOIN ${SCHEMAS.GRADE}.student_grades sgb ON p.grade_id_b = sgb.grade_id
+            JOIN ${SCHEMAS.ENROLLMENT}.enrollments eb ON sgb.enrollment_id = eb.id
+            JOIN ${SCHEMAS.AUTH}.users ub ON eb.student_id = ub.cognito_user_id
+            WHERE p.pair_id = $1
+        `, [req.params.pairId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "비교 결과를 찾을 수 없습니다."
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error fetching similarity pair:', error);
+        res.status(500).json({
+            success: false,
+            message: "비교 결과 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
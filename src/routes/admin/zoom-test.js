@@ -1,34 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const { masterPool, SCHEMAS } = require('../../config/database');
-
-// Zoom API 설정
-const ZOOM_ACCOUNT_ID = process.env.ZOOM_ACCOUNT_ID;
-const ZOOM_CLIENT_ID = process.env.ZOOM_CLIENT_ID;
-const ZOOM_CLIENT_SECRET = process.env.ZOOM_CLIENT_SECRET;
-
-// Zoom API 토큰 발급 함수
-async function getZoomToken() {
-    try {
-        const authHeader = Buffer.from(`${ZOOM_CLIENT_ID}:${ZOOM_CLIENT_SECRET}`).toString('base64');
-        const response = await axios.post('https://zoom.us/oauth/token', 
-            'grant_type=account_credentials&account_id=' + ZOOM_ACCOUNT_ID,
-            {
-                headers: {
-                    'Authorization': `Basic ${authHeader}`,
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
-            }
-        );
-        
-        return response.data.access_token;
-    } catch (error) {
-        console.error('Zoom 토큰 발급 오류:', error.response?.data || error.message);
-        throw new Error('Zoom API 토큰 발급에 실패했습니다.');
-    }
-}
+const { zoomClient } = require('../../services/zoom-client');
 
 // 테스트용 강의 생성 API
 router.post('/create-lecture', async (req, res) => {
@@ -39,37 +13,25 @@ router.post('/create-lecture', async (req, res) => {
             courseId = null
         } = req.body;
 
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-
         // 현재 시간 기준으로 미팅 시작 시간 설정
         const startTime = new Date();
         startTime.setMinutes(startTime.getMinutes() + 5); // 5분 후 시작
 
         // Zoom 미팅 생성 요청
-        const zoomResponse = await axios.post(
-            'https://api.zoom.us/v2/users/me/meetings',
-            {
-                topic,
-                type: 2, // 예약된 미팅
-                start_time: startTime.toISOString(),
-                duration,
-                timezone: 'Asia/Seoul',
-                settings: {
-                    host_video: true,
-                    participant_video: true,
-                    join_before_host: true,
-                    mute_upon_entry: true,
-                    waiting_room: false
-                }
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
+        const zoomResponse = await zoomClient.post('/users/me/meetings', {
+            topic,
+            type: 2, // 예약된 미팅
+            start_time: startTime.toISOString(),
+            duration,
+            timezone: 'Asia/Seoul',
+            settings: {
+                host_video: true,
+                participant_video: true,
+                join_before_host: true,
+                mute_upon_entry: true,
+                waiting_room: false
             }
-        );
+        });
 
         // DB에 미팅 정보 저장 (courseId가 제공된 경우)
         let dbResult = null;
@@ -128,18 +90,8 @@ router.get('/participants/:meetingId', async (req, res) => {
     try {
         const { meetingId } = req.params;
         
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-
         // Zoom API에서 참가자 정보 조회
-        const zoomResponse = await axios.get(
-            `https://api.zoom.us/v2/past_meetings/${meetingId}/participants`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            }
-        );
+        const zoomResponse = await zoomClient.get(`/past_meetings/${meetingId}/participants`);
 
         res.json({
             success: true,
@@ -160,9 +112,6 @@ router.get('/live-participants/:meetingId', async (req, res) => {
     try {
         const { meetingId } = req.params;
         
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-        
         // 여러 API 엔드포인트를 시도하여 참가자 정보 수집
         let participantsData = null;
         let errorMessages = [];
@@ -170,18 +119,12 @@ router.get('/live-participants/:meetingId', async (req, res) => {
         // 1. 첫 번째 시도: 실시간 미팅 참가자 조회 (Dashboard API)
         try {
             console.log('시도 1: Dashboard API를 통한 실시간 참가자 조회');
-            const dashboardResponse = await axios.get(
-                `https://api.zoom.us/v2/metrics/meetings/${meetingId}/participants`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
-                    params: {
-                        page_size: 100,
-                        type: 'live'
-                    }
+            const dashboardResponse = await zoomClient.get(`/metrics/meetings/${meetingId}/participants`, {
+                params: {
+                    page_size: 100,
+                    type: 'live'
                 }
-            );
+            });
             
             participantsData = dashboardResponse.data;
             console.log('Dashboard API 성공:', JSON.stringify(participantsData, null, 2));
@@ -207,17 +150,11 @@ router.get('/live-participants/:meetingId', async (req, res) => {
         // 2. 두 번째 시도: 미팅 참가자 조회 (일반 API)
         try {
             console.log('시도 2: 일반 API를 통한 미팅 참가자 조회');
-            const meetingResponse = await axios.get(
-                `https://api.zoom.us/v2/meetings/${meetingId}/participants`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
-                    params: {
-                        page_size: 100
-                    }
+            const meetingResponse = await zoomClient.get(`/meetings/${meetingId}/participants`, {
+                params: {
+                    page_size: 100
                 }
-            );
+            });
             
             participantsData = meetingResponse.data;
             console.log('일반 API 성공:', JSON.stringify(participantsData, null, 2));
@@ -243,17 +180,11 @@ router.get('/live-participants/:meetingId', async (req, res) => {
         // 3. 세 번째 시도: 웨비나 참가자 조회 (웨비나 API)
         try {
             console.log('시도 3: 웨비나 API를 통한 참가자 조회');
-            const webinarResponse = await axios.get(
-                `https://api.zoom.us/v2/webinars/${meetingId}/participants`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
-                    params: {
-                        page_size: 100
-                    }
+            const webinarResponse = await zoomClient.get(`/webinars/${meetingId}/participants`, {
+                params: {
+                    page_size: 100
                 }
-            );
+            });
             
             participantsData = webinarResponse.data;
             console.log('웨비나 API 성공:', JSON.stringify(participantsData, null, 2));
@@ -279,17 +210,11 @@ router.get('/live-participants/:meetingId', async (req, res) => {
         // 4. 네 번째 시도: 과거 미팅 참가자 조회 (Report API)
         try {
             console.log('시도 4: Report API를 통한 과거 미팅 참가자 조회');
-            const reportResponse = await axios.get(
-                `https://api.zoom.us/v2/report/meetings/${meetingId}/participants`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
-                    params: {
-                        page_size: 100
-                    }
+            const reportResponse = await zoomClient.get(`/report/meetings/${meetingId}/participants`, {
+                params: {
+                    page_size: 100
                 }
-            );
+            });
             
             participantsData = reportResponse.data;
             console.log('Report API 성공:', JSON.stringify(participantsData, null, 2));
@@ -315,17 +240,11 @@ router.get('/live-participants/:meetingId', async (req, res) => {
         // 5. 다섯 번째 시도: 과거 미팅 참가자 조회 (Past Meeting API)
         try {
             console.log('시도 5: Past Meeting API를 통한 과거 미팅 참가자 조회');
-            const pastMeetingResponse = await axios.get(
-                `https://api.zoom.us/v2/past_meetings/${meetingId}/participants`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
-                    params: {
-                        page_size: 100
-                    }
+            const pastMeetingResponse = await zoomClient.get(`/past_meetings/${meetingId}/participants`, {
+                params: {
+                    page_size: 100
                 }
-            );
+            });
             
             participantsData = pastMeetingResponse.data;
             console.log('Past Meeting API 성공:', JSON.stringify(participantsData, null, 2));
@@ -352,31 +271,18 @@ router.get('/live-participants/:meetingId', async (req, res) => {
         try {
             console.log('시도 6: 미팅 인스턴스 조회 후 참가자 정보 조회');
             // 먼저 미팅 인스턴스 목록 조회
-            const instancesResponse = await axios.get(
-                `https://api.zoom.us/v2/past_meetings/${meetingId}/instances`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    }
-                }
-            );
+            const instancesResponse = await zoomClient.get(`/past_meetings/${meetingId}/instances`);
             
             console.log('미팅 인스턴스 조회 성공:', JSON.stringify(instancesResponse.data, null, 2));
             
             // 인스턴스가 있으면 가장 최근 인스턴스의 참가자 정보 조회
             if (instancesResponse.data.meetings && instancesResponse.data.meetings.length > 0) {
                 const latestInstance = instancesResponse.data.meetings[0];
-                const instanceParticipantsResponse = await axios.get(
-                    `https://api.zoom.us/v2/past_meetings/${latestInstance.uuid}/participants`,
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${token}`
-                        },
-                        params: {
-                            page_size: 100
-                        }
+                const instanceParticipantsResponse = await zoomClient.get(`/past_meetings/${latestInstance.uuid}/participants`, {
+                    params: {
+                        page_size: 100
                     }
-                );
+                });
                 
                 participantsData = instanceParticipantsResponse.data;
                 console.log('인스턴스 참가자 조회 성공:', JSON.stringify(participantsData, null, 2));
@@ -403,14 +309,7 @@ router.get('/live-participants/:meetingId', async (req, res) => {
         // 모든 시도가 실패하거나 참가자가 없는 경우
         if (!participantsData || !participantsData.participants || participantsData.participants.length === 0) {
             // 미팅 정보 조회
-            const meetingInfoResponse = await axios.get(
-                `https://api.zoom.us/v2/meetings/${meetingId}`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    }
-                }
-            );
+            const meetingInfoResponse = await zoomClient.get(`/meetings/${meetingId}`);
             
             return res.json({
                 success: true,
@@ -444,34 +343,18 @@ router.get('/live-participants/:meetingId', async (req, res) => {
 // 현재 진행 중인 미팅 목록 조회 API
 router.get('/live-meetings', async (req, res) => {
     try {
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-
         // 현재 사용자의 정보 조회
-        const userResponse = await axios.get(
-            'https://api.zoom.us/v2/users/me',
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            }
-        );
+        const userResponse = await zoomClient.get('/users/me');
         
         const userId = userResponse.data.id;
         
         // 현재 진행 중인 미팅 목록 조회
-        const meetingsResponse = await axios.get(
-            `https://api.zoom.us/v2/users/${userId}/meetings`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                params: {
-                    type: 'live', // 현재 진행 중인 미팅만 조회
-                    page_size: 100
-                }
+        const meetingsResponse = await zoomClient.get(`/users/${userId}/meetings`, {
+            params: {
+                type: 'live', // 현재 진행 중인 미팅만 조회
+                page_size: 100
             }
-        );
+        });
         
         res.json({
             success: true,
@@ -484,30 +367,15 @@ router.get('/live-meetings', async (req, res) => {
         
         // 대체 방법으로 모든 예정된 미팅 조회 시도
         try {
-            const token = await getZoomToken();
-            
-            const userResponse = await axios.get(
-                'https://api.zoom.us/v2/users/me',
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    }
-                }
-            );
+            const userResponse = await zoomClient.get('/users/me');
             
             const userId = userResponse.data.id;
             
-            const allMeetingsResponse = await axios.get(
-                `https://api.zoom.us/v2/users/${userId}/meetings`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
-                    params: {
-                        page_size: 100
-                    }
+            const allMeetingsResponse = await zoomClient.get(`/users/${userId}/meetings`, {
+                params: {
+                    page_size: 100
                 }
-            );
+            });
             
             res.json({
                 success: true,
@@ -532,18 +400,8 @@ router.get('/meeting-status/:meetingId', async (req, res) => {
     try {
         const { meetingId } = req.params;
         
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-
         // 미팅 정보 조회
-        const meetingResponse = await axios.get(
-            `https://api.zoom.us/v2/meetings/${meetingId}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            }
-        );
+        const meetingResponse = await zoomClient.get(`/meetings/${meetingId}`);
         
         // 미팅 상태 확인
         const meetingInfo = meetingResponse.data;
@@ -552,14 +410,7 @@ router.get('/meeting-status/:meetingId', async (req, res) => {
         
         // 미팅 상태 확인 시도
         try {
-            const statusResponse = await axios.get(
-                `https://api.zoom.us/v2/meetings/${meetingId}/status`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    }
-                }
-            );
+            const statusResponse = await zoomClient.get(`/meetings/${meetingId}/status`);
             
             meetingStatus = statusResponse.data.status || "unknown";
         } catch (statusError) {
@@ -568,18 +419,12 @@ router.get('/meeting-status/:meetingId', async (req, res) => {
         
         // 참가자 정보 조회 시도
         try {
-            const participantsResponse = await axios.get(
-                `https://api.zoom.us/v2/metrics/meetings/${meetingId}/participants`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
-                    params: {
-                        page_size: 100,
-                        type: 'live'
-                    }
+            const participantsResponse = await zoomClient.get(`/metrics/meetings/${meetingId}/participants`, {
+                params: {
+                    page_size: 100,
+                    type: 'live'
                 }
-            );
+            });
             
             participantsData = participantsResponse.data;
         } catch (participantsError) {
@@ -587,17 +432,11 @@ router.get('/meeting-status/:meetingId', async (req, res) => {
             
             // 대체 엔드포인트 시도
             try {
-                const alternativeResponse = await axios.get(
-                    `https://api.zoom.us/v2/report/meetings/${meetingId}/participants`,
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${token}`
-                        },
-                        params: {
-                            page_size: 100
-                        }
+                const alternativeResponse = await zoomClient.get(`/report/meetings/${meetingId}/participants`, {
+                    params: {
+                        page_size: 100
                     }
-                );
+                });
                 
                 participantsData = alternativeResponse.data;
             } catch (alternativeError) {
@@ -630,18 +469,8 @@ router.get('/meeting/:meetingId', async (req, res) => {
     try {
         const { meetingId } = req.params;
         
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-
         // Zoom API에서 미팅 정보 조회
-        const zoomResponse = await axios.get(
-            `https://api.zoom.us/v2/meetings/${meetingId}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            }
-        );
+        const zoomResponse = await zoomClient.get(`/meetings/${meetingId}`);
 
         res.json({
             success: true,
@@ -1,69 +1,44 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
-const crypto = require('crypto');
+const os = require('os');
 const { verifyToken, requireRole } = require('../../middlewares/auth');
 const { masterPool, SCHEMAS } = require('../../config/database');
+const { zoomClient, encodeMeetingUuid } = require('../../services/zoom-client');
 const { v4: uuidv4 } = require('uuid');
-const jwt = require('jsonwebtoken');
-
-// Zoom API 설정
-const ZOOM_API_KEY = process.env.ZOOM_API_KEY;
-const ZOOM_API_SECRET = process.env.ZOOM_API_SECRET;
-const ZOOM_ACCOUNT_ID = process.env.ZOOM_ACCOUNT_ID;
-const ZOOM_CLIENT_ID = process.env.ZOOM_CLIENT_ID;
-const ZOOM_CLIENT_SECRET = process.env.ZOOM_CLIENT_SECRET;
+const {
+    resolveCourseMeetingId,
+    processSessionAttendance
+} = require('../../utils/zoom-attendance');
+const { ATTENDANCE_STATUS, getAttendancePolicy, attendanceRateSql } = require('../../utils/attendance-policy');
+const { activeOverrideJoin, effectiveStatusSql } = require('../../utils/attendance-override');
+const { GRADE_LOCKED_MESSAGE } = require('../../utils/grade-lock');
+const {
+    IDENTITY_TYPE,
+    normalizeIdentityValue,
+    participantIdentities,
+    suggestStudents,
+    saveIdentityMappings,
+    getIdentityMappings,
+    findSessionsWithUnmatchedIdentities
+} = require('../../utils/zoom-identity');
+const {
+    EVENT_STATUS,
+    storeWebhookEvent,
+    drainWebhookEvents,
+    replayWebhookEvents,
+    listWebhookEvents
+} = require('../../utils/zoom-webhook-events');
+const { verifyZoomSignature, urlValidationResponse } = require('../../utils/zoom-webhook-signature');
+const { registerEnrollmentWithZoom, cancelEnrollmentZoomRegistration } = require('../../utils/zoom-registrants');
+const {
+    IMPORT_STATUS,
+    registerRecordingFiles,
+    getRecordingImports
+} = require('../../utils/zoom-recordings');
 
 // Zoom Webhook 시크릿 토큰
 const WEBHOOK_SECRET_TOKEN = process.env.ZOOM_WEBHOOK_SECRET_TOKEN;
-const WEBHOOK_VERIFICATION_TOKEN = process.env.ZOOM_WEBHOOK_VERIFICATION_TOKEN;
-
-// Zoom API Token 생성 함수
-function generateZoomJWT() {
-    const payload = {
-        iss: process.env.ZOOM_API_KEY,
-        exp: new Date().getTime() + 5000
-    };
-
-    return jwt.sign(payload, process.env.ZOOM_API_SECRET);
-}
-
-// Zoom API 토큰 발급 함수
-async function getZoomToken() {
-    try {
-        console.log('🔵 Zoom API 토큰 요청 시작...');
-        console.log('  - ZOOM_CLIENT_ID 설정됨:', Boolean(ZOOM_CLIENT_ID));
-        console.log('  - ZOOM_CLIENT_SECRET 설정됨:', Boolean(ZOOM_CLIENT_SECRET));
-        console.log('  - ZOOM_ACCOUNT_ID 설정됨:', Boolean(ZOOM_ACCOUNT_ID));
-        
-        if (!ZOOM_CLIENT_ID || !ZOOM_CLIENT_SECRET || !ZOOM_ACCOUNT_ID) {
-            throw new Error('Zoom API 인증 정보가 제대로 설정되지 않았습니다.');
-        }
-        
-        const authHeader = Buffer.from(`${ZOOM_CLIENT_ID}:${ZOOM_CLIENT_SECRET}`).toString('base64');
-        const response = await axios.post('https://zoom.us/oauth/token', 
-            'grant_type=account_credentials&account_id=' + ZOOM_ACCOUNT_ID,
-            {
-                headers: {
-                    'Authorization': `Basic ${authHeader}`,
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
-            }
-        );
-        
-        console.log('🔵 Zoom API 토큰 발급 성공!');
-        return response.data.access_token;
-    } catch (error) {
-        console.error('❌ Zoom 토큰 발급 오류:');
-        if (error.response) {
-            console.error('  - 상태 코드:', error.response.status);
-            console.error('  - 응답 데이터:', JSON.stringify(error.response.data, null, 2));
-        } else {
-            console.error('  - 오류 메시지:', error.message);
-        }
-        throw new Error('Zoom API 토큰 발급에 실패했습니다: ' + (error.response?.data?.message || error.message));
-    }
-}
+const WEBHOOK_WORKER_ID = `api:${os.hostname()}:${process.pid}`;
 
 /**
  * Zoom 미팅 생성 함수
@@ -84,38 +59,7 @@ async function createZoomMeeting(topic, startTime, duration, recurrence = null,
     console.log('▶ 반복 설정:', JSON.stringify(recurrence, null, 2));
     console.log('▶ 추가 옵션:', JSON.stringify(options, null, 2));
 
-    // 환경 변수 확인
-    console.log('▶ Zoom API 환경 변수 확인:');
-    console.log('  - ZOOM_API_KEY:', Boolean(ZOOM_API_KEY));
-    console.log('  - ZOOM_API_SECRET:', Boolean(ZOOM_API_SECRET));
-    console.log('  - ZOOM_CLIENT_ID:', Boolean(ZOOM_CLIENT_ID));
-    console.log('  - ZOOM_CLIENT_SECRET:', Boolean(ZOOM_CLIENT_SECRET));
-    console.log('  - ZOOM_ACCOUNT_ID:', Boolean(ZOOM_ACCOUNT_ID));
-    
-    // Zoom API 인증 방식 결정
-    let useOAuth = true;
-    let token = null;
-    
     try {
-        if (!ZOOM_API_KEY || !ZOOM_API_SECRET) {
-            console.warn('⚠️ ZOOM_API_KEY 또는 ZOOM_API_SECRET이 없어 OAuth 인증을 사용합니다.');
-            useOAuth = true;
-        }
-        
-        if (useOAuth) {
-            if (!ZOOM_CLIENT_ID || !ZOOM_CLIENT_SECRET || !ZOOM_ACCOUNT_ID) {
-                throw new Error('OAuth에 필요한 ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET, ZOOM_ACCOUNT_ID 중 하나 이상이 설정되지 않았습니다.');
-            }
-            
-            console.log('▶ OAuth 토큰 발급 요청...');
-            token = await getZoomToken();
-            console.log('▶ OAuth 토큰 발급 성공!');
-        } else {
-            console.log('▶ JWT 토큰 생성...');
-            token = generateZoomJWT();
-            console.log('▶ JWT 토큰 생성 완료');
-        }
-        
         // 미팅 생성 설정
         const meetingConfig = {
             topic: topic || '미팅',
@@ -226,18 +170,7 @@ async function createZoomMeeting(topic, startTime, duration, recurrence = null,
 
         // API 요청
         console.log('▶ Zoom API 요청 전송 중...');
-        const authHeader = useOAuth ? `Bearer ${token}` : `Bearer ${token}`;
-        
-        const response = await axios({
-            method: 'post',
-            url: 'https://api.zoom.us/v2/users/me/meetings',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': authHeader
-            },
-            data: meetingConfig,
-            timeout: 30000 // 30초 타임아웃 설정
-        });
+        const response = await zoomClient.post('/users/me/meetings', meetingConfig);
 
         console.log('✅ Zoom API 응답 상태 코드:', response.status);
         const meetingData = response.data;
@@ -252,7 +185,8 @@ async function createZoomMeeting(topic, startTime, duration, recurrence = null,
             password: meetingData.password,
             start_time: meetingData.start_time,
             duration: meetingData.duration,
-            recurrence: meetingData.recurrence
+            recurrence: meetingData.recurrence,
+            occurrences: meetingData.occurrences || []
         };
         
         return result;
@@ -284,7 +218,7 @@ async function createZoomMeeting(topic, startTime, duration, recurrence = null,
             let errorCause = '알 수 없는 오류';
             
             if (error.response.status === 401) {
-                errorCause = '인증 오류 (JWT 토큰이 잘못되었거나 만료됨)';
+                errorCause = '인증 오류 (액세스 토큰이 잘못되었거나 만료됨)';
                 errorDetails.reason = 'authentication_failed';
             } else if (error.response.status === 404) {
                 errorCause = '리소스를 찾을 수 없음';
@@ -332,51 +266,28 @@ async function createZoomMeeting(topic, startTime, duration, recurrence = null,
 }
 
 // 공통 함수: 현재 진행 중인 미팅 목록 조회
-async function getLiveMeetings(token) {
+async function getLiveMeetings() {
     // 현재 사용자의 정보 조회
-    const userResponse = await axios.get(
-        'https://api.zoom.us/v2/users/me',
-        {
-            headers: {
-                'Authorization': `Bearer ${token}`
-            }
-        }
-    );
+    const userResponse = await zoomClient.get('/users/me');
     
     const userId = userResponse.data.id;
     
-    // 현재 진행 중인 미팅 목록 조회
-    const meetingsResponse = await axios.get(
-        `https://api.zoom.us/v2/users/${userId}/meetings`,
-        {
-            headers: {
-                'Authorization': `Bearer ${token}`
-            },
-            params: {
-                type: 'live', // 현재 진행 중인 미팅만 조회
-                page_size: 100
-            }
-        }
-    );
+    // 현재 진행 중인 미팅 목록 조회 (모든 페이지)
+    const meetings = await zoomClient.paginate(`/users/${userId}/meetings`, 'meetings', {
+        type: 'live' // 현재 진행 중인 미팅만 조회
+    });
     
     return {
         userId,
         userInfo: userResponse.data,
-        meetings: meetingsResponse.data
+        meetings
     };
 }
 
 // 공통 함수: 미팅 상태 및 참가자 정보 조회
-async function getMeetingStatusAndParticipants(meetingId, token) {
+async function getMeetingStatusAndParticipants(meetingId) {
     // 미팅 정보 조회
-    const meetingResponse = await axios.get(
-        `https://api.zoom.us/v2/meetings/${meetingId}`,
-        {
-            headers: {
-                'Authorization': `Bearer ${token}`
-            }
-        }
-    );
+    const meetingResponse = await zoomClient.get(`/meetings/${meetingId}`);
     
     // 미팅 상태 확인
     const meetingInfo = meetingResponse.data;
@@ -385,14 +296,7 @@ async function getMeetingStatusAndParticipants(meetingId, token) {
     
     // 미팅 상태 확인 시도
     try {
-        const statusResponse = await axios.get(
-            `https://api.zoom.us/v2/meetings/${meetingId}/status`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            }
-        );
+        const statusResponse = await zoomClient.get(`/meetings/${meetingId}/status`);
         
         meetingStatus = statusResponse.data.status || "unknown";
     } catch (statusError) {
@@ -403,31 +307,31 @@ async function getMeetingStatusAndParticipants(meetingId, token) {
     const participantEndpoints = [
         // 1. 실시간 참가자 (Dashboard API)
         {
-            url: `https://api.zoom.us/v2/metrics/meetings/${meetingId}/participants`,
+            url: `/metrics/meetings/${meetingId}/participants`,
             params: { page_size: 100, type: 'live' },
             name: 'Dashboard API'
         },
         // 2. 미팅 참가자 (Meeting API)
         {
-            url: `https://api.zoom.us/v2/meetings/${meetingId}/participants`,
+            url: `/meetings/${meetingId}/participants`,
             params: { page_size: 100 },
             name: 'Meeting API'
         },
         // 3. 과거 미팅 참가자 (Past Meeting API)
         {
-            url: `https://api.zoom.us/v2/past_meetings/${meetingId}/participants`,
+            url: `/past_meetings/${meetingId}/participants`,
             params: { page_size: 100 },
             name: 'Past Meeting API'
         },
         // 4. 보고서 참가자 (Report API)
         {
-            url: `https://api.zoom.us/v2/report/meetings/${meetingId}/participants`,
+            url: `/report/meetings/${meetingId}/participants`,
             params: { page_size: 100 },
             name: 'Report API'
         },
         // 5. 등록된 참가자 (Registrants API)
         {
-            url: `https://api.zoom.us/v2/meetings/${meetingId}/registrants`,
+            url: `/meetings/${meetingId}/registrants`,
             params: { page_size: 100, status: 'approved' },
             name: 'Registrants API'
         }
@@ -440,15 +344,7 @@ async function getMeetingStatusAndParticipants(meetingId, token) {
         try {
             console.log(`${endpoint.name} 엔드포인트로 참가자 정보 조회 시도...`);
             
-            const response = await axios.get(
-                endpoint.url,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
-                    params: endpoint.params
-                }
-            );
+            const response = await zoomClient.get(endpoint.url, { params: endpoint.params });
             
             // 참가자 데이터 형식 통일
             if (response.data.participants) {
@@ -563,38 +459,32 @@ async function getCourseMeetingInfo(meetingId) {
 }
 
 // Zoom Webhook 시그니처 검증 미들웨어
+// 원본 요청 본문(req.rawBody)으로 서명을 확인하고, 요청 시각이 5분 이상 차이 나면 재전송된 요청으로 보고 거부
 const verifyZoomWebhook = (req, res, next) => {
     try {
-        const timestamp = req.headers['x-zm-request-timestamp'];
-        const signature = req.headers['x-zm-signature'];
-        const token = req.headers['x-zm-verification-token'];
-
-        // 검증 토큰 확인
-        if (token !== WEBHOOK_VERIFICATION_TOKEN) {
-            console.error('Zoom Webhook 검증 토큰이 일치하지 않습니다.');
-            return res.status(401).json({ 
+        if (!WEBHOOK_SECRET_TOKEN || !req.rawBody) {
+            console.error('Zoom Webhook 시크릿 토큰 또는 원본 요청 본문이 없습니다.');
+            return res.status(500).json({ 
                 success: false, 
-                message: '유효하지 않은 검증 토큰' 
+                message: '웹훅 검증을 위한 설정이 올바르지 않습니다.' 
             });
         }
 
-        // 시그니처 검증
-        if (timestamp && signature) {
-            const message = `v0:${timestamp}:${JSON.stringify(req.body)}`;
-            const hashForVerify = crypto.createHmac('sha256', WEBHOOK_SECRET_TOKEN)
-                .update(message)
-                .digest('hex');
-            const computedSignature = `v0=${hashForVerify}`;
+        const verification = verifyZoomSignature({
+            secret: WEBHOOK_SECRET_TOKEN,
+            timestamp: req.headers['x-zm-request-timestamp'],
+            signature: req.headers['x-zm-signature'],
+            rawBody: req.rawBody
+        });
 
-            if (computedSignature === signature) {
-                return next();
-            }
+        if (verification.valid) {
+            return next();
         }
 
-        console.error('Zoom Webhook 시그니처 검증 실패');
+        console.error('Zoom Webhook 시그니처 검증 실패:', verification.reason);
         return res.status(401).json({ 
             success: false, 
-            message: '유효하지 않은 시그니처' 
+            message: verification.reason === 'STALE_TIMESTAMP' ? '요청 시각이 만료되었습니다.' : '유효하지 않은 시그니처' 
         });
     } catch (error) {
         console.error('Webhook 검증 중 오류:', error);
@@ -605,158 +495,67 @@ const verifyZoomWebhook = (req, res, next) => {
     }
 };
 
-// Zoom Webhook 이벤트 처리
+// Zoom Webhook 이벤트 수신
+// 검증된 이벤트를 먼저 저장하고 응답한 뒤 처리 (Zoom 재전송으로 같은 이벤트가 다시 오면 저장하지 않음)
 router.post('/webhook', verifyZoomWebhook, async (req, res) => {
-    try {
-        const event = req.body;
-        console.log('Zoom Webhook 이벤트 수신:', JSON.stringify(event, null, 2));
+    const event = req.body;
 
-        // 이벤트 타입에 따른 처리
-        switch (event.event) {
-            case 'meeting.started':
-                await handleMeetingStarted(event);
-                break;
-            case 'meeting.ended':
-                await handleMeetingEnded(event);
-                break;
-            case 'meeting.participant_joined':
-                await handleParticipantJoined(event);
-                break;
-            case 'meeting.participant_left':
-                await handleParticipantLeft(event);
-                break;
-            default:
-                console.log('처리되지 않은 이벤트 타입:', event.event);
+    // 엔드포인트 URL 확인 요청 (Zoom 앱에 웹훅 URL을 등록하거나 주기적으로 재확인할 때 전송)
+    if (event.event === 'endpoint.url_validation') {
+        const plainToken = event.payload && event.payload.plainToken;
+        if (typeof plainToken !== 'string' || !plainToken) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'URL 확인 요청에 plainToken이 없습니다.' 
+            });
         }
+        return res.status(200).json(urlValidationResponse(WEBHOOK_SECRET_TOKEN, plainToken));
+    }
+
+    let client;
+    try {
+        client = await masterPool.connect();
+        const stored = await storeWebhookEvent(client, event);
+        console.log(`Zoom Webhook 이벤트 수신: ${event.event} (${stored.event_id})${stored.duplicate ? ' - 이미 저장된 이벤트' : ''}`);
 
         res.status(200).json({ 
             success: true, 
-            message: '이벤트가 성공적으로 처리되었습니다.' 
+            message: stored.duplicate ? '이미 수신한 이벤트입니다.' : '이벤트가 저장되었습니다.',
+            data: stored
         });
     } catch (error) {
-        console.error('Webhook 이벤트 처리 중 오류:', error);
-        res.status(500).json({ 
+        console.error('Webhook 이벤트 저장 중 오류:', error);
+        return res.status(500).json({ 
             success: false, 
-            message: '이벤트 처리 중 오류가 발생했습니다.' 
+            message: '이벤트 저장 중 오류가 발생했습니다.' 
         });
-    }
-});
-
-// 미팅 시작 이벤트 처리
-async function handleMeetingStarted(event) {
-    const client = await masterPool.connect();
-    try {
-        await client.query('BEGIN');
-        
-        // zoom_meetings 테이블 업데이트
-        await client.query(
-            `UPDATE ${SCHEMAS.COURSE}.zoom_meetings 
-            SET status = 'STARTED', 
-                actual_start_time = $1,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE zoom_meeting_id = $2`,
-            [new Date(event.payload.object.start_time), event.payload.object.id]
-        );
-
-        await client.query('COMMIT');
-        console.log('미팅 시작 처리 완료:', event.payload.object.id);
-    } catch (error) {
-        await client.query('ROLLBACK');
-        console.error('미팅 시작 처리 중 오류:', error);
-        throw error;
-    } finally {
-        client.release();
-    }
-}
-
-// 미팅 종료 이벤트 처리
-async function handleMeetingEnded(event) {
-    const client = await masterPool.connect();
-    try {
-        await client.query('BEGIN');
-        
-        // zoom_meetings 테이블 업데이트
-        await client.query(
-            `UPDATE ${SCHEMAS.COURSE}.zoom_meetings 
-            SET status = 'ENDED', 
-                actual_end_time = $1,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE zoom_meeting_id = $2`,
-            [new Date(event.payload.object.end_time), event.payload.object.id]
-        );
-
-        await client.query('COMMIT');
-        console.log('미팅 종료 처리 완료:', event.payload.object.id);
-    } catch (error) {
-        await client.query('ROLLBACK');
-        console.error('미팅 종료 처리 중 오류:', error);
-        throw error;
-    } finally {
-        client.release();
-    }
-}
-
-// 참가자 입장 이벤트 처리
-async function handleParticipantJoined(event) {
-    const client = await masterPool.connect();
-    try {
-        await client.query('BEGIN');
-        
-        // zoom_meeting_participants 테이블에 참가 기록 추가
-        await client.query(
-            `INSERT INTO ${SCHEMAS.COURSE}.zoom_meeting_participants
-            (id, meeting_id, participant_id, participant_name, join_time)
-            VALUES ($1, $2, $3, $4, $5)`,
-            [
-                crypto.randomUUID(),
-                event.payload.object.id,
-                event.payload.object.participant.user_id || event.payload.object.participant.id,
-                event.payload.object.participant.user_name,
-                new Date(event.payload.object.participant.join_time)
-            ]
-        );
-
-        await client.query('COMMIT');
-        console.log('참가자 입장 처리 완료:', event.payload.object.participant.user_name);
-    } catch (error) {
-        await client.query('ROLLBACK');
-        console.error('참가자 입장 처리 중 오류:', error);
-        throw error;
     } finally {
-        client.release();
+        if (client) {
+            client.release();
+        }
     }
-}
 
-// 참가자 퇴장 이벤트 처리
-async function handleParticipantLeft(event) {
-    const client = await masterPool.connect();
-    try {
-        await client.query('BEGIN');
-        
-        // zoom_meeting_participants 테이블 업데이트
-        await client.query(
-            `UPDATE ${SCHEMAS.COURSE}.zoom_meeting_participants
-            SET leave_time = $1,
-                duration = EXTRACT(EPOCH FROM ($1 - join_time))/60
-            WHERE meeting_id = $2 
-            AND participant_id = $3
-            AND leave_time IS NULL`,
-            [
-                new Date(event.payload.object.participant.leave_time),
-                event.payload.object.id,
-                event.payload.object.participant.user_id || event.payload.object.participant.id
-            ]
-        );
+    drainWebhookEventsInBackground();
+});
 
-        await client.query('COMMIT');
-        console.log('참가자 퇴장 처리 완료:', event.payload.object.participant.user_name);
-    } catch (error) {
-        await client.query('ROLLBACK');
-        console.error('참가자 퇴장 처리 중 오류:', error);
-        throw error;
-    } finally {
-        client.release();
-    }
+// 저장된 웹훅 이벤트를 백그라운드에서 처리 (녹화 파일 가져오기와 실패한 이벤트 재시도는 scripts/zoom-webhook-worker.js가 담당)
+function drainWebhookEventsInBackground() {
+    setImmediate(async () => {
+        let client;
+        try {
+            client = await masterPool.connect();
+            const results = await drainWebhookEvents(client, WEBHOOK_WORKER_ID);
+            results
+                .filter(result => result.error)
+                .forEach(result => console.error(`Webhook 이벤트 처리 실패 (${result.event_id}, ${result.status}):`, result.error));
+        } catch (error) {
+            console.error('Webhook 이벤트 처리 중 오류:', error);
+        } finally {
+            if (client) {
+                client.release();
+            }
+        }
+    });
 }
 
 // 강의 생성 시 Zoom 미팅 URL 발급 API
@@ -847,9 +646,6 @@ router.post('/create-lecture', async (req, res) => {
             courseId = null
         } = req.body;
 
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-
         // 시작 날짜 설정 (4월 17일)
         const startTime = new Date('2024-04-17T16:00:00');
         
@@ -885,16 +681,7 @@ router.post('/create-lecture', async (req, res) => {
         console.log('Zoom API 요청 설정:', JSON.stringify(meetingSettings, null, 2));
 
         // Zoom 미팅 생성 요청
-        const zoomResponse = await axios.post(
-            'https://api.zoom.us/v2/users/me/meetings',
-            meetingSettings,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const zoomResponse = await zoomClient.post('/users/me/meetings', meetingSettings);
 
         console.log('Zoom API 응답:', JSON.stringify(zoomResponse.data, null, 2));
 
@@ -955,22 +742,12 @@ router.get('/participants/:meetingId', async (req, res) => {
     try {
         const { meetingId } = req.params;
         
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-
-        // Zoom API에서 참가자 정보 조회
-        const zoomResponse = await axios.get(
-            `https://api.zoom.us/v2/past_meetings/${meetingId}/participants`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            }
-        );
+        // Zoom API에서 참가자 정보 조회 (모든 페이지)
+        const participantsData = await zoomClient.paginate(`/past_meetings/${meetingId}/participants`, 'participants');
 
         res.json({
             success: true,
-            data: zoomResponse.data
+            data: participantsData
         });
     } catch (error) {
         console.error('참가자 로그 조회 오류:', error.response?.data || error.message);
@@ -987,27 +764,15 @@ router.get('/live-participants/:meetingId', async (req, res) => {
     try {
         const { meetingId } = req.params;
         
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-        
         // 등록된 참가자 정보 조회
-        const registrantsResponse = await axios.get(
-            `https://api.zoom.us/v2/meetings/${meetingId}/registrants`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                params: {
-                    page_size: 100,
-                    status: 'approved'
-                }
-            }
-        );
+        const registrantsData = await zoomClient.paginate(`/meetings/${meetingId}/registrants`, 'registrants', {
+            status: 'approved'
+        });
         
         res.json({
             success: true,
             message: "현재 미팅 참가자 정보가 조회되었습니다.",
-            data: registrantsResponse.data,
+            data: registrantsData,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -1023,11 +788,8 @@ router.get('/live-participants/:meetingId', async (req, res) => {
 // 현재 진행 중인 미팅 목록 조회 API
 router.get('/live-meetings', async (req, res) => {
     try {
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-        
         // 공통 함수를 사용하여 진행 중인 미팅 목록 조회
-        const liveMeetingsData = await getLiveMeetings(token);
+        const liveMeetingsData = await getLiveMeetings();
         
         res.json({
             success: true,
@@ -1040,35 +802,16 @@ router.get('/live-meetings', async (req, res) => {
         
         // 대체 방법으로 모든 예정된 미팅 조회 시도
         try {
-            const token = await getZoomToken();
-            
-            const userResponse = await axios.get(
-                'https://api.zoom.us/v2/users/me',
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    }
-                }
-            );
+            const userResponse = await zoomClient.get('/users/me');
             
             const userId = userResponse.data.id;
             
-            const allMeetingsResponse = await axios.get(
-                `https://api.zoom.us/v2/users/${userId}/meetings`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
-                    params: {
-                        page_size: 100
-                    }
-                }
-            );
+            const allMeetingsData = await zoomClient.paginate(`/users/${userId}/meetings`, 'meetings');
             
             res.json({
                 success: true,
                 message: "모든 미팅 목록이 조회되었습니다. (진행 중인 미팅 조회 실패)",
-                data: allMeetingsResponse.data,
+                data: allMeetingsData,
                 originalError: error.response?.data?.message || error.message,
                 timestamp: new Date().toISOString()
             });
@@ -1088,11 +831,8 @@ router.get('/meeting-status/:meetingId', async (req, res) => {
     try {
         const { meetingId } = req.params;
         
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-        
         // 공통 함수를 사용하여 미팅 상태 및 참가자 정보 조회
-        const meetingData = await getMeetingStatusAndParticipants(meetingId, token);
+        const meetingData = await getMeetingStatusAndParticipants(meetingId);
         
         res.json({
             success: true,
@@ -1115,18 +855,8 @@ router.get('/meeting/:meetingId', async (req, res) => {
     try {
         const { meetingId } = req.params;
         
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-
         // Zoom API에서 미팅 정보 조회
-        const zoomResponse = await axios.get(
-            `https://api.zoom.us/v2/meetings/${meetingId}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            }
-        );
+        const zoomResponse = await zoomClient.get(`/meetings/${meetingId}`);
 
         res.json({
             success: true,
@@ -1143,24 +873,24 @@ router.get('/meeting/:meetingId', async (req, res) => {
 });
 
 // 참가자 입장/퇴장 기록 분석 및 세션별 추적 함수 
-async function getMeetingParticipantsWithSessions(meetingId, token) {
+async function getMeetingParticipantsWithSessions(meetingId) {
     // Zoom API에 여러 endpoint 시도
     const participantEndpoints = [
         // 1. 실시간 참가자 (Dashboard API)
         {
-            url: `https://api.zoom.us/v2/metrics/meetings/${meetingId}/participants`,
+            url: `/metrics/meetings/${meetingId}/participants`,
             params: { page_size: 300, type: 'live' },
             name: 'Dashboard API'
         },
         // 2. 미팅 참가자 (Meeting API)
         {
-            url: `https://api.zoom.us/v2/meetings/${meetingId}/participants`,
+            url: `/meetings/${meetingId}/participants`,
             params: { page_size: 300 },
             name: 'Meeting API'
         },
         // 3. 과거 미팅 참가자 (Past Meeting API)
         {
-            url: `https://api.zoom.us/v2/past_meetings/${meetingId}/participants`,
+            url: `/past_meetings/${meetingId}/participants`,
             params: { page_size: 300 },
             name: 'Past Meeting API'
         }
@@ -1175,18 +905,10 @@ async function getMeetingParticipantsWithSessions(meetingId, token) {
         
         try {
             console.log(`${endpoint.name}를 통해 참가자 조회 시도...`);
-            const response = await axios.get(
-                endpoint.url,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
-                    params: endpoint.params
-                }
-            );
+            const { participants } = await zoomClient.paginate(endpoint.url, 'participants', endpoint.params);
             
-            if (response.data && response.data.participants && response.data.participants.length > 0) {
-                participantRecords = response.data.participants;
+            if (participants.length > 0) {
+                participantRecords = participants;
                 participantsFetched = true;
                 console.log(`${endpoint.name}에서 참가자 기록 ${participantRecords.length}개 조회 성공`);
             }
@@ -1260,14 +982,7 @@ async function getMeetingParticipantsWithSessions(meetingId, token) {
     let meetingDuration = 0;
     
     try {
-        const meetingInfoResponse = await axios.get(
-            `https://api.zoom.us/v2/meetings/${meetingId}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            }
-        );
+        const meetingInfoResponse = await zoomClient.get(`/meetings/${meetingId}`);
         
         if (meetingInfoResponse.data && meetingInfoResponse.data.start_time) {
             meetingStartTime = new Date(meetingInfoResponse.data.start_time);
@@ -1491,11 +1206,8 @@ async function getMeetingParticipantsWithSessions(meetingId, token) {
 // 진행 중인 미팅에 초점을 맞춘 간소화된 대시보드 요약 API
 router.get('/dashboard-summary', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
     try {
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-        
         // 공통 함수를 사용하여 진행 중인 미팅 목록 조회
-        const liveMeetingsData = await getLiveMeetings(token);
+        const liveMeetingsData = await getLiveMeetings();
         const userId = liveMeetingsData.userId;
         const userInfo = liveMeetingsData.userInfo;
         const liveMeetingsResponse = liveMeetingsData.meetings;
@@ -1504,18 +1216,12 @@ router.get('/dashboard-summary', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR'
         const today = new Date();
         today.setHours(0, 0, 0, 0);
         
-        const scheduledMeetingsResponse = await axios.get(
-            `https://api.zoom.us/v2/users/${userId}/meetings`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                params: {
-                    type: 'scheduled',
-                    page_size: 10
-                }
+        const scheduledMeetingsResponse = await zoomClient.get(`/users/${userId}/meetings`, {
+            params: {
+                type: 'scheduled',
+                page_size: 10
             }
-        );
+        });
         
         // 오늘 이후 예정된 미팅만 필터링 (최대 3개) - 진행 중인 미팅 제외
         const upcomingMeetings = scheduledMeetingsResponse.data.meetings
@@ -1594,7 +1300,7 @@ router.get('/dashboard-summary', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR'
             for (const meeting of liveMeetingsResponse.meetings) {
                 try {
                     // 새로운 함수 사용: 참가자 세션별 추적 및 정확한 참여 시간 계산
-                    const participantDetails = await getMeetingParticipantsWithSessions(meeting.id, token);
+                    const participantDetails = await getMeetingParticipantsWithSessions(meeting.id);
                     
                     // 미리 조회한 맵에서 코스 정보 조회
                     const courseInfo = meetingToCourseMap[meeting.id.toString()] || null;
@@ -1740,18 +1446,12 @@ router.get('/dashboard-summary', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR'
         }
         
         // 최근 종료된 미팅 - 간소화
-        const pastMeetingsResponse = await axios.get(
-            `https://api.zoom.us/v2/users/${userId}/meetings`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                params: {
-                    type: 'past',
-                    page_size: 10
-                }
+        const pastMeetingsResponse = await zoomClient.get(`/users/${userId}/meetings`, {
+            params: {
+                type: 'past',
+                page_size: 10
             }
-        );
+        });
         
         // 실제로 종료된 미팅만 필터링
         const recentPastMeetings = pastMeetingsResponse.data.meetings
@@ -1821,21 +1521,11 @@ router.get('/meeting/:meetingId/participant-sessions', verifyToken, requireRole(
     try {
         const { meetingId } = req.params;
         
-        // Zoom API 토큰 발급
-        const token = await getZoomToken();
-        
         // 참가자 세션 정보 상세 조회
-        const participantSessionsData = await getMeetingParticipantsWithSessions(meetingId, token);
+        const participantSessionsData = await getMeetingParticipantsWithSessions(meetingId);
         
         // 미팅 정보 조회
-        const meetingInfo = await axios.get(
-            `https://api.zoom.us/v2/meetings/${meetingId}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            }
-        );
+        const meetingInfo = await zoomClient.get(`/meetings/${meetingId}`);
         
         // 미팅 시작 시간과 현재 시간으로 미팅 진행 시간 계산 (분 단위)
         let meetingDuration = 0;
@@ -1931,35 +1621,20 @@ async function getPastMeetingInfo(meetingId) {
     
     try {
         // 액세스 토큰 가져오기
-        const token = await getZoomToken();
-        
         // 미팅 종료 여부 확인
-        const meetingInfoUrl = `https://api.zoom.us/v2/past_meetings/${meetingId}`;
+        const meetingInfoUrl = `/past_meetings/${meetingId}`;
         
         console.log(`미팅 정보 요청: ${meetingInfoUrl}`);
-        const meetingResponse = await axios.get(meetingInfoUrl, {
-            headers: {
-                'Authorization': `Bearer ${token}`
-            }
-        });
+        const meetingResponse = await zoomClient.get(meetingInfoUrl);
         
         const meetingInfo = meetingResponse.data;
         console.log('미팅 기본 정보:', JSON.stringify(meetingInfo, null, 2));
         
         // 참석자 목록 가져오기
-        const participantsUrl = `https://api.zoom.us/v2/past_meetings/${meetingId}/participants`;
+        const participantsUrl = `/past_meetings/${meetingId}/participants`;
         
         console.log(`참석자 목록 요청: ${participantsUrl}`);
-        const participantsResponse = await axios.get(participantsUrl, {
-            headers: {
-                'Authorization': `Bearer ${token}`
-            },
-            params: {
-                page_size: 300 // 최대 참석자 수
-            }
-        });
-        
-        const participants = participantsResponse.data.participants || [];
+        const { participants } = await zoomClient.paginate(participantsUrl, 'participants');
         console.log(`참석자 ${participants.length}명 조회됨`);
         
         // 참석자 세션 정보 정리
@@ -2099,8 +1774,6 @@ router.get('/course/:courseId/past-meetings', verifyToken, requireRole(['ADMIN',
         }
         
         // 토큰 발급
-        const token = await getZoomToken();
-        
         // 1. 강좌의 Zoom 미팅 정보 조회
         const client = await masterPool.connect();
         const courseQuery = `
@@ -2141,14 +1814,10 @@ router.get('/course/:courseId/past-meetings', verifyToken, requireRole(['ADMIN',
         
         // 2. 사용자의 과거 미팅 목록 조회 (최근 30일)
         try {
-            const pastMeetingsUrl = `https://api.zoom.us/v2/past_meetings/${meetingId}/instances`;
+            const pastMeetingsUrl = `/past_meetings/${meetingId}/instances`;
             
             console.log(`과거 미팅 목록 요청: ${pastMeetingsUrl}`);
-            const pastMeetingsResponse = await axios.get(pastMeetingsUrl, {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
+            const pastMeetingsResponse = await zoomClient.get(pastMeetingsUrl);
             
             const pastMeetings = pastMeetingsResponse.data.meetings || [];
             console.log(`${pastMeetings.length}개의 과거 미팅 조회됨`);
@@ -2204,17 +1873,11 @@ router.get('/course/:courseId/past-meetings', verifyToken, requireRole(['ADMIN',
 async function getMeetingSessionHistory(meetingId) {
     try {
         // 토큰 발급
-        const token = await getZoomToken();
-        
         // 1. 해당 미팅 ID의 모든 인스턴스(세션) 목록 조회
-        const instancesUrl = `https://api.zoom.us/v2/past_meetings/${meetingId}/instances`;
+        const instancesUrl = `/past_meetings/${meetingId}/instances`;
         console.log(`미팅 인스턴스 조회 요청: ${instancesUrl}`);
         
-        const instancesResponse = await axios.get(instancesUrl, {
-            headers: {
-                'Authorization': `Bearer ${token}`
-            }
-        });
+        const instancesResponse = await zoomClient.get(instancesUrl);
         
         const instances = instancesResponse.data.meetings || [];
         console.log(`${instances.length}개의 미팅 세션 조회됨`);
@@ -2242,18 +1905,9 @@ async function getMeetingSessionHistory(meetingId) {
                 const sessionUuid = session.uuid;
                 
                 // 세션 참석자 정보 조회
-                const participantsUrl = `https://api.zoom.us/v2/past_meetings/${sessionUuid}/participants`;
-                
-                const participantsResponse = await axios.get(participantsUrl, {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
-                    params: {
-                        page_size: 300
-                    }
-                });
+                const participantsUrl = `/past_meetings/${encodeMeetingUuid(sessionUuid)}/participants`;
                 
-                const participants = participantsResponse.data.participants || [];
+                const { participants } = await zoomClient.paginate(participantsUrl, 'participants');
                 
                 // 참석자별 세션 정보 정리
                 const attendeeMap = {};
@@ -2383,43 +2037,18 @@ router.get('/meeting/:meetingId/history', verifyToken, requireRole(['ADMIN', 'IN
     }
 });
 
-// 강좌 Zoom 세션 출석 보고서 API
+// 강좌 Zoom 세션 출석 보고서 API (출석 인정 규칙으로 정한 회차별 상태 기준)
 router.get('/course/:courseId/attendance', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
     try {
         const { courseId } = req.params;
         
-        if (!courseId) {
-            return res.status(400).json({
-                success: false,
-                message: '강좌 ID가 필요합니다.'
-            });
-        }
-        
         // 1. 강좌 정보 조회
-        const client = await masterPool.connect();
-        const courseQuery = `
+        const courseResult = await client.query(`
             SELECT c.id, c.title, c.zoom_link
             FROM ${SCHEMAS.COURSE}.courses c
             WHERE c.id = $1
-        `;
-        
-        const courseResult = await client.query(courseQuery, [courseId]);
-        
-        // 2. 강좌에 등록된 학생 목록 조회
-        const studentsQuery = `
-            SELECT 
-                u.cognito_user_id as student_id,
-                u.given_name as student_name,
-                u.email as student_email,
-                e.enrolled_at
-            FROM ${SCHEMAS.ENROLLMENT}.enrollments e
-            JOIN ${SCHEMAS.AUTH}.users u ON e.student_id = u.cognito_user_id
-            WHERE e.course_id = $1 AND e.status = 'ACTIVE'
-            ORDER BY u.given_name
-        `;
-        
-        const studentsResult = await client.query(studentsQuery, [courseId]);
-        client.release();
+        `, [courseId]);
         
         if (courseResult.rows.length === 0) {
             return res.status(404).json({
@@ -2429,91 +2058,118 @@ router.get('/course/:courseId/attendance', verifyToken, requireRole(['ADMIN', 'I
         }
         
         const course = courseResult.rows[0];
-        const students = studentsResult.rows;
-        
-        if (!course.zoom_link) {
-            return res.status(400).json({
-                success: false,
-                message: '이 강좌에 Zoom 링크가 설정되지 않았습니다.'
-            });
-        }
-        
-        // Zoom 링크에서 미팅 ID 추출
-        const zoomLink = course.zoom_link;
-        let meetingId = null;
-        
-        if (zoomLink) {
-            const match = zoomLink.match(/\/j\/(\d+)/);
-            if (match && match[1]) {
-                meetingId = match[1];
-            }
-        }
+        const meetingMatch = course.zoom_link ? course.zoom_link.match(/\/j\/(\d+)/) : null;
         
-        if (!meetingId) {
-            return res.status(400).json({
-                success: false,
-                message: '유효한 Zoom 미팅 링크가 없습니다.'
-            });
-        }
+        // 2. 강좌에 등록된 학생 목록과 출석 인정 규칙에 따른 출석률
+        const studentsResult = await client.query(`
+            SELECT 
+                u.cognito_user_id as student_id,
+                u.given_name as student_name,
+                u.email as student_email,
+                e.enrolled_at,
+                (
+                    SELECT ${attendanceRateSql(effectiveStatusSql('ar', 'ov'), 'ap')}
+                    FROM ${SCHEMAS.GRADE}.attendance_records ar
+                    ${activeOverrideJoin('ar', 'ov')}
+                    LEFT JOIN ${SCHEMAS.GRADE}.attendance_policies ap ON ap.course_id = ar.course_id
+                    WHERE ar.course_id = e.course_id AND ar.student_id = e.student_id
+                ) as attendance_rate
+            FROM ${SCHEMAS.ENROLLMENT}.enrollments e
+            JOIN ${SCHEMAS.AUTH}.users u ON e.student_id = u.cognito_user_id
+            WHERE e.course_id = $1 AND e.status = 'ACTIVE'
+            ORDER BY u.given_name
+        `, [courseId]);
         
-        // 3. 미팅 세션 기록 조회
-        const sessionHistory = await getMeetingSessionHistory(meetingId);
+        // 3. 회차 목록 (Zoom 회차 기록이 있으면 주제와 시작·종료 시각 포함)
+        const sessionsResult = await client.query(`
+            SELECT 
+                ar.session_id,
+                MIN(ar.attendance_date) as attendance_date,
+                MAX(ar.session_type) as session_type,
+                MAX(ar.total_duration_seconds) as total_duration_seconds,
+                zs.topic,
+                zs.start_time,
+                zs.end_time
+            FROM ${SCHEMAS.GRADE}.attendance_records ar
+            LEFT JOIN ${SCHEMAS.COURSE}.zoom_meeting_sessions zs ON zs.meeting_uuid = ar.session_id
+            WHERE ar.course_id = $1
+            GROUP BY ar.session_id, zs.topic, zs.start_time, zs.end_time
+            ORDER BY MIN(ar.attendance_date), zs.start_time NULLS LAST
+        `, [courseId]);
+        
+        const recordsResult = await client.query(`
+            SELECT ar.student_id, ar.session_id, ${effectiveStatusSql('ar', 'ov')} AS status,
+                ar.duration_seconds, ar.total_duration_seconds,
+                ar.first_join_time, ar.last_leave_time, ar.source,
+                ov.override_id, ov.reason AS override_reason
+            FROM ${SCHEMAS.GRADE}.attendance_records ar
+            ${activeOverrideJoin('ar', 'ov')}
+            WHERE ar.course_id = $1
+        `, [courseId]);
+        
+        const recordsByKey = new Map(
+            recordsResult.rows.map(record => [`${record.student_id}:${record.session_id}`, record])
+        );
+        const policy = await getAttendancePolicy(client, courseId);
         
         // 4. 학생별 출석 현황 생성
         const attendanceReport = {
             course: {
                 id: course.id,
                 title: course.title,
-                meeting_id: meetingId
+                meeting_id: meetingMatch ? meetingMatch[1] : null
             },
-            sessions: sessionHistory.sessions.map(session => ({
+            policy,
+            sessions: sessionsResult.rows.map(session => ({
                 session_id: session.session_id,
+                session_type: session.session_type,
+                date: session.attendance_date,
                 start_time: session.start_time,
+                end_time: session.end_time,
                 topic: session.topic,
-                duration: session.duration
+                duration: Math.round((session.total_duration_seconds || 0) / 60)
             })),
-            students: students.map(student => {
-                // 학생의 세션별 출석 현황 계산
-                const sessionAttendance = sessionHistory.sessions.map(session => {
-                    // 참석자 목록에서 이 학생 찾기
-                    const found = session.participants?.list?.find(p => 
-                        p.email === student.student_email || 
-                        p.name === student.student_name
-                    );
+            students: studentsResult.rows.map(student => {
+                const statusCounts = Object.values(ATTENDANCE_STATUS).reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+                
+                // 학생의 세션별 출석 상태 (기록이 없는 회차는 status null)
+                const sessionAttendance = sessionsResult.rows.map(session => {
+                    const record = recordsByKey.get(`${student.student_id}:${session.session_id}`);
                     
-                    if (!found) {
+                    if (!record) {
                         return {
                             session_id: session.session_id,
+                            status: null,
                             attended: false,
                             duration: 0,
                             attendance_rate: 0
                         };
                     }
                     
-                    // 출석률 계산 (세션 길이 대비 참석 시간)
-                    const sessionDuration = session.duration || 60; // 기본값 60분
-                    const attendanceRate = Math.min(100, Math.round((found.total_duration / sessionDuration) * 100));
+                    if (record.status) statusCounts[record.status] += 1;
                     
                     return {
                         session_id: session.session_id,
-                        attended: true,
-                        duration: found.total_duration,
-                        attendance_rate: attendanceRate
+                        status: record.status,
+                        attended: [ATTENDANCE_STATUS.PRESENT, ATTENDANCE_STATUS.LATE, ATTENDANCE_STATUS.EARLY_LEAVE].includes(record.status),
+                        duration: Math.round(record.duration_seconds / 60),
+                        attendance_rate: record.total_duration_seconds > 0
+                            ? Math.min(100, Math.round((record.duration_seconds / record.total_duration_seconds) * 100))
+                            : 0,
+                        first_join_time: record.first_join_time,
+                        last_leave_time: record.last_leave_time,
+                        source: record.source,
+                        override_id: record.override_id,
+                        override_reason: record.override_reason
                     };
                 });
                 
-                // 전체 출석률 계산
-                const totalSessions = sessionAttendance.length;
-                const attendedSessions = sessionAttendance.filter(sa => sa.attended).length;
-                const overallAttendanceRate = totalSessions > 0 
-                    ? Math.round((attendedSessions / totalSessions) * 100)
-                    : 0;
-                
                 return {
                     student_id: student.student_id,
                     name: student.student_name,
                     email: student.student_email,
-                    overall_attendance_rate: overallAttendanceRate,
+                    overall_attendance_rate: Math.round(Number(student.attendance_rate) || 0),
+                    status_counts: statusCounts,
                     sessions: sessionAttendance
                 };
             })
@@ -2529,11 +2185,677 @@ router.get('/course/:courseId/attendance', verifyToken, requireRole(['ADMIN', 'I
             success: false,
             message: error.message || '강좌 출석 보고서 조회 중 오류가 발생했습니다.'
         });
+    } finally {
+        client.release();
     }
 });
 
+// 강좌의 Zoom 회차별 출석 처리 현황 조회
+router.get('/course/:courseId/sessions', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(`
+            SELECT zs.meeting_uuid, zs.zoom_meeting_id, zs.topic, zs.start_time, zs.end_time,
+                zs.attendance_processed_at, zs.matched_count, zs.unmatched_participants,
+                zs.course_session_id, cs.session_number, cs.week_number,
+                COUNT(ar.record_id) FILTER (WHERE ar.duration_seconds > 0) AS attended_count,
+                COUNT(ar.record_id) AS record_count
+            FROM ${SCHEMAS.COURSE}.zoom_meeting_sessions zs
+            LEFT JOIN ${SCHEMAS.COURSE}.course_sessions cs ON cs.session_id = zs.course_session_id
+            LEFT JOIN ${SCHEMAS.GRADE}.attendance_records ar
+                ON ar.course_id = zs.course_id AND ar.session_id = zs.meeting_uuid
+            WHERE zs.course_id = $1
+            GROUP BY zs.meeting_uuid, cs.session_id
+            ORDER BY zs.start_time DESC
+        `, [req.params.courseId]);
+
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('회차별 출석 현황 조회 중 오류:', error);
+        res.status(500).json({
+            success: false,
+            message: '회차별 출석 현황 조회 중 오류가 발생했습니다.',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 종료된 회차의 출석 재처리 (웹훅 누락 후 참가 기록을 보완한 경우 등)
+router.post('/sessions/:meetingUuid/attendance', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const sessionResult = await client.query(`
+            SELECT meeting_uuid, course_id, end_time
+            FROM ${SCHEMAS.COURSE}.zoom_meeting_sessions
+            WHERE meeting_uuid = $1
+        `, [req.params.meetingUuid]);
+
+        if (sessionResult.rows.length === 0 || !sessionResult.rows[0].course_id) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: '강좌와 연결된 미팅 회차를 찾을 수 없습니다.'
+            });
+        }
+
+        if (!sessionResult.rows[0].end_time) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: '아직 종료되지 않은 회차입니다.'
+            });
+        }
+
+        const attendance = await processSessionAttendance(client, req.params.meetingUuid);
+
+        // 성적이 확정된 강좌는 출석 기록을 바꾸지 않음
+        if (attendance.grade_locked) {
+            await client.query('ROLLBACK');
+            return res.status(423).json({
+                success: false,
+                message: GRADE_LOCKED_MESSAGE
+            });
+        }
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: '출석이 처리되었습니다.',
+            data: attendance
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('회차 출석 처리 중 오류:', error);
+        res.status(500).json({
+            success: false,
+            message: '회차 출석 처리 중 오류가 발생했습니다.',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 강좌의 미연결 Zoom 참가자 목록 (처리된 회차 전체 기준, 이름 유사도로 후보 수강생 제안)
+router.get('/course/:courseId/unmatched-participants', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+
+        const sessionsResult = await client.query(`
+            SELECT meeting_uuid, topic, start_time, unmatched_participants
+            FROM ${SCHEMAS.COURSE}.zoom_meeting_sessions
+            WHERE course_id = $1
+            AND attendance_processed_at IS NOT NULL
+            AND jsonb_array_length(COALESCE(unmatched_participants, '[]'::jsonb)) > 0
+            ORDER BY start_time ASC
+        `, [courseId]);
+
+        const studentsResult = await client.query(`
+            SELECT e.student_id, u.name, u.given_name, u.email
+            FROM ${SCHEMAS.ENROLLMENT}.enrollments e
+            JOIN ${SCHEMAS.AUTH}.users u ON e.student_id = u.cognito_user_id
+            WHERE e.course_id = $1 AND e.status = 'ACTIVE'
+        `, [courseId]);
+
+        // 같은 참가자(Zoom 계정 > 이메일 > 표시 이름 기준)를 회차별로 모음
+        const participants = new Map();
+        sessionsResult.rows.forEach(session => {
+            session.unmatched_participants.forEach(participant => {
+                const [identity] = participantIdentities(participant);
+                if (!identity) return;
+
+                const key = `${identity.type}:${identity.value}`;
+                if (!participants.has(key)) {
+                    participants.set(key, {
+                        name: participant.name,
+                        email: participant.email,
+                        zoom_user_id: participant.zoom_user_id || null,
+                        total_duration_seconds: 0,
+                        sessions: []
+                    });
+                }
+
+                const entry = participants.get(key);
+                entry.total_duration_seconds += participant.duration_seconds || 0;
+                entry.sessions.push({
+                    meeting_uuid: session.meeting_uuid,
+                    topic: session.topic,
+                    start_time: session.start_time,
+                    duration_seconds: participant.duration_seconds || 0
+                });
+            });
+        });
+
+        res.json({
+            success: true,
+            data: Array.from(participants.values()).map(participant => ({
+                ...participant,
+                suggestions: suggestStudents(participant, studentsResult.rows)
+            }))
+        });
+    } catch (error) {
+        console.error('미연결 참가자 조회 중 오류:', error);
+        res.status(500).json({
+            success: false,
+            message: '미연결 참가자 조회 중 오류가 발생했습니다.',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// Zoom 참가자 연결 목록 조회 (userId 또는 courseId로 필터)
+router.get('/identity-mappings', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const mappings = await getIdentityMappings(client, {
+            userId: req.query.userId || null,
+            courseId: req.query.courseId || null
+        });
+
+        res.json({
+            success: true,
+            data: mappings
+        });
+    } catch (error) {
+        console.error('참가자 연결 목록 조회 중 오류:', error);
+        res.status(500).json({
+            success: false,
+            message: '참가자 연결 목록 조회 중 오류가 발생했습니다.',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 연결이 바뀐 사용자의 처리된 회차 출석을 다시 계산
+async function reprocessSessions(client, meetingUuids) {
+    const results = [];
+    for (const meetingUuid of meetingUuids) {
+        const attendance = await processSessionAttendance(client, meetingUuid);
+        if (attendance) {
+            results.push({
+                meeting_uuid: meetingUuid,
+                matched_count: attendance.matched_count,
+                unmatched_count: attendance.unmatched_participants.length,
+                grade_locked: attendance.grade_locked
+            });
+        }
+    }
+    return results;
+}
+
+// Zoom 참가자 연결 확인 (이전 회차 출석을 다시 처리하고 이후 회차에도 적용)
+router.post('/identity-mappings', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { userId, courseId = null, zoomUserId, email, displayName } = req.body;
+
+        const identities = [
+            { type: IDENTITY_TYPE.ZOOM_USER_ID, value: zoomUserId },
+            { type: IDENTITY_TYPE.EMAIL, value: email },
+            { type: IDENTITY_TYPE.DISPLAY_NAME, value: displayName }
+        ]
+            .map(identity => ({ type: identity.type, value: normalizeIdentityValue(identity.type, identity.value) }))
+            .filter(identity => identity.value);
+
+        if (!userId || identities.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: '연결할 사용자와 Zoom 계정 ID, 이메일, 표시 이름 중 하나 이상이 필요합니다.'
+            });
+        }
+
+        if (displayName && !courseId) {
+            return res.status(400).json({
+                success: false,
+                message: '표시 이름은 강좌를 지정해야 연결할 수 있습니다.'
+            });
+        }
+
+        const userResult = await client.query(`
+            SELECT cognito_user_id FROM ${SCHEMAS.AUTH}.users WHERE cognito_user_id = $1
+        `, [userId]);
+
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '사용자를 찾을 수 없습니다.'
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const mappings = await saveIdentityMappings(client, {
+            userId,
+            courseId,
+            identities,
+            actorId: req.user.sub
+        });
+
+        // 강좌를 지정하지 않은 연결은 사용자가 수강 중인 모든 강좌에 적용
+        const coursesResult = await client.query(`
+            SELECT DISTINCT course_id FROM ${SCHEMAS.ENROLLMENT}.enrollments
+            WHERE student_id = $1 AND status = 'ACTIVE'
+        `, [userId]);
+        const courseIds = courseId ? [courseId] : coursesResult.rows.map(row => row.course_id);
+
+        const meetingUuids = await findSessionsWithUnmatchedIdentities(client, courseIds, identities);
+        const reprocessed = await reprocessSessions(client, meetingUuids);
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: '참가자 연결이 저장되었습니다.',
+            data: {
+                mappings,
+                reprocessed_sessions: reprocessed
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('참가자 연결 저장 중 오류:', error);
+        res.status(500).json({
+            success: false,
+            message: '참가자 연결 저장 중 오류가 발생했습니다.',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// Zoom 참가자 연결 삭제 (이 연결로 출석 처리된 회차를 다시 처리)
+router.delete('/identity-mappings/:mappingId', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            DELETE FROM ${SCHEMAS.COURSE}.zoom_identity_mappings
+            WHERE mapping_id = $1
+            RETURNING *
+        `, [req.params.mappingId]);
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({
+                success: false,
+                message: '참가자 연결을 찾을 수 없습니다.'
+            });
+        }
+
+        const mapping = result.rows[0];
+        const sessionsResult = await client.query(`
+            SELECT DISTINCT ar.session_id
+            FROM ${SCHEMAS.GRADE}.attendance_records ar
+            JOIN ${SCHEMAS.COURSE}.zoom_meeting_sessions zs ON zs.meeting_uuid = ar.session_id
+            WHERE ar.student_id = $1
+            AND ar.source = 'ZOOM'
+            AND ar.duration_seconds > 0
+            AND ($2::text IS NULL OR ar.course_id = $2)
+        `, [mapping.user_id, mapping.course_id]);
+
+        const reprocessed = await reprocessSessions(client, sessionsResult.rows.map(row => row.session_id));
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: '참가자 연결이 삭제되었습니다.',
+            data: {
+                mapping,
+                reprocessed_sessions: reprocessed
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('참가자 연결 삭제 중 오류:', error);
+        res.status(500).json({
+            success: false,
+            message: '참가자 연결 삭제 중 오류가 발생했습니다.',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 강좌 수강생의 Zoom 등록 현황 조회
+router.get('/course/:courseId/registrants', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(`
+            SELECT e.id as enrollment_id, e.student_id, e.status as enrollment_status,
+                u.name as student_name, u.email as student_email,
+                e.zoom_meeting_id, e.zoom_registrant_id, e.zoom_join_url,
+                e.zoom_registration_status, e.zoom_registration_error, e.zoom_registered_at
+            FROM ${SCHEMAS.ENROLLMENT}.enrollments e
+            JOIN ${SCHEMAS.AUTH}.users u ON e.student_id = u.cognito_user_id
+            WHERE e.course_id = $1
+            ORDER BY u.name
+        `, [req.params.courseId]);
+
+        res.json({
+            success: true,
+            data: {
+                meeting_id: await resolveCourseMeetingId(client, req.params.courseId),
+                registrants: result.rows
+            }
+        });
+    } catch (error) {
+        console.error('Zoom 등록 현황 조회 중 오류:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Zoom 등록 현황 조회 중 오류가 발생했습니다.',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 강좌 수강생 Zoom 등록 동기화 (미등록·실패한 활성 수강생 등록, 수강 취소된 수강생 등록 취소)
+router.post('/course/:courseId/registrants/sync', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId } = req.params;
+        const meetingId = await resolveCourseMeetingId(client, courseId);
+
+        if (!meetingId) {
+            return res.status(400).json({
+                success: false,
+                message: '강좌에 연결된 Zoom 미팅이 없습니다.'
+            });
+        }
+
+        const enrollmentsResult = await client.query(`
+            SELECT id, status, zoom_meeting_id, zoom_registration_status
+            FROM ${SCHEMAS.ENROLLMENT}.enrollments
+            WHERE course_id = $1
+        `, [courseId]);
+
+        const summary = { registered: 0, cancelled: 0, failed: [] };
+        for (const enrollment of enrollmentsResult.rows) {
+            const isRegistered = enrollment.zoom_registration_status === 'REGISTERED';
+
+            if (enrollment.status === 'ACTIVE' && (!isRegistered || enrollment.zoom_meeting_id !== meetingId)) {
+                const result = await registerEnrollmentWithZoom(client, enrollment.id);
+                if (result.status === 'REGISTERED') summary.registered++;
+                if (result.status === 'FAILED') summary.failed.push({ enrollment_id: enrollment.id, error: result.error });
+            } else if (enrollment.status !== 'ACTIVE' && isRegistered) {
+                const result = await cancelEnrollmentZoomRegistration(client, enrollment.id);
+                if (result.status === 'CANCELLED') summary.cancelled++;
+                if (result.status === 'FAILED') summary.failed.push({ enrollment_id: enrollment.id, error: result.error });
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Zoom 등록이 동기화되었습니다.',
+            data: {
+                meeting_id: meetingId,
+                registered_count: summary.registered,
+                cancelled_count: summary.cancelled,
+                failed: summary.failed
+            }
+        });
+    } catch (error) {
+        console.error('Zoom 등록 동기화 중 오류:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Zoom 등록 동기화 중 오류가 발생했습니다.',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 웹훅 이벤트 목록 조회 (미팅·기간·종류·상태로 필터)
+router.get('/webhook-events', verifyToken, requireRole(['ADMIN']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { meetingId, meetingUuid, eventType, status, from, to } = req.query;
+
+        if (status && !Object.values(EVENT_STATUS).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `유효하지 않은 상태입니다. (${Object.values(EVENT_STATUS).join(', ')})`
+            });
+        }
+
+        const events = await listWebhookEvents(client, {
+            meetingId: meetingId || null,
+            meetingUuid: meetingUuid || null,
+            eventType: eventType || null,
+            status: status || null,
+            from: from || null,
+            to: to || null,
+            limit: Math.min(parseInt(req.query.limit, 10) || 200, 1000)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                total: events.length,
+                events
+            }
+        });
+    } catch (error) {
+        console.error('웹훅 이벤트 목록 조회 중 오류:', error);
+        res.status(500).json({
+            success: false,
+            message: '웹훅 이벤트 목록 조회 중 오류가 발생했습니다.',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 웹훅 이벤트 상세 조회 (원본 payload 포함)
+router.get('/webhook-events/:eventId', verifyToken, requireRole(['ADMIN']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(`
+            SELECT * FROM ${SCHEMAS.COURSE}.zoom_webhook_events
+            WHERE event_id = $1
+        `, [req.params.eventId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '웹훅 이벤트를 찾을 수 없습니다.'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('웹훅 이벤트 조회 중 오류:', error);
+        res.status(500).json({
+            success: false,
+            message: '웹훅 이벤트 조회 중 오류가 발생했습니다.',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 웹훅 이벤트 재처리 (처리 결과는 이벤트 목록에서 확인)
+router.post('/webhook-events/:eventId/replay', verifyToken, requireRole(['ADMIN']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const replayed = await replayWebhookEvents(client, [req.params.eventId]);
+
+        if (replayed.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '재처리할 수 있는 웹훅 이벤트가 없습니다. (없는 이벤트이거나 처리 중입니다.)'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: '웹훅 이벤트를 재처리 대상으로 등록했습니다.',
+            data: replayed[0]
+        });
+    } catch (error) {
+        console.error('웹훅 이벤트 재처리 등록 중 오류:', error);
+        res.status(500).json({
+            success: false,
+            message: '웹훅 이벤트 재처리 등록 중 오류가 발생했습니다.',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+
+    drainWebhookEventsInBackground();
+});
+
+// 미팅 또는 기간의 웹훅 이벤트 일괄 재처리 (발생 순서대로 다시 처리)
+router.post('/webhook-events/replay', verifyToken, requireRole(['ADMIN']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { meetingId, meetingUuid, eventType, status, from, to } = req.body;
+
+        if (!meetingId && !meetingUuid && !(from && to)) {
+            return res.status(400).json({
+                success: false,
+                message: 'meetingId, meetingUuid 또는 from과 to 중 하나는 필수입니다.'
+            });
+        }
+
+        const events = await listWebhookEvents(client, {
+            meetingId: meetingId ? String(meetingId) : null,
+            meetingUuid: meetingUuid || null,
+            eventType: eventType || null,
+            status: status || null,
+            from: from || null,
+            to: to || null,
+            limit: 10000
+        });
+        const replayed = await replayWebhookEvents(client, events.map(event => event.event_id));
+
+        res.json({
+            success: true,
+            message: `웹훅 이벤트 ${replayed.length}건을 재처리 대상으로 등록했습니다.`,
+            data: {
+                total: replayed.length,
+                skipped: events.length - replayed.length,
+                events: replayed
+            }
+        });
+    } catch (error) {
+        console.error('웹훅 이벤트 일괄 재처리 등록 중 오류:', error);
+        res.status(500).json({
+            success: false,
+            message: '웹훅 이벤트 일괄 재처리 등록 중 오류가 발생했습니다.',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+
+    drainWebhookEventsInBackground();
+});
+
+// 강좌의 Zoom 녹화 가져오기 현황 조회 (주차별)
+router.get('/course/:courseId/recordings', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { status } = req.query;
+
+        if (status && !Object.values(IMPORT_STATUS).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `유효하지 않은 상태입니다. (${Object.values(IMPORT_STATUS).join(', ')})`
+            });
+        }
+
+        const recordings = await getRecordingImports(client, {
+            courseId: req.params.courseId,
+            status: status || null
+        });
+
+        res.json({
+            success: true,
+            data: {
+                total: recordings.length,
+                recordings
+            }
+        });
+    } catch (error) {
+        console.error('녹화 가져오기 현황 조회 중 오류:', error);
+        res.status(500).json({
+            success: false,
+            message: '녹화 가져오기 현황 조회 중 오류가 발생했습니다.',
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 회차 녹화 다시 가져오기 (Zoom API로 녹화 정보와 새 다운로드 토큰을 받아 실패·미등록 파일을 대기열에 등록)
+router.post('/sessions/:meetingUuid/recordings/import', verifyToken, requireRole(['ADMIN', 'INSTRUCTOR']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { meetingUuid } = req.params;
+        const recordingResponse = await zoomClient.get(`/meetings/${encodeMeetingUuid(meetingUuid)}/recordings`);
+
+        // 녹화 다운로드에는 API 액세스 토큰을 사용 (토큰 만료 시각까지 유효)
+        const registered = await registerRecordingFiles(client, recordingResponse.data, {
+            token: await zoomClient.getAccessToken(),
+            expiresAt: zoomClient.getTokenExpiresAt()
+        });
+
+        if (!registered) {
+            return res.status(404).json({
+                success: false,
+                message: '녹화의 미팅과 연결된 강좌를 찾을 수 없습니다.'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: '녹화 가져오기를 시작했습니다.',
+            data: registered
+        });
+    } catch (error) {
+        console.error('녹화 가져오기 등록 중 오류:', error);
+        const notFound = error.response?.status === 404;
+        return res.status(notFound ? 404 : 500).json({
+            success: false,
+            message: notFound ? 'Zoom 클라우드 녹화를 찾을 수 없습니다.' : '녹화 가져오기 등록 중 오류가 발생했습니다.',
+            error: error.response?.data?.message || error.message
+        });
+    } finally {
+        client.release();
+    }
+
+    drainWebhookEventsInBackground();
+});
+
 // 함수 내보내기
 module.exports = router;
 
 // createZoomMeeting 함수도 외부에서 사용할 수 있도록 설정
-module.exports.createZoomMeeting = createZoomMeeting; 
\ No newline at end of file
+module.exports.createZoomMeeting = createZoomMeeting;
\ No newline at end of file
@@ -0,0 +1,264 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const { masterPool, SCHEMAS } = require('../config/database');
+const { generateUploadUrls } = require('../utils/s3');
+const {
+    APPEAL_STATUS,
+    appealAttachmentPrefix,
+    getOwnGrade,
+    getStudentAppeals
+} = require('../utils/grade-appeal');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Grade Appeals (Student)
+ *     description: APIs for students to dispute a grade
+ */
+
+/**
+ * @swagger
+ * /api/v1/appeals/upload-urls:
+ *   post:
+ *     summary: Get presigned upload URLs for appeal attachments
+ *     tags: [Grade Appeals (Student)]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [gradeId, files]
+ *             properties:
+ *               gradeId:
+ *                 type: integer
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                     size:
+ *                       type: number
+ *     responses:
+ *       '200':
+ *         description: Presigned upload URLs.
+ *       '404':
+ *         description: Grade not found for the current student.
+ */
+// 이의신청 첨부 파일 업로드 URL 발급
+router.post('/upload-urls', verifyToken, requireRole(['STUDENT']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const studentId = req.user.sub;
+        const { gradeId, files } = req.body;
+
+        if (!files || !Array.isArray(files) || files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "업로드할 파일 정보가 없습니다."
+            });
+        }
+
+        const grade = await getOwnGrade(client, gradeId, studentId);
+        if (!grade) {
+            return res.status(404).json({
+                success: false,
+                message: "성적 정보를 찾을 수 없습니다."
+            });
+        }
+
+        const prefix = appealAttachmentPrefix(grade.course_id, grade.grade_id, studentId);
+        const urls = await generateUploadUrls(
+            grade.course_id,
+            'appeals',
+            files.map(file => ({ ...file, prefix }))
+        );
+
+        res.json({
+            success: true,
+            data: urls
+        });
+    } catch (error) {
+        console.error('Error generating appeal upload URLs:', error);
+        res.status(500).json({
+            success: false,
+            message: "업로드 URL 생성 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/appeals:
+ *   post:
+ *     summary: File a grade appeal
+ *     tags: [Grade Appeals (Student)]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [gradeId, message]
+ *             properties:
+ *               gradeId:
+ *                 type: integer
+ *               message:
+ *                 type: string
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     fileName:
+ *                       type: string
+ *     responses:
+ *       '201':
+ *         description: Appeal filed.
+ *       '404':
+ *         description: Grade not found for the current student.
+ *       '409':
+ *         description: A pending appeal already exists for this grade.
+ */
+// 성적 이의신청 등록
+router.post('/', verifyToken, requireRole(['STUDENT']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const studentId = req.user.sub;
+        const { gradeId, message, attachments = [] } = req.body;
+
+        if (!message || !message.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: "이의신청 내용을 입력해주세요."
+            });
+        }
+
+        if (!Array.isArray(attachments)) {
+            return res.status(400).json({
+                success: false,
+                message: "첨부 파일 형식이 올바르지 않습니다."
+            });
+        }
+
+        const grade = await getOwnGrade(client, gradeId, studentId);
+        if (!grade) {
+            return res.status(404).json({
+                success: false,
+                message: "성적 정보를 찾을 수 없습니다."
+            });
+        }
+
+        // 업로드 URL로 발급된 경로의 파일만 첨부 허용
+        const prefix = `${appealAttachmentPrefix(grade.course_id, grade.grade_id, studentId)}/`;
+        if (attachments.some(file => !file.key || !file.key.startsWith(prefix))) {
+            return res.status(400).json({
+                success: false,
+                message: "허용되지 않은 첨부 파일 경로입니다."
+            });
+        }
+
+        const pendingCheck = await client.query(
+            `SELECT appeal_id FROM ${SCHEMAS.GRADE}.grade_appeals
+            WHERE grade_id = $1 AND status = $2`,
+            [grade.grade_id, APPEAL_STATUS.PENDING]
+        );
+
+        if (pendingCheck.rows.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: "이미 처리 대기 중인 이의신청이 있습니다.",
+                data: pendingCheck.rows[0]
+            });
+        }
+
+        const result = await client.query(
+            `INSERT INTO ${SCHEMAS.GRADE}.grade_appeals
+            (grade_id, course_id, student_id, message, attachments, original_score)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *`,
+            [
+                grade.grade_id,
+                grade.course_id,
+                studentId,
+                message.trim(),
+                JSON.stringify(attachments.map(file => ({
+                    key: file.key,
+                    fileName: file.fileName || file.key.split('/').pop()
+                }))),
+                grade.score
+            ]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: "이의신청이 등록되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error creating grade appeal:', error);
+        res.status(500).json({
+            success: false,
+            message: "이의신청 등록 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/appeals/course/{courseId}:
+ *   get:
+ *     summary: List my appeals for a course
+ *     tags: [Grade Appeals (Student)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Appeals filed by the current student, newest first.
+ */
+// 내 이의신청 목록 조회
+router.get('/course/:courseId', verifyToken, requireRole(['STUDENT']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const appeals = await getStudentAppeals(client, req.params.courseId, req.user.sub);
+
+        res.json({
+            success: true,
+            data: appeals
+        });
+    } catch (error) {
+        console.error('Error fetching grade appeals:', error);
+        res.status(500).json({
+            success: false,
+            message: "이의신청 목록 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,21 @@ const { masterPool, SCHEMAS } = require('../config/database');
 const { s3Client } = require('../config/s3');
 const { PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { getItemRubric } = require('../utils/rubric');
+const { updateFinalGrades, setScoreChangeContext } = require('../utils/grade-calculator');
+const { GRADE_LOCKED_MESSAGE, getGradeLock } = require('../utils/grade-lock');
+const { getLatePolicy, getEffectiveDueDate, evaluateLateSubmission } = require('../utils/late-policy');
+const { createSubmissionVersion } = require('../utils/submission-version');
+const { getStudentGroup } = require('../utils/course-group');
+const { getSubmissionFeedback } = require('../utils/submission-feedback');
+const { getAutograderConfig, enqueueAutogradeRun, getLatestAutogradeRun } = require('../utils/autograder');
+const {
+    SUBMIT_GRACE_SECONDS,
+    buildAttemptQuestions,
+    gradeAttempt,
+    resolveQuizScore,
+    getQuizSettings
+} = require('../utils/quiz');
 
 /**
  * @api {get} /api/v1/assignments/my 내 모든 과제/퀴즈 목록 조회
@@ -34,6 +49,7 @@ router.get('/my', verifyToken, async (req, res) => {
                 gi.item_type,
                 gi.item_name AS title,
                 gi.due_date,
+                gi.is_group_assignment,
                 c.id AS course_id,
                 c.title AS course_title,
                 COALESCE(sg.score, 0) AS score,
@@ -107,6 +123,7 @@ router.get('/course/:courseId', verifyToken, async (req, res) => {
                 gi.item_type,
                 gi.item_name AS title,
                 gi.due_date,
+                gi.is_group_assignment,
                 c.title AS course_title,
                 COALESCE(sg.score, 0) AS score,
                 COALESCE(sg.is_completed, false) AS is_completed,
@@ -147,6 +164,14 @@ router.get('/course/:courseId', verifyToken, async (req, res) => {
  * @apiParam {Number} assignmentId 과제/퀴즈 ID
  * @apiSuccess {Boolean} success 성공 여부
  * @apiSuccess {Object} data 과제/퀴즈 상세 정보
+ * @apiSuccess {Object} data.rubric 루브릭 기준 (없으면 null)
+ * @apiSuccess {Object[]} data.rubric_selections 기준별 선택 수준, 배점, 코멘트 (루브릭 채점된 경우)
+ * @apiSuccess {String} data.extended_due_date 학생별 연장 마감일 (없으면 null)
+ * @apiSuccess {Object} data.late_policy 지각 제출 정책 (없으면 마감 후 제출 불가)
+ * @apiSuccess {Object} data.group 조별 과제의 소속 조와 조원 (조별 과제가 아니거나 소속 조가 없으면 null)
+ * @apiSuccess {Object[]} data.feedback_attachments 채점자가 돌려준 피드백 파일 (다운로드 URL 포함)
+ * @apiSuccess {Object[]} data.feedback_comments 제출 파일의 위치(페이지/줄)를 지정한 피드백 코멘트
+ * @apiSuccess {Object} data.autograde 최근 자동 채점 실행 상태와 결과 (자동 채점 과제가 아니거나 실행이 없으면 null)
  */
 router.get('/:assignmentId', verifyToken, async (req, res) => {
     const client = await masterPool.connect();
@@ -179,13 +204,19 @@ router.get('/:assignmentId', verifyToken, async (req, res) => {
                 gi.item_type,
                 gi.item_name AS title,
                 gi.due_date,
+                gi.is_group_assignment,
                 c.id AS course_id,
                 c.title AS course_title,
+                sg.grade_id,
                 COALESCE(sg.score, 0) AS score,
                 COALESCE(sg.is_completed, false) AS is_completed,
                 COALESCE(sg.submission_data, '{}') AS submission_data,
                 COALESCE(sg.feedback, '') AS feedback,
+                sg.rubric_selections,
                 sg.submission_date,
+                sg.is_late,
+                COALESCE(sg.late_penalty_percent, 0) AS late_penalty_percent,
+                sg.group_submitted_by,
                 CASE 
                     WHEN gi.due_date < NOW() THEN '마감됨'
                     WHEN COALESCE(sg.is_completed, false) THEN '제출완료' 
@@ -206,10 +237,80 @@ router.get('/:assignmentId', verifyToken, async (req, res) => {
         }
         
         // 과제/퀴즈 관련 파일 목록 조회 (추후 구현)
+
+        // 루브릭 기준 (채점 결과는 rubric_selections에 기준별 수준과 코멘트로 포함)
+        const rubric = await getItemRubric(client, assignmentId);
+
+        // 학생별 연장 마감일과 지각 제출 정책
+        const { extension } = await getEffectiveDueDate(client, assignmentId, studentId, result.rows[0].due_date);
+        const latePolicy = await getLatePolicy(client, assignmentId);
+
+        // 조별 과제는 소속 조와 조원 정보 포함 (조원이 제출한 내용도 같은 제출물로 표시됨)
+        const group = result.rows[0].is_group_assignment
+            ? await getStudentGroup(client, result.rows[0].course_id, studentId)
+            : null;
+
+        // 피드백 파일과 위치 지정 코멘트 (조별 과제는 조원 제출물에 남긴 피드백 포함)
+        const feedback = result.rows[0].grade_id
+            ? await getSubmissionFeedback(client, result.rows[0].grade_id)
+            : { attachments: [], comments: [] };
+
+        // 자동 채점 과제는 최근 채점 실행 결과 (숨김 테스트 내용과 실행 로그는 제외)
+        const autogradeRun = result.rows[0].grade_id
+            ? await getLatestAutogradeRun(client, result.rows[0].grade_id)
+            : null;
         
         res.json({
             success: true,
-            data: result.rows[0]
+            data: {
+                ...result.rows[0],
+                feedback_attachments: feedback.attachments.map(attachment => ({
+                    attachment_id: attachment.attachment_id,
+                    file_name: attachment.file_name,
+                    created_at: attachment.created_at,
+                    downloadUrl: attachment.downloadUrl
+                })),
+                feedback_comments: feedback.comments.map(comment => ({
+                    comment_id: comment.comment_id,
+                    file_key: comment.file_key,
+                    file_name: comment.file_name,
+                    version_number: comment.version_number,
+                    anchor: comment.anchor,
+                    body: comment.body,
+                    created_by_name: comment.created_by_name,
+                    created_at: comment.created_at,
+                    updated_at: comment.updated_at
+                })),
+                group: group
+                    ? {
+                        group_id: group.group_id,
+                        name: group.name,
+                        members: group.members.map(({ student_id, name }) => ({ student_id, name }))
+                    }
+                    : null,
+                autograde: autogradeRun
+                    ? {
+                        run_id: autogradeRun.run_id,
+                        version_number: autogradeRun.version_number,
+                        status: autogradeRun.status,
+                        score: autogradeRun.score,
+                        tests_passed: autogradeRun.tests_passed,
+                        tests_total: autogradeRun.tests_total,
+                        timed_out: autogradeRun.timed_out,
+                        error_message: autogradeRun.error_message,
+                        completed_at: autogradeRun.completed_at
+                    }
+                    : null,
+                rubric: rubric ? { title: rubric.title, criteria: rubric.criteria } : null,
+                extended_due_date: extension ? extension.due_date : null,
+                late_policy: latePolicy
+                    ? {
+                        grace_minutes: latePolicy.grace_minutes,
+                        penalty_per_day: latePolicy.penalty_per_day,
+                        cutoff_hours: latePolicy.cutoff_hours
+                    }
+                    : null
+            }
         });
     } catch (error) {
         console.error('Error fetching assignment detail:', error);
@@ -223,15 +324,333 @@ router.get('/:assignmentId', verifyToken, async (req, res) => {
     }
 });
 
+/**
+ * @api {post} /api/v1/assignments/:assignmentId/quiz/start 퀴즈 응시 시작
+ * @apiDescription 문제 은행에서 문항을 무작위로 출제하고 응시 기록을 생성합니다. 진행 중인 응시가 있으면 해당 응시를 반환합니다.
+ * @apiName StartQuizAttempt
+ * @apiGroup Assignments
+ * @apiParam {Number} assignmentId 퀴즈 ID
+ * @apiSuccess {Boolean} success 성공 여부
+ * @apiSuccess {Object} data 응시 정보 (attempt_id, 출제 문항, 제출 마감 시각)
+ */
+router.post('/:assignmentId/quiz/start', verifyToken, async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const studentId = req.user.sub;
+        const { assignmentId } = req.params;
+
+        // 학생이 해당 퀴즈가 속한 과목을 수강 중인지 확인
+        const enrollmentCheck = await client.query(`
+            SELECT e.id AS enrollment_id, gi.item_type, gi.due_date
+            FROM ${SCHEMAS.ENROLLMENT}.enrollments e
+            JOIN ${SCHEMAS.GRADE}.grade_items gi ON e.course_id = gi.course_id
+            WHERE e.student_id = $1 AND gi.item_id = $2 AND e.status = 'ACTIVE'
+        `, [studentId, assignmentId]);
+
+        if (enrollmentCheck.rows.length === 0) {
+            return res.status(403).json({
+                success: false,
+                message: "해당 과제/퀴즈에 접근할 권한이 없습니다."
+            });
+        }
+
+        const { enrollment_id: enrollmentId, item_type: itemType } = enrollmentCheck.rows[0];
+
+        if (itemType !== 'QUIZ') {
+            return res.status(400).json({
+                success: false,
+                message: "퀴즈 항목이 아닙니다."
+            });
+        }
+
+        // 학생별 기한 연장 반영 (퀴즈는 지각 제출을 받지 않음)
+        const { dueDate } = await getEffectiveDueDate(client, assignmentId, studentId, enrollmentCheck.rows[0].due_date);
+        if (dueDate && new Date() > new Date(dueDate)) {
+            return res.status(400).json({
+                success: false,
+                message: "제출 기한이 지났습니다."
+            });
+        }
+
+        const settings = await getQuizSettings(client, assignmentId);
+        if (!settings) {
+            return res.status(400).json({
+                success: false,
+                message: "퀴즈 문항이 아직 설정되지 않았습니다."
+            });
+        }
+
+        await client.query('BEGIN');
+
+        // 제출물 행 확보 (응시 기록은 student_grades에 연결됨)
+        let gradeResult = await client.query(`
+            SELECT grade_id
+            FROM ${SCHEMAS.GRADE}.student_grades
+            WHERE enrollment_id = $1 AND item_id::text = $2::text
+            FOR UPDATE
+        `, [enrollmentId, assignmentId]);
+
+        if (gradeResult.rows.length === 0) {
+            gradeResult = await client.query(`
+                INSERT INTO ${SCHEMAS.GRADE}.student_grades
+                (enrollment_id, item_id, score, is_completed, submission_date)
+                VALUES ($1, $2, 0, false, NULL)
+                RETURNING grade_id
+            `, [enrollmentId, assignmentId]);
+        }
+
+        const gradeId = gradeResult.rows[0].grade_id;
+
+        // 진행 중인 응시가 있으면 이어서 응시 (제한 시간이 지난 응시는 만료 처리)
+        const inProgress = await client.query(`
+            SELECT *, (expires_at IS NOT NULL AND expires_at < NOW()) AS is_expired
+            FROM ${SCHEMAS.GRADE}.quiz_attempts
+            WHERE grade_id = $1 AND status = 'IN_PROGRESS'
+        `, [gradeId]);
+
+        for (const attempt of inProgress.rows) {
+            if (!attempt.is_expired) {
+                await client.query('COMMIT');
+                return res.json({
+                    success: true,
+                    message: "진행 중인 응시가 있습니다.",
+                    data: formatAttemptForStudent(attempt, settings)
+                });
+            }
+            await client.query(`
+                UPDATE ${SCHEMAS.GRADE}.quiz_attempts
+                SET status = 'EXPIRED'
+                WHERE attempt_id = $1
+            `, [attempt.attempt_id]);
+        }
+
+        const attemptCount = await client.query(`
+            SELECT COUNT(*)::int AS count
+            FROM ${SCHEMAS.GRADE}.quiz_attempts
+            WHERE grade_id = $1
+        `, [gradeId]);
+
+        if (attemptCount.rows[0].count >= settings.max_attempts) {
+            await client.query('COMMIT');
+            return res.status(409).json({
+                success: false,
+                message: "응시 가능 횟수를 모두 사용했습니다."
+            });
+        }
+
+        const questions = await client.query(`
+            SELECT question_id, question_type, prompt, choices, points
+            FROM ${SCHEMAS.GRADE}.quiz_questions
+            WHERE bank_id = $1 AND is_active = true
+            ORDER BY question_id ASC
+        `, [settings.bank_id]);
+
+        if (questions.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: "출제할 문항이 없습니다."
+            });
+        }
+
+        // 제출 마감 시각은 제한 시간과 과제 마감일 중 이른 시각
+        const attemptResult = await client.query(`
+            INSERT INTO ${SCHEMAS.GRADE}.quiz_attempts
+            (grade_id, item_id, student_id, attempt_number, questions, expires_at)
+            VALUES (
+                $1, $2, $3, $4, $5,
+                CASE
+                    WHEN $6::int IS NULL THEN $7::timestamptz
+                    ELSE LEAST(NOW() + make_interval(mins => $6::int), COALESCE($7::timestamptz, 'infinity'))
+                END
+            )
+            RETURNING *
+        `, [
+            gradeId,
+            assignmentId,
+            studentId,
+            attemptCount.rows[0].count + 1,
+            JSON.stringify(buildAttemptQuestions(questions.rows, settings)),
+            settings.time_limit_minutes,
+            dueDate
+        ]);
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            success: true,
+            message: "퀴즈 응시가 시작되었습니다.",
+            data: formatAttemptForStudent(attemptResult.rows[0], settings)
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error starting quiz attempt:', error);
+        res.status(500).json({
+            success: false,
+            message: "퀴즈 응시 시작 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// 학생에게 반환할 응시 정보 (출제 문항 스냅샷에는 정답이 포함되지 않음)
+function formatAttemptForStudent(attempt, settings) {
+    return {
+        attempt_id: attempt.attempt_id,
+        attempt_number: attempt.attempt_number,
+        max_attempts: settings.max_attempts,
+        time_limit_minutes: settings.time_limit_minutes,
+        started_at: attempt.started_at,
+        expires_at: attempt.expires_at,
+        questions: attempt.questions
+    };
+}
+
+/**
+ * 퀴즈 응시 제출 및 서버 채점
+ * 반영 점수(최고/마지막)를 student_grades에 기록하고 최종 성적을 갱신함
+ */
+async function submitQuizAttempt(client, req, res, { studentId, assignmentId, courseId }) {
+    const { attemptId, answers = {} } = req.body;
+
+    if (!attemptId || typeof answers !== 'object' || Array.isArray(answers)) {
+        return res.status(400).json({
+            success: false,
+            message: "응시 정보(attemptId)와 답안(answers)이 필요합니다."
+        });
+    }
+
+    await client.query('BEGIN');
+
+    const attemptResult = await client.query(`
+        SELECT *, (expires_at IS NOT NULL AND NOW() > expires_at + make_interval(secs => $4)) AS is_expired
+        FROM ${SCHEMAS.GRADE}.quiz_attempts
+        WHERE attempt_id = $1 AND student_id = $2 AND item_id::text = $3::text
+        FOR UPDATE
+    `, [attemptId, studentId, assignmentId, SUBMIT_GRACE_SECONDS]);
+
+    if (attemptResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+            success: false,
+            message: "응시 기록을 찾을 수 없습니다."
+        });
+    }
+
+    const attempt = attemptResult.rows[0];
+
+    if (attempt.status !== 'IN_PROGRESS') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+            success: false,
+            message: "이미 종료된 응시입니다."
+        });
+    }
+
+    if (attempt.is_expired) {
+        await client.query(`
+            UPDATE ${SCHEMAS.GRADE}.quiz_attempts
+            SET status = 'EXPIRED'
+            WHERE attempt_id = $1
+        `, [attempt.attempt_id]);
+        await client.query('COMMIT');
+        return res.status(400).json({
+            success: false,
+            message: "제한 시간이 지나 제출할 수 없습니다."
+        });
+    }
+
+    const gradeLock = await getGradeLock(client, courseId);
+    if (gradeLock.is_locked) {
+        await client.query('ROLLBACK');
+        return res.status(423).json({
+            success: false,
+            message: GRADE_LOCKED_MESSAGE
+        });
+    }
+
+    // 정답은 응시 시점 스냅샷이 아닌 문제 은행에서 조회하여 채점
+    const questionIds = attempt.questions.map(question => question.questionId);
+    const questionsResult = await client.query(`
+        SELECT question_id, question_type, answer
+        FROM ${SCHEMAS.GRADE}.quiz_questions
+        WHERE question_id = ANY($1::int[])
+    `, [questionIds]);
+    const questionsById = new Map(questionsResult.rows.map(question => [question.question_id, question]));
+
+    const graded = gradeAttempt(attempt.questions, questionsById, answers);
+
+    await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.quiz_attempts
+        SET answers = $1,
+            results = $2,
+            score = $3,
+            status = 'SUBMITTED',
+            submitted_at = NOW()
+        WHERE attempt_id = $4
+    `, [JSON.stringify(answers), JSON.stringify(graded.results), graded.score, attempt.attempt_id]);
+
+    const submitted = await client.query(`
+        SELECT attempt_id, attempt_number, score
+        FROM ${SCHEMAS.GRADE}.quiz_attempts
+        WHERE grade_id = $1 AND status = 'SUBMITTED'
+    `, [attempt.grade_id]);
+
+    const settings = await getQuizSettings(client, assignmentId);
+    const finalScore = resolveQuizScore(settings ? settings.scoring_method : 'HIGHEST', submitted.rows);
+
+    // 응시 점수 반영을 성적 히스토리에 남김
+    await setScoreChangeContext(client, studentId, `퀴즈 자동 채점 (응시 #${attempt.attempt_number})`);
+    await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.student_grades
+        SET score = $1,
+            is_completed = true,
+            submission_date = NOW(),
+            submission_data = $2,
+            updated_at = NOW()
+        WHERE grade_id = $3
+    `, [
+        finalScore,
+        JSON.stringify({ quiz: { lastAttemptId: attempt.attempt_id, attemptCount: submitted.rows.length } }),
+        attempt.grade_id
+    ]);
+
+    await updateFinalGrades(client, courseId, studentId);
+
+    await client.query('COMMIT');
+
+    return res.json({
+        success: true,
+        message: "퀴즈가 제출되어 채점되었습니다.",
+        data: {
+            grade_id: attempt.grade_id,
+            attempt_id: attempt.attempt_id,
+            attempt_number: attempt.attempt_number,
+            attempt_score: graded.score,
+            earned_points: graded.earnedPoints,
+            possible_points: graded.possiblePoints,
+            results: graded.results.map(({ questionId, correct, earnedPoints, points }) => ({
+                questionId, correct, earnedPoints, points
+            })),
+            is_completed: true,
+            score: finalScore
+        }
+    });
+}
+
 /**
  * @api {post} /api/v1/assignments/:assignmentId/submit 과제/퀴즈 제출
  * @apiDescription 과제 또는 퀴즈를 제출합니다.
  * @apiName SubmitAssignment
  * @apiGroup Assignments
  * @apiParam {Number} assignmentId 과제/퀴즈 ID
- * @apiParam {Object} submission_data 제출 데이터 (과제: 설명, 파일 목록, 퀴즈: 응답 내용)
+ * @apiParam {Object} submission_data 제출 데이터 (과제: 설명, 파일 목록)
+ * @apiParam {Number} attemptId 퀴즈 응시 ID (퀴즈인 경우, /quiz/start에서 발급)
+ * @apiParam {Object} answers 퀴즈 답안 ({ [questionId]: 답 }, 점수는 서버에서 채점)
  * @apiSuccess {Boolean} success 성공 여부
- * @apiSuccess {Object} data 제출 결과
+ * @apiSuccess {Object} data 제출 결과 (과제: 제출 버전 번호 version_number, 지각 여부 is_late, 감점 비율 late_penalty_percent 포함, 조별 과제는 조원 모두에게 같은 제출물이 저장됨, 자동 채점 과제는 대기열에 등록된 채점 실행 autograde 포함)
  */
 router.post('/:assignmentId/submit', verifyToken, async (req, res) => {
     const client = await masterPool.connect();
@@ -239,26 +658,14 @@ router.post('/:assignmentId/submit', verifyToken, async (req, res) => {
         // JWT의 sub 필드에서 사용자 ID 가져오기
         const studentId = req.user.sub;
         const { assignmentId } = req.params;
-        const { submission_data, score } = req.body;
-        
-        // score가 있으면 퀴즈 제출로 간주, submission_data가 없어도 기본 객체 생성
-        let submissionData = submission_data || {};
+        const { submission_data } = req.body;
         
-        // score가 있으면 submission_data에 포함
-        if (score !== undefined) {
-            submissionData = { ...submissionData, score };
-        }
-        
-        if (!submissionData && !score) {
-            return res.status(400).json({
-                success: false, 
-                message: "제출 데이터가 없습니다."
-            });
-        }
+        // submission_data가 없어도 기본 객체 생성
+        const submissionData = submission_data || {};
         
         // 학생이 해당 과제/퀴즈가 속한 과목을 수강 중인지 확인
         const enrollmentCheck = await client.query(`
-            SELECT e.id AS enrollment_id, gi.item_type, gi.due_date
+            SELECT e.id AS enrollment_id, gi.item_type, gi.due_date, gi.course_id, gi.is_group_assignment
             FROM ${SCHEMAS.ENROLLMENT}.enrollments e
             JOIN ${SCHEMAS.GRADE}.grade_items gi ON e.course_id = gi.course_id
             WHERE e.student_id = $1 AND gi.item_id = $2 AND e.status = 'ACTIVE'
@@ -273,88 +680,143 @@ router.post('/:assignmentId/submit', verifyToken, async (req, res) => {
         
         const enrollmentId = enrollmentCheck.rows[0].enrollment_id;
         const itemType = enrollmentCheck.rows[0].item_type;
-        const dueDate = new Date(enrollmentCheck.rows[0].due_date);
+        const courseId = enrollmentCheck.rows[0].course_id;
+
+        // 퀴즈는 응시 기록을 기준으로 서버에서 채점 (제출 마감은 응시별 expires_at으로 확인)
+        if (itemType === 'QUIZ') {
+            return await submitQuizAttempt(client, req, res, {
+                studentId,
+                assignmentId,
+                courseId
+            });
+        }
+
+        // 조별 과제는 조당 하나의 제출물을 조원 모두의 제출물로 저장
+        let group = null;
+        if (enrollmentCheck.rows[0].is_group_assignment) {
+            group = await getStudentGroup(client, courseId, studentId);
+            if (!group) {
+                return res.status(400).json({
+                    success: false,
+                    message: "조별 과제입니다. 소속된 조가 없어 제출할 수 없습니다."
+                });
+            }
+        }
         
-        // 마감일 확인
-        const now = new Date();
-        if (now > dueDate) {
+        // 마감일 확인 (학생별 기한 연장과 지각 제출 정책 적용)
+        const { dueDate } = await getEffectiveDueDate(client, assignmentId, studentId, enrollmentCheck.rows[0].due_date);
+        const latePolicy = await getLatePolicy(client, assignmentId);
+        const lateStatus = evaluateLateSubmission(new Date(), dueDate, latePolicy);
+        if (!lateStatus.accepted) {
             return res.status(400).json({
                 success: false,
                 message: "제출 기한이 지났습니다."
             });
         }
         
-        // 이미 제출했는지 확인
-        const existingSubmission = await client.query(`
-            SELECT grade_id, is_completed, score 
-            FROM ${SCHEMAS.GRADE}.student_grades
-            WHERE enrollment_id = $1 AND item_id::text = $2::text
-        `, [enrollmentId, assignmentId]);
+        // 제출 대상 수강 정보 (조별 과제는 수강 중인 조원 전체)
+        const targetEnrollmentIds = group
+            ? group.members.filter(member => member.enrollment_id).map(member => member.enrollment_id)
+            : [enrollmentId];
         
         let gradeId;
         let initialScore = 0;
+        let version;
         
         await client.query('BEGIN');
         
-        if (existingSubmission.rows.length > 0) {
-            // 기존 제출 내용 업데이트
-            gradeId = existingSubmission.rows[0].grade_id;
+        for (const targetEnrollmentId of targetEnrollmentIds) {
+            // 이미 제출했는지 확인
+            const existingSubmission = await client.query(`
+                SELECT grade_id, is_completed, score 
+                FROM ${SCHEMAS.GRADE}.student_grades
+                WHERE enrollment_id = $1 AND item_id::text = $2::text
+                FOR UPDATE
+            `, [targetEnrollmentId, assignmentId]);
             
-            // 이미 채점된 경우 점수 유지
-            initialScore = existingSubmission.rows[0].score || 0;
+            let targetGradeId;
+            let targetScore = 0;
             
-            await client.query(`
-                UPDATE ${SCHEMAS.GRADE}.student_grades
-                SET submission_data = $1,
-                    is_completed = true,
-                    submission_date = NOW(),
-                    updated_at = NOW()
-                WHERE grade_id = $2
-            `, [submissionData, gradeId]);
-        } else {
-            // 새로운 제출 생성
-            const insertResult = await client.query(`
-                INSERT INTO ${SCHEMAS.GRADE}.student_grades
-                (enrollment_id, item_id, score, is_completed, submission_date, submission_data)
-                VALUES ($1, $2, $3, true, NOW(), $4)
-                RETURNING grade_id
-            `, [enrollmentId, assignmentId, initialScore, submissionData]);
-            
-            gradeId = insertResult.rows[0].grade_id;
-        }
-        
-        // 퀴즈인 경우 자동 채점
-        let finalScore = initialScore;
-        if (itemType === 'QUIZ') {
-            // 점수가 직접 본문에 있거나 submission_data 내에 있는 경우 모두 처리
-            if (score !== undefined) {
-                finalScore = score;
+            if (existingSubmission.rows.length > 0) {
+                // 기존 제출 내용 업데이트
+                targetGradeId = existingSubmission.rows[0].grade_id;
                 
-                console.log(`퀴즈 채점 - 학생 ID: ${req.user.sub}, 퀴즈 ID: ${assignmentId}, 점수: ${finalScore}`);
+                // 이미 채점된 경우 점수 유지
+                targetScore = existingSubmission.rows[0].score || 0;
                 
-                // 점수 업데이트
                 await client.query(`
                     UPDATE ${SCHEMAS.GRADE}.student_grades
-                    SET score = $1
-                    WHERE grade_id = $2
-                `, [finalScore, gradeId]);
+                    SET submission_data = $1,
+                        is_completed = true,
+                        submission_date = NOW(),
+                        is_late = $2,
+                        late_minutes = $3,
+                        late_penalty_percent = $4,
+                        group_id = $5,
+                        group_submitted_by = $6,
+                        updated_at = NOW()
+                    WHERE grade_id = $7
+                `, [
+                    submissionData, lateStatus.isLate, lateStatus.lateMinutes, lateStatus.penaltyPercent,
+                    group ? group.group_id : null, group ? studentId : null, targetGradeId
+                ]);
             } else {
-                return res.status(400).json({
-                    success: false,
-                    message: "퀴즈 제출 시 점수(score)가 필요합니다."
-                });
+                // 새로운 제출 생성
+                const insertResult = await client.query(`
+                    INSERT INTO ${SCHEMAS.GRADE}.student_grades
+                    (enrollment_id, item_id, score, is_completed, submission_date, submission_data,
+                     is_late, late_minutes, late_penalty_percent, group_id, group_submitted_by)
+                    VALUES ($1, $2, $3, true, NOW(), $4, $5, $6, $7, $8, $9)
+                    RETURNING grade_id
+                `, [
+                    targetEnrollmentId, assignmentId, targetScore, submissionData,
+                    lateStatus.isLate, lateStatus.lateMinutes, lateStatus.penaltyPercent,
+                    group ? group.group_id : null, group ? studentId : null
+                ]);
+                
+                targetGradeId = insertResult.rows[0].grade_id;
+            }
+
+            // 제출 내용을 버전으로 보관 (student_grades.submission_data는 최신 제출 내용)
+            const targetVersion = await createSubmissionVersion(client, targetGradeId, submissionData, lateStatus);
+
+            if (targetEnrollmentId === enrollmentId) {
+                gradeId = targetGradeId;
+                initialScore = targetScore;
+                version = targetVersion;
             }
         }
+
+        // 자동 채점 과제는 제출 버전의 채점을 대기열에 등록 (채점 작업자가 처리한 뒤 점수 반영)
+        let autogradeRun = null;
+        if (!group && await getAutograderConfig(client, assignmentId)) {
+            autogradeRun = await enqueueAutogradeRun(client, {
+                itemId: assignmentId,
+                gradeId,
+                versionId: version.version_id,
+                requestedBy: studentId
+            });
+        }
         
         await client.query('COMMIT');
         
         res.json({
             success: true,
-            message: "과제/퀴즈가 성공적으로 제출되었습니다.",
+            message: lateStatus.isLate
+                ? `과제가 제출되었습니다. 지각 제출로 ${lateStatus.penaltyPercent}% 감점이 적용됩니다.`
+                : "과제/퀴즈가 성공적으로 제출되었습니다.",
             data: {
                 grade_id: gradeId,
+                version_id: version.version_id,
+                version_number: version.version_number,
                 is_completed: true,
-                score: finalScore
+                score: initialScore,
+                is_late: lateStatus.isLate,
+                late_minutes: lateStatus.lateMinutes,
+                late_penalty_percent: lateStatus.penaltyPercent,
+                due_date: dueDate,
+                group: group ? { group_id: group.group_id, name: group.name } : null,
+                autograde: autogradeRun ? { run_id: autogradeRun.run_id, status: autogradeRun.status } : null
             }
         });
     } catch (error) {
@@ -0,0 +1,328 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const { masterPool, SCHEMAS } = require('../config/database');
+const { generateUploadUrls } = require('../utils/s3');
+const { ATTENDANCE_STATUS } = require('../utils/attendance-policy');
+const {
+    EXCUSE_REQUEST_STATUS,
+    excuseAttachmentPrefix,
+    getOwnAttendanceRecord,
+    getStudentAttendance
+} = require('../utils/attendance-override');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Attendance (Student)
+ *     description: APIs for students to view their attendance and request excused absences
+ */
+
+/**
+ * @swagger
+ * /api/v1/attendance/course/{courseId}:
+ *   get:
+ *     summary: Get my attendance for a course
+ *     tags: [Attendance (Student)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Session records with the effective status (instructor overrides applied) and my excused absence requests.
+ */
+// 내 출석 기록과 공결 신청 조회
+router.get('/course/:courseId', verifyToken, requireRole(['STUDENT']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const attendance = await getStudentAttendance(client, req.params.courseId, req.user.sub);
+
+        res.json({
+            success: true,
+            data: attendance
+        });
+    } catch (error) {
+        console.error('Error fetching student attendance:', error);
+        res.status(500).json({
+            success: false,
+            message: "출석 기록 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/attendance/excuses/upload-urls:
+ *   post:
+ *     summary: Get presigned upload URLs for excused absence documents
+ *     tags: [Attendance (Student)]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [recordId, files]
+ *             properties:
+ *               recordId:
+ *                 type: integer
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                     size:
+ *                       type: number
+ *     responses:
+ *       '200':
+ *         description: Presigned upload URLs.
+ *       '404':
+ *         description: Attendance record not found for the current student.
+ */
+// 공결 증빙 서류 업로드 URL 발급
+router.post('/excuses/upload-urls', verifyToken, requireRole(['STUDENT']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const studentId = req.user.sub;
+        const { recordId, files } = req.body;
+
+        if (!files || !Array.isArray(files) || files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "업로드할 파일 정보가 없습니다."
+            });
+        }
+
+        const record = await getOwnAttendanceRecord(client, recordId, studentId);
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: "출석 기록을 찾을 수 없습니다."
+            });
+        }
+
+        const prefix = excuseAttachmentPrefix(record.course_id, record.record_id, studentId);
+        const urls = await generateUploadUrls(
+            record.course_id,
+            'attendance-excuses',
+            files.map(file => ({ ...file, prefix }))
+        );
+
+        res.json({
+            success: true,
+            data: urls
+        });
+    } catch (error) {
+        console.error('Error generating excuse upload URLs:', error);
+        res.status(500).json({
+            success: false,
+            message: "업로드 URL 생성 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/attendance/excuses:
+ *   post:
+ *     summary: Request an excused absence for a session
+ *     tags: [Attendance (Student)]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [recordId, reason]
+ *             properties:
+ *               recordId:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     fileName:
+ *                       type: string
+ *     responses:
+ *       '201':
+ *         description: Request submitted for instructor review.
+ *       '404':
+ *         description: Attendance record not found for the current student.
+ *       '409':
+ *         description: The session is already excused or a pending request exists.
+ */
+// 공결 신청 등록
+router.post('/excuses', verifyToken, requireRole(['STUDENT']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const studentId = req.user.sub;
+        const { recordId, reason, attachments = [] } = req.body;
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: "공결 사유를 입력해주세요."
+            });
+        }
+
+        if (!Array.isArray(attachments)) {
+            return res.status(400).json({
+                success: false,
+                message: "첨부 파일 형식이 올바르지 않습니다."
+            });
+        }
+
+        const record = await getOwnAttendanceRecord(client, recordId, studentId);
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: "출석 기록을 찾을 수 없습니다."
+            });
+        }
+
+        if (record.status === ATTENDANCE_STATUS.EXCUSED) {
+            return res.status(409).json({
+                success: false,
+                message: "이미 공결 처리된 회차입니다."
+            });
+        }
+
+        // 업로드 URL로 발급된 경로의 파일만 첨부 허용
+        const prefix = `${excuseAttachmentPrefix(record.course_id, record.record_id, studentId)}/`;
+        if (attachments.some(file => !file.key || !file.key.startsWith(prefix))) {
+            return res.status(400).json({
+                success: false,
+                message: "허용되지 않은 첨부 파일 경로입니다."
+            });
+        }
+
+        const pendingCheck = await client.query(
+            `SELECT request_id FROM ${SCHEMAS.GRADE}.excused_absence_requests
+            WHERE record_id = $1 AND status = $2`,
+            [record.record_id, EXCUSE_REQUEST_STATUS.PENDING]
+        );
+
+        if (pendingCheck.rows.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: "이미 처리 대기 중인 공결 신청이 있습니다.",
+                data: pendingCheck.rows[0]
+            });
+        }
+
+        const result = await client.query(
+            `INSERT INTO ${SCHEMAS.GRADE}.excused_absence_requests
+            (record_id, course_id, student_id, reason, attachments)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *`,
+            [
+                record.record_id,
+                record.course_id,
+                studentId,
+                reason.trim(),
+                JSON.stringify(attachments.map(file => ({
+                    key: file.key,
+                    fileName: file.fileName || file.key.split('/').pop()
+                })))
+            ]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: "공결 신청이 등록되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error creating excused absence request:', error);
+        res.status(500).json({
+            success: false,
+            message: "공결 신청 등록 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/attendance/excuses/{requestId}/cancel:
+ *   put:
+ *     summary: Cancel my pending excused absence request
+ *     tags: [Attendance (Student)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Request cancelled.
+ *       '404':
+ *         description: No pending request with this ID for the current student.
+ */
+// 처리 대기 중인 공결 신청 취소
+router.put('/excuses/:requestId/cancel', verifyToken, requireRole(['STUDENT']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(
+            `UPDATE ${SCHEMAS.GRADE}.excused_absence_requests
+            SET status = $1,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE request_id = $2 AND student_id = $3 AND status = $4
+            RETURNING *`,
+            [EXCUSE_REQUEST_STATUS.CANCELLED, req.params.requestId, req.user.sub, EXCUSE_REQUEST_STATUS.PENDING]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "처리 대기 중인 공결 신청을 찾을 수 없습니다."
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "공결 신청이 취소되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error cancelling excused absence request:', error);
+        res.status(500).json({
+            success: false,
+            message: "공결 신청 취소 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
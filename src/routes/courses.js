@@ -10,6 +10,8 @@ const { HeadObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3'
 const { s3Client } = require('../config/s3');
 const { transliterate } = require('transliteration');
 const { getStudentGrades } = require('../utils/grade-calculator');
+const { getStudentAppeals } = require('../utils/grade-appeal');
+const { getCourseSessions, attachSessionsToWeeks } = require('../utils/course-sessions');
 
 const TABLE_NAME = 'nationslab-courses';
 
@@ -503,7 +505,8 @@ router.get('/enrolled/:studentId', verifyToken, async (req, res) => {
                 pt.progress_status,
                 pt.last_accessed_at,
                 c.classmode,
-                e.id as enrollment_id
+                e.id as enrollment_id,
+                e.zoom_join_url
             FROM ${SCHEMAS.ENROLLMENT}.${TABLES.ENROLLMENT.ENROLLMENTS} e
             JOIN ${SCHEMAS.COURSE}.${TABLES.COURSE.COURSES} c
                 ON e.course_id = c.id
@@ -537,7 +540,7 @@ router.get('/enrolled/:studentId', verifyToken, async (req, res) => {
             const weeklyMaterials = await listCourseWeekMaterials(coursePrefix, 'STUDENT');
             
             // 주차별 데이터를 정렬하여 배열로 변환
-            const weeks = Object.entries(weeklyMaterials)
+            const materialWeeks = Object.entries(weeklyMaterials)
                 .sort(([weekA], [weekB]) => {
                     const numA = parseInt(weekA.replace('week', ''));
                     const numB = parseInt(weekB.replace('week', ''));
@@ -564,6 +567,10 @@ router.get('/enrolled/:studentId', verifyToken, async (req, res) => {
                     }, {})
                 }));
 
+            // 주차별 수업 회차 추가
+            const sessions = await getCourseSessions(pool, course.id);
+            const weeks = attachSessionsToWeeks(materialWeeks, sessions);
+
             return {
                 ...course,
                 accessBlocked: false,
@@ -764,7 +771,7 @@ function getFileType(fileName) {
  *   get:
  *     summary: Get my grades for a specific course
  *     tags: [Courses (Student)]
- *     description: Retrieves the current student's grades for a specific course, including attendance, assignments, and exams.
+ *     description: Retrieves the current student's grades for a specific course, including attendance, assignments, exams, and the status of grade appeals.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -815,10 +822,16 @@ router.get('/:courseId/my-grades', verifyToken, async (req, res) => {
                 message: "과목 정보를 찾을 수 없습니다."
             });
         }
+
+        // 이의신청 처리 현황
+        const appeals = await getStudentAppeals(client, courseId, studentId);
         
         res.json({
             success: true,
-            data: gradeInfo
+            data: {
+                ...gradeInfo,
+                appeals
+            }
         });
     } catch (error) {
         console.error('Error fetching grades:', error);
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { verifyToken, requireRole } = require('../middlewares/auth');
 const { getPool, SCHEMAS, TABLES } = require('../config/database');
+const { updateZoomRegistrationInBackground } = require('../utils/zoom-registrants');
 
 /**
  * @swagger
@@ -40,7 +41,7 @@ const { getPool, SCHEMAS, TABLES } = require('../config/database');
  *   post:
  *     summary: Create a new enrollment
  *     tags: [Enrollments]
- *     description: Enrolls a student in a course. Creates related progress tracking and grade records.
+ *     description: Enrolls a student in a course. Creates related progress tracking and grade records, and after responding registers the student on the course Zoom meeting in the background; the personal join URL (zoom_join_url) appears in the course list once registration succeeds.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -169,6 +170,9 @@ router.post('/', verifyToken, async (req, res) => {
                 }
             }
         });
+
+        // 응답 후 강좌 Zoom 미팅 등록자로 추가 (실패해도 수강신청에는 영향 없음, 개인 참가 링크는 수강 목록에서 조회)
+        updateZoomRegistrationInBackground(enrollmentId);
     } catch (error) {
         await client.query('ROLLBACK');
         console.error('Error creating enrollment:', error);
@@ -391,6 +395,11 @@ router.put('/:enrollmentId', verifyToken, requireRole(['ADMIN']), async (req, re
                 enrollment: result.rows[0]
             }
         });
+
+        // 응답 후 수강 취소 시 Zoom 등록 취소, 재활성화 시 다시 등록
+        if (status === 'DROPPED' || status === 'ACTIVE') {
+            updateZoomRegistrationInBackground(enrollmentId, { cancel: status === 'DROPPED' });
+        }
     } catch (error) {
         await client.query('ROLLBACK');
         console.error('Error updating enrollment status:', error);
@@ -0,0 +1,421 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requireRole } = require('../middlewares/auth');
+const { masterPool, SCHEMAS } = require('../config/database');
+const { s3Client } = require('../config/s3');
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getItemRubric, computeRubricScore } = require('../utils/rubric');
+const { extractFileKeys } = require('../utils/submission-version');
+const { REVIEW_STATUS, refreshPeerScore } = require('../utils/peer-review');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Peer Reviews (Student)
+ *     description: APIs for students to review anonymized submissions of classmates
+ */
+
+// 평가자에게 보여주지 않는 제출 데이터 필드 (제출자를 알 수 있는 정보, 파일 키는 별도 처리)
+const IDENTIFYING_FIELDS = new Set([
+    'files', 'studentid', 'studentname', 'studentemail', 'userid', 'username', 'cognitouserid',
+    'enrollmentid', 'email', 'name', 'givenname', 'familyname', 'author', 'authorid', 'submittedby', 'submitter'
+]);
+
+// 평가자에게 보여줄 제출 내용 (식별 필드 제외)
+function anonymizeSubmission(submissionData) {
+    return Object.fromEntries(
+        Object.entries(submissionData || {})
+            .filter(([key]) => !IDENTIFYING_FIELDS.has(key.toLowerCase().replace(/[_-]/g, '')))
+    );
+}
+
+// 학생 본인에게 배정된 동료 평가 조회 (제출자 정보 제외)
+async function getAssignedReview(client, reviewId, reviewerId) {
+    const result = await client.query(`
+        SELECT pr.*, gi.item_name, gi.course_id, prs.review_due_date, sg.submission_data
+        FROM ${SCHEMAS.GRADE}.peer_reviews pr
+        JOIN ${SCHEMAS.GRADE}.grade_items gi ON pr.item_id = gi.item_id
+        JOIN ${SCHEMAS.GRADE}.peer_review_settings prs ON prs.item_id = pr.item_id
+        JOIN ${SCHEMAS.GRADE}.student_grades sg ON pr.grade_id = sg.grade_id
+        WHERE pr.review_id = $1 AND pr.reviewer_id = $2
+    `, [reviewId, reviewerId]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * @swagger
+ * /api/v1/peer-reviews/assigned:
+ *   get:
+ *     summary: List peer reviews assigned to the current student
+ *     tags: [Peer Reviews (Student)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Assigned reviews without author information.
+ */
+// 나에게 배정된 동료 평가 목록
+router.get('/assigned', verifyToken, requireRole(['STUDENT']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { courseId = null } = req.query;
+
+        const result = await client.query(`
+            SELECT pr.review_id, pr.item_id, gi.item_name, gi.course_id, c.title AS course_title,
+                pr.status, pr.score, pr.assigned_at, pr.submitted_at, prs.review_due_date
+            FROM ${SCHEMAS.GRADE}.peer_reviews pr
+            JOIN ${SCHEMAS.GRADE}.grade_items gi ON pr.item_id = gi.item_id
+            JOIN ${SCHEMAS.COURSE}.courses c ON gi.course_id = c.id
+            JOIN ${SCHEMAS.GRADE}.peer_review_settings prs ON prs.item_id = pr.item_id
+            WHERE pr.reviewer_id = $1 AND ($2::text IS NULL OR gi.course_id = $2)
+            ORDER BY prs.review_due_date ASC NULLS LAST, pr.review_id ASC
+        `, [req.user.sub, courseId]);
+
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error fetching assigned peer reviews:', error);
+        res.status(500).json({
+            success: false,
+            message: "동료 평가 목록 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/peer-reviews/received/{assignmentId}:
+ *   get:
+ *     summary: List submitted peer reviews of the current student's submission
+ *     tags: [Peer Reviews (Student)]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Anonymized reviews and the aggregated peer score.
+ */
+// 내 제출물이 받은 동료 평가 (평가자 익명)
+router.get('/received/:assignmentId', verifyToken, requireRole(['STUDENT']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const result = await client.query(`
+            SELECT sg.peer_score, pr.score, pr.comments, pr.rubric_selections, pr.submitted_at
+            FROM ${SCHEMAS.GRADE}.student_grades sg
+            JOIN ${SCHEMAS.ENROLLMENT}.enrollments e ON sg.enrollment_id = e.id
+            JOIN ${SCHEMAS.GRADE}.peer_reviews pr
+                ON pr.grade_id = sg.grade_id AND pr.status = '${REVIEW_STATUS.SUBMITTED}'
+            WHERE sg.item_id::text = $1::text AND e.student_id = $2
+            ORDER BY pr.submitted_at ASC
+        `, [req.params.assignmentId, req.user.sub]);
+
+        res.json({
+            success: true,
+            data: {
+                peer_score: result.rows.length > 0 ? result.rows[0].peer_score : null,
+                reviews: result.rows.map((row, index) => ({
+                    reviewer: `평가자 ${index + 1}`,
+                    score: row.score,
+                    comments: row.comments,
+                    rubric_selections: row.rubric_selections,
+                    submitted_at: row.submitted_at
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching received peer reviews:', error);
+        res.status(500).json({
+            success: false,
+            message: "받은 동료 평가 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/peer-reviews/{reviewId}:
+ *   get:
+ *     summary: Get an assigned submission to review
+ *     tags: [Peer Reviews (Student)]
+ *     description: |
+ *       Returns the anonymized submission content, the rubric to fill in and the submitted files. Identifying
+ *       fields are removed from the content, and files are listed by index to be downloaded through
+ *       GET /api/v1/peer-reviews/{reviewId}/files/{fileIndex} so their storage keys are never exposed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Submission to review.
+ *       '404':
+ *         description: Review not assigned to the current student.
+ */
+// 평가할 제출물 조회 (제출자 정보 제외)
+router.get('/:reviewId', verifyToken, requireRole(['STUDENT']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const review = await getAssignedReview(client, req.params.reviewId, req.user.sub);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: "배정된 동료 평가를 찾을 수 없습니다."
+            });
+        }
+
+        // 파일은 S3 키(제출자 ID 포함) 대신 순번으로 내려주고 다운로드 API를 거쳐 받도록 함
+        const files = extractFileKeys(review.submission_data).map((fileKey, index) => ({
+            fileIndex: index,
+            fileName: fileKey.split('/').pop(),
+            downloadPath: `/api/v1/peer-reviews/${review.review_id}/files/${index}`
+        }));
+
+        const rubric = await getItemRubric(client, review.item_id);
+
+        res.json({
+            success: true,
+            data: {
+                review_id: review.review_id,
+                item_id: review.item_id,
+                item_name: review.item_name,
+                status: review.status,
+                review_due_date: review.review_due_date,
+                submission: anonymizeSubmission(review.submission_data),
+                files,
+                rubric: rubric ? { title: rubric.title, criteria: rubric.criteria } : null,
+                rubric_selections: review.rubric_selections,
+                comments: review.comments,
+                score: review.score
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching peer review:', error);
+        res.status(500).json({
+            success: false,
+            message: "동료 평가 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/peer-reviews/{reviewId}/files/{fileIndex}:
+ *   get:
+ *     summary: Download a file of an assigned submission
+ *     tags: [Peer Reviews (Student)]
+ *     description: Streams the file through the API so the reviewer never sees the storage key, which contains the author's ID.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: fileIndex
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: File content.
+ *       '404':
+ *         description: Review not assigned to the current student or file not found.
+ */
+// 평가할 제출물의 파일 다운로드 (S3 키를 노출하지 않도록 API에서 전달)
+router.get('/:reviewId/files/:fileIndex', verifyToken, requireRole(['STUDENT']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const review = await getAssignedReview(client, req.params.reviewId, req.user.sub);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: "배정된 동료 평가를 찾을 수 없습니다."
+            });
+        }
+
+        const fileKey = extractFileKeys(review.submission_data)[parseInt(req.params.fileIndex, 10)];
+        if (!fileKey) {
+            return res.status(404).json({
+                success: false,
+                message: "파일을 찾을 수 없습니다."
+            });
+        }
+
+        const bucketName = process.env.S3_BUCKET_NAME || 'nationslablmscoursebucket';
+        const response = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: fileKey }));
+
+        res.set({
+            'Content-Type': response.ContentType || 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="${encodeURIComponent(fileKey.split('/').pop())}"`
+        });
+        if (response.ContentLength !== undefined) {
+            res.set('Content-Length', String(response.ContentLength));
+        }
+
+        response.Body.on('error', (error) => {
+            console.error('Error streaming peer review file:', error);
+            res.destroy(error);
+        });
+        response.Body.pipe(res);
+    } catch (error) {
+        console.error('Error downloading peer review file:', error);
+        res.status(error.name === 'NoSuchKey' ? 404 : 500).json({
+            success: false,
+            message: "파일 다운로드 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/peer-reviews/{reviewId}:
+ *   put:
+ *     summary: Submit or update a peer review
+ *     tags: [Peer Reviews (Student)]
+ *     description: The score is computed from the rubric selections. Reviews can be updated until the review due date.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rubricSelections]
+ *             properties:
+ *               rubricSelections:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     criterionKey:
+ *                       type: string
+ *                     levelKey:
+ *                       type: string
+ *                     comment:
+ *                       type: string
+ *               comments:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Review saved.
+ *       '400':
+ *         description: Invalid rubric selections or review due date passed.
+ *       '404':
+ *         description: Review not assigned to the current student.
+ */
+// 동료 평가 제출
+router.put('/:reviewId', verifyToken, requireRole(['STUDENT']), async (req, res) => {
+    const client = await masterPool.connect();
+    try {
+        const { reviewId } = req.params;
+        const { rubricSelections, comments = null } = req.body;
+
+        const review = await getAssignedReview(client, reviewId, req.user.sub);
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: "배정된 동료 평가를 찾을 수 없습니다."
+            });
+        }
+
+        if (review.review_due_date && new Date() > new Date(review.review_due_date)) {
+            return res.status(400).json({
+                success: false,
+                message: "동료 평가 기한이 지났습니다."
+            });
+        }
+
+        const rubric = await getItemRubric(client, review.item_id);
+        if (!rubric) {
+            return res.status(400).json({
+                success: false,
+                message: "루브릭이 등록되지 않은 평가 항목입니다."
+            });
+        }
+
+        const computed = computeRubricScore(rubric, rubricSelections);
+        if (computed.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "루브릭 선택이 올바르지 않습니다.",
+                errors: computed.errors
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            UPDATE ${SCHEMAS.GRADE}.peer_reviews
+            SET status = $1,
+                rubric_selections = $2,
+                score = $3,
+                comments = $4,
+                submitted_at = CURRENT_TIMESTAMP
+            WHERE review_id = $5
+            RETURNING review_id, status, score, comments, rubric_selections, submitted_at
+        `, [REVIEW_STATUS.SUBMITTED, JSON.stringify(computed.selections), computed.score, comments, reviewId]);
+
+        // 제출물의 동료 평가 평균 갱신 (조정이 필요 없는 항목은 성적에 바로 반영)
+        await refreshPeerScore(client, review.grade_id);
+
+        await client.query('COMMIT');
+
+        res.json({
+            success: true,
+            message: "동료 평가가 제출되었습니다.",
+            data: result.rows[0]
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error submitting peer review:', error);
+        res.status(500).json({
+            success: false,
+            message: "동료 평가 제출 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,232 @@
+/**
+ * Zoom API 클라이언트
+ * 2026-10-19
+ *
+ * Server-to-Server OAuth(account_credentials) 토큰을 만료 전까지 캐시하고,
+ * 429 응답은 Zoom의 Retry-After 헤더만큼 기다린 뒤 재시도하며, next_page_token 페이지를 자동으로 이어 받음
+ * ZOOM_API_BASE_URL, ZOOM_OAUTH_URL로 로컬 가짜 서버(scripts/zoom-fake-server.js)를 가리킬 수 있음
+ */
+
+const axios = require('axios');
+
+const DEFAULT_API_BASE_URL = 'https://api.zoom.us/v2';
+const DEFAULT_OAUTH_URL = 'https://zoom.us/oauth/token';
+
+// 토큰 만료 이 시간 전부터 새 토큰 발급
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_MS = 1000;
+// Retry-After가 이보다 길면(일일 한도 초과 등) 기다리지 않고 오류 반환
+const DEFAULT_MAX_RETRY_WAIT_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 429 응답의 대기 시간 계산 (Retry-After: 초 또는 HTTP 날짜, 없으면 지수적으로 증가)
+ * @param {Object} headers - 응답 헤더
+ * @param {number} attempt - 재시도 횟수 (0부터)
+ * @param {number} baseMs - 기본 대기 시간
+ * @returns {number} 밀리초
+ */
+function retryAfterMs(headers = {}, attempt = 0, baseMs = DEFAULT_RETRY_BASE_MS) {
+    const retryAfter = headers['retry-after'];
+    if (retryAfter !== undefined) {
+        const seconds = Number(retryAfter);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+    return baseMs * 2 ** attempt;
+}
+
+/**
+ * Zoom API 클라이언트 생성
+ * @param {Object} options - { accountId, clientId, clientSecret, apiBaseUrl, oauthUrl, maxRetries, retryBaseMs, maxRetryWaitMs, timeout }
+ * @returns {Object} 클라이언트 ({ getAccessToken, request, get, post, patch, put, delete, paginate, clearTokenCache })
+ */
+function createZoomClient(options = {}) {
+    const config = {
+        accountId: options.accountId || process.env.ZOOM_ACCOUNT_ID,
+        clientId: options.clientId || process.env.ZOOM_CLIENT_ID,
+        clientSecret: options.clientSecret || process.env.ZOOM_CLIENT_SECRET,
+        apiBaseUrl: (options.apiBaseUrl || process.env.ZOOM_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/$/, ''),
+        oauthUrl: options.oauthUrl || process.env.ZOOM_OAUTH_URL || DEFAULT_OAUTH_URL,
+        maxRetries: options.maxRetries ?? DEFAULT_MAX_RETRIES,
+        retryBaseMs: options.retryBaseMs ?? DEFAULT_RETRY_BASE_MS,
+        maxRetryWaitMs: options.maxRetryWaitMs ?? DEFAULT_MAX_RETRY_WAIT_MS,
+        timeout: options.timeout ?? 30000
+    };
+
+    let cachedToken = null;
+    let pendingToken = null;
+
+    async function fetchToken() {
+        if (!config.clientId || !config.clientSecret || !config.accountId) {
+            throw new Error('Zoom API 인증 정보(ZOOM_ACCOUNT_ID, ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET)가 설정되지 않았습니다.');
+        }
+
+        const authHeader = Buffer.from(`${config.clientId}:${config.clientSecret}`).toString('base64');
+        try {
+            const response = await axios.post(
+                config.oauthUrl,
+                new URLSearchParams({ grant_type: 'account_credentials', account_id: config.accountId }).toString(),
+                {
+                    headers: {
+                        'Authorization': `Basic ${authHeader}`,
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    },
+                    timeout: config.timeout
+                }
+            );
+
+            return {
+                accessToken: response.data.access_token,
+                expiresAt: Date.now() + (response.data.expires_in || 3600) * 1000
+            };
+        } catch (error) {
+            throw new Error('Zoom API 토큰 발급에 실패했습니다: ' + (error.response?.data?.reason || error.response?.data?.message || error.message));
+        }
+    }
+
+    /**
+     * 계정 액세스 토큰 (만료 전까지 캐시, 동시에 요청해도 한 번만 발급)
+     * @returns {Promise<string>} 액세스 토큰
+     */
+    async function getAccessToken() {
+        if (cachedToken && cachedToken.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+            return cachedToken.accessToken;
+        }
+
+        if (!pendingToken) {
+            pendingToken = fetchToken()
+                .then(token => {
+                    cachedToken = token;
+                    return token;
+                })
+                .finally(() => {
+                    pendingToken = null;
+                });
+        }
+
+        return (await pendingToken).accessToken;
+    }
+
+    /**
+     * 토큰 유효 시각 (getAccessToken으로 받은 토큰을 외부에 넘길 때 사용)
+     * @returns {Date|null} 만료 시각
+     */
+    function getTokenExpiresAt() {
+        return cachedToken ? new Date(cachedToken.expiresAt) : null;
+    }
+
+    function clearTokenCache() {
+        cachedToken = null;
+    }
+
+    /**
+     * Zoom API 요청 (401이면 토큰을 새로 받아 한 번 재시도, 429이면 Retry-After만큼 기다려 재시도)
+     * @param {Object} requestConfig - axios 요청 설정 (url은 '/users/me'처럼 API 경로)
+     * @returns {Promise<Object>} axios 응답
+     */
+    async function request(requestConfig) {
+        let tokenRefreshed = false;
+
+        for (let attempt = 0; ; attempt++) {
+            const token = await getAccessToken();
+            try {
+                return await axios({
+                    timeout: config.timeout,
+                    ...requestConfig,
+                    baseURL: config.apiBaseUrl,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...requestConfig.headers,
+                        'Authorization': `Bearer ${token}`
+                    }
+                });
+            } catch (error) {
+                const status = error.response?.status;
+
+                if (status === 401 && !tokenRefreshed) {
+                    tokenRefreshed = true;
+                    clearTokenCache();
+                    continue;
+                }
+
+                if (status === 429 && attempt < config.maxRetries) {
+                    const waitMs = retryAfterMs(error.response.headers, attempt, config.retryBaseMs);
+                    if (waitMs <= config.maxRetryWaitMs) {
+                        console.warn(`⚠️ Zoom API 요청 한도 초과 (${error.response.headers['x-ratelimit-type'] || 'rate limit'}), ${Math.ceil(waitMs / 1000)}초 후 재시도: ${requestConfig.url}`);
+                        await sleep(waitMs);
+                        continue;
+                    }
+                }
+
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * next_page_token 페이지를 모두 받아 목록 합치기
+     * @param {string} url - API 경로
+     * @param {string} itemsKey - 응답의 목록 필드 (예: 'participants', 'meetings')
+     * @param {Object} params - 조회 조건 (page_size 기본 300)
+     * @returns {Promise<Object>} 마지막 응답 본문에 합친 목록을 넣은 객체
+     */
+    async function paginate(url, itemsKey, params = {}) {
+        const items = [];
+        let body = {};
+        let nextPageToken = params.next_page_token || undefined;
+
+        do {
+            const response = await request({
+                method: 'get',
+                url,
+                params: { page_size: 300, ...params, next_page_token: nextPageToken }
+            });
+            body = response.data || {};
+            items.push(...(body[itemsKey] || []));
+            nextPageToken = body.next_page_token || undefined;
+        } while (nextPageToken);
+
+        return { ...body, [itemsKey]: items, total_records: items.length, next_page_token: '' };
+    }
+
+    return {
+        getAccessToken,
+        getTokenExpiresAt,
+        clearTokenCache,
+        request,
+        get: (url, requestConfig = {}) => request({ ...requestConfig, method: 'get', url }),
+        delete: (url, requestConfig = {}) => request({ ...requestConfig, method: 'delete', url }),
+        post: (url, data, requestConfig = {}) => request({ ...requestConfig, method: 'post', url, data }),
+        put: (url, data, requestConfig = {}) => request({ ...requestConfig, method: 'put', url, data }),
+        patch: (url, data, requestConfig = {}) => request({ ...requestConfig, method: 'patch', url, data }),
+        paginate
+    };
+}
+
+/**
+ * 회차 UUID를 API 경로에 넣을 수 있게 인코딩 ('/'로 시작하거나 '//'를 포함하면 두 번 인코딩)
+ * @param {string} uuid - 미팅 회차 UUID
+ * @returns {string} 인코딩한 UUID
+ */
+function encodeMeetingUuid(uuid) {
+    const value = String(uuid);
+    return value.startsWith('/') || value.includes('//')
+        ? encodeURIComponent(encodeURIComponent(value))
+        : encodeURIComponent(value);
+}
+
+// 환경 변수 설정을 사용하는 기본 클라이언트 (프로세스 안에서 토큰 캐시 공유)
+const zoomClient = createZoomClient();
+
+module.exports = {
+    zoomClient,
+    createZoomClient,
+    encodeMeetingUuid,
+    retryAfterMs
+};
@@ -1,42 +1,14 @@
-const axios = require("axios");
-const qs = require("qs");
+require('dotenv').config();
+const { zoomClient } = require("./zoom-client");
 
-// ✅ Zoom Developer App에서 받은 Client ID 및 Secret 입력
-const CLIENT_ID = "DZawubMxQ4SgKWFCghs8Lg";
-const CLIENT_SECRET = "y5EuzckooTotQ3vYijEIIBTeBaceEysv";
-
-// 🔹 1. Access Token 발급 함수
-async function getAccessToken() {
-    const tokenUrl = "https://zoom.us/oauth/token";
-    const credentials = Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString("base64");
+// Zoom API 연결 확인용 스크립트: node src/services/zoom-test.js
+// 인증 정보는 .env의 ZOOM_ACCOUNT_ID, ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET을 사용
+// (로컬 확인 시 ZOOM_API_BASE_URL, ZOOM_OAUTH_URL로 scripts/zoom-fake-server.js를 가리킬 수 있음)
 
+// 🔹 1. 사용자 정보 가져오기 함수
+async function getUserInfo() {
     try {
-        const response = await axios.post(tokenUrl, qs.stringify({
-            grant_type: "client_credentials"
-        }), {
-            headers: {
-                Authorization: `Basic ${credentials}`,
-                "Content-Type": "application/x-www-form-urlencoded"
-            }
-        });
-
-        console.log("🔑 Access Token:", response.data.access_token);
-        return response.data.access_token;
-    } catch (error) {
-        console.error("🚨 Error fetching access token:", error.response?.data || error.message);
-        return null;
-    }
-}
-
-// 🔹 2. 사용자 정보 가져오기 함수
-async function getUserInfo(accessToken) {
-    try {
-        const response = await axios.get('https://api.zoom.us/v2/users/me', {
-            headers: {
-                Authorization: `Bearer ${accessToken}`,
-                "Content-Type": "application/json"
-            }
-        });
+        const response = await zoomClient.get('/users/me');
         console.log("👤 User ID:", response.data.id);
         return response.data.id;
     } catch (error) {
@@ -45,20 +17,14 @@ async function getUserInfo(accessToken) {
     }
 }
 
-// 🔹 3. Zoom Meeting 생성 함수
-async function createMeeting(accessToken) {
-    if (!accessToken) {
-        console.error("🚨 Access Token이 없습니다. 먼저 getAccessToken()을 실행하세요.");
-        return;
-    }
-
-    const userId = await getUserInfo(accessToken);
+// 🔹 2. Zoom Meeting 생성 함수
+async function createMeeting() {
+    const userId = await getUserInfo();
     if (!userId) {
         console.error("🚨 사용자 정보를 가져올 수 없습니다.");
         return;
     }
 
-    const url = `https://api.zoom.us/v2/users/${userId}/meetings`;
     const meetingData = {
         topic: "테스트 회의",
         type: 2, // 예약된 미팅 (즉시 시작 X)
@@ -75,12 +41,7 @@ async function createMeeting(accessToken) {
     };
 
     try {
-        const response = await axios.post(url, meetingData, {
-            headers: {
-                Authorization: `Bearer ${accessToken}`,
-                "Content-Type": "application/json"
-            }
-        });
+        const response = await zoomClient.post(`/users/${userId}/meetings`, meetingData);
 
         console.log("\n📌 Zoom Meeting Created:");
         console.log("🔗 참가자 링크 (Join URL):", response.data.join_url);
@@ -90,8 +51,9 @@ async function createMeeting(accessToken) {
     }
 }
 
-// 🔹 실행: Access Token 발급 후 미팅 생성
-(async () => {
-    const token = await getAccessToken();
-    await createMeeting(token);
-})();
\ No newline at end of file
+// 🔹 실행: 사용자 확인 후 미팅 생성 (스크립트가 직접 실행될 때만)
+if (require.main === module) {
+    createMeeting();
+}
+
+module.exports = { getUserInfo, createMeeting };
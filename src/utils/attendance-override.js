@@ -0,0 +1,226 @@
+/**
+ * 성적 관리 시스템 - 출석 수동 정정과 공결 신청
+ * 2026-10-19
+ *
+ * 교수자가 회차별 출석 상태를 사유와 함께 정정하고(이력 보관), 학생이 증빙 서류와 함께 공결을 신청함
+ * 적용 중인 정정은 Zoom 참가 기록이나 출석 인정 규칙으로 계산된 상태보다 우선함
+ */
+
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { s3Client } = require('../config/s3');
+const { SCHEMAS } = require('../config/database');
+
+// 공결 신청 처리 상태
+const EXCUSE_REQUEST_STATUS = {
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+    CANCELLED: 'CANCELLED'
+};
+
+/**
+ * 적용 중인 정정을 출석 기록에 붙이는 JOIN 절
+ * @param {string} recordAlias - attendance_records 별칭
+ * @param {string} overrideAlias - attendance_overrides 별칭
+ * @returns {string} LEFT JOIN SQL
+ */
+function activeOverrideJoin(recordAlias = 'ar', overrideAlias = 'ov') {
+    return `LEFT JOIN ${SCHEMAS.GRADE}.attendance_overrides ${overrideAlias}
+        ON ${overrideAlias}.record_id = ${recordAlias}.record_id AND ${overrideAlias}.is_active`;
+}
+
+/**
+ * 정정을 반영한 출석 상태 SQL 식
+ * @param {string} recordAlias - attendance_records 별칭
+ * @param {string} overrideAlias - attendance_overrides 별칭
+ * @returns {string} SQL 식
+ */
+function effectiveStatusSql(recordAlias = 'ar', overrideAlias = 'ov') {
+    return `COALESCE(${overrideAlias}.status, ${recordAlias}.status)`;
+}
+
+/**
+ * 공결 증빙 서류의 S3 경로 prefix
+ * @param {string} courseId - 강좌 ID
+ * @param {number} recordId - 출석 기록 ID
+ * @param {string} studentId - 학생 ID
+ * @returns {string} S3 key prefix
+ */
+function excuseAttachmentPrefix(courseId, recordId, studentId) {
+    return `attendance-excuses/${courseId}/${recordId}/${studentId}`;
+}
+
+/**
+ * 학생 본인의 출석 기록 조회 (공결 신청 대상 확인용)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} recordId - 출석 기록 ID
+ * @param {string} studentId - 학생 ID
+ * @returns {Promise<Object|null>} 출석 기록 (본인 기록이 아니면 null)
+ */
+async function getOwnAttendanceRecord(client, recordId, studentId) {
+    const result = await client.query(`
+        SELECT ar.record_id, ar.course_id, ar.session_id, ar.attendance_date,
+            ${effectiveStatusSql('ar', 'ov')} AS status
+        FROM ${SCHEMAS.GRADE}.attendance_records ar
+        ${activeOverrideJoin('ar', 'ov')}
+        WHERE ar.record_id = $1 AND ar.student_id = $2
+    `, [recordId, studentId]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * 출석 상태 정정 적용 (기존 정정은 이력으로 남기고 비활성화)
+ * 트랜잭션 내에서 호출해야 함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} recordId - 출석 기록 ID
+ * @param {Object} override - { status, reason, actorId, requestId }
+ * @returns {Promise<Object|null>} 생성된 정정 (출석 기록이 없으면 null)
+ */
+async function applyAttendanceOverride(client, recordId, { status, reason, actorId, requestId = null }) {
+    const recordResult = await client.query(`
+        SELECT ar.record_id, ar.course_id, ar.student_id, ${effectiveStatusSql('ar', 'ov')} AS status
+        FROM ${SCHEMAS.GRADE}.attendance_records ar
+        ${activeOverrideJoin('ar', 'ov')}
+        WHERE ar.record_id = $1
+        FOR UPDATE OF ar
+    `, [recordId]);
+
+    const record = recordResult.rows[0];
+    if (!record) {
+        return null;
+    }
+
+    await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.attendance_overrides
+        SET is_active = FALSE
+        WHERE record_id = $1 AND is_active
+    `, [recordId]);
+
+    const result = await client.query(`
+        INSERT INTO ${SCHEMAS.GRADE}.attendance_overrides
+        (record_id, course_id, student_id, previous_status, status, reason, request_id, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+    `, [record.record_id, record.course_id, record.student_id, record.status, status, reason, requestId, actorId]);
+
+    return result.rows[0];
+}
+
+/**
+ * 적용 중인 정정 취소 (계산된 출석 상태로 되돌림, 이력은 보관)
+ * 트랜잭션 내에서 호출해야 함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} overrideId - 정정 ID
+ * @param {string} actorId - 취소한 사용자 ID
+ * @param {string} reason - 취소 사유
+ * @returns {Promise<Object|null>} 취소된 정정 (적용 중인 정정이 아니면 null)
+ */
+async function revokeAttendanceOverride(client, overrideId, actorId, reason) {
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.attendance_overrides
+        SET is_active = FALSE,
+            revoked_by = $2,
+            revoked_at = CURRENT_TIMESTAMP,
+            revoke_reason = $3
+        WHERE override_id = $1 AND is_active
+        RETURNING *
+    `, [overrideId, actorId, reason]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * 출석 기록 또는 강좌의 정정 이력 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} filter - { recordId, courseId, studentId }
+ * @returns {Promise<Object[]>} 정정 이력 (최신순)
+ */
+async function getAttendanceOverrides(client, { recordId = null, courseId = null, studentId = null }) {
+    const result = await client.query(`
+        SELECT o.*, ar.session_id, ar.attendance_date, ar.status AS computed_status,
+            s.name AS student_name, c.name AS created_by_name, r.name AS revoked_by_name
+        FROM ${SCHEMAS.GRADE}.attendance_overrides o
+        JOIN ${SCHEMAS.GRADE}.attendance_records ar ON o.record_id = ar.record_id
+        JOIN ${SCHEMAS.AUTH}.users s ON o.student_id = s.cognito_user_id
+        LEFT JOIN ${SCHEMAS.AUTH}.users c ON o.created_by = c.cognito_user_id
+        LEFT JOIN ${SCHEMAS.AUTH}.users r ON o.revoked_by = r.cognito_user_id
+        WHERE ($1::int IS NULL OR o.record_id = $1)
+        AND ($2::text IS NULL OR o.course_id = $2)
+        AND ($3::text IS NULL OR o.student_id = $3)
+        ORDER BY o.created_at DESC, o.override_id DESC
+    `, [recordId, courseId, studentId]);
+
+    return result.rows;
+}
+
+/**
+ * 공결 증빙 서류에 다운로드 URL 추가
+ * @param {Object[]} attachments - [{ key, fileName }]
+ * @returns {Promise<Object[]>} [{ key, fileName, downloadUrl }]
+ */
+async function withAttachmentUrls(attachments) {
+    const bucketName = process.env.S3_BUCKET_NAME || 'nationslablmscoursebucket';
+    return Promise.all((attachments || []).map(async (file) => ({
+        ...file,
+        downloadUrl: await getSignedUrl(
+            s3Client,
+            new GetObjectCommand({
+                Bucket: bucketName,
+                Key: file.key,
+                ResponseContentDisposition: `attachment; filename="${encodeURIComponent(file.fileName)}"`
+            }),
+            { expiresIn: 3600 }
+        )
+    })));
+}
+
+/**
+ * 학생의 강좌별 출석 기록(정정 반영)과 공결 신청 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @param {string} studentId - 학생 ID
+ * @returns {Promise<Object>} { records, requests }
+ */
+async function getStudentAttendance(client, courseId, studentId) {
+    const recordsResult = await client.query(`
+        SELECT ar.record_id, ar.session_id, ar.session_type, ar.attendance_date,
+            ar.duration_seconds, ar.total_duration_seconds, ar.first_join_time, ar.last_leave_time,
+            ar.status AS computed_status,
+            ${effectiveStatusSql('ar', 'ov')} AS status,
+            ov.reason AS override_reason,
+            ov.created_at AS overridden_at
+        FROM ${SCHEMAS.GRADE}.attendance_records ar
+        ${activeOverrideJoin('ar', 'ov')}
+        WHERE ar.course_id = $1 AND ar.student_id = $2
+        ORDER BY ar.attendance_date ASC, ar.session_start_time ASC NULLS LAST
+    `, [courseId, studentId]);
+
+    const requestsResult = await client.query(`
+        SELECT q.request_id, q.record_id, ar.session_id, ar.attendance_date, q.reason, q.attachments,
+            q.status, q.reply, q.reviewed_at, q.created_at
+        FROM ${SCHEMAS.GRADE}.excused_absence_requests q
+        JOIN ${SCHEMAS.GRADE}.attendance_records ar ON q.record_id = ar.record_id
+        WHERE q.course_id = $1 AND q.student_id = $2
+        ORDER BY q.created_at DESC
+    `, [courseId, studentId]);
+
+    return {
+        records: recordsResult.rows,
+        requests: requestsResult.rows
+    };
+}
+
+module.exports = {
+    EXCUSE_REQUEST_STATUS,
+    activeOverrideJoin,
+    effectiveStatusSql,
+    excuseAttachmentPrefix,
+    getOwnAttendanceRecord,
+    applyAttendanceOverride,
+    revokeAttendanceOverride,
+    getAttendanceOverrides,
+    withAttachmentUrls,
+    getStudentAttendance
+};
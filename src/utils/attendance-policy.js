@@ -0,0 +1,190 @@
+/**
+ * 성적 관리 시스템 - 출석 인정 규칙
+ * 2026-10-19
+ *
+ * 강좌별 지각 기준, 조퇴 기준, 최소 참여율, 공결 처리 방식으로 회차별 출석 상태를 정하고,
+ * 상태별 인정 비율로 출석률을 계산함 (참여 시간 비율 대신 최종 성적에 사용)
+ */
+
+const { SCHEMAS } = require('../config/database');
+
+const ATTENDANCE_STATUS = {
+    PRESENT: 'PRESENT',
+    LATE: 'LATE',
+    EARLY_LEAVE: 'EARLY_LEAVE',
+    ABSENT: 'ABSENT',
+    EXCUSED: 'EXCUSED'
+};
+
+const EXCUSED_MODES = ['EXCLUDE', 'PRESENT'];
+
+const DEFAULT_ATTENDANCE_POLICY = {
+    late_threshold_minutes: 10,
+    early_leave_minutes: 10,
+    min_presence_percent: 50,
+    late_credit: 0.5,
+    early_leave_credit: 0.5,
+    excused_mode: 'EXCLUDE'
+};
+
+/**
+ * 출석 인정 규칙 유효성 검사
+ * @param {Object} policy - { late_threshold_minutes, early_leave_minutes, min_presence_percent, late_credit, early_leave_credit, excused_mode }
+ * @returns {string[]} 오류 메시지 목록 (비어 있으면 유효)
+ */
+function validateAttendancePolicy(policy) {
+    const errors = [];
+    const nonNegativeInt = (value) => Number.isInteger(value) && value >= 0;
+    const inRange = (value, min, max) => {
+        const number = Number(value);
+        return value !== null && value !== '' && !isNaN(number) && number >= min && number <= max;
+    };
+
+    if (policy.late_threshold_minutes !== undefined && !nonNegativeInt(policy.late_threshold_minutes)) {
+        errors.push('지각 기준(late_threshold_minutes)은 0 이상의 정수여야 합니다.');
+    }
+    if (policy.early_leave_minutes !== undefined && !nonNegativeInt(policy.early_leave_minutes)) {
+        errors.push('조퇴 기준(early_leave_minutes)은 0 이상의 정수여야 합니다.');
+    }
+    if (policy.min_presence_percent !== undefined && !inRange(policy.min_presence_percent, 0, 100)) {
+        errors.push('최소 참여율(min_presence_percent)은 0에서 100 사이여야 합니다.');
+    }
+    if (policy.late_credit !== undefined && !inRange(policy.late_credit, 0, 1)) {
+        errors.push('지각 인정 비율(late_credit)은 0에서 1 사이여야 합니다.');
+    }
+    if (policy.early_leave_credit !== undefined && !inRange(policy.early_leave_credit, 0, 1)) {
+        errors.push('조퇴 인정 비율(early_leave_credit)은 0에서 1 사이여야 합니다.');
+    }
+    if (policy.excused_mode !== undefined && !EXCUSED_MODES.includes(policy.excused_mode)) {
+        errors.push(`공결 처리 방식(excused_mode)은 ${EXCUSED_MODES.join(', ')} 중 하나여야 합니다.`);
+    }
+
+    return errors;
+}
+
+/**
+ * 강좌의 출석 인정 규칙 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @returns {Promise<Object>} 출석 인정 규칙 (설정하지 않은 강좌는 기본 규칙, is_default: true)
+ */
+async function getAttendancePolicy(client, courseId) {
+    const result = await client.query(`
+        SELECT *
+        FROM ${SCHEMAS.GRADE}.attendance_policies
+        WHERE course_id = $1
+    `, [courseId]);
+
+    if (result.rows.length === 0) {
+        return { course_id: courseId, ...DEFAULT_ATTENDANCE_POLICY, is_default: true };
+    }
+
+    const policy = result.rows[0];
+    return {
+        ...policy,
+        min_presence_percent: Number(policy.min_presence_percent),
+        late_credit: Number(policy.late_credit),
+        early_leave_credit: Number(policy.early_leave_credit),
+        is_default: false
+    };
+}
+
+/**
+ * 회차 출석 상태 결정 (DB 접근 없음)
+ * 최소 참여율 미만이면 결석, 그 외에는 첫 입장이 늦으면 지각, 마지막 퇴장이 이르면 조퇴
+ * 입·퇴장 시각이 없는 기록(직접 입력)은 참여율만으로 판단하며, 공결은 그대로 유지함
+ * @param {Object} record - { status, duration_seconds, total_duration_seconds, first_join_time, last_leave_time, session_start_time, session_end_time }
+ * @param {Object} policy - 출석 인정 규칙
+ * @returns {string} ATTENDANCE_STATUS 값
+ */
+function computeAttendanceStatus(record, policy) {
+    if (record.status === ATTENDANCE_STATUS.EXCUSED) {
+        return ATTENDANCE_STATUS.EXCUSED;
+    }
+
+    const total = Number(record.total_duration_seconds) || 0;
+    const presence = total > 0 ? (Number(record.duration_seconds) || 0) * 100 / total : 0;
+    if (total === 0 || presence === 0 || presence < Number(policy.min_presence_percent)) {
+        return ATTENDANCE_STATUS.ABSENT;
+    }
+
+    const minutesBetween = (from, to) => (new Date(to) - new Date(from)) / 60000;
+
+    if (record.first_join_time && record.session_start_time &&
+        minutesBetween(record.session_start_time, record.first_join_time) > policy.late_threshold_minutes) {
+        return ATTENDANCE_STATUS.LATE;
+    }
+    if (record.last_leave_time && record.session_end_time &&
+        minutesBetween(record.last_leave_time, record.session_end_time) > policy.early_leave_minutes) {
+        return ATTENDANCE_STATUS.EARLY_LEAVE;
+    }
+
+    return ATTENDANCE_STATUS.PRESENT;
+}
+
+/**
+ * 출석률 집계 SQL (회차별 인정 비율의 평균 × 100)
+ * 공결을 제외하는 강좌는 공결 회차를 분모에서 빼며, 모든 회차가 공결이면 100
+ * @param {string} statusExpr - 회차 출석 상태 SQL 식
+ * @param {string} policyAlias - attendance_policies 별칭 (LEFT JOIN, 없으면 기본 규칙)
+ * @returns {string} 집계 SQL 식
+ */
+function attendanceRateSql(statusExpr = 'ar.status', policyAlias = 'ap') {
+    const credit = `
+        CASE ${statusExpr}
+            WHEN '${ATTENDANCE_STATUS.PRESENT}' THEN 1
+            WHEN '${ATTENDANCE_STATUS.LATE}' THEN COALESCE(${policyAlias}.late_credit, ${DEFAULT_ATTENDANCE_POLICY.late_credit})
+            WHEN '${ATTENDANCE_STATUS.EARLY_LEAVE}' THEN COALESCE(${policyAlias}.early_leave_credit, ${DEFAULT_ATTENDANCE_POLICY.early_leave_credit})
+            WHEN '${ATTENDANCE_STATUS.EXCUSED}' THEN
+                CASE WHEN COALESCE(${policyAlias}.excused_mode, '${DEFAULT_ATTENDANCE_POLICY.excused_mode}') = 'PRESENT' THEN 1 ELSE NULL END
+            ELSE 0
+        END`;
+
+    return `
+        CASE
+            WHEN COUNT(*) = 0 THEN 0
+            WHEN COUNT(${credit}) = 0 THEN 100
+            ELSE AVG(${credit})::float * 100
+        END`;
+}
+
+/**
+ * 강좌의 모든 출석 기록 상태를 현재 규칙으로 다시 계산 (변경된 기록만 갱신)
+ * @param {Object} client - 데이터베이스 클라이언트 객체 (트랜잭션 내에서 호출)
+ * @param {string} courseId - 강좌 ID
+ * @param {Object} policy - 출석 인정 규칙
+ * @returns {Promise<number>} 상태가 바뀐 기록 수
+ */
+async function recomputeAttendanceStatuses(client, courseId, policy) {
+    const result = await client.query(`
+        SELECT record_id, status, duration_seconds, total_duration_seconds,
+            first_join_time, last_leave_time, session_start_time, session_end_time
+        FROM ${SCHEMAS.GRADE}.attendance_records
+        WHERE course_id = $1
+    `, [courseId]);
+
+    let changed = 0;
+    for (const record of result.rows) {
+        const status = computeAttendanceStatus(record, policy);
+        if (status !== record.status) {
+            await client.query(`
+                UPDATE ${SCHEMAS.GRADE}.attendance_records
+                SET status = $1, updated_at = CURRENT_TIMESTAMP
+                WHERE record_id = $2
+            `, [status, record.record_id]);
+            changed++;
+        }
+    }
+
+    return changed;
+}
+
+module.exports = {
+    ATTENDANCE_STATUS,
+    DEFAULT_ATTENDANCE_POLICY,
+    validateAttendancePolicy,
+    getAttendancePolicy,
+    computeAttendanceStatus,
+    attendanceRateSql,
+    recomputeAttendanceStatuses
+};
@@ -0,0 +1,420 @@
+/**
+ * 성적 관리 시스템 - 자동 채점 샌드박스 실행기
+ * 2026-10-19
+ *
+ * 학생 제출 zip과 숨김 테스트 zip을 임시 작업 폴더에 풀고, 시간·메모리 제한을 둔
+ * 격리 환경(기본: 네트워크가 차단된 docker 컨테이너, process 모드: unshare로 네트워크를 분리한
+ * 로컬 프로세스)에서 테스트 명령을 실행해 표준 출력과 테스트 결과를 수집함
+ *
+ * 테스트 결과 형식 (환경 변수 AUTOGRADER_RESULTS_DIR 폴더에 생성)
+ * - autograder-results.json: { "tests": [{ "name", "passed", "score", "maxScore", "message" }] }
+ * - autograder-junit.xml: JUnit XML (pytest --junitxml=$AUTOGRADER_RESULTS_DIR/autograder-junit.xml 등)
+ * 결과 폴더는 작업 폴더 밖에 실행마다 새로 만들므로 제출 zip에 넣은 결과 파일은 인정되지 않음
+ * 두 파일이 모두 없으면 종료 코드(0이면 통과)로 채점함
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn, spawnSync } = require('child_process');
+const JSZip = require('jszip');
+
+// 실행 환경별 기본 이미지와 테스트 명령 (이미지는 AUTOGRADER_IMAGE_<RUNTIME> 환경 변수로 변경 가능)
+const RUNTIMES = {
+    node: { image: 'node:18-alpine', command: 'npm test --silent' },
+    python: { image: 'python:3.11-slim', command: 'python -m unittest discover -v' },
+    java: { image: 'eclipse-temurin:17-jdk', command: 'sh run_tests.sh' },
+    c: { image: 'gcc:13', command: 'make test' }
+};
+
+const RESULTS_JSON_FILE = 'autograder-results.json';
+const RESULTS_JUNIT_FILE = 'autograder-junit.xml';
+const CONTAINER_RESULTS_DIR = '/autograder-results';
+
+const MAX_ZIP_ENTRIES = 2000;
+const MAX_EXTRACTED_BYTES = 100 * 1024 * 1024;
+const MAX_OUTPUT_BYTES = 64 * 1024;
+const PROCESS_ADDRESS_SPACE_HEADROOM_MB = 768;
+
+const sandboxMode = () => process.env.AUTOGRADER_SANDBOX || 'docker';
+const runtimeImage = (runtime) => process.env[`AUTOGRADER_IMAGE_${runtime.toUpperCase()}`] || RUNTIMES[runtime].image;
+
+// zip 항목을 스트림으로 풀어 파일에 쓰고, 쓴 크기가 한도를 넘으면 즉시 중단
+function writeEntryWithLimit(entry, destination, limitBytes) {
+    return new Promise((resolve, reject) => {
+        const source = entry.nodeStream('nodebuffer');
+        const output = fs.createWriteStream(destination);
+        let written = 0;
+        let failed = false;
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            source.unpipe(output);
+            source.pause();
+            output.destroy();
+            reject(error);
+        };
+
+        source.on('data', (chunk) => {
+            written += chunk.length;
+            if (written > limitBytes) {
+                fail(new Error('zip 파일의 압축 해제 크기가 너무 큽니다.'));
+            }
+        });
+        source.on('error', fail);
+        output.on('error', fail);
+        output.on('finish', () => {
+            if (!failed) resolve(written);
+        });
+        source.pipe(output);
+    });
+}
+
+/**
+ * zip 파일을 작업 폴더에 풀기
+ * 폴더 밖을 가리키는 경로와 심볼릭 링크는 거부하고, 항목 수와 전체 크기를 제한함
+ * @param {Buffer} buffer - zip 파일 내용
+ * @param {string} targetDir - 작업 폴더
+ * @returns {Promise<number>} 풀린 파일 수
+ */
+async function extractZip(buffer, targetDir) {
+    const zip = await JSZip.loadAsync(buffer);
+    const entries = Object.values(zip.files);
+
+    if (entries.length > MAX_ZIP_ENTRIES) {
+        throw new Error(`zip 파일의 항목이 너무 많습니다. (최대 ${MAX_ZIP_ENTRIES}개)`);
+    }
+
+    const root = path.resolve(targetDir);
+    let totalBytes = 0;
+    let fileCount = 0;
+
+    for (const entry of entries) {
+        const destination = path.resolve(root, entry.name);
+        if (destination !== root && !destination.startsWith(`${root}${path.sep}`)) {
+            throw new Error(`허용되지 않은 zip 항목 경로입니다: ${entry.name}`);
+        }
+        if (entry.unixPermissions && (entry.unixPermissions & 0o170000) === 0o120000) {
+            throw new Error(`zip 파일에 심볼릭 링크를 포함할 수 없습니다: ${entry.name}`);
+        }
+
+        if (entry.dir) {
+            await fs.promises.mkdir(destination, { recursive: true });
+            continue;
+        }
+
+        // 압축을 풀기 전에 헤더의 원본 크기로 먼저 확인하고, 헤더가 거짓일 수 있으므로 풀면서도 남은 한도로 제한
+        const remainingBytes = MAX_EXTRACTED_BYTES - totalBytes;
+        const declaredSize = entry._data && entry._data.uncompressedSize;
+        if (declaredSize !== undefined && declaredSize > remainingBytes) {
+            throw new Error('zip 파일의 압축 해제 크기가 너무 큽니다.');
+        }
+
+        await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+        totalBytes += await writeEntryWithLimit(entry, destination, remainingBytes);
+        fileCount++;
+    }
+
+    return fileCount;
+}
+
+/**
+ * 학생 제출물과 숨김 테스트로 작업 폴더 구성
+ * 숨김 테스트를 나중에 풀어 같은 이름의 학생 파일이 테스트를 대체하지 못하도록 함
+ * @param {Buffer} submissionZip - 학생 제출 zip
+ * @param {Buffer} testSuiteZip - 숨김 테스트 zip
+ * @returns {Promise<string>} 작업 폴더 경로
+ */
+async function prepareWorkspace(submissionZip, testSuiteZip) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'autograde-'));
+    try {
+        await extractZip(submissionZip, workDir);
+        await extractZip(testSuiteZip, workDir);
+        return workDir;
+    } catch (error) {
+        await removeWorkspace(workDir);
+        throw error;
+    }
+}
+
+/**
+ * 테스트 결과 폴더 생성
+ * 작업 폴더와 분리된 빈 폴더로, 테스트 명령에는 AUTOGRADER_RESULTS_DIR로 전달됨
+ * @returns {Promise<string>} 결과 폴더 경로
+ */
+async function prepareResultsDir() {
+    return fs.promises.mkdtemp(path.join(os.tmpdir(), 'autograde-results-'));
+}
+
+/**
+ * 작업 폴더 삭제 (결과 폴더 삭제에도 사용)
+ * @param {string} workDir - 작업 폴더 경로
+ */
+async function removeWorkspace(workDir) {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+}
+
+// process 모드 네트워크 격리 가능 여부 (unshare로 사용자·네트워크 네임스페이스 생성, 한 번만 확인)
+let networkIsolationAvailable = null;
+function assertNetworkIsolation() {
+    if (networkIsolationAvailable === null) {
+        const check = spawnSync('unshare', ['-r', '-n', 'true'], { stdio: 'ignore', timeout: 5000 });
+        networkIsolationAvailable = !check.error && check.status === 0;
+    }
+    if (!networkIsolationAvailable) {
+        throw new Error('process 모드에서 네트워크를 격리할 수 없습니다. (unshare -r -n 사용 불가)');
+    }
+}
+
+// 컨테이너의 비특권 사용자가 쓸 수 있도록 작업 폴더 권한 변경
+async function makeWritable(dir) {
+    await fs.promises.chmod(dir, 0o777);
+    for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            await makeWritable(fullPath);
+        } else {
+            await fs.promises.chmod(fullPath, 0o666);
+        }
+    }
+}
+
+// 출력 수집 (최대 크기 초과 시 잘라냄)
+function createOutputCollector() {
+    const chunks = [];
+    let size = 0;
+    let truncated = false;
+    return {
+        push(chunk) {
+            if (size >= MAX_OUTPUT_BYTES) {
+                truncated = true;
+                return;
+            }
+            const slice = chunk.subarray(0, MAX_OUTPUT_BYTES - size);
+            chunks.push(slice);
+            size += slice.length;
+            if (slice.length < chunk.length) truncated = true;
+        },
+        toString() {
+            const text = Buffer.concat(chunks).toString('utf8');
+            return truncated ? `${text}\n...(출력이 ${MAX_OUTPUT_BYTES} bytes를 넘어 생략됨)` : text;
+        }
+    };
+}
+
+// 실행 명령 구성 (docker: 네트워크 차단·권한 제거 컨테이너, process: 네트워크 네임스페이스를 분리하고 ulimit으로 제한한 로컬 프로세스)
+function buildCommand({ workDir, resultsDir, runtime, command, timeoutSeconds, memoryMb }, containerName) {
+    if (sandboxMode() === 'process') {
+        // ulimit -v는 가상 주소 공간 제한이므로 런타임(V8, JVM)이 미리 예약하는 영역만큼 여유를 둠
+        const addressSpaceKb = (memoryMb + PROCESS_ADDRESS_SPACE_HEADROOM_MB) * 1024;
+        return {
+            file: 'unshare',
+            args: ['-r', '-n', 'sh', '-c', `ulimit -v ${addressSpaceKb} 2>/dev/null; ulimit -t ${timeoutSeconds} 2>/dev/null; ${command}`],
+            options: {
+                cwd: workDir,
+                env: { PATH: process.env.PATH, HOME: workDir, LANG: 'C.UTF-8', AUTOGRADER_RESULTS_DIR: resultsDir },
+                detached: true
+            }
+        };
+    }
+
+    return {
+        file: 'docker',
+        args: [
+            'run', '--rm',
+            '--name', containerName,
+            '--network', 'none',
+            '--memory', `${memoryMb}m`,
+            '--memory-swap', `${memoryMb}m`,
+            '--cpus', '1',
+            '--pids-limit', '128',
+            '--cap-drop', 'ALL',
+            '--security-opt', 'no-new-privileges',
+            '--user', '1000:1000',
+            '--tmpfs', '/tmp:rw,size=64m',
+            '-e', 'HOME=/tmp',
+            '-e', `AUTOGRADER_RESULTS_DIR=${CONTAINER_RESULTS_DIR}`,
+            '-v', `${workDir}:/workspace`,
+            '-v', `${resultsDir}:${CONTAINER_RESULTS_DIR}`,
+            '-w', '/workspace',
+            runtimeImage(runtime),
+            'sh', '-c', command
+        ],
+        options: { env: process.env }
+    };
+}
+
+/**
+ * 격리 환경에서 테스트 명령 실행
+ * @param {Object} params - { workDir, resultsDir, runtime, command, timeoutSeconds, memoryMb }
+ * @returns {Promise<Object>} { exitCode, timedOut, stdout, stderr, durationMs }
+ */
+async function runSandboxed(params) {
+    if (sandboxMode() === 'process') {
+        assertNetworkIsolation();
+    } else {
+        await makeWritable(params.workDir);
+        await makeWritable(params.resultsDir);
+    }
+
+    const containerName = `autograde-${crypto.randomUUID()}`;
+    const { file, args, options } = buildCommand(params, containerName);
+    const stdout = createOutputCollector();
+    const stderr = createOutputCollector();
+    const startedAt = Date.now();
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(file, args, { ...options, stdio: ['ignore', 'pipe', 'pipe'] });
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            if (sandboxMode() !== 'process') {
+                spawn('docker', ['kill', containerName], { stdio: 'ignore' }).on('error', () => {});
+                child.kill('SIGKILL');
+            } else {
+                // 테스트가 만든 하위 프로세스까지 종료
+                try {
+                    process.kill(-child.pid, 'SIGKILL');
+                } catch (error) {
+                    child.kill('SIGKILL');
+                }
+            }
+        }, params.timeoutSeconds * 1000);
+
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => stderr.push(chunk));
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            resolve({
+                exitCode: code,
+                timedOut,
+                stdout: stdout.toString(),
+                stderr: stderr.toString(),
+                durationMs: Date.now() - startedAt
+            });
+        });
+    });
+}
+
+const decodeXml = (value = '') => value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * JUnit XML 테스트 결과 변환
+ * @param {string} xml - JUnit XML
+ * @returns {Object[]} [{ name, passed, message }]
+ */
+function parseJUnitXml(xml) {
+    const tests = [];
+    const pattern = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+
+    for (const match of xml.matchAll(pattern)) {
+        const attributes = match[1];
+        const body = match[2] || '';
+        const name = (/\bname="([^"]*)"/.exec(attributes) || [])[1] || '';
+        const className = (/\bclassname="([^"]*)"/.exec(attributes) || [])[1];
+        const failure = /<(failure|error)\b([^>]*)/.exec(body);
+        const skipped = /<skipped\b/.test(body);
+
+        if (skipped) continue;
+
+        tests.push({
+            name: decodeXml(className ? `${className}.${name}` : name),
+            passed: !failure,
+            message: failure ? decodeXml((/\bmessage="([^"]*)"/.exec(failure[2]) || [])[1] || failure[1]) : null
+        });
+    }
+
+    return tests;
+}
+
+/**
+ * 결과 폴더의 테스트 결과 파일 읽기
+ * @param {string} resultsDir - 결과 폴더 경로 (작업 폴더가 아님)
+ * @returns {Promise<Object[]|null>} 테스트 결과 (결과 파일이 없으면 null)
+ */
+async function readTestResults(resultsDir) {
+    const jsonPath = path.join(resultsDir, RESULTS_JSON_FILE);
+    const junitPath = path.join(resultsDir, RESULTS_JUNIT_FILE);
+
+    if (fs.existsSync(jsonPath)) {
+        const parsed = JSON.parse(await fs.promises.readFile(jsonPath, 'utf8'));
+        const tests = Array.isArray(parsed) ? parsed : parsed.tests;
+        if (!Array.isArray(tests)) {
+            throw new Error(`${RESULTS_JSON_FILE}의 tests 형식이 올바르지 않습니다.`);
+        }
+        return tests.map((test, index) => ({
+            name: String(test.name || `test ${index + 1}`),
+            passed: test.passed !== undefined ? Boolean(test.passed) : test.status === 'passed',
+            score: test.score !== undefined ? Number(test.score) : undefined,
+            maxScore: test.maxScore !== undefined ? Number(test.maxScore) : undefined,
+            message: test.message || test.output || null
+        }));
+    }
+
+    if (fs.existsSync(junitPath)) {
+        return parseJUnitXml(await fs.promises.readFile(junitPath, 'utf8'));
+    }
+
+    return null;
+}
+
+/**
+ * 테스트 결과로 점수 계산 (100점 만점)
+ * 배점(maxScore)이 있으면 배점 합계 기준, 없으면 통과한 테스트 비율로 계산하고,
+ * 결과 파일이 없으면 종료 코드가 0일 때만 만점
+ * @param {Object[]|null} tests - readTestResults 결과
+ * @param {Object} execution - runSandboxed 결과
+ * @returns {Object} { score, testsPassed, testsTotal }
+ */
+function computeAutogradeScore(tests, execution) {
+    if (!tests || tests.length === 0) {
+        const passed = execution.exitCode === 0 && !execution.timedOut;
+        return { score: passed ? 100 : 0, testsPassed: passed ? 1 : 0, testsTotal: 1 };
+    }
+
+    const testsPassed = tests.filter(test => test.passed).length;
+    const weighted = tests.some(test => test.maxScore !== undefined);
+
+    let ratio;
+    if (weighted) {
+        const maxTotal = tests.reduce((sum, test) => sum + (test.maxScore !== undefined ? test.maxScore : 1), 0);
+        const earned = tests.reduce((sum, test) => {
+            const maxScore = test.maxScore !== undefined ? test.maxScore : 1;
+            if (test.score !== undefined) return sum + Math.min(Math.max(test.score, 0), maxScore);
+            return sum + (test.passed ? maxScore : 0);
+        }, 0);
+        ratio = maxTotal > 0 ? earned / maxTotal : 0;
+    } else {
+        ratio = testsPassed / tests.length;
+    }
+
+    return {
+        score: parseFloat((ratio * 100).toFixed(2)),
+        testsPassed,
+        testsTotal: tests.length
+    };
+}
+
+module.exports = {
+    RUNTIMES,
+    extractZip,
+    prepareWorkspace,
+    prepareResultsDir,
+    removeWorkspace,
+    runSandboxed,
+    parseJUnitXml,
+    readTestResults,
+    computeAutogradeScore
+};
@@ -0,0 +1,384 @@
+/**
+ * 성적 관리 시스템 - 코드 과제 자동 채점
+ * 2026-10-19
+ *
+ * 자동 채점 과제 설정, 제출 버전별 채점 실행 대기열(autograde_runs),
+ * 대기열 처리(샌드박스 실행)와 점수·로그의 student_grades 반영을 담당함
+ * 실행은 HTTP 요청과 분리되어 scripts/autograder-worker.js에서 처리됨
+ */
+
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { s3Client } = require('../config/s3');
+const { SCHEMAS } = require('../config/database');
+const { updateFinalGrades, setScoreChangeContext } = require('./grade-calculator');
+const { getGradeLock } = require('./grade-lock');
+const { applyLatePenalty } = require('./late-policy');
+const {
+    RUNTIMES,
+    prepareWorkspace,
+    prepareResultsDir,
+    removeWorkspace,
+    runSandboxed,
+    readTestResults,
+    computeAutogradeScore
+} = require('./autograder-sandbox');
+
+const RUN_STATUS = {
+    QUEUED: 'QUEUED',
+    RUNNING: 'RUNNING',
+    COMPLETED: 'COMPLETED',
+    FAILED: 'FAILED'
+};
+
+const MAX_ATTEMPTS = 3;
+const STALE_RUN_GRACE_MINUTES = 10;
+const MAX_ZIP_BYTES = 50 * 1024 * 1024;
+const MAX_LOG_LENGTH = 4000;
+
+/**
+ * 자동 채점 설정 검증
+ * @param {Object} config - { runtime, testSuiteKey, testCommand, timeoutSeconds, memoryMb }
+ * @returns {string[]} 오류 메시지 목록
+ */
+function validateAutograderConfig(config = {}) {
+    const errors = [];
+
+    if (!RUNTIMES[config.runtime]) {
+        errors.push(`runtime은 ${Object.keys(RUNTIMES).join(', ')} 중 하나여야 합니다.`);
+    }
+    if (!config.testSuiteKey || typeof config.testSuiteKey !== 'string' || !config.testSuiteKey.endsWith('.zip')) {
+        errors.push('숨김 테스트 zip 파일(testSuiteKey)을 지정해야 합니다.');
+    }
+    if (config.testCommand !== undefined && config.testCommand !== null &&
+        (typeof config.testCommand !== 'string' || !config.testCommand.trim() || config.testCommand.length > 1000)) {
+        errors.push('testCommand는 1000자 이하의 문자열이어야 합니다.');
+    }
+    if (config.timeoutSeconds !== undefined &&
+        !(Number.isInteger(Number(config.timeoutSeconds)) && Number(config.timeoutSeconds) >= 1 && Number(config.timeoutSeconds) <= 600)) {
+        errors.push('timeoutSeconds는 1~600 사이의 정수여야 합니다.');
+    }
+    if (config.memoryMb !== undefined &&
+        !(Number.isInteger(Number(config.memoryMb)) && Number(config.memoryMb) >= 32 && Number(config.memoryMb) <= 4096)) {
+        errors.push('memoryMb는 32~4096 사이의 정수여야 합니다.');
+    }
+
+    return errors;
+}
+
+/**
+ * 평가 항목의 자동 채점 설정 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} itemId - 평가 항목 ID
+ * @returns {Promise<Object|null>} 자동 채점 설정 (자동 채점 과제가 아니면 null)
+ */
+async function getAutograderConfig(client, itemId) {
+    const result = await client.query(`
+        SELECT * FROM ${SCHEMAS.GRADE}.autograder_configs WHERE item_id = $1
+    `, [itemId]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * 제출 버전의 채점 실행을 대기열에 등록
+ * 같은 제출물의 대기 중인 이전 실행은 새 실행으로 대체함
+ * @param {Object} client - 데이터베이스 클라이언트 객체 (트랜잭션 내에서 호출)
+ * @param {Object} params - { itemId, gradeId, versionId, requestedBy }
+ * @returns {Promise<Object>} 등록된 실행
+ */
+async function enqueueAutogradeRun(client, { itemId, gradeId, versionId, requestedBy = null }) {
+    await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.autograde_runs
+        SET status = $1, error_message = '새 실행으로 대체됨', completed_at = CURRENT_TIMESTAMP
+        WHERE grade_id = $2 AND status = $3
+    `, [RUN_STATUS.FAILED, gradeId, RUN_STATUS.QUEUED]);
+
+    const result = await client.query(`
+        INSERT INTO ${SCHEMAS.GRADE}.autograde_runs (item_id, grade_id, version_id, status, requested_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+    `, [itemId, gradeId, versionId, RUN_STATUS.QUEUED, requestedBy]);
+
+    return result.rows[0];
+}
+
+/**
+ * 대기열에서 다음 실행을 가져와 실행 중으로 변경 (여러 작업자가 동시에 가져가지 않도록 SKIP LOCKED)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} workerId - 작업자 식별자
+ * @returns {Promise<Object|null>} 실행 (대기 중인 실행이 없으면 null)
+ */
+async function claimNextAutogradeRun(client, workerId) {
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.autograde_runs
+        SET status = $1, attempts = attempts + 1, worker_id = $2, started_at = CURRENT_TIMESTAMP
+        WHERE run_id = (
+            SELECT run_id FROM ${SCHEMAS.GRADE}.autograde_runs
+            WHERE status = $3
+            ORDER BY queued_at ASC
+            LIMIT 1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [RUN_STATUS.RUNNING, workerId, RUN_STATUS.QUEUED]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * 작업자가 중단되어 실행 중으로 남은 실행을 다시 대기열에 등록 (재시도 횟수 초과 시 실패 처리)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @returns {Promise<number>} 처리된 실행 수
+ */
+async function requeueStaleAutogradeRuns(client) {
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.autograde_runs r
+        SET status = CASE WHEN r.attempts >= $1 THEN $2 ELSE $3 END,
+            error_message = CASE WHEN r.attempts >= $1 THEN '작업자 응답 없음 (재시도 횟수 초과)' ELSE r.error_message END,
+            completed_at = CASE WHEN r.attempts >= $1 THEN CURRENT_TIMESTAMP ELSE NULL END
+        FROM ${SCHEMAS.GRADE}.autograder_configs c
+        WHERE c.item_id = r.item_id
+        AND r.status = $4
+        AND r.started_at < NOW() - make_interval(secs => c.timeout_seconds + $5 * 60)
+    `, [MAX_ATTEMPTS, RUN_STATUS.FAILED, RUN_STATUS.QUEUED, RUN_STATUS.RUNNING, STALE_RUN_GRACE_MINUTES]);
+
+    return result.rowCount;
+}
+
+// S3 파일 내용 읽기 (크기 제한)
+async function readS3Buffer(key) {
+    const bucketName = process.env.S3_BUCKET_NAME || 'nationslablmscoursebucket';
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: key }));
+    if (response.ContentLength && response.ContentLength > MAX_ZIP_BYTES) {
+        throw new Error(`zip 파일이 너무 큽니다: ${key.split('/').pop()}`);
+    }
+    return Buffer.from(await response.Body.transformToByteArray());
+}
+
+// student_grades에 남길 요약 로그
+function summarizeRun(runId, result) {
+    const lines = [
+        `자동 채점 실행 #${runId}: ${result.testsPassed}/${result.testsTotal} 통과, ${result.score}점`,
+        result.timedOut ? '제한 시간 초과로 중단됨' : `종료 코드 ${result.exitCode}`,
+        ...result.tests.filter(test => !test.passed).map(test => `실패: ${test.name}${test.message ? ` - ${test.message}` : ''}`)
+    ];
+    const summary = lines.join('\n');
+    return summary.length > MAX_LOG_LENGTH ? `${summary.slice(0, MAX_LOG_LENGTH)}…` : summary;
+}
+
+/**
+ * 실행 결과 저장 및 점수 반영
+ * 제출물의 최신 버전에 대한 실행이고 성적이 확정되지 않았을 때만 점수(지각 감점 적용)에 반영함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} run - autograde_runs 행
+ * @param {Object} config - 자동 채점 설정
+ * @param {Object} result - { score, testsPassed, testsTotal, tests, exitCode, timedOut, stdout, stderr }
+ * @returns {Promise<Object>} 갱신된 실행
+ */
+async function applyAutogradeResult(client, run, config, result) {
+    await client.query('BEGIN');
+    try {
+        const submissionResult = await client.query(`
+            SELECT sg.grade_id, gi.course_id, e.student_id, sv.late_penalty_percent,
+                (SELECT MAX(version_number) FROM ${SCHEMAS.GRADE}.submission_versions WHERE grade_id = sg.grade_id) AS latest_version,
+                sv.version_number
+            FROM ${SCHEMAS.GRADE}.student_grades sg
+            JOIN ${SCHEMAS.GRADE}.grade_items gi ON sg.item_id = gi.item_id
+            JOIN ${SCHEMAS.ENROLLMENT}.enrollments e ON sg.enrollment_id = e.id
+            JOIN ${SCHEMAS.GRADE}.submission_versions sv ON sv.version_id = $2
+            WHERE sg.grade_id = $1
+            FOR UPDATE OF sg
+        `, [run.grade_id, run.version_id]);
+
+        const submission = submissionResult.rows[0];
+        const gradeLock = submission ? await getGradeLock(client, submission.course_id) : null;
+        const isLatest = submission && submission.version_number === submission.latest_version;
+        const applied = Boolean(isLatest && !gradeLock.is_locked);
+
+        let errorMessage = null;
+        if (!isLatest) {
+            errorMessage = '최신 제출 버전이 아니어서 점수에 반영하지 않았습니다.';
+        } else if (gradeLock.is_locked) {
+            errorMessage = '성적이 확정되어 점수에 반영하지 않았습니다.';
+        }
+
+        const updated = await client.query(`
+            UPDATE ${SCHEMAS.GRADE}.autograde_runs
+            SET status = $1, score = $2, tests_passed = $3, tests_total = $4, test_results = $5,
+                exit_code = $6, timed_out = $7, stdout = $8, stderr = $9, error_message = $10,
+                applied = $11, completed_at = CURRENT_TIMESTAMP
+            WHERE run_id = $12
+            RETURNING *
+        `, [
+            RUN_STATUS.COMPLETED,
+            result.score,
+            result.testsPassed,
+            result.testsTotal,
+            JSON.stringify(result.tests),
+            result.exitCode,
+            result.timedOut,
+            result.stdout,
+            result.stderr,
+            errorMessage,
+            applied,
+            run.run_id
+        ]);
+
+        if (applied) {
+            const finalScore = applyLatePenalty(result.score, submission.late_penalty_percent);
+
+            // 채점 이력은 자동 채점을 설정한 교수자 이름으로 기록
+            await setScoreChangeContext(client, config.updated_by, `자동 채점 (실행 #${run.run_id})`);
+            await client.query(`
+                UPDATE ${SCHEMAS.GRADE}.student_grades
+                SET score = $1,
+                    raw_score = $2,
+                    graded_version_id = $3,
+                    autograde_run_id = $4,
+                    autograde_log = $5,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE grade_id = $6
+            `, [finalScore, result.score, run.version_id, run.run_id, summarizeRun(run.run_id, result), run.grade_id]);
+
+            await updateFinalGrades(client, submission.course_id, submission.student_id);
+        }
+
+        await client.query('COMMIT');
+        return updated.rows[0];
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+/**
+ * 실행 실패 기록 (재시도 가능한 오류는 대기열에 다시 등록)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} run - autograde_runs 행
+ * @param {Error} error - 오류
+ * @param {boolean} retryable - 재시도 여부
+ */
+async function markAutogradeRunFailed(client, run, error, retryable) {
+    const retry = retryable && run.attempts < MAX_ATTEMPTS;
+    await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.autograde_runs
+        SET status = $1, error_message = $2, completed_at = $3
+        WHERE run_id = $4
+    `, [retry ? RUN_STATUS.QUEUED : RUN_STATUS.FAILED, error.message, retry ? null : new Date(), run.run_id]);
+}
+
+/**
+ * 실행 하나를 처리 (제출 zip과 숨김 테스트를 내려받아 샌드박스에서 실행한 뒤 결과 반영)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} run - claimNextAutogradeRun 결과
+ * @returns {Promise<Object>} 갱신된 실행
+ */
+async function processAutogradeRun(client, run) {
+    const config = await getAutograderConfig(client, run.item_id);
+    const versionResult = await client.query(`
+        SELECT file_keys FROM ${SCHEMAS.GRADE}.submission_versions WHERE version_id = $1
+    `, [run.version_id]);
+
+    const fileKeys = versionResult.rows.length > 0 ? versionResult.rows[0].file_keys || [] : [];
+    const submissionZipKey = fileKeys.find(key => key.toLowerCase().endsWith('.zip'));
+
+    if (!config || !submissionZipKey) {
+        const error = new Error(!config ? '자동 채점 설정이 없습니다.' : '제출물에 zip 파일이 없습니다.');
+        await markAutogradeRunFailed(client, run, error, false);
+        return { ...run, status: RUN_STATUS.FAILED, error_message: error.message };
+    }
+
+    let workDir = null;
+    let resultsDir = null;
+    try {
+        let submissionZip;
+        let testSuiteZip;
+        try {
+            [submissionZip, testSuiteZip] = await Promise.all([
+                readS3Buffer(submissionZipKey),
+                readS3Buffer(config.test_suite_key)
+            ]);
+        } catch (error) {
+            // 일시적인 S3 오류는 재시도
+            await markAutogradeRunFailed(client, run, error, true);
+            return { ...run, status: RUN_STATUS.QUEUED, error_message: error.message };
+        }
+
+        try {
+            workDir = await prepareWorkspace(submissionZip, testSuiteZip);
+            resultsDir = await prepareResultsDir();
+        } catch (error) {
+            await markAutogradeRunFailed(client, run, error, false);
+            return { ...run, status: RUN_STATUS.FAILED, error_message: error.message };
+        }
+
+        const execution = await runSandboxed({
+            workDir,
+            resultsDir,
+            runtime: config.runtime,
+            command: config.test_command || RUNTIMES[config.runtime].command,
+            timeoutSeconds: config.timeout_seconds,
+            memoryMb: config.memory_mb
+        });
+
+        let tests;
+        try {
+            tests = await readTestResults(resultsDir);
+        } catch (error) {
+            tests = null;
+            execution.stderr = `${execution.stderr}\n[autograder] ${error.message}`;
+        }
+
+        const scored = computeAutogradeScore(tests, execution);
+        return await applyAutogradeResult(client, run, config, {
+            ...scored,
+            tests: tests || [],
+            exitCode: execution.exitCode,
+            timedOut: execution.timedOut,
+            stdout: execution.stdout,
+            stderr: execution.stderr
+        });
+    } catch (error) {
+        // 샌드박스 실행 자체의 오류 (docker 미설치 등)는 재시도
+        await markAutogradeRunFailed(client, run, error, true);
+        throw error;
+    } finally {
+        if (workDir) {
+            await removeWorkspace(workDir);
+        }
+        if (resultsDir) {
+            await removeWorkspace(resultsDir);
+        }
+    }
+}
+
+/**
+ * 제출물의 최근 자동 채점 실행 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} gradeId - 학생 성적(제출물) ID
+ * @returns {Promise<Object|null>} 최근 실행
+ */
+async function getLatestAutogradeRun(client, gradeId) {
+    const result = await client.query(`
+        SELECT r.*, sv.version_number
+        FROM ${SCHEMAS.GRADE}.autograde_runs r
+        JOIN ${SCHEMAS.GRADE}.submission_versions sv ON r.version_id = sv.version_id
+        WHERE r.grade_id = $1
+        ORDER BY r.queued_at DESC, r.run_id DESC
+        LIMIT 1
+    `, [gradeId]);
+
+    return result.rows[0] || null;
+}
+
+module.exports = {
+    RUN_STATUS,
+    RUNTIMES,
+    validateAutograderConfig,
+    getAutograderConfig,
+    enqueueAutogradeRun,
+    claimNextAutogradeRun,
+    requeueStaleAutogradeRuns,
+    processAutogradeRun,
+    getLatestAutogradeRun
+};
@@ -0,0 +1,114 @@
+/**
+ * 성적 관리 시스템 - 강좌 조(그룹)와 조별 과제
+ * 2026-10-19
+ *
+ * 강좌별 조 구성(수동/자동)과, 조별 과제의 제출물·점수를 조원 모두의
+ * student_grades 행에 반영하기 위한 조회 함수를 제공함
+ */
+
+const crypto = require('crypto');
+const { SCHEMAS } = require('../config/database');
+
+/**
+ * 학생 목록을 무작위로 섞어 조 편성 (DB 접근 없음)
+ * 조 수는 학생 수 / 조 크기를 내림해 정하므로 인원이 모자란 조가 생기지 않으며,
+ * 남는 학생은 앞쪽 조부터 한 명씩 추가함
+ * @param {string[]} studentIds - 학생 ID 목록
+ * @param {number} groupSize - 조당 인원
+ * @returns {string[][]} 조별 학생 ID 목록
+ */
+function buildAutoGroups(studentIds, groupSize) {
+    const shuffled = [...studentIds]
+        .map(id => ({ id, key: crypto.randomInt(2 ** 32) }))
+        .sort((a, b) => a.key - b.key)
+        .map(({ id }) => id);
+
+    const groupCount = Math.max(1, Math.floor(shuffled.length / groupSize));
+    const groups = Array.from({ length: groupCount }, () => []);
+    shuffled.forEach((id, index) => groups[index % groupCount].push(id));
+
+    return groups.filter(group => group.length > 0);
+}
+
+/**
+ * 조원별 조정 점수를 반영한 점수 (0~100 범위로 제한)
+ * @param {number} score - 조 점수 (지각 감점 적용 후)
+ * @param {number} adjustment - 조원별 조정 점수
+ * @returns {number} 조정 점수
+ */
+function applyGroupAdjustment(score, adjustment) {
+    const adjusted = Number(score) + (Number(adjustment) || 0);
+    return parseFloat(Math.min(100, Math.max(0, adjusted)).toFixed(2));
+}
+
+/**
+ * 강좌의 조 목록과 조원 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @returns {Promise<Object[]>} [{ group_id, name, members: [{ student_id, name, email }] }]
+ */
+async function getCourseGroups(client, courseId) {
+    const result = await client.query(`
+        SELECT
+            g.group_id,
+            g.name,
+            g.created_at,
+            COALESCE(
+                json_agg(
+                    json_build_object('student_id', u.cognito_user_id, 'name', u.name, 'email', u.email)
+                    ORDER BY u.name
+                ) FILTER (WHERE m.student_id IS NOT NULL),
+                '[]'
+            ) AS members
+        FROM ${SCHEMAS.ENROLLMENT}.course_groups g
+        LEFT JOIN ${SCHEMAS.ENROLLMENT}.course_group_members m ON g.group_id = m.group_id
+        LEFT JOIN ${SCHEMAS.AUTH}.users u ON m.student_id = u.cognito_user_id
+        WHERE g.course_id = $1
+        GROUP BY g.group_id
+        ORDER BY g.name ASC
+    `, [courseId]);
+
+    return result.rows;
+}
+
+/**
+ * 학생이 소속된 조와 조원의 수강 정보 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @param {string} studentId - 학생 ID
+ * @returns {Promise<Object|null>} { group_id, name, members: [{ student_id, name, enrollment_id }] } (소속 조가 없으면 null)
+ */
+async function getStudentGroup(client, courseId, studentId) {
+    const result = await client.query(`
+        SELECT g.group_id, g.name, m.student_id, u.name AS student_name, e.id AS enrollment_id
+        FROM ${SCHEMAS.ENROLLMENT}.course_group_members own
+        JOIN ${SCHEMAS.ENROLLMENT}.course_groups g ON own.group_id = g.group_id
+        JOIN ${SCHEMAS.ENROLLMENT}.course_group_members m ON m.group_id = g.group_id
+        JOIN ${SCHEMAS.AUTH}.users u ON m.student_id = u.cognito_user_id
+        LEFT JOIN ${SCHEMAS.ENROLLMENT}.enrollments e
+            ON e.student_id = m.student_id AND e.course_id = g.course_id AND e.status = 'ACTIVE'
+        WHERE own.course_id = $1 AND own.student_id = $2
+        ORDER BY u.name ASC
+    `, [courseId, studentId]);
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    return {
+        group_id: result.rows[0].group_id,
+        name: result.rows[0].name,
+        members: result.rows.map(row => ({
+            student_id: row.student_id,
+            name: row.student_name,
+            enrollment_id: row.enrollment_id
+        }))
+    };
+}
+
+module.exports = {
+    buildAutoGroups,
+    applyGroupAdjustment,
+    getCourseGroups,
+    getStudentGroup
+};
@@ -0,0 +1,488 @@
+/**
+ * 성적 관리 시스템 - 강좌 수업 일정과 회차별 Zoom 반복 미팅 연결
+ * 2026-10-19
+ *
+ * 강좌 개설 시 반복 설정으로 수업 회차(course_sessions)를 만들고 Zoom 반복 미팅의 회차 ID를 연결함
+ * 진행된 Zoom 회차(zoom_meeting_sessions)는 시작 시각이 가장 가까운 수업 회차에 연결되어
+ * 출석과 녹화 주차의 기준이 되며, 회차 일정 변경과 휴강은 Zoom 미팅 회차에도 반영함
+ */
+
+const { SCHEMAS } = require('../config/database');
+const { zoomClient } = require('../services/zoom-client');
+const { sessionWeekNumber } = require('./zoom-recordings');
+
+const SESSION_STATUS = {
+    SCHEDULED: 'SCHEDULED',
+    RESCHEDULED: 'RESCHEDULED',
+    CANCELLED: 'CANCELLED'
+};
+
+// Zoom 반복 유형 (recurrence.type)
+const RECURRENCE_TYPE = {
+    DAILY: 1,
+    WEEKLY: 2,
+    MONTHLY: 3
+};
+
+// Zoom 반복 미팅 최대 회차
+const MAX_OCCURRENCES = 60;
+
+// 진행된 Zoom 회차와 수업 회차를 연결할 때 허용하는 시작 시각 차이
+const SESSION_MATCH_HOURS = 12;
+
+const ZOOM_TIMEZONE = 'Asia/Seoul';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 한국 시간 (일광 절약 시간 없음)
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 한국 시간 날짜의 일 단위 번호와 요일 계산용 (UTC 필드가 한국 시간을 나타냄)
+const toKst = (date) => new Date(new Date(date).getTime() + KST_OFFSET_MS);
+const kstDayIndex = (date) => Math.floor(toKst(date).getTime() / DAY_MS);
+
+/**
+ * 한국 시간 날짜와 시각으로 Date 생성
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {Date} 시각 (형식이 잘못되면 Invalid Date)
+ */
+function kstDateTime(date, time) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !/^\d{2}:\d{2}$/.test(time || '')) {
+        return new Date(NaN);
+    }
+    return new Date(`${date}T${time}:00+09:00`);
+}
+
+/**
+ * 수업 날짜 (한국 시간 YYYY-MM-DD)
+ * @param {Date|string} date - 시각
+ * @returns {string} 날짜
+ */
+function sessionDate(date) {
+    const kst = toKst(date);
+    return `${kst.getUTCFullYear()}-${pad(kst.getUTCMonth() + 1)}-${pad(kst.getUTCDate())}`;
+}
+
+/**
+ * Zoom API 시작 시각 형식 (timezone: Asia/Seoul과 함께 보내는 YYYY-MM-DDTHH:mm:ss)
+ * @param {Date|string} date - 시각
+ * @returns {string} 시작 시각 문자열
+ */
+function zoomStartTime(date) {
+    const kst = toKst(date);
+    return `${sessionDate(date)}T${pad(kst.getUTCHours())}:${pad(kst.getUTCMinutes())}:00`;
+}
+
+// 월간 반복의 n번째 요일 일치 여부 (monthly_week: 1~4, -1은 마지막 주 / monthly_week_day: 1=일요일 ~ 7=토요일)
+function matchesMonthlyWeek(kst, monthlyWeek, monthlyWeekDay) {
+    if (kst.getUTCDay() + 1 !== Number(monthlyWeekDay)) return false;
+    if (Number(monthlyWeek) === -1) {
+        return kst.getUTCDate() + 7 > new Date(Date.UTC(kst.getUTCFullYear(), kst.getUTCMonth() + 1, 0)).getUTCDate();
+    }
+    return Math.ceil(kst.getUTCDate() / 7) === Number(monthlyWeek);
+}
+
+/**
+ * 반복 설정으로 회차 시작 시각 목록 계산 (Zoom recurrence 규칙과 같게 계산)
+ * 종료 설정(end_times, end_date_time)이 없으면 강좌 주차 수만큼의 기간 안에서 계산
+ * @param {Date} firstStart - 첫 회차 시작 시각
+ * @param {Object|null} recurrence - Zoom recurrence ({ type, repeat_interval, weekly_days, monthly_day, monthly_week, monthly_week_day, end_times, end_date_time })
+ * @param {number|null} weeksCount - 강좌 주차 수
+ * @returns {Date[]} 회차 시작 시각 목록
+ */
+function expandRecurrence(firstStart, recurrence, weeksCount = null) {
+    if (!recurrence) {
+        return [new Date(firstStart)];
+    }
+
+    const type = Number(recurrence.type) || RECURRENCE_TYPE.WEEKLY;
+    const interval = Math.max(1, parseInt(recurrence.repeat_interval, 10) || 1);
+    const first = toKst(firstStart);
+    const firstDay = kstDayIndex(firstStart);
+    const timeOfDayMs = toKst(firstStart).getTime() - firstDay * DAY_MS;
+
+    const weeklyDays = new Set(
+        String(recurrence.weekly_days || first.getUTCDay() + 1).split(',').map(day => Number(day.trim()))
+    );
+    const monthlyDay = Number(recurrence.monthly_day) || first.getUTCDate();
+
+    const maxCount = Math.min(parseInt(recurrence.end_times, 10) || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const endDate = recurrence.end_date_time ? new Date(recurrence.end_date_time) : null;
+    const lastDay = !recurrence.end_times && !endDate && weeksCount
+        ? firstDay + weeksCount * 7 - 1
+        : null;
+    // 종료 설정이 잘못된 경우를 위한 계산 범위 제한 (약 5년)
+    const maxDay = firstDay + 5 * 366;
+
+    // 주간 반복의 주 간격은 첫 회차가 속한 주(일요일 시작) 기준
+    const firstWeekStart = firstDay - first.getUTCDay();
+
+    const starts = [];
+    for (let day = firstDay; starts.length < maxCount && day <= maxDay; day++) {
+        if (lastDay !== null && day > lastDay) break;
+
+        const kst = new Date(day * DAY_MS);
+        let matches = false;
+        if (type === RECURRENCE_TYPE.DAILY) {
+            matches = (day - firstDay) % interval === 0;
+        } else if (type === RECURRENCE_TYPE.MONTHLY) {
+            const months = (kst.getUTCFullYear() - first.getUTCFullYear()) * 12 + kst.getUTCMonth() - first.getUTCMonth();
+            matches = months % interval === 0 && (recurrence.monthly_week
+                ? matchesMonthlyWeek(kst, recurrence.monthly_week, recurrence.monthly_week_day)
+                : kst.getUTCDate() === monthlyDay);
+        } else {
+            matches = Math.floor((day - firstWeekStart) / 7) % interval === 0 && weeklyDays.has(kst.getUTCDay() + 1);
+        }
+        if (!matches) continue;
+
+        const start = new Date(day * DAY_MS + timeOfDayMs - KST_OFFSET_MS);
+        if (endDate && start > endDate) break;
+        starts.push(start);
+    }
+
+    return starts;
+}
+
+/**
+ * 회차 시작 시각과 길이로 수업 일정 생성 (시작 시각 순 회차 번호, 첫 회차 날짜 기준 주차)
+ * @param {Object[]} occurrences - [{ start, duration, occurrence_id }]
+ * @param {number|null} weeksCount - 강좌 주차 수
+ * @returns {Object[]} 수업 회차 목록
+ */
+function buildSessions(occurrences, weeksCount = null) {
+    const sorted = [...occurrences].sort((a, b) => a.start - b.start);
+    const firstStart = sorted[0]?.start;
+
+    return sorted.map((occurrence, index) => ({
+        session_number: index + 1,
+        week_number: sessionWeekNumber(occurrence.start, firstStart, weeksCount),
+        session_date: sessionDate(occurrence.start),
+        start_time: occurrence.start,
+        end_time: new Date(occurrence.start.getTime() + occurrence.duration * 60 * 1000),
+        zoom_occurrence_id: occurrence.occurrence_id ? String(occurrence.occurrence_id) : null
+    }));
+}
+
+/**
+ * 강좌 개설 요청의 반복 설정으로 수업 일정 생성
+ * Zoom이 반환한 회차가 있으면 시작 시각이 같은 회차에 회차 ID를 연결하고,
+ * 계산한 일정과 Zoom 회차가 다르면 Zoom 회차를 기준으로 만듦
+ * @param {Object} options - { startTime, durationMinutes, recurrence, weeksCount, zoomOccurrences }
+ * @returns {Object[]} 수업 회차 목록
+ */
+function buildSessionSchedule({ startTime, durationMinutes, recurrence = null, weeksCount = null, zoomOccurrences = [] }) {
+    const starts = expandRecurrence(startTime, recurrence, weeksCount);
+    const occurrences = (zoomOccurrences || []).filter(occurrence => occurrence.status !== 'deleted');
+
+    if (occurrences.length > 0) {
+        const byStart = new Map(occurrences.map(occurrence => [new Date(occurrence.start_time).getTime(), occurrence]));
+        const allMatched = starts.length === occurrences.length && starts.every(start => byStart.has(start.getTime()));
+
+        if (!allMatched) {
+            console.warn(`⚠️ 계산한 수업 일정(${starts.length}회)과 Zoom 회차(${occurrences.length}회)가 달라 Zoom 회차를 기준으로 일정을 만듭니다.`);
+        }
+
+        return buildSessions((allMatched ? starts : occurrences.map(occurrence => new Date(occurrence.start_time))).map(start => {
+            const occurrence = byStart.get(start.getTime());
+            return {
+                start,
+                duration: occurrence?.duration || durationMinutes,
+                occurrence_id: occurrence?.occurrence_id
+            };
+        }), weeksCount);
+    }
+
+    return buildSessions(starts.map(start => ({ start, duration: durationMinutes })), weeksCount);
+}
+
+/**
+ * 수업 일정 저장
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @param {Object[]} sessions - buildSessionSchedule 결과
+ * @param {string|number|null} zoomMeetingId - Zoom 미팅 ID
+ * @returns {Promise<Object[]>} 저장된 회차
+ */
+async function createCourseSessions(client, courseId, sessions, zoomMeetingId = null) {
+    const created = [];
+    for (const session of sessions) {
+        const result = await client.query(`
+            INSERT INTO ${SCHEMAS.COURSE}.course_sessions
+            (course_id, session_number, week_number, session_date, start_time, end_time, zoom_meeting_id, zoom_occurrence_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [
+            courseId,
+            session.session_number,
+            session.week_number,
+            session.session_date,
+            session.start_time,
+            session.end_time,
+            zoomMeetingId ? String(zoomMeetingId) : null,
+            session.zoom_occurrence_id
+        ]);
+        created.push(result.rows[0]);
+    }
+    return created;
+}
+
+/**
+ * 강좌 수업 일정 조회 (회차별 진행된 Zoom 회차, 출석 인원, 가져온 녹화 수 포함)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @returns {Promise<Object[]>} 수업 회차 목록 (시작 시각 순)
+ */
+async function getCourseSessions(client, courseId) {
+    const result = await client.query(`
+        SELECT cs.*,
+            COALESCE((
+                SELECT json_agg(zs.meeting_uuid ORDER BY zs.start_time)
+                FROM ${SCHEMAS.COURSE}.zoom_meeting_sessions zs
+                WHERE zs.course_session_id = cs.session_id
+            ), '[]'::json) AS meeting_uuids,
+            (
+                SELECT COUNT(DISTINCT ar.student_id)
+                FROM ${SCHEMAS.GRADE}.attendance_records ar
+                JOIN ${SCHEMAS.COURSE}.zoom_meeting_sessions zs ON ar.session_id = zs.meeting_uuid
+                WHERE zs.course_session_id = cs.session_id
+                AND ar.course_id = cs.course_id
+                AND ar.duration_seconds > 0
+            )::int AS attended_count,
+            (
+                SELECT COUNT(*)
+                FROM ${SCHEMAS.COURSE}.zoom_recording_imports ri
+                JOIN ${SCHEMAS.COURSE}.zoom_meeting_sessions zs ON ri.meeting_uuid = zs.meeting_uuid
+                WHERE zs.course_session_id = cs.session_id
+                AND ri.status = 'IMPORTED'
+            )::int AS recording_count
+        FROM ${SCHEMAS.COURSE}.course_sessions cs
+        WHERE cs.course_id = $1
+        ORDER BY cs.start_time ASC
+    `, [courseId]);
+
+    return result.rows;
+}
+
+/**
+ * 주차 자료 목록에 주차별 수업 회차 추가 (자료가 없는 주차도 회차가 있으면 포함)
+ * @param {Object[]} weeks - [{ weekName, weekNumber, materials }]
+ * @param {Object[]} sessions - 수업 회차 목록
+ * @returns {Object[]} 주차 순으로 정렬한 주차 목록 ({ ..., sessions })
+ */
+function attachSessionsToWeeks(weeks, sessions) {
+    const byWeek = new Map(weeks.map(week => [week.weekNumber, { ...week, sessions: [] }]));
+
+    sessions.forEach(session => {
+        if (!byWeek.has(session.week_number)) {
+            byWeek.set(session.week_number, {
+                weekName: `week${session.week_number}`,
+                weekNumber: session.week_number,
+                materials: {},
+                sessions: []
+            });
+        }
+        byWeek.get(session.week_number).sessions.push({
+            session_id: session.session_id,
+            session_number: session.session_number,
+            session_date: session.session_date,
+            start_time: session.start_time,
+            end_time: session.end_time,
+            status: session.status
+        });
+    });
+
+    return Array.from(byWeek.values()).sort((a, b) => a.weekNumber - b.weekNumber);
+}
+
+/**
+ * 진행된 Zoom 회차를 시작 시각이 가장 가까운 수업 회차에 연결 (휴강 회차 제외, 이미 연결된 회차는 유지)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} meetingUuid - Zoom 미팅 회차 UUID
+ * @returns {Promise<number|null>} 연결된 수업 회차 ID
+ */
+async function linkMeetingSession(client, meetingUuid) {
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.COURSE}.zoom_meeting_sessions zs
+        SET course_session_id = (
+            SELECT cs.session_id
+            FROM ${SCHEMAS.COURSE}.course_sessions cs
+            WHERE cs.course_id = zs.course_id
+            AND cs.status <> $2
+            AND cs.start_time BETWEEN zs.start_time - make_interval(hours => $3) AND zs.start_time + make_interval(hours => $3)
+            ORDER BY (cs.zoom_meeting_id = zs.zoom_meeting_id) DESC NULLS LAST,
+                ABS(EXTRACT(EPOCH FROM cs.start_time - zs.start_time)) ASC
+            LIMIT 1
+        )
+        WHERE zs.meeting_uuid = $1
+        AND zs.course_session_id IS NULL
+        AND zs.course_id IS NOT NULL
+        RETURNING course_session_id
+    `, [meetingUuid, SESSION_STATUS.CANCELLED, SESSION_MATCH_HOURS]);
+
+    return result.rows[0]?.course_session_id ?? null;
+}
+
+/**
+ * 회차 일정 변경 요청 검증
+ * @param {Object} body - { start_date, start_time, duration }
+ * @returns {string[]} 오류 메시지 목록
+ */
+function validateSessionReschedule(body) {
+    const errors = [];
+
+    if (Number.isNaN(kstDateTime(body.start_date, body.start_time).getTime())) {
+        errors.push('시작 날짜(start_date: YYYY-MM-DD)와 시작 시각(start_time: HH:MM)이 필요합니다.');
+    }
+    if (body.duration !== undefined && (!Number.isInteger(body.duration) || body.duration <= 0 || body.duration > 24 * 60)) {
+        errors.push('수업 시간(duration)은 1분에서 1440분 사이의 정수여야 합니다.');
+    }
+
+    return errors;
+}
+
+/**
+ * 수업 회차 조회 (수정용 잠금)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @param {number} sessionId - 수업 회차 ID
+ * @returns {Promise<Object|null>} 수업 회차
+ */
+async function getCourseSessionForUpdate(client, courseId, sessionId) {
+    const result = await client.query(`
+        SELECT * FROM ${SCHEMAS.COURSE}.course_sessions
+        WHERE course_id = $1 AND session_id = $2
+        FOR UPDATE
+    `, [courseId, sessionId]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * 회차 변경을 반영할 Zoom 요청 조건 (반복 미팅은 회차 ID로, 회차가 하나뿐인 단일 미팅은 미팅 전체)
+ * 회차 ID 없이 여러 회차가 같은 미팅을 쓰면 다른 회차까지 바뀌므로 Zoom에 반영하지 않음
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} session - 수업 회차
+ * @returns {Promise<Object|null>} 요청 params (반영하지 않으면 null)
+ */
+async function zoomOccurrenceParams(client, session) {
+    if (!session.zoom_meeting_id) return null;
+    if (session.zoom_occurrence_id) return { occurrence_id: session.zoom_occurrence_id };
+
+    const result = await client.query(`
+        SELECT COUNT(*)::int AS count FROM ${SCHEMAS.COURSE}.course_sessions
+        WHERE course_id = $1 AND zoom_meeting_id = $2
+    `, [session.course_id, session.zoom_meeting_id]);
+
+    if (result.rows[0].count === 1) return {};
+
+    console.warn(`⚠️ Zoom 회차 ID가 없어 수업 회차 ${session.session_id}의 변경을 Zoom에 반영하지 않습니다.`);
+    return null;
+}
+
+/**
+ * 수업 회차 일정 변경 (Zoom 미팅 회차를 먼저 변경한 뒤 저장, Zoom 변경에 실패하면 오류)
+ * 트랜잭션 내에서 호출해야 함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} session - getCourseSessionForUpdate 결과
+ * @param {Object} changes - { startTime, durationMinutes, updatedBy }
+ * @returns {Promise<Object>} 변경된 회차
+ */
+async function rescheduleCourseSession(client, session, { startTime, durationMinutes = null, updatedBy = null }) {
+    const duration = durationMinutes
+        || Math.round((new Date(session.end_time) - new Date(session.start_time)) / (60 * 1000));
+    const endTime = new Date(startTime.getTime() + duration * 60 * 1000);
+
+    const zoomParams = await zoomOccurrenceParams(client, session);
+    if (zoomParams) {
+        await zoomClient.patch(`/meetings/${session.zoom_meeting_id}`, {
+            start_time: zoomStartTime(startTime),
+            duration,
+            timezone: ZOOM_TIMEZONE
+        }, { params: zoomParams });
+    }
+
+    // 주차는 처음 일정의 첫 회차 기준으로 다시 계산
+    const courseResult = await client.query(`
+        SELECT c.weeks_count, MIN(COALESCE(cs.original_start_time, cs.start_time)) AS first_start_time
+        FROM ${SCHEMAS.COURSE}.courses c
+        JOIN ${SCHEMAS.COURSE}.course_sessions cs ON cs.course_id = c.id
+        WHERE c.id = $1
+        GROUP BY c.id
+    `, [session.course_id]);
+    const course = courseResult.rows[0];
+
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.COURSE}.course_sessions
+        SET start_time = $1,
+            end_time = $2,
+            session_date = $3,
+            week_number = $4,
+            status = $5,
+            original_start_time = COALESCE(original_start_time, start_time),
+            updated_by = $6,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE session_id = $7
+        RETURNING *
+    `, [
+        startTime,
+        endTime,
+        sessionDate(startTime),
+        sessionWeekNumber(startTime, course.first_start_time, course.weeks_count || null),
+        SESSION_STATUS.RESCHEDULED,
+        updatedBy,
+        session.session_id
+    ]);
+
+    return result.rows[0];
+}
+
+/**
+ * 수업 회차 휴강 (Zoom 미팅 회차를 먼저 삭제한 뒤 저장, 이미 삭제된 회차면 그대로 진행)
+ * 트랜잭션 내에서 호출해야 함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} session - getCourseSessionForUpdate 결과
+ * @param {Object} options - { reason, updatedBy }
+ * @returns {Promise<Object>} 휴강 처리된 회차
+ */
+async function cancelCourseSession(client, session, { reason = null, updatedBy = null } = {}) {
+    const zoomParams = await zoomOccurrenceParams(client, session);
+    if (zoomParams) {
+        try {
+            await zoomClient.delete(`/meetings/${session.zoom_meeting_id}`, { params: zoomParams });
+        } catch (error) {
+            if (error.response?.status !== 404) throw error;
+        }
+    }
+
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.COURSE}.course_sessions
+        SET status = $1,
+            cancel_reason = $2,
+            updated_by = $3,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE session_id = $4
+        RETURNING *
+    `, [SESSION_STATUS.CANCELLED, reason, updatedBy, session.session_id]);
+
+    return result.rows[0];
+}
+
+module.exports = {
+    SESSION_STATUS,
+    RECURRENCE_TYPE,
+    MAX_OCCURRENCES,
+    kstDateTime,
+    sessionDate,
+    zoomStartTime,
+    expandRecurrence,
+    buildSessionSchedule,
+    createCourseSessions,
+    getCourseSessions,
+    attachSessionsToWeeks,
+    linkMeetingSession,
+    validateSessionReschedule,
+    getCourseSessionForUpdate,
+    rescheduleCourseSession,
+    cancelCourseSession
+};
@@ -0,0 +1,84 @@
+/**
+ * 성적 관리 시스템 - 성적 이의신청
+ * 2026-10-19
+ *
+ * 학생이 특정 성적(grade_id)에 대해 제기한 이의신청의 조회 및 첨부 파일 경로 규칙
+ */
+
+const { SCHEMAS } = require('../config/database');
+
+// 이의신청 처리 상태
+const APPEAL_STATUS = {
+    PENDING: 'PENDING',
+    ACCEPTED: 'ACCEPTED',
+    REJECTED: 'REJECTED'
+};
+
+/**
+ * 이의신청 첨부 파일의 S3 경로 prefix
+ * @param {string} courseId - 강좌 ID
+ * @param {number} gradeId - 학생 성적 ID
+ * @param {string} studentId - 학생 ID
+ * @returns {string} S3 key prefix
+ */
+function appealAttachmentPrefix(courseId, gradeId, studentId) {
+    return `appeals/${courseId}/${gradeId}/${studentId}`;
+}
+
+/**
+ * 학생 본인의 성적 조회 (이의신청 대상 확인용)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} gradeId - 학생 성적 ID
+ * @param {string} studentId - 학생 ID
+ * @returns {Promise<Object|null>} 성적 정보 (본인 성적이 아니면 null)
+ */
+async function getOwnGrade(client, gradeId, studentId) {
+    const result = await client.query(`
+        SELECT sg.grade_id, sg.score, sg.item_id, gi.item_name, gi.course_id
+        FROM ${SCHEMAS.GRADE}.student_grades sg
+        JOIN ${SCHEMAS.GRADE}.grade_items gi ON sg.item_id = gi.item_id
+        JOIN ${SCHEMAS.ENROLLMENT}.enrollments e ON sg.enrollment_id = e.id
+        WHERE sg.grade_id = $1 AND e.student_id = $2
+    `, [gradeId, studentId]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * 학생의 강좌별 이의신청 목록 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @param {string} studentId - 학생 ID
+ * @returns {Promise<Object[]>} 이의신청 목록 (최신순)
+ */
+async function getStudentAppeals(client, courseId, studentId) {
+    const result = await client.query(`
+        SELECT
+            a.appeal_id,
+            a.grade_id,
+            gi.item_id,
+            gi.item_name,
+            a.message,
+            a.attachments,
+            a.status,
+            a.original_score,
+            a.resolved_score,
+            a.reply,
+            a.reviewed_at,
+            a.created_at
+        FROM ${SCHEMAS.GRADE}.grade_appeals a
+        JOIN ${SCHEMAS.GRADE}.student_grades sg ON a.grade_id = sg.grade_id
+        JOIN ${SCHEMAS.GRADE}.grade_items gi ON sg.item_id = gi.item_id
+        WHERE a.course_id = $1 AND a.student_id = $2
+        ORDER BY a.created_at DESC
+    `, [courseId, studentId]);
+
+    return result.rows;
+}
+
+module.exports = {
+    APPEAL_STATUS,
+    appealAttachmentPrefix,
+    getOwnGrade,
+    getStudentAppeals
+};
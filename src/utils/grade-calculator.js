@@ -6,100 +6,156 @@
  */
 
 const { masterPool, SCHEMAS } = require('../config/database');
+const { ATTENDANCE_SOURCE, getActivePolicy, computePolicyGrade } = require('./grading-policy');
+const { getCourseGradeScale, assignLetterGrades } = require('./grade-scale');
+const { getGradeLock } = require('./grade-lock');
+const { attendanceRateSql } = require('./attendance-policy');
+const { activeOverrideJoin, effectiveStatusSql } = require('./attendance-override');
 
 /**
- * 학생의 최종 성적을 계산하고 업데이트
+ * 강좌의 성적 산출 정책과 평가 항목 조회
  * @param {Object} client - 데이터베이스 클라이언트 객체
  * @param {string} courseId - 강좌 ID
- * @param {string} studentId - 학생 ID
- * @returns {Promise<Object>} 계산된 성적 정보
+ * @returns {Promise<Object>} { policy, version, items, scale }
  */
-async function updateFinalGrades(client, courseId, studentId) {
-    // 단일 쿼리로 필요한 모든 정보 조회
+async function loadCourseGradeContext(client, courseId) {
+    const { policy, version } = await getActivePolicy(client, courseId);
+    const scale = await getCourseGradeScale(client, courseId);
+
+    const itemsResult = await client.query(`
+        SELECT item_id, item_type, item_name, category_key, item_weight, is_extra_credit
+        FROM ${SCHEMAS.GRADE}.grade_items
+        WHERE course_id = $1
+        ORDER BY item_order ASC
+    `, [courseId]);
+
+    return { policy, version, items: itemsResult.rows, scale };
+}
+
+/**
+ * 학생별 항목 점수와 출석률 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @param {string|null} studentId - 학생 ID (null이면 수강 중인 전체 학생)
+ * @returns {Promise<Array>} [{ enrollment_id, student_id, attendance_rate, item_scores }]
+ */
+async function loadStudentScoreData(client, courseId, studentId = null) {
     const result = await client.query(`
-        WITH enrollment_info AS (
-            SELECT id 
-            FROM ${SCHEMAS.ENROLLMENT}.enrollments
-            WHERE course_id = $1 AND student_id = $2
-            LIMIT 1
+        WITH students AS (
+            SELECT DISTINCT ON (e.student_id) e.id AS enrollment_id, e.student_id
+            FROM ${SCHEMAS.ENROLLMENT}.enrollments e
+            WHERE e.course_id = $1
+            AND (($2::text IS NULL AND e.status = 'ACTIVE') OR e.student_id = $2::text)
         ),
         attendance_info AS (
             SELECT 
-                COALESCE(SUM(duration_seconds), 0) as total_attended,
-                NULLIF(COALESCE(SUM(total_duration_seconds), 0), 0) as total_required
-            FROM ${SCHEMAS.GRADE}.attendance_records
-            WHERE course_id = $1 AND student_id = $2
-        ),
-        assignment_score AS (
-            SELECT COALESCE(AVG(sg.score), 0) as avg_score
-            FROM ${SCHEMAS.GRADE}.grade_items gi
-            JOIN enrollment_info ei ON true
-            LEFT JOIN ${SCHEMAS.GRADE}.student_grades sg 
-                ON gi.item_id = sg.item_id AND sg.enrollment_id = ei.id
-            WHERE gi.course_id = $1 AND gi.item_type = 'ASSIGNMENT'
-        ),
-        exam_score AS (
-            SELECT COALESCE(AVG(sg.score), 0) as avg_score
-            FROM ${SCHEMAS.GRADE}.grade_items gi
-            JOIN enrollment_info ei ON true
-            LEFT JOIN ${SCHEMAS.GRADE}.student_grades sg 
-                ON gi.item_id = sg.item_id AND sg.enrollment_id = ei.id
-            WHERE gi.course_id = $1 AND gi.item_type = 'EXAM'
-        ),
-        course_info AS (
-            SELECT
-                attendance_weight,
-                assignment_weight,
-                exam_weight
-            FROM ${SCHEMAS.COURSE}.courses
-            WHERE id = $1
+                ar.student_id,
+                ${attendanceRateSql(effectiveStatusSql('ar', 'ov'), 'ap')} AS rate
+            FROM ${SCHEMAS.GRADE}.attendance_records ar
+            ${activeOverrideJoin('ar', 'ov')}
+            LEFT JOIN ${SCHEMAS.GRADE}.attendance_policies ap ON ap.course_id = ar.course_id
+            WHERE ar.course_id = $1
+            GROUP BY ar.student_id
         )
         SELECT
-            ei.id as enrollment_id,
-            c.attendance_weight,
-            c.assignment_weight,
-            c.exam_weight,
-            CASE WHEN a.total_required > 0 
-                THEN (a.total_attended::float / a.total_required) * 100 
-                ELSE 0 
-            END as attendance_rate,
-            asg.avg_score as assignment_score,
-            exm.avg_score as exam_score
-        FROM enrollment_info ei
-        CROSS JOIN course_info c
-        CROSS JOIN attendance_info a
-        CROSS JOIN assignment_score asg
-        CROSS JOIN exam_score exm
+            s.enrollment_id,
+            s.student_id,
+            COALESCE(a.rate, 0) AS attendance_rate,
+            COALESCE((
+                SELECT json_object_agg(sg.item_id, sg.score)
+                FROM ${SCHEMAS.GRADE}.student_grades sg
+                JOIN ${SCHEMAS.GRADE}.grade_items gi ON gi.item_id = sg.item_id
+                WHERE sg.enrollment_id = s.enrollment_id AND gi.course_id = $1
+            ), '{}'::json) AS item_scores
+        FROM students s
+        LEFT JOIN attendance_info a ON a.student_id = s.student_id
     `, [courseId, studentId]);
 
-    if (result.rows.length === 0) {
-        throw new Error('수강 정보를 찾을 수 없습니다.');
+    return result.rows;
+}
+
+// 점수 데이터 한 행에 정책을 적용한 성적 객체 생성
+const buildGrade = (gradeContext, row) => ({
+    enrollment_id: row.enrollment_id,
+    student_id: row.student_id,
+    policy_version: gradeContext.version,
+    grade_scale_id: gradeContext.scale.scale_id,
+    ...computePolicyGrade(gradeContext.policy, gradeContext.items, row.item_scores || {}, row.attendance_rate)
+});
+
+/**
+ * 강좌 성적 산출 정책에 따라 학생 한 명의 성적 계산 (저장하지 않음)
+ * 관리자 화면, 통계, 학생 화면이 모두 이 함수를 통해 같은 점수를 사용함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @param {string} studentId - 학생 ID
+ * @param {Object} context - loadCourseGradeContext 결과 (재사용 시 전달)
+ * @returns {Promise<Object|null>} 계산된 성적 정보 (수강 정보가 없으면 null)
+ */
+async function calculateCourseGrade(client, courseId, studentId, context = null) {
+    const gradeContext = context || await loadCourseGradeContext(client, courseId);
+
+    // 상대평가는 강좌 전체 석차가 필요하므로 전체 학생을 계산한 뒤 해당 학생을 찾음
+    if (gradeContext.scale.curve) {
+        const grades = await calculateCourseGrades(client, courseId, gradeContext);
+        const found = grades.find(g => g.student_id === studentId);
+        if (found) {
+            return found;
+        }
     }
 
-    const gradeInfo = result.rows[0];
-    
-    // 최종 성적 계산
-    const {
-        attendance_weight,
-        assignment_weight,
-        exam_weight,
-        attendance_rate,
-        assignment_score,
-        exam_score
-    } = gradeInfo;
-
-    const totalScore = (
-        (attendance_rate * attendance_weight / 100) +
-        (assignment_score * assignment_weight / 100) +
-        (exam_score * exam_weight / 100)
-    );
+    const [row] = await loadStudentScoreData(client, courseId, studentId);
+
+    if (!row) {
+        return null;
+    }
+
+    const grade = buildGrade(gradeContext, row);
+    return {
+        ...grade,
+        ...assignLetterGrades(gradeContext.scale, [grade]).get(grade.student_id)
+    };
+}
+
+/**
+ * 수강 중인 전체 학생의 성적 계산 (저장하지 않음)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @returns {Promise<Array>} 학생별 계산된 성적 정보
+ */
+async function calculateCourseGrades(client, courseId, context = null) {
+    const gradeContext = context || await loadCourseGradeContext(client, courseId);
+    const rows = await loadStudentScoreData(client, courseId);
+
+    const grades = rows.map(row => buildGrade(gradeContext, row));
+    const letters = assignLetterGrades(gradeContext.scale, grades);
+
+    return grades.map(grade => ({
+        ...grade,
+        ...letters.get(grade.student_id)
+    }));
+}
+
+// 카테고리 key로 점수 조회 (final_grades의 기존 컬럼 호환용)
+const categoryScore = (grade, key) => {
+    const category = grade.categories.find(c => c.key === key);
+    return category ? category.score : 0;
+};
+
+// 계산된 성적을 final_grades에 저장 (저장 여부 반환)
+async function saveFinalGrade(client, courseId, studentId, grade) {
+    const attendanceRate = grade.attendanceRate;
+    const assignmentScore = categoryScore(grade, 'assignment');
+    const examScore = categoryScore(grade, 'exam');
+    const totalScore = grade.totalScore;
 
     try {
         // 최종 성적 업데이트 - final_grades 테이블이 있을 경우
         await client.query(`
             INSERT INTO ${SCHEMAS.GRADE}.final_grades
-            (student_id, course_id, attendance_score, assignment_score, exam_score, total_score, attendance_rate)
-            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            (student_id, course_id, attendance_score, assignment_score, exam_score, total_score, attendance_rate,
+             policy_version, category_scores, attendance_gate_failed, letter_grade, is_passed, grade_scale_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
             ON CONFLICT (student_id, course_id)
             DO UPDATE SET
                 attendance_score = EXCLUDED.attendance_score,
@@ -107,8 +163,18 @@ async function updateFinalGrades(client, courseId, studentId) {
                 exam_score = EXCLUDED.exam_score,
                 total_score = EXCLUDED.total_score,
                 attendance_rate = EXCLUDED.attendance_rate,
+                policy_version = EXCLUDED.policy_version,
+                category_scores = EXCLUDED.category_scores,
+                attendance_gate_failed = EXCLUDED.attendance_gate_failed,
+                letter_grade = EXCLUDED.letter_grade,
+                is_passed = EXCLUDED.is_passed,
+                grade_scale_id = EXCLUDED.grade_scale_id,
                 updated_at = CURRENT_TIMESTAMP
-        `, [studentId, courseId, attendance_rate, assignment_score, exam_score, totalScore, attendance_rate]);
+        `, [
+            studentId, courseId, attendanceRate, assignmentScore, examScore, totalScore, attendanceRate,
+            grade.policy_version, JSON.stringify(grade.categories), grade.attendanceGateFailed,
+            grade.letterGrade, grade.isPassed, grade.grade_scale_id
+        ]);
     } catch (error) {
         // final_grades 테이블이 없을 경우 enrollments 테이블만 업데이트
         console.error('Warning: Could not update final_grades table, updating enrollments only:', error.message);
@@ -117,16 +183,137 @@ async function updateFinalGrades(client, courseId, studentId) {
             SET final_grade = $1
             WHERE course_id = $2 AND student_id = $3
         `, [totalScore, courseId, studentId]);
+        return false;
     }
-    
+
+    return true;
+}
+
+/**
+ * 학생의 최종 성적을 계산하고 업데이트
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @param {string} studentId - 학생 ID
+ * @returns {Promise<Object>} 계산된 성적 정보
+ */
+async function updateFinalGrades(client, courseId, studentId) {
+    const gradeContext = await loadCourseGradeContext(client, courseId);
+    const grade = await calculateCourseGrade(client, courseId, studentId, gradeContext);
+
+    if (!grade) {
+        throw new Error('수강 정보를 찾을 수 없습니다.');
+    }
+
+    const saved = await saveFinalGrade(client, courseId, studentId, grade);
+
+    // 상대평가인 경우 한 학생의 점수 변경이 다른 학생의 등급에도 영향을 줌
+    if (saved && gradeContext.scale.curve) {
+        await refreshCourseLetterGrades(client, courseId, gradeContext);
+    }
+
     return {
-        attendance_rate,
-        assignment_score,
-        exam_score,
-        total_score: totalScore
+        attendance_rate: grade.attendanceRate,
+        assignment_score: categoryScore(grade, 'assignment'),
+        exam_score: categoryScore(grade, 'exam'),
+        total_score: grade.totalScore,
+        categories: grade.categories,
+        policy_version: grade.policy_version,
+        attendance_gate_failed: grade.attendanceGateFailed,
+        letter_grade: grade.letterGrade,
+        is_passed: grade.isPassed
     };
 }
 
+/**
+ * 저장된 최종 성적의 등급과 이수 여부를 강좌 전체 기준으로 다시 부여
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @param {Object} context - loadCourseGradeContext 결과 (재사용 시 전달)
+ * @returns {Promise<number>} 갱신된 레코드 수
+ */
+async function refreshCourseLetterGrades(client, courseId, context = null) {
+    const grades = await calculateCourseGrades(client, courseId, context);
+    return saveLetterGrades(client, courseId, grades);
+}
+
+// 계산된 성적의 등급과 이수 여부만 final_grades에 한 번에 저장 (갱신된 레코드 수 반환)
+async function saveLetterGrades(client, courseId, grades) {
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.final_grades fg
+        SET letter_grade = x.letter_grade,
+            is_passed = x.is_passed,
+            grade_scale_id = x.grade_scale_id,
+            updated_at = CURRENT_TIMESTAMP
+        FROM json_to_recordset($2::json) AS x(student_id text, letter_grade text, is_passed boolean, grade_scale_id integer)
+        WHERE fg.course_id = $1 AND fg.student_id = x.student_id
+    `, [courseId, JSON.stringify(grades.map(g => ({
+        student_id: g.student_id,
+        letter_grade: g.letterGrade,
+        is_passed: g.isPassed,
+        grade_scale_id: g.grade_scale_id
+    })))]);
+
+    return result.rowCount;
+}
+
+/**
+ * 여러 학생의 최종 성적을 한 번에 계산하고 업데이트 (일괄 채점·조별 채점 등)
+ * 상대평가인 경우 강좌 전체를 한 번만 계산해 대상 학생 저장과 다른 학생의 등급 갱신에 함께 사용
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @param {string[]} studentIds - 학생 ID 목록
+ * @returns {Promise<number>} 업데이트된 학생 수 (수강 정보가 없는 학생은 제외)
+ */
+async function updateStudentsFinalGrades(client, courseId, studentIds) {
+    const targets = new Set(studentIds);
+    if (targets.size === 0) {
+        return 0;
+    }
+
+    const gradeContext = await loadCourseGradeContext(client, courseId);
+
+    if (gradeContext.scale.curve) {
+        const courseGrades = await calculateCourseGrades(client, courseId, gradeContext);
+        const grades = courseGrades.filter(g => targets.has(g.student_id));
+
+        let saved = false;
+        for (const grade of grades) {
+            saved = await saveFinalGrade(client, courseId, grade.student_id, grade) || saved;
+        }
+        if (saved) {
+            await saveLetterGrades(client, courseId, courseGrades);
+        }
+        return grades.length;
+    }
+
+    let updatedCount = 0;
+    for (const studentId of targets) {
+        const grade = await calculateCourseGrade(client, courseId, studentId, gradeContext);
+        if (grade) {
+            await saveFinalGrade(client, courseId, studentId, grade);
+            updatedCount++;
+        }
+    }
+    return updatedCount;
+}
+
+/**
+ * 강좌의 수강 중인 전체 학생 최종 성적 재계산 (정책 변경 시 사용)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @returns {Promise<number>} 재계산된 학생 수
+ */
+async function updateCourseFinalGrades(client, courseId) {
+    // 전체 학생을 한 번에 계산해 상대평가 등급도 강좌 기준으로 한 번만 부여
+    const grades = await calculateCourseGrades(client, courseId);
+
+    for (const grade of grades) {
+        await saveFinalGrade(client, courseId, grade.student_id, grade);
+    }
+
+    return grades.length;
+}
+
 /**
  * 강좌의 성적 통계 정보 조회
  * @param {Object} client - 데이터베이스 클라이언트 객체
@@ -182,7 +369,44 @@ async function getGradeStatistics(client, courseId) {
         GROUP BY c.id, c.title, c.attendance_weight, c.assignment_weight, c.exam_weight, c.weeks_count, c.assignment_count, c.exam_count
     `, [courseId]);
 
-    return result.rows[0] || null;
+    if (!result.rows[0]) {
+        return null;
+    }
+
+    // 최종 성적 통계는 학생 화면과 동일한 정책 계산 결과를 사용
+    const gradeContext = await loadCourseGradeContext(client, courseId);
+    const { policy, version, scale } = gradeContext;
+    const grades = await calculateCourseGrades(client, courseId, gradeContext);
+    const letterDistribution = grades.reduce((acc, g) => {
+        acc[g.letterGrade] = (acc[g.letterGrade] || 0) + 1;
+        return acc;
+    }, {});
+    const totals = grades.map(g => g.totalScore).sort((a, b) => a - b);
+    const median = totals.length === 0
+        ? null
+        : totals.length % 2 === 1
+            ? totals[(totals.length - 1) / 2]
+            : (totals[totals.length / 2 - 1] + totals[totals.length / 2]) / 2;
+    const gradeLock = await getGradeLock(client, courseId);
+
+    return {
+        ...result.rows[0],
+        grading_policy: { version, ...policy },
+        grade_scale: scale,
+        grade_lock: gradeLock,
+        final_score_statistics: {
+            totalStudents: totals.length,
+            averageScore: totals.length > 0
+                ? parseFloat((totals.reduce((sum, t) => sum + t, 0) / totals.length).toFixed(1))
+                : 0,
+            minScore: totals.length > 0 ? totals[0] : null,
+            maxScore: totals.length > 0 ? totals[totals.length - 1] : null,
+            medianScore: median,
+            attendanceGateFailedCount: grades.filter(g => g.attendanceGateFailed).length,
+            passedCount: grades.filter(g => g.isPassed).length,
+            letterDistribution
+        }
+    };
 }
 
 /**
@@ -193,16 +417,19 @@ async function getGradeStatistics(client, courseId) {
  * @param {number} newScore - 새 점수
  * @param {string} modifiedBy - 변경한 사용자 ID
  * @param {string} reason - 변경 사유
+ * @param {Object} options - { courseId, eventType } (eventType 기본값 SCORE_CHANGE)
  * @returns {Promise<Object>} 생성된 히스토리 레코드
  */
-async function recordGradeHistory(client, gradeId, previousScore, newScore, modifiedBy, reason = '') {
+async function recordGradeHistory(client, gradeId, previousScore, newScore, modifiedBy, reason = '', options = {}) {
+    const { courseId = null, eventType = 'SCORE_CHANGE' } = options;
+
     try {
         const result = await client.query(`
             INSERT INTO ${SCHEMAS.GRADE}.grade_history 
-            (grade_id, previous_score, new_score, modified_by, reason)
-            VALUES ($1, $2, $3, $4, $5)
+            (grade_id, previous_score, new_score, modified_by, reason, course_id, event_type)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
             RETURNING *
-        `, [gradeId, previousScore, newScore, modifiedBy, reason]);
+        `, [gradeId, previousScore, newScore, modifiedBy, reason, courseId, eventType]);
         
         return result.rows[0];
     } catch (error) {
@@ -212,6 +439,20 @@ async function recordGradeHistory(client, gradeId, previousScore, newScore, modi
     }
 }
 
+/**
+ * 트리거(tr_record_grade_history)가 점수 변경 히스토리를 기록하도록 현재 트랜잭션에 사용자와 사유 설정
+ * 트랜잭션 범위로만 설정되므로 반드시 BEGIN 이후에 호출해야 함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} modifiedBy - 변경한 사용자 ID
+ * @param {string} reason - 변경 사유
+ */
+async function setScoreChangeContext(client, modifiedBy, reason = '') {
+    await client.query(
+        `SELECT set_config('app.current_user_id', $1, true), set_config('app.score_change_reason', $2, true)`,
+        [modifiedBy, reason]
+    );
+}
+
 /**
  * 성적 조회 - 최적화된 단일 쿼리
  * @param {Object} client - 데이터베이스 클라이언트 객체
@@ -229,26 +470,27 @@ async function getStudentGrades(client, courseId, studentId) {
         ),
         attendance_rate AS (
             SELECT 
-                CASE WHEN SUM(total_duration_seconds) > 0 
-                    THEN (SUM(duration_seconds)::float / SUM(total_duration_seconds)) * 100 
-                    ELSE 0 
-                END as rate,
+                ${attendanceRateSql(effectiveStatusSql('ar', 'ov'), 'ap')} as rate,
                 COUNT(*) as total_sessions,
                 COALESCE(json_agg(
                     json_build_object(
-                        'date', attendance_date,
-                        'sessionType', session_type,
-                        'sessionId', session_id,
-                        'durationSeconds', duration_seconds,
-                        'totalDurationSeconds', total_duration_seconds,
-                        'attendanceRate', CASE WHEN total_duration_seconds > 0 
-                            THEN (duration_seconds::float / total_duration_seconds) * 100 
+                        'date', ar.attendance_date,
+                        'sessionType', ar.session_type,
+                        'sessionId', ar.session_id,
+                        'status', ${effectiveStatusSql('ar', 'ov')},
+                        'computedStatus', ar.status,
+                        'durationSeconds', ar.duration_seconds,
+                        'totalDurationSeconds', ar.total_duration_seconds,
+                        'attendanceRate', CASE WHEN ar.total_duration_seconds > 0 
+                            THEN (ar.duration_seconds::float / ar.total_duration_seconds) * 100 
                             ELSE 0 
                         END
                     )
-                ) FILTER (WHERE record_id IS NOT NULL), '[]') as sessions_data
-            FROM ${SCHEMAS.GRADE}.attendance_records
-            WHERE course_id = $1 AND student_id = $2
+                ) FILTER (WHERE ar.record_id IS NOT NULL), '[]') as sessions_data
+            FROM ${SCHEMAS.GRADE}.attendance_records ar
+            ${activeOverrideJoin('ar', 'ov')}
+            LEFT JOIN ${SCHEMAS.GRADE}.attendance_policies ap ON ap.course_id = ar.course_id
+            WHERE ar.course_id = $1 AND ar.student_id = $2
         ),
         grade_items AS (
             SELECT *
@@ -311,12 +553,7 @@ async function getStudentGrades(client, courseId, studentId) {
             a.items as assignments,
             a.avg_score as assignment_score,
             e.items as exams,
-            e.avg_score as exam_score,
-            (
-                (COALESCE(ar.rate, 0) * c.attendance_weight / 100) +
-                (COALESCE(a.avg_score, 0) * c.assignment_weight / 100) +
-                (COALESCE(e.avg_score, 0) * c.exam_weight / 100)
-            ) as total_score
+            e.avg_score as exam_score
         FROM ${SCHEMAS.COURSE}.courses c
         CROSS JOIN attendance_rate ar
         CROSS JOIN assignments a
@@ -339,10 +576,6 @@ async function getStudentGrades(client, courseId, studentId) {
     let examScore = typeof gradeInfo.exam_score === 'number' 
         ? parseFloat(gradeInfo.exam_score.toFixed(1)) 
         : 0;
-        
-    let totalScore = typeof gradeInfo.total_score === 'number' 
-        ? parseFloat(gradeInfo.total_score.toFixed(1)) 
-        : 0;
     
     // assignments와 exams가 문자열로 반환되는 경우 파싱
     let assignments = gradeInfo.assignments;
@@ -432,12 +665,13 @@ async function getStudentGrades(client, courseId, studentId) {
     // 전체 진행률 (획득 점수 / 가능 점수)
     const progressRate = parseFloat(((totalEarnedPoints / totalPossiblePoints) * 100).toFixed(1));
 
-    // 가중치 적용 총점
-    totalScore = parseFloat((
-        (earnedAttendancePoints / totalAttendancePoints * 100 * gradeInfo.attendance_weight / 100) +
-        (earnedAssignmentPoints / totalAssignmentPoints * 100 * gradeInfo.assignment_weight / 100) +
-        (earnedExamPoints / totalExamPoints * 100 * gradeInfo.exam_weight / 100)
-    ).toFixed(1));
+    // 가중치 적용 총점 - 관리자 화면과 동일하게 강좌 성적 산출 정책으로 계산
+    const gradeContext = await loadCourseGradeContext(client, courseId);
+    const policyGrade = await calculateCourseGrade(client, courseId, studentId, gradeContext);
+    const totalScore = policyGrade ? policyGrade.totalScore : 0;
+    const attendanceCategory = policyGrade
+        ? policyGrade.categories.find(c => c.source === ATTENDANCE_SOURCE)
+        : null;
 
     console.log('[DEBUG] 출석 점수:', earnedAttendancePoints, '/', totalAttendancePoints);
     console.log('[DEBUG] 과제 점수:', earnedAssignmentPoints, '/', totalAssignmentPoints);
@@ -459,7 +693,7 @@ async function getStudentGrades(client, courseId, studentId) {
         grades: {
             attendance: {
                 rate: attendanceRate,
-                score: parseFloat(((attendanceRate * gradeInfo.attendance_weight) / 100).toFixed(1)),
+                score: attendanceCategory ? attendanceCategory.weightedScore : 0,
                 sessions: attendanceSessions,
                 totalSessions: totalAttendanceSessions,
                 completionRate: attendanceCompletionRate,
@@ -474,6 +708,16 @@ async function getStudentGrades(client, courseId, studentId) {
             exam_completion_rate: examCompletionRate,
             progress_rate: progressRate,
             total_score: totalScore,
+            policy_version: gradeContext.version,
+            categories: policyGrade ? policyGrade.categories : [],
+            attendance_gate_failed: policyGrade ? policyGrade.attendanceGateFailed : false,
+            letter_grade: policyGrade ? policyGrade.letterGrade : null,
+            is_passed: policyGrade ? policyGrade.isPassed : null,
+            grade_scale: {
+                name: gradeContext.scale.name,
+                scale_type: gradeContext.scale.scale_type,
+                passing_score: gradeContext.scale.passing_score
+            },
             total_earned_points: totalEarnedPoints,
             total_possible_points: totalPossiblePoints
         }
@@ -500,15 +744,13 @@ async function exportGradeData(client, courseId) {
         ),
         attendance_rates AS (
             SELECT 
-                s.student_id,
-                CASE WHEN SUM(ar.total_duration_seconds) > 0 
-                    THEN (SUM(ar.duration_seconds)::float / SUM(ar.total_duration_seconds)) * 100 
-                    ELSE 0 
-                END as rate
-            FROM students s
-            LEFT JOIN ${SCHEMAS.GRADE}.attendance_records ar 
-                ON s.student_id = ar.student_id AND ar.course_id = $1
-            GROUP BY s.student_id
+                ar.student_id,
+                ${attendanceRateSql(effectiveStatusSql('ar', 'ov'), 'ap')} as rate
+            FROM ${SCHEMAS.GRADE}.attendance_records ar
+            ${activeOverrideJoin('ar', 'ov')}
+            LEFT JOIN ${SCHEMAS.GRADE}.attendance_policies ap ON ap.course_id = ar.course_id
+            WHERE ar.course_id = $1
+            GROUP BY ar.student_id
         ),
         grades AS (
             SELECT
@@ -527,33 +769,51 @@ async function exportGradeData(client, courseId) {
             s.student_id,
             s.student_name,
             s.email,
-            ar.rate as attendance_rate,
+            COALESCE(ar.rate, 0) as attendance_rate,
             c.attendance_weight,
             c.assignment_weight,
             c.exam_weight,
             json_object_agg(g.item_id, g.score) as item_scores,
             COALESCE(AVG(CASE WHEN g.item_type = 'ASSIGNMENT' THEN g.score END), 0) as avg_assignment,
-            COALESCE(AVG(CASE WHEN g.item_type = 'EXAM' THEN g.score END), 0) as avg_exam,
-            (
-                (ar.rate * c.attendance_weight / 100) +
-                (COALESCE(AVG(CASE WHEN g.item_type = 'ASSIGNMENT' THEN g.score END), 0) * c.assignment_weight / 100) +
-                (COALESCE(AVG(CASE WHEN g.item_type = 'EXAM' THEN g.score END), 0) * c.exam_weight / 100)
-            ) as total_score
+            COALESCE(AVG(CASE WHEN g.item_type = 'EXAM' THEN g.score END), 0) as avg_exam
         FROM students s
         JOIN ${SCHEMAS.COURSE}.courses c ON c.id = $1
-        JOIN attendance_rates ar ON s.student_id = ar.student_id
+        LEFT JOIN attendance_rates ar ON s.student_id = ar.student_id
         LEFT JOIN grades g ON s.student_id = g.student_id
         GROUP BY s.student_id, s.student_name, s.email, ar.rate, c.attendance_weight, c.assignment_weight, c.exam_weight
         ORDER BY s.student_name
     `, [courseId]);
 
-    return result.rows;
+    // 총점은 강좌 성적 산출 정책으로 계산한 값을 사용
+    const grades = await calculateCourseGrades(client, courseId);
+    const gradeByStudent = new Map(grades.map(g => [g.student_id, g]));
+
+    return result.rows.map(row => {
+        const grade = gradeByStudent.get(row.student_id);
+        return {
+            ...row,
+            total_score: grade ? grade.totalScore : 0,
+            category_scores: grade ? grade.categories : [],
+            policy_version: grade ? grade.policy_version : null,
+            attendance_gate_failed: grade ? grade.attendanceGateFailed : false,
+            letter_grade: grade ? grade.letterGrade : null,
+            is_passed: grade ? grade.isPassed : null
+        };
+    });
 }
 
 module.exports = {
+    loadCourseGradeContext,
+    loadStudentScoreData,
+    calculateCourseGrade,
+    calculateCourseGrades,
     updateFinalGrades,
+    updateStudentsFinalGrades,
+    updateCourseFinalGrades,
+    refreshCourseLetterGrades,
     getGradeStatistics,
     recordGradeHistory,
+    setScoreChangeContext,
     getStudentGrades,
     exportGradeData
 }; 
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * 성적 관리 시스템 - 성적 확정(잠금) 관리
+ * 2026-10-19
+ *
+ * 교수자가 강좌 성적을 확정하면 점수 수정이 차단되고,
+ * 관리자가 사유와 함께 재개방한 경우에만 수정할 수 있음
+ */
+
+const { SCHEMAS } = require('../config/database');
+
+// grade_history 이벤트 유형
+const GRADE_EVENTS = {
+    SCORE_CHANGE: 'SCORE_CHANGE',
+    LOCK: 'LOCK',
+    REOPEN: 'REOPEN',
+    POST_LOCK_CHANGE: 'POST_LOCK_CHANGE'
+};
+
+const GRADE_LOCKED_MESSAGE = '성적이 확정되어 수정할 수 없습니다. 관리자에게 재개방을 요청하세요.';
+
+/**
+ * 강좌의 성적 잠금 상태 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @returns {Promise<Object>} 잠금 상태 (기록이 없으면 잠기지 않은 기본 상태)
+ */
+async function getGradeLock(client, courseId) {
+    const result = await client.query(`
+        SELECT *
+        FROM ${SCHEMAS.GRADE}.course_grade_locks
+        WHERE course_id = $1
+    `, [courseId]);
+
+    return result.rows[0] || {
+        course_id: courseId,
+        is_locked: false,
+        lock_count: 0
+    };
+}
+
+/**
+ * 점수 변경 시 기록할 이벤트 유형 결정 (확정 이력이 있으면 확정 후 변경)
+ * @param {Object} lock - getGradeLock 결과
+ * @returns {string} 이벤트 유형
+ */
+function scoreChangeEventType(lock) {
+    return lock.lock_count > 0 ? GRADE_EVENTS.POST_LOCK_CHANGE : GRADE_EVENTS.SCORE_CHANGE;
+}
+
+/**
+ * 강좌 단위 성적 이벤트 기록 (확정, 재개방)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @param {string} eventType - 이벤트 유형
+ * @param {string} modifiedBy - 사용자 ID
+ * @param {string} reason - 사유
+ * @returns {Promise<Object>} 생성된 히스토리 레코드
+ */
+async function recordCourseGradeEvent(client, courseId, eventType, modifiedBy, reason = '') {
+    const result = await client.query(`
+        INSERT INTO ${SCHEMAS.GRADE}.grade_history
+        (course_id, event_type, modified_by, reason)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+    `, [courseId, eventType, modifiedBy, reason]);
+
+    return result.rows[0];
+}
+
+/**
+ * 강좌 성적 확정 (잠금)
+ * @param {Object} client - 데이터베이스 클라이언트 객체 (트랜잭션 내부에서 호출)
+ * @param {string} courseId - 강좌 ID
+ * @param {string} lockedBy - 확정한 사용자 ID
+ * @param {string} note - 확정 메모
+ * @returns {Promise<Object>} 갱신된 잠금 상태
+ */
+async function lockCourseGrades(client, courseId, lockedBy, note = '') {
+    const result = await client.query(`
+        INSERT INTO ${SCHEMAS.GRADE}.course_grade_locks
+        (course_id, is_locked, locked_by, locked_at, lock_note, lock_count, updated_at)
+        VALUES ($1, TRUE, $2, CURRENT_TIMESTAMP, $3, 1, CURRENT_TIMESTAMP)
+        ON CONFLICT (course_id)
+        DO UPDATE SET
+            is_locked = TRUE,
+            locked_by = EXCLUDED.locked_by,
+            locked_at = EXCLUDED.locked_at,
+            lock_note = EXCLUDED.lock_note,
+            lock_count = ${SCHEMAS.GRADE}.course_grade_locks.lock_count + 1,
+            updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+    `, [courseId, lockedBy, note]);
+
+    await recordCourseGradeEvent(client, courseId, GRADE_EVENTS.LOCK, lockedBy, note);
+
+    return result.rows[0];
+}
+
+/**
+ * 확정된 강좌 성적 재개방 (관리자 전용, 사유 필수)
+ * @param {Object} client - 데이터베이스 클라이언트 객체 (트랜잭션 내부에서 호출)
+ * @param {string} courseId - 강좌 ID
+ * @param {string} reopenedBy - 재개방한 관리자 ID
+ * @param {string} reason - 재개방 사유
+ * @returns {Promise<Object>} 갱신된 잠금 상태
+ */
+async function reopenCourseGrades(client, courseId, reopenedBy, reason) {
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.course_grade_locks
+        SET is_locked = FALSE,
+            reopened_by = $2,
+            reopened_at = CURRENT_TIMESTAMP,
+            reopen_reason = $3,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE course_id = $1
+        RETURNING *
+    `, [courseId, reopenedBy, reason]);
+
+    await recordCourseGradeEvent(client, courseId, GRADE_EVENTS.REOPEN, reopenedBy, reason);
+
+    return result.rows[0];
+}
+
+module.exports = {
+    GRADE_EVENTS,
+    GRADE_LOCKED_MESSAGE,
+    getGradeLock,
+    scoreChangeEventType,
+    recordCourseGradeEvent,
+    lockCourseGrades,
+    reopenCourseGrades
+};
@@ -0,0 +1,191 @@
+/**
+ * 성적 관리 시스템 - 등급 산출 기준
+ * 2026-10-19
+ *
+ * 총점을 문자 등급(A+/A/B+...) 또는 이수/미이수로 변환하고,
+ * 상대평가(백분위 구간) 설정이 있는 경우 강좌 전체 석차로 등급을 부여함
+ */
+
+const { SCHEMAS } = require('../config/database');
+
+// 강좌에 등급 기준이 지정되지 않은 경우 사용하는 기본 절대평가 기준
+const DEFAULT_GRADE_SCALE = {
+    scale_id: null,
+    name: '기본 절대평가',
+    scale_type: 'LETTER',
+    cutoffs: [
+        { letter: 'A+', minScore: 95 },
+        { letter: 'A', minScore: 90 },
+        { letter: 'B+', minScore: 85 },
+        { letter: 'B', minScore: 80 },
+        { letter: 'C+', minScore: 75 },
+        { letter: 'C', minScore: 70 },
+        { letter: 'D+', minScore: 65 },
+        { letter: 'D', minScore: 60 },
+        { letter: 'F', minScore: 0 }
+    ],
+    passing_score: 60,
+    curve: null
+};
+
+const FAIL_LETTER = 'F';
+const PASS_LETTER = 'P';
+
+/**
+ * 등급 기준 유효성 검사
+ * @param {Object} scale - { scale_type, cutoffs, passing_score, curve }
+ * @returns {string[]} 오류 메시지 목록 (비어 있으면 유효)
+ */
+function validateGradeScale(scale) {
+    const errors = [];
+    const scaleType = scale.scale_type || 'LETTER';
+
+    if (!['LETTER', 'PASS_FAIL'].includes(scaleType)) {
+        errors.push('등급 유형(scale_type)은 LETTER 또는 PASS_FAIL이어야 합니다.');
+    }
+
+    const passingScore = Number(scale.passing_score);
+    if (isNaN(passingScore) || passingScore < 0 || passingScore > 100) {
+        errors.push('이수 기준 점수(passing_score)는 0에서 100 사이여야 합니다.');
+    }
+
+    if (scaleType === 'LETTER') {
+        if (!Array.isArray(scale.cutoffs) || scale.cutoffs.length === 0) {
+            errors.push('문자 등급 기준에는 cutoffs가 필요합니다.');
+        } else {
+            const letters = new Set();
+            for (const cutoff of scale.cutoffs) {
+                if (!cutoff.letter || typeof cutoff.letter !== 'string' || cutoff.letter.length > 5) {
+                    errors.push('모든 등급에는 5자 이하의 letter가 필요합니다.');
+                }
+                if (letters.has(cutoff.letter)) {
+                    errors.push(`중복된 등급입니다: ${cutoff.letter}`);
+                }
+                letters.add(cutoff.letter);
+                const minScore = Number(cutoff.minScore);
+                if (isNaN(minScore) || minScore < 0 || minScore > 100) {
+                    errors.push(`등급 ${cutoff.letter}의 최저 점수가 유효하지 않습니다.`);
+                }
+            }
+            if (!scale.cutoffs.some(cutoff => Number(cutoff.minScore) === 0)) {
+                errors.push('최저 점수가 0인 등급이 하나 이상 필요합니다.');
+            }
+        }
+    }
+
+    if (scale.curve) {
+        if (scaleType !== 'LETTER') {
+            errors.push('상대평가는 문자 등급 기준에서만 사용할 수 있습니다.');
+        } else if (scale.curve.method !== 'PERCENTILE' || !Array.isArray(scale.curve.bands) || scale.curve.bands.length === 0) {
+            errors.push('상대평가 설정은 { method: "PERCENTILE", bands: [{ letter, percent }] } 형식이어야 합니다.');
+        } else {
+            const totalPercent = scale.curve.bands.reduce((sum, band) => sum + Number(band.percent || 0), 0);
+            if (totalPercent > 100) {
+                errors.push('상대평가 구간 비율의 합은 100을 넘을 수 없습니다.');
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * 강좌에 적용되는 등급 기준 조회 (지정되지 않았으면 기본 기준)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @returns {Promise<Object>} 등급 기준
+ */
+async function getCourseGradeScale(client, courseId) {
+    const result = await client.query(`
+        SELECT gs.*
+        FROM ${SCHEMAS.COURSE}.courses c
+        JOIN ${SCHEMAS.GRADE}.grade_scales gs ON c.grade_scale_id = gs.scale_id
+        WHERE c.id = $1
+    `, [courseId]);
+
+    return result.rows[0] || DEFAULT_GRADE_SCALE;
+}
+
+/**
+ * 절대평가 기준으로 총점에 해당하는 등급 반환
+ * @param {Object} scale - 등급 기준
+ * @param {number} totalScore - 총점 (0~100)
+ * @returns {string} 등급
+ */
+function resolveLetterGrade(scale, totalScore) {
+    if (scale.scale_type === 'PASS_FAIL') {
+        return totalScore >= Number(scale.passing_score) ? PASS_LETTER : FAIL_LETTER;
+    }
+
+    const sorted = [...scale.cutoffs].sort((a, b) => Number(b.minScore) - Number(a.minScore));
+    const match = sorted.find(cutoff => totalScore >= Number(cutoff.minScore));
+    return match ? match.letter : FAIL_LETTER;
+}
+
+/**
+ * 강좌 전체 학생에게 등급과 이수 여부 부여
+ * 이수 기준 점수 미달 또는 최소 출석률 미달인 학생은 상대평가와 관계없이 F(미이수) 처리
+ * @param {Object} scale - 등급 기준
+ * @param {Object[]} grades - [{ student_id, totalScore, attendanceGateFailed }]
+ * @returns {Map<string, Object>} student_id → { letterGrade, isPassed }
+ */
+function assignLetterGrades(scale, grades) {
+    const results = new Map();
+    const passingScore = Number(scale.passing_score);
+    const isPassing = (grade) => !grade.attendanceGateFailed && grade.totalScore >= passingScore;
+
+    for (const grade of grades) {
+        if (!isPassing(grade)) {
+            results.set(grade.student_id, { letterGrade: FAIL_LETTER, isPassed: false });
+        }
+    }
+
+    const passing = grades.filter(isPassing);
+
+    if (!scale.curve || scale.scale_type === 'PASS_FAIL') {
+        for (const grade of passing) {
+            results.set(grade.student_id, {
+                letterGrade: resolveLetterGrade(scale, grade.totalScore),
+                isPassed: true
+            });
+        }
+        return results;
+    }
+
+    // 상대평가: 점수 내림차순 석차 기준으로 구간별 비율만큼 등급 부여 (동점자는 같은 등급)
+    const ranked = [...passing].sort((a, b) => b.totalScore - a.totalScore);
+    const total = grades.length;
+    const lastLetter = resolveLetterGrade(scale, passingScore);
+    let bandIndex = 0;
+    let cumulativeLimit = total * Number(scale.curve.bands[0].percent) / 100;
+    let previous = null;
+
+    ranked.forEach((grade, index) => {
+        let letterGrade;
+        if (previous && previous.totalScore === grade.totalScore) {
+            letterGrade = results.get(previous.student_id).letterGrade;
+        } else {
+            while (bandIndex < scale.curve.bands.length && index >= cumulativeLimit) {
+                bandIndex++;
+                if (bandIndex < scale.curve.bands.length) {
+                    cumulativeLimit += total * Number(scale.curve.bands[bandIndex].percent) / 100;
+                }
+            }
+            letterGrade = bandIndex < scale.curve.bands.length
+                ? scale.curve.bands[bandIndex].letter
+                : lastLetter;
+        }
+        results.set(grade.student_id, { letterGrade, isPassed: true });
+        previous = grade;
+    });
+
+    return results;
+}
+
+module.exports = {
+    DEFAULT_GRADE_SCALE,
+    validateGradeScale,
+    getCourseGradeScale,
+    resolveLetterGrade,
+    assignLetterGrades
+};
@@ -0,0 +1,377 @@
+/**
+ * 성적 관리 시스템 - 성적부 파일 내보내기/가져오기
+ * 2026-10-19
+ *
+ * 평가 항목별 열과 계산된 총점을 포함한 CSV/XLSX 성적부를 생성하고,
+ * 같은 형식의 파일을 읽어 변경 내역(diff)을 만든 뒤 한 트랜잭션으로 반영함
+ */
+
+const ExcelJS = require('exceljs');
+const { SCHEMAS } = require('../config/database');
+const {
+    loadCourseGradeContext,
+    loadStudentScoreData,
+    exportGradeData,
+    recordGradeHistory,
+    updateCourseFinalGrades
+} = require('./grade-calculator');
+const { getGradeLock, scoreChangeEventType } = require('./grade-lock');
+
+const STUDENT_ID_HEADER = '학생 ID';
+const SUPPORTED_FORMATS = ['csv', 'xlsx'];
+
+// 평가 항목 열 이름 (가져오기 시 [#item_id]로 항목을 식별)
+const itemHeader = (item) => `${item.item_name} [#${item.item_id}]`;
+const ITEM_HEADER_PATTERN = /\[#(\d+)\]\s*$/;
+
+/**
+ * 강좌 성적부 데이터 생성
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @returns {Promise<Object>} { headers, rows } (rows는 headers 순서의 값 배열)
+ */
+async function buildGradebook(client, courseId) {
+    const { items, policy } = await loadCourseGradeContext(client, courseId);
+    const students = await exportGradeData(client, courseId);
+    const scoreRows = await loadStudentScoreData(client, courseId);
+    const scoresByStudent = new Map(scoreRows.map(row => [row.student_id, row.item_scores || {}]));
+
+    const headers = [
+        STUDENT_ID_HEADER,
+        '이름',
+        '이메일',
+        ...items.map(itemHeader),
+        '출석률',
+        ...policy.categories.map(category => `${category.name || category.key} (${category.weight}%)`),
+        '총점',
+        '등급',
+        '이수 여부'
+    ];
+
+    const rows = students.map(student => {
+        const scores = scoresByStudent.get(student.student_id) || {};
+        return [
+            student.student_id,
+            student.student_name,
+            student.email,
+            // 채점되지 않은 항목은 빈 칸으로 두어 다시 가져올 때 변경으로 인식되지 않도록 함
+            ...items.map(item => {
+                const score = scores[item.item_id];
+                return score === null || score === undefined ? null : Number(score);
+            }),
+            parseFloat(Number(student.attendance_rate || 0).toFixed(1)),
+            ...policy.categories.map(category => {
+                const found = student.category_scores.find(c => c.key === category.key);
+                return found ? found.weightedScore : 0;
+            }),
+            student.total_score,
+            student.letter_grade,
+            student.is_passed === null ? null : (student.is_passed ? 'Y' : 'N')
+        ];
+    });
+
+    return { headers, rows };
+}
+
+// CSV 셀 값 변환 (수식으로 해석될 수 있는 문자열은 작은따옴표로 시작하도록 처리)
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 성적부를 CSV 문자열로 변환 (엑셀에서 한글이 깨지지 않도록 BOM 포함)
+ * @param {Object} gradebook - buildGradebook 결과
+ * @returns {string} CSV 문자열
+ */
+function gradebookToCsv(gradebook) {
+    const lines = [gradebook.headers, ...gradebook.rows].map(row => row.map(csvCell).join(','));
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * 성적부를 XLSX 파일로 변환
+ * @param {Object} gradebook - buildGradebook 결과
+ * @param {string} sheetName - 시트 이름
+ * @returns {Promise<Buffer>} XLSX 파일 데이터
+ */
+async function gradebookToXlsx(gradebook, sheetName = '성적부') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName.substring(0, 31));
+
+    sheet.addRow(gradebook.headers);
+    sheet.getRow(1).font = { bold: true };
+    gradebook.rows.forEach(row => sheet.addRow(row));
+    sheet.columns.forEach((column, index) => {
+        column.width = Math.max(12, String(gradebook.headers[index]).length + 4);
+    });
+    sheet.views = [{ state: 'frozen', xSplit: 3, ySplit: 1 }];
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// 따옴표로 감싼 필드를 지원하는 CSV 파서
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// XLSX 셀 값을 문자열로 변환 (수식 결과, 서식 있는 텍스트 포함)
+function xlsxCellText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'object') {
+        if (value.result !== undefined) return xlsxCellText(value.result);
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return String(value.text);
+        if (value instanceof Date) return value.toISOString();
+    }
+    return String(value);
+}
+
+/**
+ * 업로드된 성적부 파일을 행 배열로 변환
+ * @param {string} format - 'csv' 또는 'xlsx'
+ * @param {Buffer} buffer - 파일 데이터
+ * @returns {Promise<string[][]>} 첫 행이 헤더인 문자열 2차원 배열
+ */
+async function parseGradebookFile(format, buffer) {
+    if (format === 'csv') {
+        return parseCsv(buffer.toString('utf8'));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+        return [];
+    }
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+        const values = [];
+        for (let col = 1; col <= sheet.columnCount; col++) {
+            values.push(xlsxCellText(row.getCell(col).value));
+        }
+        rows.push(values);
+    });
+    return rows;
+}
+
+/**
+ * 성적부 파일 내용과 현재 점수를 비교하여 변경 내역 생성 (DB 변경 없음)
+ * 빈 칸은 변경하지 않고, 성적부의 계산 열(출석률, 총점 등)은 무시함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @param {string[][]} rows - parseGradebookFile 결과
+ * @returns {Promise<Object>} { changes, errors, unchangedCount, ignoredColumns }
+ */
+async function diffGradebook(client, courseId, rows) {
+    const errors = [];
+    const changes = [];
+    let unchangedCount = 0;
+
+    if (rows.length === 0) {
+        return { changes, errors: [{ row: 1, message: '파일에 데이터가 없습니다.' }], unchangedCount, ignoredColumns: [] };
+    }
+
+    const headers = rows[0].map(header => String(header).trim());
+    const studentColumn = headers.indexOf(STUDENT_ID_HEADER);
+    if (studentColumn === -1) {
+        return { changes, errors: [{ row: 1, message: `'${STUDENT_ID_HEADER}' 열이 필요합니다.` }], unchangedCount, ignoredColumns: [] };
+    }
+
+    const itemsResult = await client.query(`
+        SELECT item_id, item_name
+        FROM ${SCHEMAS.GRADE}.grade_items
+        WHERE course_id = $1
+    `, [courseId]);
+    const itemsById = new Map(itemsResult.rows.map(item => [String(item.item_id), item]));
+
+    const itemColumns = [];
+    const ignoredColumns = [];
+    headers.forEach((header, index) => {
+        if (index === studentColumn) return;
+        const match = header.match(ITEM_HEADER_PATTERN);
+        if (!match) {
+            ignoredColumns.push(header);
+            return;
+        }
+        const item = itemsById.get(match[1]);
+        if (!item) {
+            errors.push({ row: 1, column: header, message: '이 강좌에 없는 평가 항목입니다.' });
+            return;
+        }
+        itemColumns.push({ index, item });
+    });
+
+    const studentsResult = await client.query(`
+        SELECT e.id AS enrollment_id, e.student_id, u.name AS student_name
+        FROM ${SCHEMAS.ENROLLMENT}.enrollments e
+        JOIN ${SCHEMAS.AUTH}.users u ON e.student_id = u.cognito_user_id
+        WHERE e.course_id = $1 AND e.status = 'ACTIVE'
+    `, [courseId]);
+    const studentsById = new Map(studentsResult.rows.map(s => [s.student_id, s]));
+
+    const gradesResult = await client.query(`
+        SELECT sg.grade_id, sg.enrollment_id, sg.item_id, sg.score
+        FROM ${SCHEMAS.GRADE}.student_grades sg
+        JOIN ${SCHEMAS.GRADE}.grade_items gi ON sg.item_id = gi.item_id
+        WHERE gi.course_id = $1
+    `, [courseId]);
+    const gradeKey = (enrollmentId, itemId) => `${enrollmentId}:${itemId}`;
+    const gradesByKey = new Map(gradesResult.rows.map(g => [gradeKey(g.enrollment_id, g.item_id), g]));
+
+    const seenStudents = new Set();
+
+    rows.slice(1).forEach((row, offset) => {
+        const rowNumber = offset + 2;
+        const studentId = String(row[studentColumn] || '').trim();
+        const student = studentsById.get(studentId);
+
+        if (!student) {
+            errors.push({ row: rowNumber, column: STUDENT_ID_HEADER, value: studentId, message: '수강 중인 학생이 아닙니다.' });
+            return;
+        }
+        if (seenStudents.has(studentId)) {
+            errors.push({ row: rowNumber, column: STUDENT_ID_HEADER, value: studentId, message: '중복된 학생 행입니다.' });
+            return;
+        }
+        seenStudents.add(studentId);
+
+        for (const { index, item } of itemColumns) {
+            const raw = String(row[index] === undefined ? '' : row[index]).trim();
+            if (raw === '') continue;
+
+            const score = Number(raw);
+            if (isNaN(score) || score < 0 || score > 100) {
+                errors.push({ row: rowNumber, column: itemHeader(item), value: raw, message: '점수는 0에서 100 사이의 숫자여야 합니다.' });
+                continue;
+            }
+
+            const current = gradesByKey.get(gradeKey(student.enrollment_id, item.item_id));
+            const previousScore = current && current.score !== null ? Number(current.score) : null;
+
+            if (previousScore === score) {
+                unchangedCount++;
+                continue;
+            }
+
+            changes.push({
+                row: rowNumber,
+                studentId,
+                studentName: student.student_name,
+                enrollmentId: student.enrollment_id,
+                gradeId: current ? current.grade_id : null,
+                itemId: item.item_id,
+                itemName: item.item_name,
+                previousScore,
+                newScore: score
+            });
+        }
+    });
+
+    return { changes, errors, unchangedCount, ignoredColumns };
+}
+
+/**
+ * 변경 내역을 반영하고 항목별 히스토리를 기록한 뒤 최종 성적 재계산
+ * @param {Object} client - 데이터베이스 클라이언트 객체 (트랜잭션 내부에서 호출)
+ * @param {string} courseId - 강좌 ID
+ * @param {Object[]} changes - diffGradebook의 changes
+ * @param {string} modifiedBy - 변경한 사용자 ID
+ * @param {string} reason - 변경 사유
+ * @returns {Promise<number>} 최종 성적이 재계산된 학생 수
+ */
+async function applyGradebookChanges(client, courseId, changes, modifiedBy, reason) {
+    const eventType = scoreChangeEventType(await getGradeLock(client, courseId));
+
+    for (const change of changes) {
+        let gradeId = change.gradeId;
+
+        if (gradeId) {
+            await client.query(`
+                UPDATE ${SCHEMAS.GRADE}.student_grades
+                SET score = $1,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE grade_id = $2
+            `, [change.newScore, gradeId]);
+        } else {
+            const inserted = await client.query(`
+                INSERT INTO ${SCHEMAS.GRADE}.student_grades
+                (enrollment_id, item_id, score, is_completed)
+                VALUES ($1, $2, $3, false)
+                RETURNING grade_id
+            `, [change.enrollmentId, change.itemId, change.newScore]);
+            gradeId = inserted.rows[0].grade_id;
+        }
+
+        await recordGradeHistory(
+            client,
+            gradeId,
+            change.previousScore,
+            change.newScore,
+            modifiedBy,
+            reason,
+            { courseId, eventType }
+        );
+    }
+
+    return updateCourseFinalGrades(client, courseId);
+}
+
+module.exports = {
+    SUPPORTED_FORMATS,
+    buildGradebook,
+    gradebookToCsv,
+    gradebookToXlsx,
+    parseGradebookFile,
+    diffGradebook,
+    applyGradebookChanges
+};
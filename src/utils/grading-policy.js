@@ -0,0 +1,246 @@
+/**
+ * 성적 관리 시스템 - 강좌별 성적 산출 정책
+ * 2026-10-19
+ *
+ * 카테고리별 가중치, 항목별 가중치, 최저 점수 제외(drop lowest N), 가산점 항목,
+ * 최소 출석률 미달 시 F 처리 규칙을 정의하고 계산함
+ */
+
+const { SCHEMAS } = require('../config/database');
+
+// 출석 카테고리 소스 (attendance_records 기반)
+const ATTENDANCE_SOURCE = 'ATTENDANCE';
+
+/**
+ * 강좌의 기존 가중치 컬럼으로 기본 정책 생성
+ * @param {Object} course - attendance_weight, assignment_weight, exam_weight를 가진 강좌 정보
+ * @returns {Object} 기본 성적 산출 정책
+ */
+function buildDefaultPolicy(course = {}) {
+    const weightOf = (value, fallback) => (value === null || value === undefined ? fallback : Number(value));
+
+    return {
+        categories: [
+            { key: 'attendance', name: '출석', weight: weightOf(course.attendance_weight, 20), source: ATTENDANCE_SOURCE },
+            { key: 'assignment', name: '과제', weight: weightOf(course.assignment_weight, 50), itemTypes: ['ASSIGNMENT'], dropLowest: 0 },
+            { key: 'exam', name: '시험', weight: weightOf(course.exam_weight, 30), itemTypes: ['EXAM'], dropLowest: 0 }
+        ],
+        minAttendanceRate: 0
+    };
+}
+
+/**
+ * 성적 산출 정책 유효성 검사
+ * @param {Object} policy - 검사할 정책
+ * @returns {string[]} 오류 메시지 목록 (비어 있으면 유효)
+ */
+function validateGradingPolicy(policy) {
+    const errors = [];
+
+    if (!policy || !Array.isArray(policy.categories) || policy.categories.length === 0) {
+        return ['카테고리(categories)가 최소 1개 이상 필요합니다.'];
+    }
+
+    const keys = new Set();
+    let totalWeight = 0;
+    let attendanceCount = 0;
+
+    for (const category of policy.categories) {
+        if (!category.key || typeof category.key !== 'string') {
+            errors.push('모든 카테고리에는 key가 필요합니다.');
+            continue;
+        }
+        if (keys.has(category.key)) {
+            errors.push(`중복된 카테고리 key입니다: ${category.key}`);
+        }
+        keys.add(category.key);
+
+        const weight = Number(category.weight);
+        if (isNaN(weight) || weight < 0) {
+            errors.push(`카테고리 ${category.key}의 가중치가 유효하지 않습니다.`);
+        } else {
+            totalWeight += weight;
+        }
+
+        if (category.dropLowest !== undefined &&
+            (!Number.isInteger(category.dropLowest) || category.dropLowest < 0)) {
+            errors.push(`카테고리 ${category.key}의 dropLowest는 0 이상의 정수여야 합니다.`);
+        }
+
+        if (category.source === ATTENDANCE_SOURCE) {
+            attendanceCount++;
+        } else if (category.itemTypes !== undefined && !Array.isArray(category.itemTypes)) {
+            errors.push(`카테고리 ${category.key}의 itemTypes는 배열이어야 합니다.`);
+        }
+    }
+
+    if (attendanceCount > 1) {
+        errors.push('출석 카테고리는 하나만 지정할 수 있습니다.');
+    }
+
+    if (Math.abs(totalWeight - 100) > 0.001) {
+        errors.push('모든 카테고리 가중치의 합은 100이어야 합니다.');
+    }
+
+    const minRate = policy.minAttendanceRate;
+    if (minRate !== undefined && (typeof minRate !== 'number' || minRate < 0 || minRate > 100)) {
+        errors.push('최소 출석률(minAttendanceRate)은 0에서 100 사이여야 합니다.');
+    }
+
+    return errors;
+}
+
+/**
+ * 강좌에 현재 적용 중인 정책 조회 (등록된 정책이 없으면 기본 정책)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @returns {Promise<Object>} { version, policy } (기본 정책인 경우 version은 0)
+ */
+async function getActivePolicy(client, courseId) {
+    const result = await client.query(`
+        SELECT version, policy
+        FROM ${SCHEMAS.GRADE}.grading_policies
+        WHERE course_id = $1
+        ORDER BY version DESC
+        LIMIT 1
+    `, [courseId]);
+
+    if (result.rows.length > 0) {
+        return result.rows[0];
+    }
+
+    const courseResult = await client.query(`
+        SELECT attendance_weight, assignment_weight, exam_weight
+        FROM ${SCHEMAS.COURSE}.courses
+        WHERE id = $1
+    `, [courseId]);
+
+    return {
+        version: 0,
+        policy: buildDefaultPolicy(courseResult.rows[0])
+    };
+}
+
+/**
+ * 새 정책 버전 저장
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @param {Object} policy - 저장할 정책 (유효성 검사 완료된 상태)
+ * @param {string} createdBy - 등록한 사용자 ID
+ * @param {string} reason - 변경 사유
+ * @returns {Promise<Object>} 생성된 정책 레코드
+ */
+async function saveGradingPolicy(client, courseId, policy, createdBy, reason = '') {
+    // 동시에 두 버전이 생성되지 않도록 강좌 단위로 잠금
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`grading_policy:${courseId}`]);
+
+    const result = await client.query(`
+        INSERT INTO ${SCHEMAS.GRADE}.grading_policies
+        (course_id, version, policy, created_by, reason)
+        SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4
+        FROM ${SCHEMAS.GRADE}.grading_policies
+        WHERE course_id = $1
+        RETURNING *
+    `, [courseId, policy, createdBy, reason]);
+
+    return result.rows[0];
+}
+
+/**
+ * 평가 항목이 속한 카테고리 결정
+ * category_key가 지정되어 있으면 우선 사용하고, 없으면 item_type으로 매칭
+ */
+function findCategoryForItem(policy, item) {
+    if (item.category_key) {
+        const explicit = policy.categories.find(c => c.key === item.category_key);
+        if (explicit) return explicit;
+    }
+    return policy.categories.find(c =>
+        c.source !== ATTENDANCE_SOURCE && (c.itemTypes || []).includes(item.item_type)
+    ) || null;
+}
+
+const round1 = (value) => parseFloat(Number(value).toFixed(1));
+
+/**
+ * 정책에 따라 학생 한 명의 성적 계산 (DB 접근 없음)
+ * @param {Object} policy - 성적 산출 정책
+ * @param {Object[]} items - 강좌의 평가 항목 (item_id, item_type, category_key, item_weight, is_extra_credit)
+ * @param {Object} scoresByItem - { [item_id]: score } (점수는 0~100, 없으면 0점 처리)
+ * @param {number} attendanceRate - 출석률 (0~100)
+ * @returns {Object} 카테고리별 점수, 총점, 출석 미달 여부
+ */
+function computePolicyGrade(policy, items, scoresByItem, attendanceRate) {
+    const categories = policy.categories.map(category => {
+        if (category.source === ATTENDANCE_SOURCE) {
+            const score = Math.min(Number(attendanceRate) || 0, 100);
+            return {
+                key: category.key,
+                name: category.name || category.key,
+                source: ATTENDANCE_SOURCE,
+                weight: Number(category.weight),
+                score: round1(score),
+                weightedScore: round1(score * Number(category.weight) / 100),
+                droppedItemIds: []
+            };
+        }
+
+        const categoryItems = items
+            .filter(item => findCategoryForItem(policy, item) === category)
+            .map(item => ({
+                itemId: item.item_id,
+                weight: item.item_weight === null || item.item_weight === undefined ? 1 : Number(item.item_weight),
+                isExtraCredit: Boolean(item.is_extra_credit),
+                score: Number(scoresByItem[item.item_id]) || 0
+            }));
+
+        // 최저 점수 N개 제외 (가산점 항목은 제외 대상이 아님)
+        const regular = categoryItems
+            .filter(item => !item.isExtraCredit)
+            .sort((a, b) => a.score - b.score);
+        const dropCount = Math.min(category.dropLowest || 0, Math.max(regular.length - 1, 0));
+        const dropped = regular.slice(0, dropCount);
+        const counted = regular.slice(dropCount);
+
+        const totalWeight = counted.reduce((sum, item) => sum + item.weight, 0);
+        let score = 0;
+        if (totalWeight > 0) {
+            const earned = counted.reduce((sum, item) => sum + item.score * item.weight, 0);
+            // 가산점 항목은 분자에만 더해지고 카테고리 점수는 100점을 넘지 않음
+            const extra = categoryItems
+                .filter(item => item.isExtraCredit)
+                .reduce((sum, item) => sum + item.score * item.weight, 0);
+            score = Math.min((earned + extra) / totalWeight, 100);
+        }
+
+        return {
+            key: category.key,
+            name: category.name || category.key,
+            source: 'ITEMS',
+            weight: Number(category.weight),
+            score: round1(score),
+            weightedScore: round1(score * Number(category.weight) / 100),
+            droppedItemIds: dropped.map(item => item.itemId)
+        };
+    });
+
+    const totalScore = categories.reduce((sum, category) => sum + category.score * category.weight / 100, 0);
+    const minAttendanceRate = Number(policy.minAttendanceRate) || 0;
+    const attendanceGateFailed = minAttendanceRate > 0 && (Number(attendanceRate) || 0) < minAttendanceRate;
+
+    return {
+        categories,
+        attendanceRate: round1(Number(attendanceRate) || 0),
+        totalScore: round1(totalScore),
+        attendanceGateFailed
+    };
+}
+
+module.exports = {
+    ATTENDANCE_SOURCE,
+    buildDefaultPolicy,
+    validateGradingPolicy,
+    getActivePolicy,
+    saveGradingPolicy,
+    computePolicyGrade
+};
@@ -0,0 +1,139 @@
+/**
+ * 성적 관리 시스템 - 지각 제출 정책
+ * 2026-10-19
+ *
+ * 평가 항목별 유예 시간, 일별 감점, 최종 제출 마감(cutoff)과
+ * 학생별 기한 연장을 적용해 제출 가능 여부와 감점 비율을 계산함
+ */
+
+const { SCHEMAS } = require('../config/database');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * 지각 제출 정책 유효성 검사
+ * @param {Object} policy - { grace_minutes, penalty_per_day, cutoff_hours }
+ * @returns {string[]} 오류 메시지 목록 (비어 있으면 유효)
+ */
+function validateLatePolicy(policy) {
+    const errors = [];
+    const nonNegativeInt = (value) => Number.isInteger(value) && value >= 0;
+
+    if (policy.grace_minutes !== undefined && !nonNegativeInt(policy.grace_minutes)) {
+        errors.push('유예 시간(grace_minutes)은 0 이상의 정수여야 합니다.');
+    }
+    const penalty = Number(policy.penalty_per_day);
+    if (policy.penalty_per_day !== undefined && (isNaN(penalty) || penalty < 0 || penalty > 100)) {
+        errors.push('일별 감점(penalty_per_day)은 0에서 100 사이여야 합니다.');
+    }
+    if (policy.cutoff_hours !== undefined && policy.cutoff_hours !== null && !nonNegativeInt(policy.cutoff_hours)) {
+        errors.push('최종 마감(cutoff_hours)은 0 이상의 정수이거나 null이어야 합니다.');
+    }
+    if (nonNegativeInt(policy.grace_minutes) && nonNegativeInt(policy.cutoff_hours) &&
+        policy.grace_minutes > policy.cutoff_hours * 60) {
+        errors.push('유예 시간은 최종 마감보다 길 수 없습니다.');
+    }
+
+    return errors;
+}
+
+/**
+ * 평가 항목의 지각 제출 정책 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} itemId - 평가 항목 ID
+ * @returns {Promise<Object|null>} 지각 제출 정책 (없으면 null)
+ */
+async function getLatePolicy(client, itemId) {
+    const result = await client.query(`
+        SELECT *
+        FROM ${SCHEMAS.GRADE}.late_policies
+        WHERE item_id = $1
+    `, [itemId]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * 학생별 기한 연장을 반영한 마감일 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} itemId - 평가 항목 ID
+ * @param {string} studentId - 학생 ID
+ * @param {Date|string|null} dueDate - 평가 항목 마감일
+ * @returns {Promise<Object>} { dueDate, extension } (연장이 없으면 extension은 null)
+ */
+async function getEffectiveDueDate(client, itemId, studentId, dueDate) {
+    const result = await client.query(`
+        SELECT extension_id, due_date, reason, granted_by, created_at
+        FROM ${SCHEMAS.GRADE}.assignment_extensions
+        WHERE item_id = $1 AND student_id = $2
+    `, [itemId, studentId]);
+
+    const extension = result.rows[0] || null;
+    return {
+        dueDate: extension ? extension.due_date : dueDate,
+        extension
+    };
+}
+
+/**
+ * 제출 시각의 지각 여부와 감점 계산 (DB 접근 없음)
+ * 감점 일수는 마감 시각부터 24시간 단위로 올림해 계산하며, 유예 시간 안의 제출은 지각이 아님
+ * @param {Date} submittedAt - 제출 시각
+ * @param {Date|string|null} dueDate - 마감일 (연장 반영)
+ * @param {Object|null} policy - 지각 제출 정책 (없으면 마감 후 제출 불가)
+ * @returns {Object} { accepted, isLate, lateMinutes, daysLate, penaltyPercent }
+ */
+function evaluateLateSubmission(submittedAt, dueDate, policy) {
+    const onTime = { accepted: true, isLate: false, lateMinutes: 0, daysLate: 0, penaltyPercent: 0 };
+    if (!dueDate) {
+        return onTime;
+    }
+
+    const lateMinutes = Math.ceil((new Date(submittedAt) - new Date(dueDate)) / 60000);
+    if (lateMinutes <= 0) {
+        return onTime;
+    }
+
+    if (!policy) {
+        return { accepted: false, isLate: true, lateMinutes, daysLate: 0, penaltyPercent: 0 };
+    }
+
+    if (policy.cutoff_hours !== null && policy.cutoff_hours !== undefined &&
+        lateMinutes > policy.cutoff_hours * 60) {
+        return { accepted: false, isLate: true, lateMinutes, daysLate: 0, penaltyPercent: 0 };
+    }
+
+    if (lateMinutes <= (policy.grace_minutes || 0)) {
+        return { ...onTime, lateMinutes };
+    }
+
+    const daysLate = Math.ceil(lateMinutes / MINUTES_PER_DAY);
+    const penaltyPercent = Math.min(100, daysLate * Number(policy.penalty_per_day || 0));
+
+    return {
+        accepted: true,
+        isLate: true,
+        lateMinutes,
+        daysLate,
+        penaltyPercent: parseFloat(penaltyPercent.toFixed(2))
+    };
+}
+
+/**
+ * 채점 점수에 지각 감점 적용
+ * @param {number} score - 채점 점수 (0~100)
+ * @param {number} penaltyPercent - 감점 비율(%)
+ * @returns {number} 감점 적용 점수
+ */
+function applyLatePenalty(score, penaltyPercent) {
+    const penalty = Number(penaltyPercent) || 0;
+    return parseFloat((Number(score) * (100 - penalty) / 100).toFixed(2));
+}
+
+module.exports = {
+    validateLatePolicy,
+    getLatePolicy,
+    getEffectiveDueDate,
+    evaluateLateSubmission,
+    applyLatePenalty
+};
@@ -0,0 +1,167 @@
+/**
+ * 성적 관리 시스템 - 동료 평가
+ * 2026-10-19
+ *
+ * 마감 후 제출물을 다른 수강생에게 익명으로 배정하고, 평가 항목 루브릭으로 제출된
+ * 동료 평가 점수의 평균을 성적에 반영함 (조정 필요 설정 시 강사 승인 후 반영)
+ */
+
+const crypto = require('crypto');
+const { SCHEMAS } = require('../config/database');
+const { updateFinalGrades, setScoreChangeContext } = require('./grade-calculator');
+const { getGradeLock } = require('./grade-lock');
+const { applyLatePenalty } = require('./late-policy');
+
+const REVIEW_STATUS = {
+    ASSIGNED: 'ASSIGNED',
+    SUBMITTED: 'SUBMITTED'
+};
+
+/**
+ * 동료 평가 설정 유효성 검사
+ * @param {Object} settings - { reviews_per_submission, review_due_date }
+ * @returns {string[]} 오류 메시지 목록 (비어 있으면 유효)
+ */
+function validatePeerReviewSettings(settings) {
+    const errors = [];
+
+    if (!Number.isInteger(settings.reviews_per_submission) || settings.reviews_per_submission <= 0) {
+        errors.push('제출물당 평가자 수(reviews_per_submission)는 1 이상의 정수여야 합니다.');
+    }
+    if (settings.review_due_date && isNaN(new Date(settings.review_due_date).getTime())) {
+        errors.push('동료 평가 마감일(review_due_date)이 올바르지 않습니다.');
+    }
+
+    return errors;
+}
+
+/**
+ * 평가 항목의 동료 평가 설정 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} itemId - 평가 항목 ID
+ * @returns {Promise<Object|null>} 동료 평가 설정 (동료 평가 항목이 아니면 null)
+ */
+async function getPeerReviewSettings(client, itemId) {
+    const result = await client.query(`
+        SELECT *
+        FROM ${SCHEMAS.GRADE}.peer_review_settings
+        WHERE item_id = $1
+    `, [itemId]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * 제출물별 평가자 배정 (DB 접근 없음)
+ * 자기 제출물은 배정하지 않으며, 배정 건수가 적은 학생부터 무작위 순서로 배정해 부담을 고르게 나눔
+ * @param {Object[]} submissions - [{ gradeId, authorId }]
+ * @param {string[]} reviewerIds - 평가자가 될 수 있는 수강생 ID 목록
+ * @param {number} reviewsPerSubmission - 제출물당 평가자 수
+ * @returns {Object[]} [{ gradeId, reviewerId }]
+ */
+function assignPeerReviewers(submissions, reviewerIds, reviewsPerSubmission) {
+    const order = new Map(
+        [...new Set(reviewerIds)].map(id => [id, crypto.randomInt(2 ** 32)])
+    );
+    const loads = new Map([...order.keys()].map(id => [id, 0]));
+    const shuffledSubmissions = [...submissions]
+        .map(submission => ({ submission, key: crypto.randomInt(2 ** 32) }))
+        .sort((a, b) => a.key - b.key)
+        .map(({ submission }) => submission);
+
+    const assignments = [];
+    for (const { gradeId, authorId } of shuffledSubmissions) {
+        const reviewers = [...order.keys()]
+            .filter(id => id !== authorId)
+            .sort((a, b) => loads.get(a) - loads.get(b) || order.get(a) - order.get(b))
+            .slice(0, reviewsPerSubmission);
+
+        for (const reviewerId of reviewers) {
+            loads.set(reviewerId, loads.get(reviewerId) + 1);
+            assignments.push({ gradeId, reviewerId });
+        }
+    }
+
+    return assignments;
+}
+
+/**
+ * 제출물의 동료 평가 점수를 성적에 반영 (지각 감점 적용, 트리거로 히스토리 기록)
+ * 트랜잭션 내에서 호출해야 하며, 성적 확정 여부는 호출 측에서 확인
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} submission - student_grades 레코드 (course_id, student_id 포함)
+ * @param {number} score - 반영할 점수 (감점 전)
+ * @param {string} modifiedBy - 변경한 사용자 ID
+ * @param {string} reason - 변경 사유
+ * @returns {Promise<number>} 감점 적용 후 반영된 점수
+ */
+async function applyPeerScore(client, submission, score, modifiedBy, reason) {
+    const finalScore = applyLatePenalty(score, submission.late_penalty_percent);
+
+    await setScoreChangeContext(client, modifiedBy, reason);
+    await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.student_grades
+        SET score = $1,
+            raw_score = $2,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE grade_id = $3
+    `, [finalScore, score, submission.grade_id]);
+
+    await updateFinalGrades(client, submission.course_id, submission.student_id);
+    return finalScore;
+}
+
+/**
+ * 제출된 동료 평가의 평균으로 peer_score를 갱신하고, 조정이 필요 없는 항목이면 성적에 바로 반영
+ * 트랜잭션 내에서 호출해야 하며, 익명 평가자가 드러나지 않도록 히스토리는 동료 평가 설정을 관리한 강사 이름으로 기록함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} gradeId - 평가 대상 제출물 ID
+ * @returns {Promise<Object>} { peerScore, reviewCount, applied }
+ */
+async function refreshPeerScore(client, gradeId) {
+    const result = await client.query(`
+        SELECT sg.grade_id, sg.late_penalty_percent, gi.course_id, e.student_id,
+            prs.requires_moderation, COALESCE(prs.updated_by, prs.assigned_by) AS policy_actor,
+            ROUND(AVG(pr.score), 2) AS peer_score,
+            COUNT(pr.review_id) AS review_count
+        FROM ${SCHEMAS.GRADE}.student_grades sg
+        JOIN ${SCHEMAS.GRADE}.grade_items gi ON sg.item_id = gi.item_id
+        JOIN ${SCHEMAS.ENROLLMENT}.enrollments e ON sg.enrollment_id = e.id
+        JOIN ${SCHEMAS.GRADE}.peer_review_settings prs ON prs.item_id = gi.item_id
+        LEFT JOIN ${SCHEMAS.GRADE}.peer_reviews pr
+            ON pr.grade_id = sg.grade_id AND pr.status = '${REVIEW_STATUS.SUBMITTED}'
+        WHERE sg.grade_id = $1
+        GROUP BY sg.grade_id, gi.course_id, e.student_id, prs.requires_moderation, prs.updated_by, prs.assigned_by
+    `, [gradeId]);
+
+    const submission = result.rows[0];
+    if (!submission || submission.peer_score === null) {
+        return { peerScore: null, reviewCount: 0, applied: false };
+    }
+
+    const peerScore = Number(submission.peer_score);
+    await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.student_grades
+        SET peer_score = $1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE grade_id = $2
+    `, [peerScore, gradeId]);
+
+    // 강사 조정이 필요하거나 성적이 확정된 강좌는 peer_score만 갱신
+    const gradeLock = await getGradeLock(client, submission.course_id);
+    if (submission.requires_moderation || gradeLock.is_locked) {
+        return { peerScore, reviewCount: Number(submission.review_count), applied: false };
+    }
+
+    await applyPeerScore(client, submission, peerScore, submission.policy_actor, '동료 평가 점수 반영');
+    return { peerScore, reviewCount: Number(submission.review_count), applied: true };
+}
+
+module.exports = {
+    REVIEW_STATUS,
+    validatePeerReviewSettings,
+    getPeerReviewSettings,
+    assignPeerReviewers,
+    applyPeerScore,
+    refreshPeerScore
+};
@@ -0,0 +1,279 @@
+/**
+ * 성적 관리 시스템 - 퀴즈 출제 및 서버 채점
+ * 2026-10-19
+ *
+ * 문제 은행에서 응시별로 문항을 무작위 출제하고, 학생 답안을 서버에서 채점함
+ * (클라이언트가 보낸 점수는 사용하지 않음)
+ */
+
+const crypto = require('crypto');
+const { SCHEMAS } = require('../config/database');
+
+const QUESTION_TYPES = ['MULTIPLE_CHOICE', 'MULTI_SELECT', 'SHORT_ANSWER', 'NUMERIC'];
+const SCORING_METHODS = ['HIGHEST', 'LATEST'];
+
+// 네트워크 지연을 고려해 제한 시간 이후에도 제출을 허용하는 시간(초)
+const SUBMIT_GRACE_SECONDS = 30;
+
+/**
+ * 문항 유효성 검사
+ * @param {Object} question - { question_type, prompt, choices, answer, points }
+ * @returns {string[]} 오류 메시지 목록 (비어 있으면 유효)
+ */
+function validateQuestion(question) {
+    const errors = [];
+    const { question_type: type, prompt, choices = [], answer, points } = question;
+
+    if (!QUESTION_TYPES.includes(type)) {
+        errors.push(`문항 유형은 ${QUESTION_TYPES.join(', ')} 중 하나여야 합니다.`);
+        return errors;
+    }
+    if (!prompt || !String(prompt).trim()) {
+        errors.push('문항 내용(prompt)이 필요합니다.');
+    }
+    if (points !== undefined && (isNaN(Number(points)) || Number(points) <= 0)) {
+        errors.push('배점(points)은 0보다 커야 합니다.');
+    }
+    if (!answer || typeof answer !== 'object') {
+        errors.push('정답(answer)이 필요합니다.');
+        return errors;
+    }
+
+    if (type === 'MULTIPLE_CHOICE' || type === 'MULTI_SELECT') {
+        if (!Array.isArray(choices) || choices.length < 2) {
+            errors.push('선택형 문항에는 선택지가 2개 이상 필요합니다.');
+            return errors;
+        }
+        const keys = choices.map(choice => choice.key);
+        if (keys.some(key => !key) || new Set(keys).size !== keys.length) {
+            errors.push('선택지 key는 비어 있지 않고 중복되지 않아야 합니다.');
+        }
+        if (type === 'MULTIPLE_CHOICE' && !keys.includes(answer.choiceKey)) {
+            errors.push('정답 choiceKey가 선택지에 없습니다.');
+        }
+        if (type === 'MULTI_SELECT' &&
+            (!Array.isArray(answer.choiceKeys) || answer.choiceKeys.length === 0 ||
+             answer.choiceKeys.some(key => !keys.includes(key)))) {
+            errors.push('정답 choiceKeys는 선택지 key의 배열이어야 합니다.');
+        }
+    } else if (type === 'SHORT_ANSWER') {
+        if (!Array.isArray(answer.accepted) || answer.accepted.length === 0) {
+            errors.push('단답형 문항에는 허용 답안(accepted) 목록이 필요합니다.');
+        }
+    } else if (type === 'NUMERIC') {
+        if (answer.value === undefined || isNaN(Number(answer.value))) {
+            errors.push('숫자형 문항에는 정답 값(value)이 필요합니다.');
+        }
+        if (answer.tolerance !== undefined && (isNaN(Number(answer.tolerance)) || Number(answer.tolerance) < 0)) {
+            errors.push('허용 오차(tolerance)는 0 이상이어야 합니다.');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * 퀴즈 출제 설정 유효성 검사
+ * @param {Object} settings - { bank_id, question_count, time_limit_minutes, max_attempts, scoring_method }
+ * @returns {string[]} 오류 메시지 목록 (비어 있으면 유효)
+ */
+function validateQuizSettings(settings) {
+    const errors = [];
+    const positiveIntOrNull = (value) => value === null || value === undefined || (Number.isInteger(value) && value > 0);
+
+    if (!settings.bank_id) {
+        errors.push('문제 은행(bank_id)이 필요합니다.');
+    }
+    if (!positiveIntOrNull(settings.question_count)) {
+        errors.push('출제 문항 수(question_count)는 1 이상의 정수여야 합니다.');
+    }
+    if (!positiveIntOrNull(settings.time_limit_minutes)) {
+        errors.push('제한 시간(time_limit_minutes)은 1 이상의 정수여야 합니다.');
+    }
+    if (settings.max_attempts !== undefined && !(Number.isInteger(settings.max_attempts) && settings.max_attempts > 0)) {
+        errors.push('최대 응시 횟수(max_attempts)는 1 이상의 정수여야 합니다.');
+    }
+    if (settings.scoring_method !== undefined && !SCORING_METHODS.includes(settings.scoring_method)) {
+        errors.push(`성적 반영 방식은 ${SCORING_METHODS.join(', ')} 중 하나여야 합니다.`);
+    }
+
+    return errors;
+}
+
+// Fisher-Yates 셔플 (crypto 난수 사용)
+function shuffle(list) {
+    const result = [...list];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * 응시용 문항 선택 및 섞기 (정답은 제외한 스냅샷 반환)
+ * @param {Object[]} questions - 문제 은행의 활성 문항
+ * @param {Object} settings - 퀴즈 출제 설정
+ * @returns {Object[]} [{ questionId, type, prompt, choices, points }]
+ */
+function buildAttemptQuestions(questions, settings) {
+    let selected = settings.shuffle_questions || settings.question_count ? shuffle(questions) : [...questions];
+    if (settings.question_count) {
+        selected = selected.slice(0, settings.question_count);
+    }
+    // 문항 수만 제한하고 순서는 섞지 않는 경우 원래 순서로 되돌림
+    if (!settings.shuffle_questions) {
+        selected.sort((a, b) => a.question_id - b.question_id);
+    }
+
+    return selected.map(question => ({
+        questionId: question.question_id,
+        type: question.question_type,
+        prompt: question.prompt,
+        choices: settings.shuffle_choices ? shuffle(question.choices || []) : (question.choices || []),
+        points: Number(question.points)
+    }));
+}
+
+const normalizeText = (value, caseSensitive) => {
+    const text = String(value === null || value === undefined ? '' : value).trim().replace(/\s+/g, ' ');
+    return caseSensitive ? text : text.toLowerCase();
+};
+
+/**
+ * 문항 하나 채점
+ * @param {Object} question - quiz_questions 레코드 (answer 포함)
+ * @param {*} response - 학생 답안
+ * @returns {boolean} 정답 여부
+ */
+function isCorrectAnswer(question, response) {
+    const answer = question.answer;
+    if (response === null || response === undefined) {
+        return false;
+    }
+
+    switch (question.question_type) {
+        case 'MULTIPLE_CHOICE':
+            return String(response) === String(answer.choiceKey);
+        case 'MULTI_SELECT': {
+            if (!Array.isArray(response)) return false;
+            const given = new Set(response.map(String));
+            const expected = new Set(answer.choiceKeys.map(String));
+            return given.size === expected.size && [...expected].every(key => given.has(key));
+        }
+        case 'SHORT_ANSWER': {
+            const given = normalizeText(response, answer.caseSensitive);
+            return given !== '' && answer.accepted.some(accepted => normalizeText(accepted, answer.caseSensitive) === given);
+        }
+        case 'NUMERIC': {
+            if (String(response).trim() === '') return false;
+            const value = Number(response);
+            return !isNaN(value) && Math.abs(value - Number(answer.value)) <= Number(answer.tolerance || 0);
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * 응시 답안 채점 (DB 접근 없음)
+ * @param {Object[]} attemptQuestions - 응시 시 출제된 문항 스냅샷
+ * @param {Map<number, Object>} questionsById - question_id → 정답이 포함된 문항
+ * @param {Object} answers - { [questionId]: response }
+ * @returns {Object} { score, earnedPoints, possiblePoints, results }
+ */
+function gradeAttempt(attemptQuestions, questionsById, answers = {}) {
+    let earnedPoints = 0;
+    let possiblePoints = 0;
+
+    const results = attemptQuestions.map(snapshot => {
+        const question = questionsById.get(snapshot.questionId);
+        const response = answers[snapshot.questionId];
+        const correct = question ? isCorrectAnswer(question, response) : false;
+        const points = snapshot.points;
+
+        possiblePoints += points;
+        if (correct) {
+            earnedPoints += points;
+        }
+
+        return {
+            questionId: snapshot.questionId,
+            response: response === undefined ? null : response,
+            correct,
+            earnedPoints: correct ? points : 0,
+            points
+        };
+    });
+
+    return {
+        score: possiblePoints > 0 ? parseFloat((earnedPoints / possiblePoints * 100).toFixed(1)) : 0,
+        earnedPoints,
+        possiblePoints,
+        results
+    };
+}
+
+/**
+ * 성적 반영 방식에 따라 제출된 응시 점수 중 반영할 점수 결정
+ * @param {string} method - HIGHEST 또는 LATEST
+ * @param {Object[]} attempts - 제출 완료된 응시 (attempt_number, score)
+ * @returns {number} 반영 점수 (응시가 없으면 0)
+ */
+function resolveQuizScore(method, attempts) {
+    if (attempts.length === 0) {
+        return 0;
+    }
+    if (method === 'LATEST') {
+        const latest = attempts.reduce((a, b) => (a.attempt_number > b.attempt_number ? a : b));
+        return Number(latest.score);
+    }
+    return Math.max(...attempts.map(attempt => Number(attempt.score)));
+}
+
+/**
+ * 퀴즈 출제 설정 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} itemId - 평가 항목 ID
+ * @returns {Promise<Object|null>} 출제 설정 (없으면 null)
+ */
+async function getQuizSettings(client, itemId) {
+    const result = await client.query(`
+        SELECT *
+        FROM ${SCHEMAS.GRADE}.quiz_settings
+        WHERE item_id = $1
+    `, [itemId]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * 제출물(student_grades)의 응시 기록 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} gradeId - 학생 성적 ID
+ * @returns {Promise<Object[]>} 응시 기록 (응시 순서대로)
+ */
+async function getQuizAttempts(client, gradeId) {
+    const result = await client.query(`
+        SELECT attempt_id, attempt_number, status, score, questions, answers, results,
+            started_at, expires_at, submitted_at
+        FROM ${SCHEMAS.GRADE}.quiz_attempts
+        WHERE grade_id = $1
+        ORDER BY attempt_number ASC
+    `, [gradeId]);
+
+    return result.rows;
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    SCORING_METHODS,
+    SUBMIT_GRACE_SECONDS,
+    validateQuestion,
+    validateQuizSettings,
+    buildAttemptQuestions,
+    gradeAttempt,
+    resolveQuizScore,
+    getQuizSettings,
+    getQuizAttempts
+};
@@ -0,0 +1,156 @@
+/**
+ * 성적 관리 시스템 - 루브릭 채점
+ * 2026-10-19
+ *
+ * 평가 항목에 연결된 루브릭(기준, 수준 설명, 수준별 배점)을 관리하고,
+ * 채점자가 기준별로 선택한 수준으로 0~100 점수를 계산함
+ */
+
+const { SCHEMAS } = require('../config/database');
+
+/**
+ * 루브릭 기준 유효성 검사
+ * @param {Object[]} criteria - [{ key, title, description, levels: [{ key, label, description, points }] }]
+ * @returns {string[]} 오류 메시지 목록 (비어 있으면 유효)
+ */
+function validateRubric(criteria) {
+    if (!Array.isArray(criteria) || criteria.length === 0) {
+        return ['평가 기준(criteria)이 최소 1개 이상 필요합니다.'];
+    }
+
+    const errors = [];
+    const criterionKeys = new Set();
+    let totalMaxPoints = 0;
+
+    for (const criterion of criteria) {
+        if (!criterion.key || typeof criterion.key !== 'string') {
+            errors.push('모든 평가 기준에는 key가 필요합니다.');
+            continue;
+        }
+        if (criterionKeys.has(criterion.key)) {
+            errors.push(`중복된 평가 기준 key입니다: ${criterion.key}`);
+        }
+        criterionKeys.add(criterion.key);
+
+        if (!criterion.title) {
+            errors.push(`평가 기준 ${criterion.key}의 제목이 필요합니다.`);
+        }
+
+        if (!Array.isArray(criterion.levels) || criterion.levels.length === 0) {
+            errors.push(`평가 기준 ${criterion.key}에는 수준(levels)이 최소 1개 이상 필요합니다.`);
+            continue;
+        }
+
+        const levelKeys = new Set();
+        for (const level of criterion.levels) {
+            if (!level.key || typeof level.key !== 'string') {
+                errors.push(`평가 기준 ${criterion.key}의 모든 수준에는 key가 필요합니다.`);
+                continue;
+            }
+            if (levelKeys.has(level.key)) {
+                errors.push(`평가 기준 ${criterion.key}에 중복된 수준 key가 있습니다: ${level.key}`);
+            }
+            levelKeys.add(level.key);
+
+            const points = Number(level.points);
+            if (isNaN(points) || points < 0) {
+                errors.push(`평가 기준 ${criterion.key}의 수준 ${level.key} 배점이 유효하지 않습니다.`);
+            }
+        }
+
+        totalMaxPoints += Math.max(0, ...criterion.levels.map(level => Number(level.points) || 0));
+    }
+
+    if (errors.length === 0 && totalMaxPoints <= 0) {
+        errors.push('루브릭의 최대 배점 합계는 0보다 커야 합니다.');
+    }
+
+    return errors;
+}
+
+/**
+ * 평가 항목에 연결된 루브릭 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} itemId - 평가 항목 ID
+ * @returns {Promise<Object|null>} 루브릭 (없으면 null)
+ */
+async function getItemRubric(client, itemId) {
+    const result = await client.query(`
+        SELECT *
+        FROM ${SCHEMAS.GRADE}.rubrics
+        WHERE item_id = $1
+    `, [itemId]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * 기준별 선택 수준으로 점수 계산 (DB 접근 없음)
+ * 점수 = 선택한 수준 배점 합계 / 기준별 최고 배점 합계 × 100
+ * @param {Object} rubric - 루브릭 (criteria 포함)
+ * @param {Object[]} selections - [{ criterionKey, levelKey, comment }]
+ * @returns {Object} { score, selections, errors } (selections는 채점 시점의 수준 설명과 배점 포함)
+ */
+function computeRubricScore(rubric, selections) {
+    const errors = [];
+
+    if (!Array.isArray(selections)) {
+        return { score: null, selections: [], errors: ['루브릭 선택(rubricSelections)은 배열이어야 합니다.'] };
+    }
+
+    const selectionByCriterion = new Map(selections.map(selection => [selection.criterionKey, selection]));
+    for (const selection of selections) {
+        if (!rubric.criteria.some(criterion => criterion.key === selection.criterionKey)) {
+            errors.push(`루브릭에 없는 평가 기준입니다: ${selection.criterionKey}`);
+        }
+    }
+
+    let earned = 0;
+    let possible = 0;
+    const resolved = [];
+
+    for (const criterion of rubric.criteria) {
+        const maxPoints = Math.max(0, ...criterion.levels.map(level => Number(level.points) || 0));
+        possible += maxPoints;
+
+        const selection = selectionByCriterion.get(criterion.key);
+        if (!selection) {
+            errors.push(`평가 기준 "${criterion.title}"의 수준을 선택해주세요.`);
+            continue;
+        }
+
+        const level = criterion.levels.find(l => l.key === selection.levelKey);
+        if (!level) {
+            errors.push(`평가 기준 "${criterion.title}"에 없는 수준입니다: ${selection.levelKey}`);
+            continue;
+        }
+
+        earned += Number(level.points);
+        resolved.push({
+            criterionKey: criterion.key,
+            criterionTitle: criterion.title,
+            levelKey: level.key,
+            levelLabel: level.label || level.key,
+            levelDescription: level.description || '',
+            points: Number(level.points),
+            maxPoints,
+            comment: selection.comment || ''
+        });
+    }
+
+    if (errors.length > 0) {
+        return { score: null, selections: resolved, errors };
+    }
+
+    return {
+        score: parseFloat((earned / possible * 100).toFixed(1)),
+        selections: resolved,
+        errors
+    };
+}
+
+module.exports = {
+    validateRubric,
+    getItemRubric,
+    computeRubricScore
+};
@@ -172,6 +172,7 @@ function getFileType(fileName) {
         xls: 'spreadsheet',
         xlsx: 'spreadsheet',
         txt: 'text',
+        vtt: 'text',
         json: 'json',
         jpg: 'image',
         jpeg: 'image',
@@ -181,6 +182,7 @@ function getFileType(fileName) {
         m3u8: 'video',  // m3u8 파일을 video 타입으로 처리
         ts: 'video',    // ts 파일도 video 타입으로 처리
         mp3: 'audio',
+        m4a: 'audio',
         zip: 'archive',
         rar: 'archive'
     };
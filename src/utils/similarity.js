@@ -0,0 +1,504 @@
+/**
+ * 성적 관리 시스템 - 제출물 유사도(표절) 검사
+ * 2026-10-19
+ *
+ * 평가 항목의 모든 제출물(텍스트 답안과 텍스트/소스 코드 파일)을 토큰 단위
+ * shingle fingerprint로 변환해 제출물 쌍별 유사도와 일치 구간을 계산하고,
+ * 결과를 similarity_reports / similarity_pairs에 보고서로 저장함
+ */
+
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { s3Client } = require('../config/s3');
+const { SCHEMAS } = require('../config/database');
+const { extractFileKeys } = require('./submission-version');
+
+const REPORT_STATUS = {
+    PENDING: 'PENDING',
+    RUNNING: 'RUNNING',
+    COMPLETED: 'COMPLETED',
+    FAILED: 'FAILED'
+};
+
+const DEFAULT_OPTIONS = {
+    textShingleSize: 5,         // 텍스트: 연속 단어 수
+    codeShingleSize: 12,        // 소스 코드: 연속 토큰 수
+    commonThreshold: 0.5,       // 이 비율 이상의 제출물에 공통으로 나오는 shingle은 제외 (제공 코드, 문제 지문 등)
+    minSimilarity: 20,          // 보고서에 저장할 최소 유사도(%) (우연히 겹친 shingle 몇 개인 쌍은 저장하지 않음)
+    maxFileBytes: 1024 * 1024   // 파일당 최대 크기
+};
+
+const MAX_MATCHES_PER_PAIR = 50;
+const PAIR_INSERT_BATCH_SIZE = 500;
+const MAX_SNIPPET_LENGTH = 500;
+
+const TEXT_EXTENSIONS = ['txt', 'md', 'csv', 'html', 'htm', 'xml', 'json', 'yml', 'yaml', 'tex', 'rst'];
+const CODE_EXTENSIONS = [
+    'js', 'jsx', 'ts', 'tsx', 'mjs', 'cjs', 'py', 'java', 'c', 'h', 'cc', 'cpp', 'hpp', 'cs',
+    'go', 'rs', 'kt', 'kts', 'swift', 'rb', 'php', 'scala', 'sql', 'sh', 'r', 'm', 'dart', 'lua'
+];
+const HASH_COMMENT_EXTENSIONS = ['py', 'rb', 'sh', 'r', 'yml', 'yaml'];
+
+// 식별자 정규화에서 제외할 예약어 (언어 공통으로 자주 쓰이는 키워드)
+const CODE_KEYWORDS = new Set([
+    'if', 'else', 'elif', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue',
+    'return', 'function', 'def', 'class', 'struct', 'interface', 'enum', 'new', 'delete', 'this',
+    'self', 'super', 'try', 'catch', 'except', 'finally', 'throw', 'throws', 'raise', 'import',
+    'from', 'as', 'export', 'package', 'public', 'private', 'protected', 'static', 'final', 'const',
+    'let', 'var', 'void', 'int', 'long', 'short', 'float', 'double', 'char', 'bool', 'boolean',
+    'string', 'true', 'false', 'null', 'none', 'nil', 'undefined', 'and', 'or', 'not', 'in', 'is',
+    'lambda', 'yield', 'async', 'await', 'with', 'pass', 'fn', 'func', 'go', 'select', 'where'
+]);
+
+const CODE_TOKEN_PATTERN = /[A-Za-z_$][\w$]*|\d+(?:\.\d+)?|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`|[^\s\w]/g;
+const TEXT_TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// 파일 확장자
+const extensionOf = (fileName) => {
+    const match = /\.([^./]+)$/.exec(fileName || '');
+    return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * 파일 이름으로 검사 방식 결정
+ * @param {string} fileName - 파일 이름 또는 S3 키
+ * @returns {string|null} 'code' | 'text' | null (검사 불가 형식)
+ */
+function detectMode(fileName) {
+    const extension = extensionOf(fileName);
+    if (CODE_EXTENSIONS.includes(extension)) return 'code';
+    if (TEXT_EXTENSIONS.includes(extension)) return 'text';
+    return null;
+}
+
+// 주석을 같은 길이의 공백으로 바꿔 원문 위치(offset)를 유지
+const blankOut = (match) => match.replace(/[^\n]/g, ' ');
+
+function stripComments(source, extension) {
+    let stripped = source.replace(/\/\*[\s\S]*?\*\//g, blankOut);
+    if (HASH_COMMENT_EXTENSIONS.includes(extension)) {
+        stripped = stripped.replace(/#[^\n]*/g, blankOut);
+    }
+    if (extension !== 'py') {
+        // 문자열 안의 "://" 는 주석으로 보지 않음
+        stripped = stripped.replace(/(^|[^:\\])\/\/[^\n]*/g, (match, prefix) => prefix + blankOut(match.slice(prefix.length)));
+    }
+    return stripped;
+}
+
+/**
+ * 원문을 위치 정보가 있는 토큰 목록으로 변환
+ * 텍스트는 소문자 단어, 소스 코드는 주석을 제외하고 식별자/숫자/문자열을 정규화해
+ * 변수 이름 변경이나 주석 추가만으로는 유사도가 낮아지지 않도록 함
+ * @param {string} source - 원문
+ * @param {string} mode - 'code' | 'text'
+ * @param {string} [fileName] - 파일 이름 (주석 문법 판단용)
+ * @returns {Object[]} [{ value, start, end }]
+ */
+function tokenize(source, mode, fileName = '') {
+    const tokens = [];
+
+    if (mode === 'code') {
+        const stripped = stripComments(source, extensionOf(fileName));
+        for (const match of stripped.matchAll(CODE_TOKEN_PATTERN)) {
+            const raw = match[0];
+            let value = raw;
+            if (/^[A-Za-z_$]/.test(raw)) {
+                value = CODE_KEYWORDS.has(raw.toLowerCase()) ? raw.toLowerCase() : 'ID';
+            } else if (/^\d/.test(raw)) {
+                value = 'NUM';
+            } else if (/^["'`]/.test(raw)) {
+                value = 'STR';
+            }
+            tokens.push({ value, start: match.index, end: match.index + raw.length });
+        }
+        return tokens;
+    }
+
+    for (const match of source.matchAll(TEXT_TOKEN_PATTERN)) {
+        tokens.push({ value: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+// 32bit FNV-1a 해시
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * 토큰 목록의 k-gram shingle 해시 (토큰 위치 순)
+ * @param {Object[]} tokens - tokenize 결과
+ * @param {number} size - shingle 길이 (토큰 수)
+ * @returns {number[]} 해시 목록 (토큰 수가 size보다 적으면 전체를 하나의 shingle로 봄)
+ */
+function buildShingles(tokens, size) {
+    if (tokens.length === 0) return [];
+    const k = Math.min(size, tokens.length);
+    const hashes = [];
+    for (let i = 0; i + k <= tokens.length; i++) {
+        hashes.push(hashString(tokens.slice(i, i + k).map(token => token.value).join('\u0001')));
+    }
+    return hashes;
+}
+
+/**
+ * 제출물 하나의 문서(텍스트 답안/파일)를 fingerprint로 변환
+ * @param {Object} document - { name, content, mode }
+ * @param {Object} options - 검사 옵션
+ * @returns {Object} { name, mode, content, tokens, shingles, shingleSize }
+ */
+function fingerprintDocument(document, options) {
+    const shingleSize = document.mode === 'code' ? options.codeShingleSize : options.textShingleSize;
+    const tokens = tokenize(document.content, document.mode, document.name);
+    return {
+        name: document.name,
+        mode: document.mode,
+        content: document.content,
+        tokens,
+        shingleSize: Math.min(shingleSize, tokens.length),
+        shingles: buildShingles(tokens, shingleSize)
+    };
+}
+
+// 잘라낸 원문 구간
+const snippetOf = (content, start, end) => {
+    const text = content.slice(start, end);
+    return text.length > MAX_SNIPPET_LENGTH ? `${text.slice(0, MAX_SNIPPET_LENGTH)}…` : text;
+};
+
+/**
+ * 두 문서의 일치 구간 계산
+ * 공통 shingle에서 시작해 연속으로 일치하는 만큼 늘려 가장 긴 구간을 찾고,
+ * 토큰 위치를 원문 문자 위치로 변환함
+ * @param {Object} docA - fingerprintDocument 결과
+ * @param {Object} docB - fingerprintDocument 결과
+ * @param {Set<number>} ignored - 공통(제외) shingle 해시
+ * @returns {Object[]} [{ fileA, fileB, rangeA: { start, end }, rangeB, textA, textB }]
+ */
+function findMatchingRegions(docA, docB, ignored = new Set()) {
+    const positionsB = new Map();
+    docB.shingles.forEach((hash, index) => {
+        if (ignored.has(hash)) return;
+        if (!positionsB.has(hash)) positionsB.set(hash, []);
+        positionsB.get(hash).push(index);
+    });
+
+    const regions = [];
+    let i = 0;
+    while (i < docA.shingles.length) {
+        const candidates = ignored.has(docA.shingles[i]) ? null : positionsB.get(docA.shingles[i]);
+        if (!candidates) {
+            i++;
+            continue;
+        }
+
+        let best = { start: candidates[0], length: 0 };
+        for (const j of candidates.slice(0, 20)) {
+            let length = 0;
+            while (
+                i + length < docA.shingles.length &&
+                j + length < docB.shingles.length &&
+                docA.shingles[i + length] === docB.shingles[j + length]
+            ) {
+                length++;
+            }
+            if (length > best.length) best = { start: j, length };
+        }
+
+        const lastA = i + best.length - 1 + docA.shingleSize - 1;
+        const lastB = best.start + best.length - 1 + docB.shingleSize - 1;
+        const rangeA = { start: docA.tokens[i].start, end: docA.tokens[lastA].end };
+        const rangeB = { start: docB.tokens[best.start].start, end: docB.tokens[lastB].end };
+
+        regions.push({
+            fileA: docA.name,
+            fileB: docB.name,
+            rangeA,
+            rangeB,
+            textA: snippetOf(docA.content, rangeA.start, rangeA.end),
+            textB: snippetOf(docB.content, rangeB.start, rangeB.end)
+        });
+        i += best.length;
+    }
+
+    return regions;
+}
+
+/**
+ * 제출물 전체의 쌍별 유사도 계산 (DB 접근 없음)
+ * @param {Object[]} submissions - [{ gradeId, documents: [{ name, content, mode }] }]
+ * @param {Object} [options] - 검사 옵션 (DEFAULT_OPTIONS 참고)
+ * @returns {Object[]} [{ gradeIdA, gradeIdB, similarity, overlap, matches }] (유사도 내림차순)
+ */
+function compareSubmissions(submissions, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+
+    const fingerprints = submissions.map(submission => {
+        const documents = submission.documents.map(document => fingerprintDocument(document, settings));
+        const hashes = new Set();
+        documents.forEach(document => document.shingles.forEach(hash => hashes.add(`${document.mode}:${hash}`)));
+        return { gradeId: submission.gradeId, documents, hashes };
+    });
+
+    // 여러 제출물에 공통으로 나오는 shingle (제공 코드, 문제 지문 등) 제외
+    const ignored = new Set();
+    if (fingerprints.length >= 3 && settings.commonThreshold > 0 && settings.commonThreshold < 1) {
+        const counts = new Map();
+        fingerprints.forEach(fingerprint => fingerprint.hashes.forEach(hash => counts.set(hash, (counts.get(hash) || 0) + 1)));
+        const limit = Math.max(3, Math.ceil(fingerprints.length * settings.commonThreshold));
+        counts.forEach((count, hash) => {
+            if (count >= limit) ignored.add(hash);
+        });
+    }
+
+    const ignoredByMode = { code: new Set(), text: new Set() };
+    ignored.forEach(hash => {
+        const [mode, value] = hash.split(':');
+        ignoredByMode[mode].add(Number(value));
+    });
+    fingerprints.forEach(fingerprint => {
+        ignored.forEach(hash => fingerprint.hashes.delete(hash));
+    });
+
+    const pairs = [];
+    for (let a = 0; a < fingerprints.length; a++) {
+        for (let b = a + 1; b < fingerprints.length; b++) {
+            const first = fingerprints[a];
+            const second = fingerprints[b];
+            if (first.hashes.size === 0 || second.hashes.size === 0) continue;
+
+            let shared = 0;
+            const [smaller, larger] = first.hashes.size <= second.hashes.size
+                ? [first.hashes, second.hashes]
+                : [second.hashes, first.hashes];
+            smaller.forEach(hash => {
+                if (larger.has(hash)) shared++;
+            });
+            if (shared === 0) continue;
+
+            const similarity = parseFloat((shared / (first.hashes.size + second.hashes.size - shared) * 100).toFixed(2));
+            const overlap = parseFloat((shared / smaller.size * 100).toFixed(2));
+            if (similarity < settings.minSimilarity) continue;
+
+            const matches = [];
+            for (const docA of first.documents) {
+                for (const docB of second.documents) {
+                    if (docA.mode !== docB.mode) continue;
+                    matches.push(...findMatchingRegions(docA, docB, ignoredByMode[docA.mode]));
+                }
+            }
+
+            pairs.push({
+                gradeIdA: first.gradeId,
+                gradeIdB: second.gradeId,
+                similarity,
+                overlap,
+                matches: matches.slice(0, MAX_MATCHES_PER_PAIR)
+            });
+        }
+    }
+
+    return pairs.sort((x, y) => y.similarity - x.similarity);
+}
+
+/**
+ * 검사 옵션 검증
+ * @param {Object} options - 요청 옵션
+ * @returns {string[]} 오류 메시지 목록
+ */
+function validateSimilarityOptions(options = {}) {
+    const errors = [];
+    const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+
+    if (options.textShingleSize !== undefined && !isPositiveInteger(options.textShingleSize)) {
+        errors.push('textShingleSize는 1 이상의 정수여야 합니다.');
+    }
+    if (options.codeShingleSize !== undefined && !isPositiveInteger(options.codeShingleSize)) {
+        errors.push('codeShingleSize는 1 이상의 정수여야 합니다.');
+    }
+    if (options.commonThreshold !== undefined) {
+        const threshold = Number(options.commonThreshold);
+        if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+            errors.push('commonThreshold는 0~1 사이의 값이어야 합니다.');
+        }
+    }
+    if (options.minSimilarity !== undefined) {
+        const minimum = Number(options.minSimilarity);
+        if (isNaN(minimum) || minimum < 0 || minimum > 100) {
+            errors.push('minSimilarity는 0~100 사이의 값이어야 합니다.');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * 요청 옵션을 기본값과 합친 검사 옵션
+ * @param {Object} options - 요청 옵션
+ * @returns {Object} 검사 옵션
+ */
+function normalizeSimilarityOptions(options = {}) {
+    const normalized = { ...DEFAULT_OPTIONS };
+    ['textShingleSize', 'codeShingleSize', 'commonThreshold', 'minSimilarity'].forEach(key => {
+        if (options[key] !== undefined && options[key] !== null) normalized[key] = Number(options[key]);
+    });
+    return normalized;
+}
+
+// 제출 데이터의 텍스트 답안 (files를 제외한 문자열 필드)
+function collectTextFields(submissionData) {
+    return Object.entries(submissionData || {})
+        .filter(([key, value]) => key !== 'files' && typeof value === 'string' && value.trim() !== '')
+        .map(([key, value]) => ({ name: key, content: value, mode: 'text' }));
+}
+
+// S3 파일을 UTF-8 문자열로 읽기
+async function readS3Text(fileKey, maxBytes) {
+    const bucketName = process.env.S3_BUCKET_NAME || 'nationslablmscoursebucket';
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: fileKey }));
+
+    if (response.ContentLength && response.ContentLength > maxBytes) {
+        response.Body.destroy && response.Body.destroy();
+        return { skipped: '파일 크기 초과' };
+    }
+
+    const content = await response.Body.transformToString('utf-8');
+    if (content.includes('\u0000')) {
+        return { skipped: '텍스트 파일이 아님' };
+    }
+    return { content };
+}
+
+/**
+ * 평가 항목의 제출물과 검사 가능한 문서 목록 로드
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} itemId - 평가 항목 ID
+ * @param {Object} options - 검사 옵션
+ * @returns {Promise<Object>} { submissions: [{ gradeId, documents }], skippedFiles: [{ gradeId, file, reason }] }
+ */
+async function loadSubmissionDocuments(client, itemId, options) {
+    // 조별 과제는 조원 모두에게 같은 제출물이 저장되므로 조별로 하나만 비교
+    const result = await client.query(`
+        SELECT DISTINCT ON (COALESCE('g' || sg.group_id::text, 's' || sg.grade_id::text))
+            sg.grade_id, sg.submission_data
+        FROM ${SCHEMAS.GRADE}.student_grades sg
+        WHERE sg.item_id = $1 AND sg.submission_date IS NOT NULL
+        ORDER BY COALESCE('g' || sg.group_id::text, 's' || sg.grade_id::text), sg.grade_id ASC
+    `, [itemId]);
+
+    const submissions = [];
+    const skippedFiles = [];
+
+    for (const row of result.rows) {
+        const documents = collectTextFields(row.submission_data);
+
+        for (const fileKey of extractFileKeys(row.submission_data)) {
+            const file = fileKey.split('/').pop();
+            const mode = detectMode(file);
+            if (!mode) {
+                skippedFiles.push({ gradeId: row.grade_id, file, reason: '지원하지 않는 파일 형식' });
+                continue;
+            }
+
+            try {
+                const loaded = await readS3Text(fileKey, options.maxFileBytes);
+                if (loaded.skipped) {
+                    skippedFiles.push({ gradeId: row.grade_id, file, reason: loaded.skipped });
+                    continue;
+                }
+                documents.push({ name: file, content: loaded.content, mode });
+            } catch (error) {
+                skippedFiles.push({ gradeId: row.grade_id, file, reason: `파일을 읽을 수 없음: ${error.message}` });
+            }
+        }
+
+        submissions.push({ gradeId: row.grade_id, documents });
+    }
+
+    return { submissions, skippedFiles };
+}
+
+/**
+ * 대기 중인 유사도 검사 보고서 실행
+ * 전체 쌍 비교는 CPU를 오래 사용하므로 API 서버가 아닌 scripts/run-similarity-reports.js에서 호출하며,
+ * 트랜잭션 없이 진행 상태를 갱신하고 완료 시 쌍별 결과를 한 번에 저장함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} reportId - 보고서 ID
+ * @returns {Promise<Object|null>} 완료된 보고서 (이미 다른 작업이 실행 중이면 null)
+ */
+async function runSimilarityReport(client, reportId) {
+    const claimed = await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.similarity_reports
+        SET status = $1, started_at = CURRENT_TIMESTAMP, error_message = NULL
+        WHERE report_id = $2 AND status = $3
+        RETURNING *
+    `, [REPORT_STATUS.RUNNING, reportId, REPORT_STATUS.PENDING]);
+
+    if (claimed.rows.length === 0) {
+        return null;
+    }
+
+    const report = claimed.rows[0];
+    const options = normalizeSimilarityOptions(report.options);
+
+    try {
+        const { submissions, skippedFiles } = await loadSubmissionDocuments(client, report.item_id, options);
+        const pairs = compareSubmissions(submissions, options);
+
+        await client.query('BEGIN');
+
+        for (let start = 0; start < pairs.length; start += PAIR_INSERT_BATCH_SIZE) {
+            const batch = pairs.slice(start, start + PAIR_INSERT_BATCH_SIZE);
+            await client.query(`
+                INSERT INTO ${SCHEMAS.GRADE}.similarity_pairs
+                (report_id, grade_id_a, grade_id_b, similarity, overlap, matches)
+                SELECT $1, x.grade_id_a, x.grade_id_b, x.similarity, x.overlap, x.matches
+                FROM json_to_recordset($2::json)
+                    AS x(grade_id_a integer, grade_id_b integer, similarity numeric, overlap numeric, matches jsonb)
+            `, [reportId, JSON.stringify(batch.map(pair => ({
+                grade_id_a: pair.gradeIdA,
+                grade_id_b: pair.gradeIdB,
+                similarity: pair.similarity,
+                overlap: pair.overlap,
+                matches: pair.matches
+            })))]);
+        }
+
+        const completed = await client.query(`
+            UPDATE ${SCHEMAS.GRADE}.similarity_reports
+            SET status = $1, submission_count = $2, pair_count = $3, skipped_files = $4, completed_at = CURRENT_TIMESTAMP
+            WHERE report_id = $5
+            RETURNING *
+        `, [REPORT_STATUS.COMPLETED, submissions.length, pairs.length, JSON.stringify(skippedFiles), reportId]);
+
+        await client.query('COMMIT');
+        return completed.rows[0];
+    } catch (error) {
+        await client.query('ROLLBACK');
+        await client.query(`
+            UPDATE ${SCHEMAS.GRADE}.similarity_reports
+            SET status = $1, error_message = $2, completed_at = CURRENT_TIMESTAMP
+            WHERE report_id = $3
+        `, [REPORT_STATUS.FAILED, error.message, reportId]);
+        throw error;
+    }
+}
+
+module.exports = {
+    REPORT_STATUS,
+    DEFAULT_OPTIONS,
+    detectMode,
+    tokenize,
+    buildShingles,
+    findMatchingRegions,
+    compareSubmissions,
+    validateSimilarityOptions,
+    normalizeSimilarityOptions,
+    loadSubmissionDocuments,
+    runSimilarityReport
+};
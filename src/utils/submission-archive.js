@@ -0,0 +1,294 @@
+/**
+ * 성적 관리 시스템 - 과제 제출물 일괄 다운로드
+ * 2026-10-19
+ *
+ * 평가 항목의 모든 제출 파일을 S3에서 읽어 학생별 폴더로 묶은 ZIP과
+ * 제출 시각·지각 여부를 정리한 manifest.csv를 서버에서 생성해 S3에 저장함
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archiver = require('archiver');
+const { GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { s3Client } = require('../config/s3');
+const { SCHEMAS } = require('../config/database');
+const { sanitizePathComponent } = require('./s3');
+const { gradebookToCsv } = require('./gradebook');
+const { extractFileKeys } = require('./submission-version');
+
+const ARCHIVE_STATUS = {
+    PENDING: 'PENDING',
+    RUNNING: 'RUNNING',
+    COMPLETED: 'COMPLETED',
+    FAILED: 'FAILED'
+};
+
+const MANIFEST_FILE_NAME = 'manifest.csv';
+const DOWNLOAD_URL_EXPIRES_IN = 3600;
+const STALE_RUNNING_MINUTES = 30;
+
+const bucketName = () => process.env.S3_BUCKET_NAME || 'nationslablmscoursebucket';
+
+/**
+ * 학생별 폴더 이름 (이름_학생ID)
+ * @param {string} studentName - 학생 이름
+ * @param {string} studentId - 학생 ID
+ * @returns {string} 폴더 이름
+ */
+function studentFolderName(studentName, studentId) {
+    const name = sanitizePathComponent(`${studentName || ''}`.replace(/\./g, '_')) || 'unknown';
+    return `${name}_${studentId}`;
+}
+
+/**
+ * 제출 현황 manifest CSV 생성 (DB 접근 없음)
+ * @param {Object[]} students - loadArchiveStudents 결과
+ * @returns {string} CSV 문자열
+ */
+function buildManifestCsv(students) {
+    const headers = ['학생 ID', '이름', '이메일', '폴더', '제출 여부', '제출 시각', '지각 여부', '지각(분)', '연장 마감일', '파일 수', '파일 목록'];
+    const rows = students.map(student => {
+        const fileKeys = extractFileKeys(student.submission_data);
+        return [
+            student.student_id,
+            student.student_name,
+            student.student_email,
+            studentFolderName(student.student_name, student.student_id),
+            student.submission_date ? 'Y' : 'N',
+            student.submission_date ? new Date(student.submission_date).toISOString() : null,
+            student.submission_date ? (student.is_late ? 'Y' : 'N') : null,
+            student.late_minutes,
+            student.extended_due_date ? new Date(student.extended_due_date).toISOString() : null,
+            fileKeys.length,
+            fileKeys.map(fileKey => fileKey.split('/').pop()).join('; ')
+        ];
+    });
+
+    return gradebookToCsv({ headers, rows });
+}
+
+/**
+ * 평가 항목 수강생의 제출 현황 조회 (미제출 학생 포함)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} item - 평가 항목 (item_id, course_id, due_date)
+ * @returns {Promise<Object[]>} 학생별 제출 현황
+ */
+async function loadArchiveStudents(client, item) {
+    const result = await client.query(`
+        SELECT
+            e.student_id,
+            u.name AS student_name,
+            u.email AS student_email,
+            sg.submission_date,
+            COALESCE(sg.submission_data, '{}') AS submission_data,
+            COALESCE(sg.is_late, sg.submission_date > COALESCE(ax.due_date, $3), false) AS is_late,
+            sg.late_minutes,
+            ax.due_date AS extended_due_date
+        FROM ${SCHEMAS.ENROLLMENT}.enrollments e
+        JOIN ${SCHEMAS.AUTH}.users u ON e.student_id = u.cognito_user_id
+        LEFT JOIN ${SCHEMAS.GRADE}.student_grades sg
+            ON sg.enrollment_id = e.id AND sg.item_id = $2
+        LEFT JOIN ${SCHEMAS.GRADE}.assignment_extensions ax
+            ON ax.student_id = e.student_id AND ax.item_id = $2
+        WHERE e.course_id = $1 AND e.status = 'ACTIVE'
+        ORDER BY u.name ASC, e.student_id ASC
+    `, [item.course_id, item.item_id, item.due_date]);
+
+    return result.rows;
+}
+
+// 항목이 ZIP에 기록될 때까지 대기 (S3 연결을 한 번에 하나만 열도록 순서대로 추가)
+function appendEntry(archive, source, name) {
+    return new Promise((resolve, reject) => {
+        const onEntry = (entry) => {
+            if (entry.name !== name) return;
+            archive.off('entry', onEntry);
+            archive.off('error', onError);
+            resolve();
+        };
+        const onError = (error) => {
+            archive.off('entry', onEntry);
+            reject(error);
+        };
+        archive.on('entry', onEntry);
+        archive.once('error', onError);
+        archive.append(source, { name });
+    });
+}
+
+// 같은 폴더 안에서 파일 이름이 겹치지 않도록 번호 추가
+function uniqueEntryName(usedNames, folder, fileName) {
+    const extension = path.extname(fileName);
+    const base = fileName.slice(0, fileName.length - extension.length);
+    let candidate = `${folder}/${fileName}`;
+    for (let index = 2; usedNames.has(candidate); index++) {
+        candidate = `${folder}/${base} (${index})${extension}`;
+    }
+    usedNames.add(candidate);
+    return candidate;
+}
+
+/**
+ * 학생별 폴더와 manifest.csv로 구성된 ZIP을 임시 파일로 생성
+ * @param {Object[]} students - loadArchiveStudents 결과
+ * @param {string} outputPath - ZIP 파일 경로
+ * @returns {Promise<Object>} { fileCount, missingFiles: [{ studentId, fileKey, reason }] }
+ */
+async function writeSubmissionZip(students, outputPath) {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const closed = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        output.on('error', reject);
+        archive.on('error', reject);
+    });
+    // 항목 추가 중 실패하면 closed는 기다리지 않으므로 처리되지 않은 거부로 남지 않도록 함
+    closed.catch(() => {});
+    archive.pipe(output);
+
+    const usedNames = new Set();
+    const missingFiles = [];
+    let fileCount = 0;
+
+    try {
+        for (const student of students) {
+            const folder = studentFolderName(student.student_name, student.student_id);
+
+            for (const fileKey of extractFileKeys(student.submission_data)) {
+                let response;
+                try {
+                    response = await s3Client.send(new GetObjectCommand({ Bucket: bucketName(), Key: fileKey }));
+                } catch (error) {
+                    missingFiles.push({ studentId: student.student_id, fileKey, reason: error.name || error.message });
+                    continue;
+                }
+
+                const entryName = uniqueEntryName(usedNames, folder, sanitizePathComponent(fileKey.split('/').pop()) || 'file');
+                await appendEntry(archive, response.Body, entryName);
+                fileCount++;
+            }
+        }
+
+        await appendEntry(archive, buildManifestCsv(students), MANIFEST_FILE_NAME);
+        await Promise.all([archive.finalize(), closed]);
+    } catch (error) {
+        archive.abort();
+        output.destroy();
+        throw error;
+    }
+
+    return { fileCount, missingFiles };
+}
+
+/**
+ * 대기 중인 제출물 ZIP 생성 작업 실행
+ * 요청 처리와 분리해 백그라운드에서 호출하며, 생성한 ZIP을 S3에 업로드한 뒤 작업을 완료 처리함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} archiveId - 작업 ID
+ * @returns {Promise<Object|null>} 완료된 작업 (이미 다른 작업이 실행 중이면 null)
+ */
+async function buildSubmissionArchive(client, archiveId) {
+    const claimed = await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.submission_archives sa
+        SET status = $1, started_at = CURRENT_TIMESTAMP, error_message = NULL
+        FROM ${SCHEMAS.GRADE}.grade_items gi
+        WHERE sa.archive_id = $2 AND sa.status = $3 AND gi.item_id = sa.item_id
+        RETURNING sa.*, gi.course_id, gi.item_name, gi.due_date
+    `, [ARCHIVE_STATUS.RUNNING, archiveId, ARCHIVE_STATUS.PENDING]);
+
+    if (claimed.rows.length === 0) {
+        return null;
+    }
+
+    const job = claimed.rows[0];
+    const tempPath = path.join(os.tmpdir(), `submissions-${job.item_id}-${archiveId}-${Date.now()}.zip`);
+
+    try {
+        const students = await loadArchiveStudents(client, job);
+        const { fileCount, missingFiles } = await writeSubmissionZip(students, tempPath);
+
+        const s3Key = `${job.course_id}/archives/assignments/${job.item_id}/submissions-${archiveId}.zip`;
+        await s3Client.send(new PutObjectCommand({
+            Bucket: bucketName(),
+            Key: s3Key,
+            Body: fs.createReadStream(tempPath),
+            ContentLength: fs.statSync(tempPath).size,
+            ContentType: 'application/zip'
+        }));
+
+        const completed = await client.query(`
+            UPDATE ${SCHEMAS.GRADE}.submission_archives
+            SET status = $1, s3_key = $2, student_count = $3, file_count = $4, missing_files = $5,
+                completed_at = CURRENT_TIMESTAMP
+            WHERE archive_id = $6
+            RETURNING *
+        `, [
+            ARCHIVE_STATUS.COMPLETED,
+            s3Key,
+            students.filter(student => student.submission_date).length,
+            fileCount,
+            JSON.stringify(missingFiles),
+            archiveId
+        ]);
+
+        return completed.rows[0];
+    } catch (error) {
+        await client.query(`
+            UPDATE ${SCHEMAS.GRADE}.submission_archives
+            SET status = $1, error_message = $2, completed_at = CURRENT_TIMESTAMP
+            WHERE archive_id = $3
+        `, [ARCHIVE_STATUS.FAILED, error.message, archiveId]);
+        throw error;
+    } finally {
+        fs.promises.unlink(tempPath).catch(() => {});
+    }
+}
+
+/**
+ * 오래 RUNNING 상태로 남은 작업을 대기 상태로 되돌림 (서버 재시작 등으로 생성이 중단된 경우)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} archiveId - 작업 ID
+ * @returns {Promise<boolean>} 되돌렸는지 여부
+ */
+async function requeueStaleSubmissionArchive(client, archiveId) {
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.GRADE}.submission_archives
+        SET status = $1, started_at = NULL, error_message = '작업 응답 없음 (다시 생성)'
+        WHERE archive_id = $2 AND status = $3
+        AND started_at < NOW() - make_interval(mins => $4)
+    `, [ARCHIVE_STATUS.PENDING, archiveId, ARCHIVE_STATUS.RUNNING, STALE_RUNNING_MINUTES]);
+
+    return result.rowCount > 0;
+}
+
+/**
+ * 완료된 ZIP의 다운로드 URL 생성
+ * @param {Object} archive - submission_archives 행
+ * @param {string} itemName - 평가 항목 이름 (다운로드 파일 이름)
+ * @returns {Promise<string>} Presigned URL
+ */
+async function generateArchiveDownloadUrl(archive, itemName) {
+    const fileName = `${sanitizePathComponent(itemName || 'submissions') || 'submissions'}-제출물.zip`;
+    return getSignedUrl(
+        s3Client,
+        new GetObjectCommand({
+            Bucket: bucketName(),
+            Key: archive.s3_key,
+            ResponseContentDisposition: `attachment; filename="${encodeURIComponent(fileName)}"`
+        }),
+        { expiresIn: DOWNLOAD_URL_EXPIRES_IN }
+    );
+}
+
+module.exports = {
+    ARCHIVE_STATUS,
+    studentFolderName,
+    buildManifestCsv,
+    loadArchiveStudents,
+    writeSubmissionZip,
+    buildSubmissionArchive,
+    requeueStaleSubmissionArchive,
+    generateArchiveDownloadUrl
+};
@@ -0,0 +1,193 @@
+/**
+ * 성적 관리 시스템 - 제출물 피드백 첨부 파일과 위치 지정 코멘트
+ * 2026-10-19
+ *
+ * 채점자가 첨삭 파일을 돌려주고 제출 파일의 페이지/줄에 코멘트를 남길 수 있도록 하며,
+ * 모든 추가·수정·삭제 작업을 feedback_audit_logs에 기록함
+ */
+
+const { GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { s3Client } = require('../config/s3');
+const { SCHEMAS } = require('../config/database');
+const { extractFileKeys } = require('./submission-version');
+
+const FEEDBACK_ACTIONS = {
+    ATTACHMENT_ADDED: 'ATTACHMENT_ADDED',
+    ATTACHMENT_DELETED: 'ATTACHMENT_DELETED',
+    COMMENT_CREATED: 'COMMENT_CREATED',
+    COMMENT_UPDATED: 'COMMENT_UPDATED',
+    COMMENT_DELETED: 'COMMENT_DELETED'
+};
+
+// 조별 과제는 조원 중 한 명의 제출물에 남긴 피드백을 조원 모두에게 보여줌
+const SHARED_GRADE_IDS = `
+    SELECT g2.grade_id
+    FROM ${SCHEMAS.GRADE}.student_grades g1
+    JOIN ${SCHEMAS.GRADE}.student_grades g2
+        ON g2.item_id = g1.item_id
+        AND (g2.grade_id = g1.grade_id OR (g1.group_id IS NOT NULL AND g2.group_id = g1.group_id))
+    WHERE g1.grade_id = $1
+`;
+
+/**
+ * 피드백 첨부 파일 업로드 경로
+ * @param {string} courseId - 강좌 ID
+ * @param {number} gradeId - 학생 성적(제출물) ID
+ * @returns {string} S3 prefix
+ */
+function feedbackAttachmentPrefix(courseId, gradeId) {
+    return `feedback/${courseId}/${gradeId}`;
+}
+
+/**
+ * 코멘트 위치 검증 ({ page, line, lineEnd } 모두 선택, 1 이상의 정수)
+ * @param {Object} anchor - 코멘트 위치
+ * @returns {string[]} 오류 메시지 목록
+ */
+function validateCommentAnchor(anchor) {
+    if (anchor === undefined || anchor === null) {
+        return [];
+    }
+    if (typeof anchor !== 'object' || Array.isArray(anchor)) {
+        return ['코멘트 위치 형식이 올바르지 않습니다.'];
+    }
+
+    const errors = [];
+    ['page', 'line', 'lineEnd'].forEach(key => {
+        if (anchor[key] !== undefined && anchor[key] !== null && !(Number.isInteger(anchor[key]) && anchor[key] >= 1)) {
+            errors.push(`${key}는 1 이상의 정수여야 합니다.`);
+        }
+    });
+    if (Number.isInteger(anchor.lineEnd) && !Number.isInteger(anchor.line)) {
+        errors.push('lineEnd는 line과 함께 지정해야 합니다.');
+    } else if (Number.isInteger(anchor.lineEnd) && anchor.lineEnd < anchor.line) {
+        errors.push('lineEnd는 line보다 작을 수 없습니다.');
+    }
+
+    return errors;
+}
+
+// 저장할 코멘트 위치 (지정한 값만 보관)
+function normalizeAnchor(anchor) {
+    const normalized = {};
+    ['page', 'line', 'lineEnd'].forEach(key => {
+        if (anchor && Number.isInteger(anchor[key])) normalized[key] = anchor[key];
+    });
+    return normalized;
+}
+
+/**
+ * 제출물(모든 버전 포함)에 해당 파일이 있는지 확인
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} submission - student_grades 행 (grade_id, submission_data)
+ * @param {string} fileKey - 제출 파일 S3 키
+ * @returns {Promise<boolean>} 포함 여부
+ */
+async function isSubmissionFile(client, submission, fileKey) {
+    if (extractFileKeys(submission.submission_data).includes(fileKey)) {
+        return true;
+    }
+
+    const result = await client.query(`
+        SELECT 1 FROM ${SCHEMAS.GRADE}.submission_versions
+        WHERE grade_id = $1 AND $2 = ANY(file_keys)
+        LIMIT 1
+    `, [submission.grade_id, fileKey]);
+
+    return result.rows.length > 0;
+}
+
+/**
+ * 피드백 감사 로그 기록
+ * @param {Object} client - 데이터베이스 클라이언트 객체 (트랜잭션 내에서 호출)
+ * @param {number} gradeId - 학생 성적(제출물) ID
+ * @param {string} action - FEEDBACK_ACTIONS 값
+ * @param {string} actorId - 작업자 ID
+ * @param {number|null} targetId - 첨부 파일 또는 코멘트 ID
+ * @param {Object} [details] - 작업 내용
+ */
+async function recordFeedbackAudit(client, gradeId, action, actorId, targetId, details = {}) {
+    await client.query(`
+        INSERT INTO ${SCHEMAS.GRADE}.feedback_audit_logs (grade_id, action, target_id, actor_id, details)
+        VALUES ($1, $2, $3, $4, $5)
+    `, [gradeId, action, targetId, actorId, JSON.stringify(details)]);
+}
+
+/**
+ * 제출물의 피드백 첨부 파일(다운로드 URL 포함)과 코멘트 조회 (삭제된 항목 제외)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} gradeId - 학생 성적(제출물) ID
+ * @returns {Promise<Object>} { attachments, comments }
+ */
+async function getSubmissionFeedback(client, gradeId) {
+    const attachmentsResult = await client.query(`
+        SELECT fa.attachment_id, fa.grade_id, fa.file_key, fa.file_name, fa.uploaded_by,
+            u.name AS uploaded_by_name, fa.created_at
+        FROM ${SCHEMAS.GRADE}.feedback_attachments fa
+        LEFT JOIN ${SCHEMAS.AUTH}.users u ON fa.uploaded_by = u.cognito_user_id
+        WHERE fa.grade_id IN (${SHARED_GRADE_IDS}) AND fa.deleted_at IS NULL
+        ORDER BY fa.created_at ASC
+    `, [gradeId]);
+
+    const commentsResult = await client.query(`
+        SELECT fc.comment_id, fc.grade_id, fc.version_id, sv.version_number, fc.file_key, fc.anchor, fc.body,
+            fc.created_by, u.name AS created_by_name, fc.created_at, fc.updated_at
+        FROM ${SCHEMAS.GRADE}.feedback_comments fc
+        LEFT JOIN ${SCHEMAS.GRADE}.submission_versions sv ON fc.version_id = sv.version_id
+        LEFT JOIN ${SCHEMAS.AUTH}.users u ON fc.created_by = u.cognito_user_id
+        WHERE fc.grade_id IN (${SHARED_GRADE_IDS}) AND fc.deleted_at IS NULL
+        ORDER BY fc.file_key ASC, (fc.anchor->>'page')::int NULLS FIRST, (fc.anchor->>'line')::int NULLS FIRST, fc.created_at ASC
+    `, [gradeId]);
+
+    const bucketName = process.env.S3_BUCKET_NAME || 'nationslablmscoursebucket';
+    const attachments = await Promise.all(attachmentsResult.rows.map(async (attachment) => ({
+        ...attachment,
+        downloadUrl: await getSignedUrl(
+            s3Client,
+            new GetObjectCommand({
+                Bucket: bucketName,
+                Key: attachment.file_key,
+                ResponseContentDisposition: `attachment; filename="${encodeURIComponent(attachment.file_name)}"`
+            }),
+            { expiresIn: 3600 }
+        )
+    })));
+
+    return {
+        attachments,
+        comments: commentsResult.rows.map(comment => ({
+            ...comment,
+            file_name: comment.file_key.split('/').pop()
+        }))
+    };
+}
+
+/**
+ * 제출물의 피드백 감사 로그 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} gradeId - 학생 성적(제출물) ID
+ * @returns {Promise<Object[]>} 감사 로그 (최신순)
+ */
+async function getFeedbackAuditLogs(client, gradeId) {
+    const result = await client.query(`
+        SELECT l.*, u.name AS actor_name
+        FROM ${SCHEMAS.GRADE}.feedback_audit_logs l
+        LEFT JOIN ${SCHEMAS.AUTH}.users u ON l.actor_id = u.cognito_user_id
+        WHERE l.grade_id IN (${SHARED_GRADE_IDS})
+        ORDER BY l.created_at DESC, l.log_id DESC
+    `, [gradeId]);
+
+    return result.rows;
+}
+
+module.exports = {
+    FEEDBACK_ACTIONS,
+    feedbackAttachmentPrefix,
+    validateCommentAnchor,
+    normalizeAnchor,
+    isSubmissionFile,
+    recordFeedbackAudit,
+    getSubmissionFeedback,
+    getFeedbackAuditLogs
+};
@@ -0,0 +1,114 @@
+/**
+ * 성적 관리 시스템 - 과제 제출 버전 관리
+ * 2026-10-19
+ *
+ * 재제출 시 이전 제출 내용을 덮어쓰지 않도록 제출마다 수정 불가능한 버전을 남기고,
+ * 버전 간 제출 내용과 파일 변경을 비교함
+ */
+
+const { SCHEMAS } = require('../config/database');
+
+// 파일 항목에서 S3 키 추출 (문자열 또는 { fileKey } / { key } 형태 지원)
+const fileKeyOf = (file) => {
+    if (typeof file === 'string') return file;
+    if (file && typeof file === 'object') return file.fileKey || file.key || null;
+    return null;
+};
+
+/**
+ * 제출 데이터의 S3 파일 키 목록
+ * @param {Object} submissionData - 제출 데이터
+ * @returns {string[]} 파일 키 목록
+ */
+function extractFileKeys(submissionData) {
+    const files = submissionData && Array.isArray(submissionData.files) ? submissionData.files : [];
+    return files.map(fileKeyOf).filter(Boolean);
+}
+
+/**
+ * 새 제출 버전 생성
+ * @param {Object} client - 데이터베이스 클라이언트 객체 (트랜잭션 내에서 호출)
+ * @param {number} gradeId - 학생 성적(제출물) ID
+ * @param {Object} submissionData - 제출 데이터
+ * @param {Object} lateStatus - evaluateLateSubmission 결과 ({ isLate, lateMinutes, penaltyPercent })
+ * @returns {Promise<Object>} 생성된 버전
+ */
+async function createSubmissionVersion(client, gradeId, submissionData, lateStatus = {}) {
+    const result = await client.query(`
+        INSERT INTO ${SCHEMAS.GRADE}.submission_versions
+        (grade_id, version_number, submission_data, file_keys, submitted_at, is_late, late_minutes, late_penalty_percent)
+        SELECT $1, COALESCE(MAX(version_number), 0) + 1, $2, $3, NOW(), $4, $5, $6
+        FROM ${SCHEMAS.GRADE}.submission_versions
+        WHERE grade_id = $1
+        RETURNING *
+    `, [
+        gradeId,
+        submissionData,
+        extractFileKeys(submissionData),
+        lateStatus.isLate || false,
+        lateStatus.lateMinutes || 0,
+        lateStatus.penaltyPercent || 0
+    ]);
+
+    return result.rows[0];
+}
+
+/**
+ * 제출물의 버전 기록 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {number} gradeId - 학생 성적(제출물) ID
+ * @returns {Promise<Object[]>} 버전 목록 (버전 번호 순)
+ */
+async function getSubmissionVersions(client, gradeId) {
+    const result = await client.query(`
+        SELECT *
+        FROM ${SCHEMAS.GRADE}.submission_versions
+        WHERE grade_id = $1
+        ORDER BY version_number ASC
+    `, [gradeId]);
+
+    return result.rows;
+}
+
+/**
+ * 두 제출 버전 비교 (DB 접근 없음)
+ * @param {Object} fromVersion - 이전 버전
+ * @param {Object} toVersion - 비교할 버전
+ * @returns {Object} { from, to, fields: [{ field, from, to }], files: { added, removed, unchanged } }
+ */
+function diffSubmissionVersions(fromVersion, toVersion) {
+    const fromData = fromVersion.submission_data || {};
+    const toData = toVersion.submission_data || {};
+
+    // 파일 목록을 제외한 제출 항목(설명 등)의 변경 사항
+    const fieldNames = new Set([...Object.keys(fromData), ...Object.keys(toData)]);
+    fieldNames.delete('files');
+    const fields = [...fieldNames]
+        .filter(field => JSON.stringify(fromData[field]) !== JSON.stringify(toData[field]))
+        .map(field => ({
+            field,
+            from: fromData[field] === undefined ? null : fromData[field],
+            to: toData[field] === undefined ? null : toData[field]
+        }));
+
+    const fromKeys = new Set(fromVersion.file_keys || []);
+    const toKeys = new Set(toVersion.file_keys || []);
+
+    return {
+        from: { version_id: fromVersion.version_id, version_number: fromVersion.version_number, submitted_at: fromVersion.submitted_at },
+        to: { version_id: toVersion.version_id, version_number: toVersion.version_number, submitted_at: toVersion.submitted_at },
+        fields,
+        files: {
+            added: [...toKeys].filter(key => !fromKeys.has(key)),
+            removed: [...fromKeys].filter(key => !toKeys.has(key)),
+            unchanged: [...toKeys].filter(key => fromKeys.has(key))
+        }
+    };
+}
+
+module.exports = {
+    extractFileKeys,
+    createSubmissionVersion,
+    getSubmissionVersions,
+    diffSubmissionVersions
+};
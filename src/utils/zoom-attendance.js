@@ -0,0 +1,349 @@
+/**
+ * 성적 관리 시스템 - Zoom 참가 기록 기반 자동 출석 처리
+ * 2026-10-19
+ *
+ * 웹훅으로 수집한 참가자 입·퇴장 기록(zoom_meeting_participants)을 수강생과 연결하고,
+ * 재접속 구간을 합쳐 회차별 참여 시간을 계산한 뒤 미팅 종료 시 attendance_records에 기록함
+ */
+
+const { SCHEMAS } = require('../config/database');
+const { updateCourseFinalGrades } = require('./grade-calculator');
+const { getGradeLock } = require('./grade-lock');
+const { ATTENDANCE_STATUS, getAttendancePolicy, computeAttendanceStatus } = require('./attendance-policy');
+const { IDENTITY_TYPE, getIdentityLookup, lookupIdentity } = require('./zoom-identity');
+
+const ATTENDANCE_RECORD_SOURCE = {
+    MANUAL: 'MANUAL',
+    ZOOM: 'ZOOM'
+};
+
+// 출석 날짜는 한국 시간 기준
+const attendanceDateFormat = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'Asia/Seoul',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+});
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+/**
+ * 접속 구간을 회차 시간 안으로 자르고 겹치는 구간(재접속, 여러 기기 동시 접속)을 합침
+ * @param {Object[]} segments - [{ join_time, leave_time }] (leave_time이 없으면 회차 종료 시각까지 접속한 것으로 봄)
+ * @param {Date} sessionStart - 회차 시작 시각
+ * @param {Date} sessionEnd - 회차 종료 시각
+ * @returns {Object} { intervals, seconds, firstJoin, lastLeave, segmentCount }
+ */
+function mergeSegments(segments, sessionStart, sessionEnd) {
+    const startMs = new Date(sessionStart).getTime();
+    const endMs = new Date(sessionEnd).getTime();
+
+    const clipped = segments
+        .map(segment => {
+            const join = Math.max(new Date(segment.join_time).getTime(), startMs);
+            const leave = Math.min(segment.leave_time ? new Date(segment.leave_time).getTime() : endMs, endMs);
+            return [join, leave];
+        })
+        .filter(([join, leave]) => !Number.isNaN(join) && !Number.isNaN(leave) && leave > join)
+        .sort((a, b) => a[0] - b[0]);
+
+    const intervals = [];
+    clipped.forEach(([join, leave]) => {
+        const last = intervals[intervals.length - 1];
+        if (last && join <= last[1]) {
+            last[1] = Math.max(last[1], leave);
+        } else {
+            intervals.push([join, leave]);
+        }
+    });
+
+    const seconds = Math.round(intervals.reduce((sum, [join, leave]) => sum + (leave - join), 0) / 1000);
+
+    return {
+        intervals,
+        seconds,
+        firstJoin: intervals.length > 0 ? new Date(intervals[0][0]) : null,
+        lastLeave: intervals.length > 0 ? new Date(intervals[intervals.length - 1][1]) : null,
+        segmentCount: segments.length
+    };
+}
+
+/**
+ * Zoom 미팅 ID로 강좌 조회 (zoom_meetings 우선, 없으면 강좌의 zoom_link)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string|number} zoomMeetingId - Zoom 미팅 ID
+ * @returns {Promise<string|null>} 강좌 ID
+ */
+async function resolveMeetingCourseId(client, zoomMeetingId) {
+    const meetingResult = await client.query(`
+        SELECT course_id FROM ${SCHEMAS.COURSE}.zoom_meetings
+        WHERE zoom_meeting_id::text = $1::text AND course_id IS NOT NULL
+        LIMIT 1
+    `, [zoomMeetingId]);
+
+    if (meetingResult.rows.length > 0) {
+        return meetingResult.rows[0].course_id;
+    }
+
+    const courseResult = await client.query(`
+        SELECT id FROM ${SCHEMAS.COURSE}.courses
+        WHERE zoom_link ~ ('/j/' || $1::text || '([^0-9]|$)')
+        LIMIT 1
+    `, [zoomMeetingId]);
+
+    return courseResult.rows.length > 0 ? courseResult.rows[0].id : null;
+}
+
+/**
+ * 강좌의 Zoom 미팅 ID 조회 (zoom_meetings의 최근 미팅 우선, 없으면 강좌의 zoom_link)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @returns {Promise<string|null>} Zoom 미팅 ID
+ */
+async function resolveCourseMeetingId(client, courseId) {
+    const meetingResult = await client.query(`
+        SELECT zoom_meeting_id FROM ${SCHEMAS.COURSE}.zoom_meetings
+        WHERE course_id = $1 AND zoom_meeting_id IS NOT NULL
+        ORDER BY start_time DESC NULLS LAST
+        LIMIT 1
+    `, [courseId]);
+
+    if (meetingResult.rows.length > 0) {
+        return String(meetingResult.rows[0].zoom_meeting_id);
+    }
+
+    const courseResult = await client.query(`
+        SELECT zoom_link FROM ${SCHEMAS.COURSE}.courses WHERE id = $1
+    `, [courseId]);
+
+    const match = courseResult.rows[0]?.zoom_link?.match(/\/j\/(\d+)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * 미팅 회차 시작 기록 (같은 회차의 중복 이벤트는 무시)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} meeting - { meetingUuid, zoomMeetingId, topic, startTime }
+ */
+async function recordMeetingSessionStart(client, { meetingUuid, zoomMeetingId, topic, startTime }) {
+    const courseId = await resolveMeetingCourseId(client, zoomMeetingId);
+
+    await client.query(`
+        INSERT INTO ${SCHEMAS.COURSE}.zoom_meeting_sessions (meeting_uuid, zoom_meeting_id, course_id, topic, start_time)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (meeting_uuid) DO NOTHING
+    `, [meetingUuid, String(zoomMeetingId), courseId, topic || null, startTime]);
+}
+
+/**
+ * 미팅 회차 종료 기록 (시작 이벤트를 받지 못한 회차도 생성)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} meeting - { meetingUuid, zoomMeetingId, topic, startTime, endTime }
+ */
+async function recordMeetingSessionEnd(client, { meetingUuid, zoomMeetingId, topic, startTime, endTime }) {
+    await recordMeetingSessionStart(client, { meetingUuid, zoomMeetingId, topic, startTime });
+
+    await client.query(`
+        UPDATE ${SCHEMAS.COURSE}.zoom_meeting_sessions
+        SET end_time = $1
+        WHERE meeting_uuid = $2
+    `, [endTime, meetingUuid]);
+}
+
+/**
+ * 회차 참가자를 수강생과 연결
+ * 개인 참가 링크의 등록자 ID, 관리자가 확인한 Zoom 계정 연결, 등록 이메일, 확인된 이메일 연결,
+ * 확인된 표시 이름 연결 순으로 찾음
+ * @param {Object[]} participants - zoom_meeting_participants 행
+ * @param {Object[]} students - [{ student_id, email, zoom_registrant_id }]
+ * @param {Map} identityLookup - 확인된 연결 (getIdentityLookup 결과, 없으면 이메일로만 연결)
+ * @returns {Object} { segmentsByStudent: Map, unmatched: Object[] }
+ */
+function matchParticipants(participants, students, identityLookup = new Map()) {
+    const enrolled = new Set(students.map(student => student.student_id));
+    const studentsByEmail = new Map(
+        students.filter(student => student.email).map(student => [normalizeEmail(student.email), student.student_id])
+    );
+    const studentsByRegistrant = new Map(
+        students.filter(student => student.zoom_registrant_id).map(student => [student.zoom_registrant_id, student.student_id])
+    );
+
+    const segmentsByStudent = new Map();
+    const unmatched = new Map();
+
+    participants.forEach(participant => {
+        const email = normalizeEmail(participant.participant_email);
+        const studentId = [
+            participant.registrant_id ? studentsByRegistrant.get(participant.registrant_id) : null,
+            lookupIdentity(identityLookup, IDENTITY_TYPE.ZOOM_USER_ID, participant.participant_user_id),
+            email ? studentsByEmail.get(email) : null,
+            lookupIdentity(identityLookup, IDENTITY_TYPE.EMAIL, email),
+            lookupIdentity(identityLookup, IDENTITY_TYPE.DISPLAY_NAME, participant.participant_name)
+        ].find(candidate => candidate && enrolled.has(candidate));
+
+        if (studentId) {
+            if (!segmentsByStudent.has(studentId)) segmentsByStudent.set(studentId, []);
+            segmentsByStudent.get(studentId).push(participant);
+            return;
+        }
+
+        const zoomUserId = participant.participant_user_id || null;
+        const key = zoomUserId ? `id:${zoomUserId}` : (email || `name:${participant.participant_name}`);
+        if (!unmatched.has(key)) {
+            unmatched.set(key, { name: participant.participant_name, email, zoom_user_id: zoomUserId, segments: [] });
+        }
+        unmatched.get(key).segments.push(participant);
+    });
+
+    return { segmentsByStudent, unmatched: Array.from(unmatched.values()) };
+}
+
+/**
+ * 종료된 미팅 회차의 출석을 계산해 attendance_records에 기록하고 성적에 반영
+ * 결석한 수강생도 참여 시간 0으로 기록하며, 직접 입력한 기록은 덮어쓰지 않음
+ * 성적이 확정된 강좌는 출석 기록을 쓰지 않고 grade_locked로 표시함 (재개방 후 회차 출석 재처리로 반영)
+ * 트랜잭션 내에서 호출해야 함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} meetingUuid - Zoom 미팅 회차 UUID
+ * @returns {Promise<Object|null>} 처리 결과 (강좌와 연결되지 않은 회차면 null)
+ */
+async function processSessionAttendance(client, meetingUuid) {
+    const sessionResult = await client.query(`
+        SELECT * FROM ${SCHEMAS.COURSE}.zoom_meeting_sessions
+        WHERE meeting_uuid = $1
+        FOR UPDATE
+    `, [meetingUuid]);
+
+    const session = sessionResult.rows[0];
+    if (!session || !session.course_id) {
+        return null;
+    }
+
+    // 회차 UUID가 없는 이전 기록은 회차 시간 안에 입장한 기록만 사용
+    const participantsResult = await client.query(`
+        SELECT participant_id, participant_name, participant_email, registrant_id, participant_user_id,
+            join_time, leave_time
+        FROM ${SCHEMAS.COURSE}.zoom_meeting_participants
+        WHERE meeting_uuid = $1
+        OR (
+            meeting_uuid IS NULL
+            AND meeting_id::text = $2
+            AND join_time >= $3
+            AND ($4::timestamptz IS NULL OR join_time <= $4)
+        )
+        ORDER BY join_time ASC
+    `, [meetingUuid, session.zoom_meeting_id, session.start_time, session.end_time]);
+
+    const participants = participantsResult.rows;
+    const sessionEnd = session.end_time
+        || participants.reduce((latest, p) => (p.leave_time && p.leave_time > latest ? p.leave_time : latest), session.start_time);
+    const totalSeconds = Math.max(0, Math.round((new Date(sessionEnd) - new Date(session.start_time)) / 1000));
+
+    const studentsResult = await client.query(`
+        SELECT e.student_id, u.email, e.zoom_registrant_id
+        FROM ${SCHEMAS.ENROLLMENT}.enrollments e
+        JOIN ${SCHEMAS.AUTH}.users u ON e.student_id = u.cognito_user_id
+        WHERE e.course_id = $1 AND e.status = 'ACTIVE'
+    `, [session.course_id]);
+
+    const identityLookup = await getIdentityLookup(client, session.course_id);
+    const { segmentsByStudent, unmatched } = matchParticipants(participants, studentsResult.rows, identityLookup);
+    const attendanceDate = attendanceDateFormat.format(new Date(session.start_time));
+    const policy = await getAttendancePolicy(client, session.course_id);
+    const gradeLock = await getGradeLock(client, session.course_id);
+
+    let recordedCount = 0;
+    for (const student of gradeLock.is_locked ? [] : studentsResult.rows) {
+        const merged = mergeSegments(segmentsByStudent.get(student.student_id) || [], session.start_time, sessionEnd);
+        const durationSeconds = Math.min(merged.seconds, totalSeconds);
+        const status = computeAttendanceStatus({
+            duration_seconds: durationSeconds,
+            total_duration_seconds: totalSeconds,
+            first_join_time: merged.firstJoin,
+            last_leave_time: merged.lastLeave,
+            session_start_time: session.start_time,
+            session_end_time: sessionEnd
+        }, policy);
+
+        // 공결로 처리된 회차는 다시 처리해도 공결 유지
+        const result = await client.query(`
+            INSERT INTO ${SCHEMAS.GRADE}.attendance_records
+            (student_id, course_id, session_type, session_id, duration_seconds, total_duration_seconds, attendance_date,
+             source, first_join_time, last_leave_time, segment_count, status, session_start_time, session_end_time)
+            VALUES ($1, $2, 'LIVE', $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            ON CONFLICT (student_id, course_id, session_id) DO UPDATE SET
+                duration_seconds = EXCLUDED.duration_seconds,
+                total_duration_seconds = EXCLUDED.total_duration_seconds,
+                attendance_date = EXCLUDED.attendance_date,
+                first_join_time = EXCLUDED.first_join_time,
+                last_leave_time = EXCLUDED.last_leave_time,
+                segment_count = EXCLUDED.segment_count,
+                status = CASE WHEN ${SCHEMAS.GRADE}.attendance_records.status = '${ATTENDANCE_STATUS.EXCUSED}'
+                    THEN ${SCHEMAS.GRADE}.attendance_records.status ELSE EXCLUDED.status END,
+                session_start_time = EXCLUDED.session_start_time,
+                session_end_time = EXCLUDED.session_end_time,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE ${SCHEMAS.GRADE}.attendance_records.source = $7
+            RETURNING record_id
+        `, [
+            student.student_id,
+            session.course_id,
+            meetingUuid,
+            durationSeconds,
+            totalSeconds,
+            attendanceDate,
+            ATTENDANCE_RECORD_SOURCE.ZOOM,
+            merged.firstJoin,
+            merged.lastLeave,
+            merged.segmentCount,
+            status,
+            session.start_time,
+            sessionEnd
+        ]);
+        recordedCount += result.rowCount;
+    }
+
+    const unmatchedSummary = unmatched.map(participant => ({
+        name: participant.name,
+        email: participant.email,
+        zoom_user_id: participant.zoom_user_id,
+        duration_seconds: mergeSegments(participant.segments, session.start_time, sessionEnd).seconds
+    }));
+
+    // 성적이 확정되어 출석을 기록하지 않은 회차는 처리 시각을 남기지 않아 재처리 대상으로 유지
+    await client.query(`
+        UPDATE ${SCHEMAS.COURSE}.zoom_meeting_sessions
+        SET attendance_processed_at = CASE WHEN $4 THEN attendance_processed_at ELSE CURRENT_TIMESTAMP END,
+            matched_count = $1,
+            unmatched_participants = $2
+        WHERE meeting_uuid = $3
+    `, [segmentsByStudent.size, JSON.stringify(unmatchedSummary), meetingUuid, gradeLock.is_locked]);
+
+    // 수강 중인 전체 학생의 출석이 바뀌므로 강좌 성적을 한 번에 재계산
+    if (!gradeLock.is_locked) {
+        await updateCourseFinalGrades(client, session.course_id);
+    }
+
+    return {
+        meeting_uuid: meetingUuid,
+        course_id: session.course_id,
+        total_duration_seconds: totalSeconds,
+        student_count: studentsResult.rows.length,
+        matched_count: segmentsByStudent.size,
+        recorded_count: recordedCount,
+        unmatched_participants: unmatchedSummary,
+        grade_locked: gradeLock.is_locked,
+        grades_updated: !gradeLock.is_locked
+    };
+}
+
+module.exports = {
+    ATTENDANCE_RECORD_SOURCE,
+    mergeSegments,
+    resolveMeetingCourseId,
+    resolveCourseMeetingId,
+    recordMeetingSessionStart,
+    recordMeetingSessionEnd,
+    matchParticipants,
+    processSessionAttendance
+};
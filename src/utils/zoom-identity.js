@@ -0,0 +1,266 @@
+/**
+ * 성적 관리 시스템 - Zoom 참가자와 LMS 사용자 연결
+ * 2026-10-19
+ *
+ * 관리자가 확인한 Zoom 계정 ID·이메일·표시 이름과 사용자(cognito_user_id)의 연결을 관리하고,
+ * 연결되지 않은 참가자에게 이름 유사도로 후보 수강생을 제안함
+ */
+
+const { SCHEMAS } = require('../config/database');
+
+// 연결할 수 있는 참가자 식별 정보 (매칭 우선순위 순)
+const IDENTITY_TYPE = {
+    ZOOM_USER_ID: 'ZOOM_USER_ID',
+    EMAIL: 'EMAIL',
+    DISPLAY_NAME: 'DISPLAY_NAME'
+};
+
+const SUGGESTION_MIN_SCORE = 0.6;
+
+/**
+ * 표시 이름 정규화 (소문자, 괄호 안 기기 표시 등 제거, 기호 제거, 공백 정리)
+ * @param {string} name - Zoom 표시 이름
+ * @returns {string|null} 정규화한 이름
+ */
+function normalizeDisplayName(name) {
+    if (!name) return null;
+    const normalized = String(name)
+        .toLowerCase()
+        .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim()
+        .replace(/\s+/g, ' ');
+    return normalized || null;
+}
+
+/**
+ * 식별 정보 종류별 값 정규화
+ * @param {string} type - IDENTITY_TYPE 값
+ * @param {string} value - 원래 값
+ * @returns {string|null} 정규화한 값
+ */
+function normalizeIdentityValue(type, value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    if (type === IDENTITY_TYPE.EMAIL) return String(value).trim().toLowerCase();
+    if (type === IDENTITY_TYPE.DISPLAY_NAME) return normalizeDisplayName(value);
+    return String(value).trim();
+}
+
+/**
+ * 참가 기록(또는 미연결 참가자 요약)의 식별 정보 목록
+ * @param {Object} participant - { participant_user_id, participant_email, participant_name } 또는 { zoom_user_id, email, name }
+ * @returns {Object[]} [{ type, value }] (정규화한 값, 매칭 우선순위 순)
+ */
+function participantIdentities(participant) {
+    return [
+        { type: IDENTITY_TYPE.ZOOM_USER_ID, value: participant.participant_user_id || participant.zoom_user_id },
+        { type: IDENTITY_TYPE.EMAIL, value: participant.participant_email || participant.email },
+        { type: IDENTITY_TYPE.DISPLAY_NAME, value: participant.participant_name || participant.name }
+    ]
+        .map(identity => ({ type: identity.type, value: normalizeIdentityValue(identity.type, identity.value) }))
+        .filter(identity => identity.value);
+}
+
+/**
+ * 강좌에 적용되는 연결 조회 (모든 강좌 공통 연결 + 해당 강좌 연결)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @returns {Promise<Map>} `${type}:${value}` → user_id (강좌 연결이 공통 연결보다 우선)
+ */
+async function getIdentityLookup(client, courseId) {
+    const result = await client.query(`
+        SELECT identity_type, identity_value, user_id
+        FROM ${SCHEMAS.COURSE}.zoom_identity_mappings
+        WHERE course_id IS NULL OR course_id = $1
+        ORDER BY (course_id IS NOT NULL) ASC
+    `, [courseId]);
+
+    return new Map(result.rows.map(row => [`${row.identity_type}:${row.identity_value}`, row.user_id]));
+}
+
+/**
+ * 연결 조회 맵에서 식별 정보에 연결된 사용자 찾기
+ * @param {Map} lookup - getIdentityLookup 결과
+ * @param {string} type - IDENTITY_TYPE 값
+ * @param {string} value - 원래 값
+ * @returns {string|null} 사용자 ID
+ */
+function lookupIdentity(lookup, type, value) {
+    const normalized = normalizeIdentityValue(type, value);
+    return normalized ? lookup.get(`${type}:${normalized}`) || null : null;
+}
+
+// 편집 거리 기반 유사도 (0~1)
+function similarityRatio(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * 두 이름의 유사도 (대소문자·공백·기호·어순 차이와 별명에 포함된 이름을 고려)
+ * @param {string} a - 이름
+ * @param {string} b - 이름
+ * @returns {number} 0~1
+ */
+function nameSimilarity(a, b) {
+    const left = normalizeDisplayName(a);
+    const right = normalizeDisplayName(b);
+    if (!left || !right) return 0;
+
+    const compact = (name) => name.replace(/ /g, '');
+    const sortedTokens = (name) => name.split(' ').sort().join('');
+
+    let score = Math.max(
+        similarityRatio(compact(left), compact(right)),
+        similarityRatio(sortedTokens(left), sortedTokens(right))
+    );
+
+    // "민수 (노트북)", "Minsu Kim TA"처럼 한쪽 이름이 다른 쪽에 그대로 포함된 경우
+    const [shorter, longer] = [compact(left), compact(right)].sort((x, y) => x.length - y.length);
+    if (shorter.length >= 2 && longer.includes(shorter)) {
+        score = Math.max(score, 0.85);
+    }
+
+    return Math.round(score * 100) / 100;
+}
+
+/**
+ * 미연결 참가자에게 후보 수강생 제안 (DB 접근 없음)
+ * @param {Object} participant - { name, email }
+ * @param {Object[]} students - [{ student_id, name, given_name, email }]
+ * @param {Object} options - { limit, minScore }
+ * @returns {Object[]} [{ student_id, name, email, score, reason }] (유사도 높은 순)
+ */
+function suggestStudents(participant, students, { limit = 3, minScore = SUGGESTION_MIN_SCORE } = {}) {
+    const emailLocal = (email) => (email ? String(email).toLowerCase().split('@')[0] : null);
+    const participantLocal = emailLocal(participant.email);
+
+    return students
+        .map(student => {
+            const nameScore = Math.max(
+                nameSimilarity(participant.name, student.name),
+                nameSimilarity(participant.name, student.given_name),
+                nameSimilarity(participant.name, emailLocal(student.email))
+            );
+            const emailScore = participantLocal && participantLocal === emailLocal(student.email) ? 0.95 : 0;
+
+            return {
+                student_id: student.student_id,
+                name: student.name || student.given_name,
+                email: student.email,
+                score: Math.max(nameScore, emailScore),
+                reason: emailScore > nameScore ? 'EMAIL' : 'NAME'
+            };
+        })
+        .filter(suggestion => suggestion.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * 식별 정보를 사용자와 연결 (이미 다른 사용자에게 연결된 값은 새 사용자로 변경)
+ * 트랜잭션 내에서 호출해야 함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} mapping - { userId, courseId(표시 이름 연결 범위), identities: [{ type, value }], actorId }
+ * @returns {Promise<Object[]>} 저장된 연결
+ */
+async function saveIdentityMappings(client, { userId, courseId = null, identities, actorId }) {
+    const saved = [];
+    for (const identity of identities) {
+        const value = normalizeIdentityValue(identity.type, identity.value);
+        if (!value) continue;
+
+        // Zoom 계정과 이메일은 모든 강좌에 적용, 표시 이름은 동명이인이 있을 수 있으므로 강좌별로만 연결
+        const scope = identity.type === IDENTITY_TYPE.DISPLAY_NAME ? courseId : null;
+
+        const result = await client.query(`
+            INSERT INTO ${SCHEMAS.COURSE}.zoom_identity_mappings
+            (identity_type, identity_value, course_id, user_id, confirmed_by)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (identity_type, identity_value, COALESCE(course_id, '')) DO UPDATE SET
+                user_id = EXCLUDED.user_id,
+                confirmed_by = EXCLUDED.confirmed_by,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [identity.type, value, scope, userId, actorId]);
+        saved.push(result.rows[0]);
+    }
+
+    return saved;
+}
+
+/**
+ * 연결 목록 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} filter - { userId, courseId } (courseId를 주면 공통 연결 포함)
+ * @returns {Promise<Object[]>} 연결 목록
+ */
+async function getIdentityMappings(client, { userId = null, courseId = null }) {
+    const result = await client.query(`
+        SELECT m.*, u.name AS user_name, u.email AS user_email, c.name AS confirmed_by_name
+        FROM ${SCHEMAS.COURSE}.zoom_identity_mappings m
+        JOIN ${SCHEMAS.AUTH}.users u ON m.user_id = u.cognito_user_id
+        LEFT JOIN ${SCHEMAS.AUTH}.users c ON m.confirmed_by = c.cognito_user_id
+        WHERE ($1::text IS NULL OR m.user_id = $1)
+        AND ($2::text IS NULL OR m.course_id IS NULL OR m.course_id = $2)
+        ORDER BY u.name, m.identity_type, m.identity_value
+    `, [userId, courseId]);
+
+    return result.rows;
+}
+
+/**
+ * 미연결 참가자 목록에 주어진 식별 정보가 있는 출석 처리 완료 회차 조회
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string[]} courseIds - 대상 강좌 ID 목록
+ * @param {Object[]} identities - [{ type, value }] (정규화한 값)
+ * @returns {Promise<string[]>} 회차 UUID 목록 (오래된 순)
+ */
+async function findSessionsWithUnmatchedIdentities(client, courseIds, identities) {
+    if (courseIds.length === 0 || identities.length === 0) return [];
+
+    const result = await client.query(`
+        SELECT meeting_uuid, unmatched_participants
+        FROM ${SCHEMAS.COURSE}.zoom_meeting_sessions
+        WHERE course_id = ANY($1::text[])
+        AND attendance_processed_at IS NOT NULL
+        AND jsonb_array_length(COALESCE(unmatched_participants, '[]'::jsonb)) > 0
+        ORDER BY start_time ASC
+    `, [courseIds]);
+
+    const wanted = new Set(identities.map(identity => `${identity.type}:${identity.value}`));
+    return result.rows
+        .filter(session => (session.unmatched_participants || []).some(participant =>
+            participantIdentities(participant).some(identity => wanted.has(`${identity.type}:${identity.value}`))
+        ))
+        .map(session => session.meeting_uuid);
+}
+
+module.exports = {
+    IDENTITY_TYPE,
+    normalizeDisplayName,
+    normalizeIdentityValue,
+    participantIdentities,
+    getIdentityLookup,
+    lookupIdentity,
+    nameSimilarity,
+    suggestStudents,
+    saveIdentityMappings,
+    getIdentityMappings,
+    findSessionsWithUnmatchedIdentities
+};
@@ -0,0 +1,354 @@
+/**
+ * 성적 관리 시스템 - Zoom 클라우드 녹화를 강좌 주차 VOD로 가져오기
+ * 2026-10-19
+ *
+ * recording.completed 웹훅으로 받은 녹화 파일을 회차 날짜로 계산한 주차 폴더({courseId}/{week}주차/)에
+ * 저장해 주차별 강의 자료로 등록함 (파일별 가져오기 대기열, 실패 시 재시도)
+ */
+
+const axios = require('axios');
+const { PutObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const { s3Client } = require('../config/s3');
+const { SCHEMAS } = require('../config/database');
+const { sanitizePathComponent } = require('./s3');
+const { resolveMeetingCourseId } = require('./zoom-attendance');
+
+const BUCKET_NAME = 'nationslablmscoursebucket';
+
+const IMPORT_STATUS = {
+    PENDING: 'PENDING',
+    IMPORTING: 'IMPORTING',
+    IMPORTED: 'IMPORTED',
+    FAILED: 'FAILED'
+};
+
+// 가져오는 녹화 파일 종류와 Content-Type (타임라인 등 나머지 파일은 가져오지 않음)
+const IMPORTED_FILE_TYPES = {
+    MP4: 'video/mp4',
+    M4A: 'audio/mp4',
+    TRANSCRIPT: 'text/vtt',
+    CC: 'text/vtt',
+    CHAT: 'text/plain'
+};
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 60 * 60;
+const STALE_IMPORTING_MINUTES = 60;
+
+// 웹훅 download_token 유효 시간
+const DOWNLOAD_TOKEN_TTL_HOURS = 24;
+
+// 주차와 파일 이름은 한국 시간 기준
+const kstPartsFormat = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'Asia/Seoul',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+const kstParts = (date) => Object.fromEntries(
+    kstPartsFormat.formatToParts(new Date(date)).map(part => [part.type, part.value])
+);
+
+// 한국 시간 날짜의 일 단위 번호 (날짜 차이 계산용)
+const kstDayNumber = (date) => {
+    const { year, month, day } = kstParts(date);
+    return Date.UTC(Number(year), Number(month) - 1, Number(day)) / (24 * 60 * 60 * 1000);
+};
+
+/**
+ * 회차 날짜의 주차 (강좌 첫 수업일부터 7일 단위, 1주차부터)
+ * @param {Date|string} sessionStart - 회차 시작 시각
+ * @param {Date|string} firstSessionStart - 강좌 첫 수업 시작 시각
+ * @param {number|null} weeksCount - 강좌 주차 수 (있으면 마지막 주차를 넘지 않음)
+ * @returns {number} 주차
+ */
+function sessionWeekNumber(sessionStart, firstSessionStart, weeksCount = null) {
+    const days = kstDayNumber(sessionStart) - kstDayNumber(firstSessionStart);
+    const week = Math.max(1, Math.floor(days / 7) + 1);
+    return weeksCount ? Math.min(week, weeksCount) : week;
+}
+
+/**
+ * 강좌의 회차 주차 계산 (첫 수업은 수업 일정, 예약된 미팅, 진행된 회차 중 가장 이른 시각)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} courseId - 강좌 ID
+ * @param {Date|string} sessionStart - 회차 시작 시각
+ * @returns {Promise<number>} 주차
+ */
+async function getCourseWeekNumber(client, courseId, sessionStart) {
+    const result = await client.query(`
+        SELECT c.weeks_count,
+            LEAST(
+                (SELECT MIN(COALESCE(original_start_time, start_time)) FROM ${SCHEMAS.COURSE}.course_sessions WHERE course_id = c.id),
+                (SELECT MIN(start_time) FROM ${SCHEMAS.COURSE}.zoom_meetings WHERE course_id = c.id),
+                (SELECT MIN(start_time) FROM ${SCHEMAS.COURSE}.zoom_meeting_sessions WHERE course_id = c.id)
+            ) AS first_start_time
+        FROM ${SCHEMAS.COURSE}.courses c
+        WHERE c.id = $1
+    `, [courseId]);
+
+    const course = result.rows[0] || {};
+    return sessionWeekNumber(sessionStart, course.first_start_time || sessionStart, course.weeks_count || null);
+}
+
+/**
+ * 녹화 파일의 저장 파일 이름 (zoom_YYYY-MM-DD_HHmm_녹화종류.확장자, 한국 시간)
+ * 주차 자료 목록은 첫 마침표 앞 이름으로 파일을 묶으므로 이름에 마침표를 쓰지 않음
+ * @param {Object} file - Zoom recording_files 항목
+ * @param {Date|string} sessionStart - 회차 시작 시각 (파일 녹화 시작 시각이 없을 때 사용)
+ * @returns {string} 파일 이름
+ */
+function recordingFileName(file, sessionStart) {
+    const { year, month, day, hour, minute } = kstParts(file.recording_start || sessionStart);
+    const kind = String(file.recording_type || file.file_type).replace(/[^A-Za-z0-9_-]+/g, '_');
+    const extension = String(file.file_extension || file.file_type).toLowerCase();
+    return `zoom_${year}-${month}-${day}_${hour}${minute}_${kind}.${extension}`;
+}
+
+/**
+ * 회차 녹화 파일을 가져오기 대기열에 등록 (이미 가져온 파일은 유지, 실패한 파일은 새 다운로드 정보로 다시 대기)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} recording - Zoom 녹화 정보 (웹훅 payload.object 또는 녹화 조회 API 응답)
+ * @param {Object} download - { token, expiresAt } 다운로드 토큰
+ * @returns {Promise<Object|null>} { course_id, week_number, files } (강좌를 찾지 못하면 null)
+ */
+async function registerRecordingFiles(client, recording, { token = null, expiresAt = null } = {}) {
+    const courseId = await resolveMeetingCourseId(client, recording.id);
+    if (!courseId) {
+        return null;
+    }
+
+    // 수업 회차와 연결된 회차는 수업 일정의 주차 사용
+    const sessionResult = await client.query(`
+        SELECT zs.start_time, cs.week_number
+        FROM ${SCHEMAS.COURSE}.zoom_meeting_sessions zs
+        LEFT JOIN ${SCHEMAS.COURSE}.course_sessions cs ON cs.session_id = zs.course_session_id
+        WHERE zs.meeting_uuid = $1
+    `, [recording.uuid]);
+    const sessionStart = sessionResult.rows[0]?.start_time || recording.start_time;
+    const weekNumber = sessionResult.rows[0]?.week_number
+        || await getCourseWeekNumber(client, courseId, sessionStart);
+
+    const files = [];
+    for (const file of recording.recording_files || []) {
+        if (!IMPORTED_FILE_TYPES[file.file_type] || !file.download_url) continue;
+        if (file.status && file.status !== 'completed') continue;
+
+        // generateVodUploadUrls와 같은 경로: {courseId}/{weekNumber}주차/{fileName}
+        const s3Key = `${courseId}/${weekNumber}주차/${sanitizePathComponent(recordingFileName(file, sessionStart))}`;
+
+        const result = await client.query(`
+            INSERT INTO ${SCHEMAS.COURSE}.zoom_recording_imports
+            (recording_file_id, meeting_uuid, zoom_meeting_id, course_id, week_number, recording_type,
+             file_type, file_extension, file_size, recording_start, recording_end,
+             download_url, download_token, download_token_expires_at, s3_key)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+            ON CONFLICT (recording_file_id) DO UPDATE SET
+                download_url = EXCLUDED.download_url,
+                download_token = EXCLUDED.download_token,
+                download_token_expires_at = EXCLUDED.download_token_expires_at,
+                status = CASE WHEN zoom_recording_imports.status = $16 THEN $17 ELSE zoom_recording_imports.status END,
+                attempts = CASE WHEN zoom_recording_imports.status = $16 THEN 0 ELSE zoom_recording_imports.attempts END,
+                next_attempt_at = CASE WHEN zoom_recording_imports.status = $16 THEN CURRENT_TIMESTAMP ELSE zoom_recording_imports.next_attempt_at END,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING recording_file_id, file_type, s3_key, status
+        `, [
+            file.id,
+            recording.uuid,
+            String(recording.id),
+            courseId,
+            weekNumber,
+            file.recording_type || null,
+            file.file_type,
+            String(file.file_extension || file.file_type).toLowerCase(),
+            file.file_size || null,
+            file.recording_start ? new Date(file.recording_start) : null,
+            file.recording_end ? new Date(file.recording_end) : null,
+            file.download_url,
+            token,
+            expiresAt,
+            s3Key,
+            IMPORT_STATUS.FAILED,
+            IMPORT_STATUS.PENDING
+        ]);
+        files.push(result.rows[0]);
+    }
+
+    return { course_id: courseId, week_number: weekNumber, files };
+}
+
+/**
+ * recording.completed 웹훅 이벤트 처리 (웹훅의 download_token은 24시간 유효)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} event - 웹훅 본문
+ * @returns {Promise<Object|null>} registerRecordingFiles 결과
+ */
+async function handleRecordingCompleted(client, event) {
+    const issuedAt = event.event_ts ? new Date(Number(event.event_ts)) : new Date();
+    return registerRecordingFiles(client, event.payload.object, {
+        token: event.download_token || null,
+        expiresAt: event.download_token
+            ? new Date(issuedAt.getTime() + DOWNLOAD_TOKEN_TTL_HOURS * 60 * 60 * 1000)
+            : null
+    });
+}
+
+/**
+ * 가져올 녹화 파일 하나를 가져와 가져오는 중으로 표시 (여러 작업자가 동시에 가져가지 않음)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} workerId - 작업자 식별자
+ * @returns {Promise<Object|null>} 가져오기 항목 (없으면 null)
+ */
+async function claimNextRecordingImport(client, workerId) {
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.COURSE}.zoom_recording_imports
+        SET status = $1, attempts = attempts + 1, worker_id = $2,
+            importing_started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE recording_file_id = (
+            SELECT recording_file_id FROM ${SCHEMAS.COURSE}.zoom_recording_imports
+            WHERE status IN ($3, $4) AND next_attempt_at <= CURRENT_TIMESTAMP
+            ORDER BY next_attempt_at ASC
+            LIMIT 1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [IMPORT_STATUS.IMPORTING, workerId, IMPORT_STATUS.PENDING, IMPORT_STATUS.FAILED]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * 작업자가 중단되어 가져오는 중으로 남은 항목을 재시도 대상으로 되돌림
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @returns {Promise<number>} 되돌린 항목 수
+ */
+async function requeueStaleRecordingImports(client) {
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.COURSE}.zoom_recording_imports
+        SET status = $1,
+            last_error = '작업자 응답 없음',
+            next_attempt_at = CASE WHEN attempts >= $2 THEN NULL ELSE CURRENT_TIMESTAMP END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE status = $3
+        AND importing_started_at < NOW() - make_interval(mins => $4)
+    `, [IMPORT_STATUS.FAILED, MAX_ATTEMPTS, IMPORT_STATUS.IMPORTING, STALE_IMPORTING_MINUTES]);
+
+    return result.rowCount;
+}
+
+// 이미 저장된 파일의 다운로드 허용 여부 (관리자가 변경한 값 유지, 없으면 null)
+async function getExistingDownloadable(key) {
+    try {
+        const response = await s3Client.send(new HeadObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+        return response.Metadata?.downloadable === 'true';
+    } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+    }
+}
+
+// 가져오기 실패 기록 (retryable이 아니거나 재시도 횟수를 넘으면 더 이상 재시도하지 않음)
+async function markRecordingImportFailed(client, row, error, retryable) {
+    const retry = retryable && row.attempts < MAX_ATTEMPTS;
+    const delaySeconds = Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(0, row.attempts - 1), RETRY_MAX_SECONDS);
+
+    await client.query(`
+        UPDATE ${SCHEMAS.COURSE}.zoom_recording_imports
+        SET status = $1,
+            last_error = $2,
+            next_attempt_at = CASE WHEN $3::boolean THEN CURRENT_TIMESTAMP + make_interval(secs => $4) ELSE NULL END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE recording_file_id = $5
+    `, [IMPORT_STATUS.FAILED, error.message, retry, delaySeconds, row.recording_file_id]);
+
+    return { recording_file_id: row.recording_file_id, status: IMPORT_STATUS.FAILED, retry, error: error.message };
+}
+
+/**
+ * 녹화 파일 하나를 내려받아 주차 폴더에 저장
+ * 새 파일은 다운로드 불가로 저장하고, 이미 있는 파일은 기존 다운로드 허용 여부를 유지함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} row - claimNextRecordingImport 결과
+ * @returns {Promise<Object>} { recording_file_id, status, s3_key, downloadable, error }
+ */
+async function importRecordingFile(client, row) {
+    if (!row.download_token || (row.download_token_expires_at && new Date(row.download_token_expires_at) <= new Date())) {
+        return markRecordingImportFailed(client, row, new Error('다운로드 토큰이 없거나 만료되었습니다. 녹화를 다시 가져오세요.'), false);
+    }
+
+    try {
+        const existingDownloadable = await getExistingDownloadable(row.s3_key);
+        const downloadable = existingDownloadable === null ? false : existingDownloadable;
+
+        // Zoom은 다운로드 주소를 서명된 저장소 주소로 리디렉션함
+        const response = await axios.get(row.download_url, {
+            responseType: 'stream',
+            headers: { Authorization: `Bearer ${row.download_token}` },
+            maxRedirects: 5
+        });
+
+        await s3Client.send(new PutObjectCommand({
+            Bucket: BUCKET_NAME,
+            Key: row.s3_key,
+            Body: response.data,
+            ContentType: IMPORTED_FILE_TYPES[row.file_type],
+            ContentLength: Number(response.headers['content-length']) || Number(row.file_size) || undefined,
+            Metadata: {
+                downloadable: String(downloadable)
+            }
+        }));
+
+        await client.query(`
+            UPDATE ${SCHEMAS.COURSE}.zoom_recording_imports
+            SET status = $1, downloadable = $2, last_error = NULL,
+                imported_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE recording_file_id = $3
+        `, [IMPORT_STATUS.IMPORTED, downloadable, row.recording_file_id]);
+
+        return { recording_file_id: row.recording_file_id, status: IMPORT_STATUS.IMPORTED, s3_key: row.s3_key, downloadable };
+    } catch (error) {
+        // 인증 실패와 삭제된 녹화는 재시도해도 같은 결과
+        const status = error.response?.status;
+        return markRecordingImportFailed(client, row, error, ![401, 403, 404].includes(status));
+    }
+}
+
+/**
+ * 녹화 가져오기 목록 조회 (다운로드 토큰 제외)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} filter - { courseId, meetingUuid, status }
+ * @returns {Promise<Object[]>} 가져오기 목록 (주차·녹화 시각 순)
+ */
+async function getRecordingImports(client, { courseId = null, meetingUuid = null, status = null }) {
+    const result = await client.query(`
+        SELECT recording_file_id, meeting_uuid, zoom_meeting_id, course_id, week_number, recording_type,
+            file_type, file_extension, file_size, recording_start, recording_end, s3_key, downloadable,
+            status, attempts, next_attempt_at, last_error, imported_at, created_at
+        FROM ${SCHEMAS.COURSE}.zoom_recording_imports
+        WHERE ($1::text IS NULL OR course_id = $1)
+        AND ($2::text IS NULL OR meeting_uuid = $2)
+        AND ($3::text IS NULL OR status = $3)
+        ORDER BY week_number ASC, recording_start ASC NULLS LAST, file_type ASC
+    `, [courseId, meetingUuid, status]);
+
+    return result.rows;
+}
+
+module.exports = {
+    IMPORT_STATUS,
+    IMPORTED_FILE_TYPES,
+    sessionWeekNumber,
+    getCourseWeekNumber,
+    recordingFileName,
+    registerRecordingFiles,
+    handleRecordingCompleted,
+    claimNextRecordingImport,
+    requeueStaleRecordingImports,
+    importRecordingFile,
+    getRecordingImports
+};
@@ -0,0 +1,193 @@
+/**
+ * 성적 관리 시스템 - 수강생 Zoom 미팅 등록자 관리
+ * 2026-10-19
+ *
+ * 수강신청한 수강생을 강좌 Zoom 미팅의 등록자로 추가해 개인 참가 링크를 발급하고,
+ * 수강 취소 시 등록을 취소함. 수강 처리 요청의 트랜잭션·응답과 분리해 백그라운드에서 실행하며,
+ * 실패는 수강 정보의 zoom_registration_status·zoom_registration_error로 남겨 동기화 API로 다시 처리함
+ */
+
+const { masterPool, SCHEMAS } = require('../config/database');
+const { zoomClient } = require('../services/zoom-client');
+const { resolveCourseMeetingId } = require('./zoom-attendance');
+
+// 미팅의 등록자 기능 활성화 (자동 승인, 반복 미팅은 한 번 등록으로 모든 회차 참가)
+async function enableMeetingRegistration(meetingId) {
+    await zoomClient.patch(
+        `/meetings/${meetingId}`,
+        { settings: { approval_type: 0, registration_type: 1 } }
+    );
+}
+
+/**
+ * 수강생을 강좌 Zoom 미팅의 등록자로 추가하고 개인 참가 링크를 수강 정보에 저장
+ * Zoom 오류는 던지지 않고 실패 상태로 기록함
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} enrollmentId - 수강 ID
+ * @returns {Promise<Object>} { status, join_url, registrant_id, error }
+ */
+async function registerEnrollmentWithZoom(client, enrollmentId) {
+    const enrollmentResult = await client.query(`
+        SELECT e.id, e.course_id, e.status, e.zoom_meeting_id, e.zoom_registrant_id, e.zoom_join_url,
+            e.zoom_registration_status, u.email, u.name, u.given_name
+        FROM ${SCHEMAS.ENROLLMENT}.enrollments e
+        JOIN ${SCHEMAS.AUTH}.users u ON e.student_id = u.cognito_user_id
+        WHERE e.id = $1
+    `, [enrollmentId]);
+
+    const enrollment = enrollmentResult.rows[0];
+    if (!enrollment || enrollment.status !== 'ACTIVE') {
+        return { status: 'SKIPPED', error: '활성 수강 정보가 아닙니다.' };
+    }
+
+    const meetingId = await resolveCourseMeetingId(client, enrollment.course_id);
+    if (!meetingId) {
+        return { status: 'SKIPPED', error: '강좌에 연결된 Zoom 미팅이 없습니다.' };
+    }
+
+    if (enrollment.zoom_registration_status === 'REGISTERED' && enrollment.zoom_meeting_id === meetingId) {
+        return {
+            status: 'REGISTERED',
+            join_url: enrollment.zoom_join_url,
+            registrant_id: enrollment.zoom_registrant_id
+        };
+    }
+
+    try {
+        // 강좌에서 처음 등록하는 경우 미팅의 등록자 기능부터 활성화
+        const registeredResult = await client.query(`
+            SELECT 1 FROM ${SCHEMAS.ENROLLMENT}.enrollments
+            WHERE course_id = $1 AND zoom_meeting_id = $2 AND zoom_registrant_id IS NOT NULL
+            LIMIT 1
+        `, [enrollment.course_id, meetingId]);
+
+        if (registeredResult.rows.length === 0) {
+            await enableMeetingRegistration(meetingId);
+        }
+
+        const response = await zoomClient.post(
+            `/meetings/${meetingId}/registrants`,
+            {
+                email: enrollment.email,
+                first_name: enrollment.given_name || enrollment.name || enrollment.email,
+                last_name: ''
+            }
+        );
+
+        await client.query(`
+            UPDATE ${SCHEMAS.ENROLLMENT}.enrollments
+            SET zoom_meeting_id = $1,
+                zoom_registrant_id = $2,
+                zoom_join_url = $3,
+                zoom_registration_status = 'REGISTERED',
+                zoom_registration_error = NULL,
+                zoom_registered_at = CURRENT_TIMESTAMP
+            WHERE id = $4
+        `, [meetingId, response.data.registrant_id, response.data.join_url, enrollmentId]);
+
+        return {
+            status: 'REGISTERED',
+            join_url: response.data.join_url,
+            registrant_id: response.data.registrant_id
+        };
+    } catch (zoomError) {
+        const message = zoomError.response?.data?.message || zoomError.message;
+        console.error('❌ Zoom 등록자 추가 오류:', message);
+
+        await client.query(`
+            UPDATE ${SCHEMAS.ENROLLMENT}.enrollments
+            SET zoom_meeting_id = $1,
+                zoom_registration_status = 'FAILED',
+                zoom_registration_error = $2
+            WHERE id = $3
+        `, [meetingId, message, enrollmentId]);
+
+        return { status: 'FAILED', error: message };
+    }
+}
+
+/**
+ * 수강 취소된 수강생의 Zoom 등록 취소 (개인 참가 링크 무효화)
+ * 등록자 ID는 이전 회차 출석 기록과의 연결을 위해 남겨 둠
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} enrollmentId - 수강 ID
+ * @returns {Promise<Object>} { status, error }
+ */
+async function cancelEnrollmentZoomRegistration(client, enrollmentId) {
+    const enrollmentResult = await client.query(`
+        SELECT e.id, e.zoom_meeting_id, e.zoom_registrant_id, e.zoom_registration_status, u.email
+        FROM ${SCHEMAS.ENROLLMENT}.enrollments e
+        JOIN ${SCHEMAS.AUTH}.users u ON e.student_id = u.cognito_user_id
+        WHERE e.id = $1
+    `, [enrollmentId]);
+
+    const enrollment = enrollmentResult.rows[0];
+    if (!enrollment || enrollment.zoom_registration_status !== 'REGISTERED') {
+        return { status: 'SKIPPED' };
+    }
+
+    try {
+        await zoomClient.put(
+            `/meetings/${enrollment.zoom_meeting_id}/registrants/status`,
+            {
+                action: 'cancel',
+                registrants: [{ id: enrollment.zoom_registrant_id, email: enrollment.email }]
+            }
+        );
+
+        await client.query(`
+            UPDATE ${SCHEMAS.ENROLLMENT}.enrollments
+            SET zoom_join_url = NULL,
+                zoom_registration_status = 'CANCELLED',
+                zoom_registration_error = NULL
+            WHERE id = $1
+        `, [enrollmentId]);
+
+        return { status: 'CANCELLED' };
+    } catch (zoomError) {
+        const message = zoomError.response?.data?.message || zoomError.message;
+        console.error('❌ Zoom 등록 취소 오류:', message);
+
+        // 등록 상태는 유지해 동기화 시 다시 취소하도록 함
+        await client.query(`
+            UPDATE ${SCHEMAS.ENROLLMENT}.enrollments
+            SET zoom_registration_error = $1
+            WHERE id = $2
+        `, [message, enrollmentId]);
+
+        return { status: 'FAILED', error: message };
+    }
+}
+
+/**
+ * 수강 처리 응답 후 Zoom 등록 또는 등록 취소를 백그라운드에서 실행
+ * 수강신청·상태 변경 트랜잭션이 커밋된 뒤 호출하며, 오류는 로그로만 남김
+ * @param {string} enrollmentId - 수강 ID
+ * @param {Object} options - { cancel: 등록 취소 여부 }
+ */
+function updateZoomRegistrationInBackground(enrollmentId, { cancel = false } = {}) {
+    setImmediate(async () => {
+        let client;
+        try {
+            client = await masterPool.connect();
+            const result = cancel
+                ? await cancelEnrollmentZoomRegistration(client, enrollmentId)
+                : await registerEnrollmentWithZoom(client, enrollmentId);
+            if (result.status === 'FAILED') {
+                console.error(`수강 ${enrollmentId}의 Zoom ${cancel ? '등록 취소' : '등록'} 실패:`, result.error);
+            }
+        } catch (error) {
+            console.error(`수강 ${enrollmentId}의 Zoom 등록 처리 중 오류:`, error);
+        } finally {
+            if (client) {
+                client.release();
+            }
+        }
+    });
+}
+
+module.exports = {
+    registerEnrollmentWithZoom,
+    cancelEnrollmentZoomRegistration,
+    updateZoomRegistrationInBackground
+};
@@ -0,0 +1,363 @@
+/**
+ * 성적 관리 시스템 - Zoom 웹훅 이벤트 저장과 재처리
+ * 2026-10-19
+ *
+ * 검증된 웹훅 이벤트를 먼저 zoom_webhook_events에 저장하고 작업자가 순서대로 처리함
+ * 같은 이벤트가 다시 들어오거나 재처리되어도 결과가 한 번 처리한 것과 같도록 각 처리기를 작성하고,
+ * 실패한 이벤트는 지수적으로 늘어나는 간격으로 재시도함
+ */
+
+const crypto = require('crypto');
+const { SCHEMAS } = require('../config/database');
+const {
+    recordMeetingSessionStart,
+    recordMeetingSessionEnd,
+    processSessionAttendance
+} = require('./zoom-attendance');
+const { handleRecordingCompleted } = require('./zoom-recordings');
+const { linkMeetingSession } = require('./course-sessions');
+
+const EVENT_STATUS = {
+    PENDING: 'PENDING',
+    PROCESSING: 'PROCESSING',
+    PROCESSED: 'PROCESSED',
+    FAILED: 'FAILED',
+    DEAD: 'DEAD',
+    IGNORED: 'IGNORED'
+};
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 60 * 60;
+const STALE_PROCESSING_MINUTES = 5;
+
+/**
+ * 이벤트 ID 결정
+ * Zoom 웹훅 본문에는 고유 ID가 없어 이벤트 종류, 발생 시각(event_ts), payload로 만든 해시를 사용함 (재전송 시 동일)
+ * @param {Object} event - 웹훅 본문
+ * @returns {string} 이벤트 ID
+ */
+function zoomEventId(event) {
+    if (event.event_id) return String(event.event_id);
+    return crypto.createHash('sha256')
+        .update(`${event.event}:${event.event_ts || ''}:${JSON.stringify(event.payload || {})}`)
+        .digest('hex');
+}
+
+/**
+ * n번째 시도가 실패한 뒤 다음 시도까지의 대기 시간 (30초부터 두 배씩, 최대 1시간)
+ * @param {number} attempts - 지금까지 시도한 횟수
+ * @returns {number} 초
+ */
+function retryDelaySeconds(attempts) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_SECONDS);
+}
+
+/**
+ * 웹훅 이벤트 저장 (이미 저장된 이벤트는 무시)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} event - 웹훅 본문
+ * @returns {Promise<Object>} { event_id, duplicate }
+ */
+async function storeWebhookEvent(client, event) {
+    const eventId = zoomEventId(event);
+    const object = event.payload?.object || {};
+    const handled = Object.prototype.hasOwnProperty.call(EVENT_HANDLERS, event.event);
+
+    const result = await client.query(`
+        INSERT INTO ${SCHEMAS.COURSE}.zoom_webhook_events
+        (event_id, event_type, event_ts, meeting_id, meeting_uuid, payload, status, processed_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (event_id) DO NOTHING
+        RETURNING event_id
+    `, [
+        eventId,
+        event.event,
+        event.event_ts ? new Date(Number(event.event_ts)) : null,
+        object.id !== undefined ? String(object.id) : null,
+        object.uuid || null,
+        JSON.stringify(event),
+        handled ? EVENT_STATUS.PENDING : EVENT_STATUS.IGNORED,
+        handled ? null : new Date()
+    ]);
+
+    return { event_id: eventId, duplicate: result.rowCount === 0 };
+}
+
+/**
+ * 처리할 이벤트 하나를 가져와 처리 중으로 표시 (발생 순서대로, 여러 작업자가 동시에 가져가지 않음)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} workerId - 작업자 식별자
+ * @returns {Promise<Object|null>} 이벤트 (없으면 null)
+ */
+async function claimNextWebhookEvent(client, workerId) {
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.COURSE}.zoom_webhook_events
+        SET status = $1, attempts = attempts + 1, worker_id = $2, processing_started_at = CURRENT_TIMESTAMP
+        WHERE event_id = (
+            SELECT event_id FROM ${SCHEMAS.COURSE}.zoom_webhook_events
+            WHERE status IN ($3, $4) AND next_attempt_at <= CURRENT_TIMESTAMP
+            ORDER BY event_ts ASC NULLS LAST, received_at ASC
+            LIMIT 1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [EVENT_STATUS.PROCESSING, workerId, EVENT_STATUS.PENDING, EVENT_STATUS.FAILED]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * 작업자가 중단되어 처리 중으로 남은 이벤트를 재시도 대상으로 되돌림 (재시도 횟수 초과 시 DEAD)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @returns {Promise<number>} 처리된 이벤트 수
+ */
+async function requeueStaleWebhookEvents(client) {
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.COURSE}.zoom_webhook_events
+        SET status = CASE WHEN attempts >= $1 THEN $2 ELSE $3 END,
+            last_error = '작업자 응답 없음',
+            next_attempt_at = CURRENT_TIMESTAMP
+        WHERE status = $4
+        AND processing_started_at < NOW() - make_interval(mins => $5)
+    `, [MAX_ATTEMPTS, EVENT_STATUS.DEAD, EVENT_STATUS.FAILED, EVENT_STATUS.PROCESSING, STALE_PROCESSING_MINUTES]);
+
+    return result.rowCount;
+}
+
+// 미팅 시작: 미팅 상태와 회차 시작 기록 후 수업 회차에 연결 (회차가 이미 있으면 유지)
+async function handleMeetingStarted(client, event) {
+    const object = event.payload.object;
+
+    await client.query(`
+        UPDATE ${SCHEMAS.COURSE}.zoom_meetings
+        SET status = 'STARTED',
+            actual_start_time = $1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE zoom_meeting_id = $2
+    `, [new Date(object.start_time), object.id]);
+
+    await recordMeetingSessionStart(client, {
+        meetingUuid: object.uuid,
+        zoomMeetingId: object.id,
+        topic: object.topic,
+        startTime: new Date(object.start_time)
+    });
+
+    await linkMeetingSession(client, object.uuid);
+}
+
+// 미팅 종료: 회차 종료 기록 후 수강생 출석을 기록하고 성적에 반영 (다시 처리하면 같은 결과로 갱신)
+async function handleMeetingEnded(client, event) {
+    const object = event.payload.object;
+
+    await client.query(`
+        UPDATE ${SCHEMAS.COURSE}.zoom_meetings
+        SET status = 'ENDED',
+            actual_end_time = $1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE zoom_meeting_id = $2
+    `, [new Date(object.end_time), object.id]);
+
+    await recordMeetingSessionEnd(client, {
+        meetingUuid: object.uuid,
+        zoomMeetingId: object.id,
+        topic: object.topic,
+        startTime: new Date(object.start_time),
+        endTime: new Date(object.end_time)
+    });
+
+    await linkMeetingSession(client, object.uuid);
+
+    return processSessionAttendance(client, object.uuid);
+}
+
+// 참가자 입장: 이벤트당 참가 기록 하나 (같은 이벤트를 다시 처리해도 중복 생성하지 않음)
+async function handleParticipantJoined(client, event, eventId) {
+    const object = event.payload.object;
+    const participant = object.participant;
+
+    await client.query(`
+        INSERT INTO ${SCHEMAS.COURSE}.zoom_meeting_participants
+        (id, meeting_id, participant_id, participant_name, join_time,
+         meeting_uuid, participant_email, registrant_id, participant_user_id, webhook_event_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (webhook_event_id) DO NOTHING
+    `, [
+        crypto.randomUUID(),
+        object.id,
+        participant.user_id || participant.id,
+        participant.user_name,
+        new Date(participant.join_time),
+        object.uuid || null,
+        participant.email || null,
+        participant.registrant_id || null,
+        participant.participant_user_id || participant.id || null,
+        eventId
+    ]);
+}
+
+// 참가자 퇴장: 퇴장 시각 이전에 입장한 가장 최근 접속 구간을 닫음
+// 입장 이벤트가 아직 처리되지 않았으면 오류를 내 재시도하고, 이미 같은 시각으로 닫힌 구간이 있으면 그대로 둠
+async function handleParticipantLeft(client, event) {
+    const object = event.payload.object;
+    const participant = object.participant;
+    const participantId = participant.user_id || participant.id;
+    const leaveTime = new Date(participant.leave_time);
+
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.COURSE}.zoom_meeting_participants
+        SET leave_time = $1,
+            duration = EXTRACT(EPOCH FROM ($1 - join_time))/60
+        WHERE id = (
+            SELECT id FROM ${SCHEMAS.COURSE}.zoom_meeting_participants
+            WHERE meeting_id = $2
+            AND participant_id = $3
+            AND leave_time IS NULL
+            AND join_time <= $1
+            ORDER BY join_time DESC
+            LIMIT 1
+        )
+    `, [leaveTime, object.id, participantId]);
+
+    if (result.rowCount > 0) return;
+
+    const closedResult = await client.query(`
+        SELECT 1 FROM ${SCHEMAS.COURSE}.zoom_meeting_participants
+        WHERE meeting_id = $1 AND participant_id = $2 AND leave_time = $3
+        LIMIT 1
+    `, [object.id, participantId, leaveTime]);
+
+    if (closedResult.rows.length === 0) {
+        throw new Error(`입장 기록이 없는 퇴장 이벤트입니다: ${participant.user_name}`);
+    }
+}
+
+// 처리하는 이벤트 종류별 처리기
+const EVENT_HANDLERS = {
+    'meeting.started': handleMeetingStarted,
+    'meeting.ended': handleMeetingEnded,
+    'meeting.participant_joined': handleParticipantJoined,
+    'meeting.participant_left': handleParticipantLeft,
+    'recording.completed': handleRecordingCompleted
+};
+
+/**
+ * 가져온 이벤트 하나를 처리 (처리기와 상태 변경을 한 트랜잭션으로 실행, 실패 시 재시도 예약)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} row - claimNextWebhookEvent 결과
+ * @returns {Promise<Object>} { event_id, status, error, result }
+ */
+async function processWebhookEvent(client, row) {
+    const handler = EVENT_HANDLERS[row.event_type];
+
+    try {
+        await client.query('BEGIN');
+
+        const result = handler ? await handler(client, row.payload, row.event_id) : null;
+
+        await client.query(`
+            UPDATE ${SCHEMAS.COURSE}.zoom_webhook_events
+            SET status = $1, last_error = NULL, processed_at = CURRENT_TIMESTAMP
+            WHERE event_id = $2
+        `, [handler ? EVENT_STATUS.PROCESSED : EVENT_STATUS.IGNORED, row.event_id]);
+
+        await client.query('COMMIT');
+        return { event_id: row.event_id, status: handler ? EVENT_STATUS.PROCESSED : EVENT_STATUS.IGNORED, result };
+    } catch (error) {
+        await client.query('ROLLBACK');
+
+        const dead = row.attempts >= MAX_ATTEMPTS;
+        await client.query(`
+            UPDATE ${SCHEMAS.COURSE}.zoom_webhook_events
+            SET status = $1,
+                last_error = $2,
+                next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $3)
+            WHERE event_id = $4
+        `, [dead ? EVENT_STATUS.DEAD : EVENT_STATUS.FAILED, error.message, retryDelaySeconds(row.attempts), row.event_id]);
+
+        return { event_id: row.event_id, status: dead ? EVENT_STATUS.DEAD : EVENT_STATUS.FAILED, error: error.message };
+    }
+}
+
+/**
+ * 지금 처리할 수 있는 이벤트를 모두 처리 (웹훅 수신 직후 호출, 나머지는 작업자가 재시도)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string} workerId - 작업자 식별자
+ * @param {number} limit - 한 번에 처리할 최대 이벤트 수
+ * @returns {Promise<Object[]>} 처리 결과 목록
+ */
+async function drainWebhookEvents(client, workerId, limit = 100) {
+    await requeueStaleWebhookEvents(client);
+
+    const results = [];
+    while (results.length < limit) {
+        const row = await claimNextWebhookEvent(client, workerId);
+        if (!row) break;
+        results.push(await processWebhookEvent(client, row));
+    }
+
+    return results;
+}
+
+/**
+ * 이벤트를 다시 처리 대상으로 등록 (처리 완료·실패 여부와 관계없이 바로 처리)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {string[]} eventIds - 이벤트 ID 목록
+ * @returns {Promise<Object[]>} 재처리 등록된 이벤트 (처리 중인 이벤트는 제외)
+ */
+async function replayWebhookEvents(client, eventIds) {
+    if (eventIds.length === 0) return [];
+
+    const result = await client.query(`
+        UPDATE ${SCHEMAS.COURSE}.zoom_webhook_events
+        SET status = $1,
+            attempts = 0,
+            next_attempt_at = CURRENT_TIMESTAMP,
+            replay_count = replay_count + 1
+        WHERE event_id = ANY($2::text[])
+        AND status <> $3
+        RETURNING event_id, event_type, event_ts
+    `, [EVENT_STATUS.PENDING, eventIds, EVENT_STATUS.PROCESSING]);
+
+    return result.rows;
+}
+
+/**
+ * 이벤트 목록 조회 (payload 제외)
+ * @param {Object} client - 데이터베이스 클라이언트 객체
+ * @param {Object} filter - { meetingId, meetingUuid, eventType, status, from, to, limit }
+ * @returns {Promise<Object[]>} 이벤트 목록 (발생 순)
+ */
+async function listWebhookEvents(client, { meetingId = null, meetingUuid = null, eventType = null, status = null, from = null, to = null, limit = 200 }) {
+    const result = await client.query(`
+        SELECT event_id, event_type, event_ts, meeting_id, meeting_uuid, status, attempts,
+            next_attempt_at, last_error, replay_count, received_at, processed_at,
+            payload->'payload'->'object'->'participant'->>'user_name' AS participant_name
+        FROM ${SCHEMAS.COURSE}.zoom_webhook_events
+        WHERE ($1::text IS NULL OR meeting_id = $1)
+        AND ($2::text IS NULL OR meeting_uuid = $2)
+        AND ($3::text IS NULL OR event_type = $3)
+        AND ($4::text IS NULL OR status = $4)
+        AND ($5::timestamptz IS NULL OR COALESCE(event_ts, received_at) >= $5)
+        AND ($6::timestamptz IS NULL OR COALESCE(event_ts, received_at) <= $6)
+        ORDER BY COALESCE(event_ts, received_at) ASC
+        LIMIT $7
+    `, [meetingId, meetingUuid, eventType, status, from, to, limit]);
+
+    return result.rows;
+}
+
+module.exports = {
+    EVENT_STATUS,
+    MAX_ATTEMPTS,
+    zoomEventId,
+    retryDelaySeconds,
+    storeWebhookEvent,
+    claimNextWebhookEvent,
+    requeueStaleWebhookEvents,
+    processWebhookEvent,
+    drainWebhookEvents,
+    replayWebhookEvents,
+    listWebhookEvents
+};
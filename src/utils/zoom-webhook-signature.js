@@ -0,0 +1,84 @@
+/**
+ * 성적 관리 시스템 - Zoom 웹훅 서명 검증
+ * 2026-10-19
+ *
+ * Zoom 웹훅 요청의 x-zm-signature(v0)를 원본 요청 본문으로 검증하고,
+ * 엔드포인트 URL 확인(endpoint.url_validation) 요청에 응답할 값을 만듦
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v0';
+
+// 요청 시각과 서버 시각의 허용 차이 (이보다 오래된 요청은 재전송 공격으로 보고 거부)
+const TIMESTAMP_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * 웹훅 요청 서명 생성
+ * @param {string} secret - 웹훅 시크릿 토큰
+ * @param {string|number} timestamp - x-zm-request-timestamp 값
+ * @param {Buffer|string} rawBody - 원본 요청 본문
+ * @returns {string} `v0=<hex>`
+ */
+function signZoomWebhook(secret, timestamp, rawBody) {
+    const hash = crypto.createHmac('sha256', secret)
+        .update(`${SIGNATURE_VERSION}:${timestamp}:`)
+        .update(rawBody)
+        .digest('hex');
+    return `${SIGNATURE_VERSION}=${hash}`;
+}
+
+/**
+ * 요청 시각을 밀리초로 변환 (Zoom은 초 단위, 밀리초 값도 허용)
+ * @param {string|number} timestamp - x-zm-request-timestamp 값
+ * @returns {number|null} 밀리초 (숫자가 아니면 null)
+ */
+function timestampToMillis(timestamp) {
+    const value = Number(timestamp);
+    if (!timestamp || !Number.isFinite(value)) return null;
+    return value > 1e12 ? value : value * 1000;
+}
+
+/**
+ * 웹훅 요청 서명과 요청 시각 검증
+ * @param {Object} request - { secret, timestamp, signature, rawBody, now, toleranceSeconds }
+ * @returns {Object} { valid, reason } (reason: MISSING_HEADERS, STALE_TIMESTAMP, INVALID_SIGNATURE)
+ */
+function verifyZoomSignature({ secret, timestamp, signature, rawBody, now = Date.now(), toleranceSeconds = TIMESTAMP_TOLERANCE_SECONDS }) {
+    const requestMillis = timestampToMillis(timestamp);
+    if (!requestMillis || !signature) {
+        return { valid: false, reason: 'MISSING_HEADERS' };
+    }
+
+    if (Math.abs(now - requestMillis) > toleranceSeconds * 1000) {
+        return { valid: false, reason: 'STALE_TIMESTAMP' };
+    }
+
+    const expected = Buffer.from(signZoomWebhook(secret, timestamp, rawBody));
+    const actual = Buffer.from(String(signature));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { valid: false, reason: 'INVALID_SIGNATURE' };
+    }
+
+    return { valid: true, reason: null };
+}
+
+/**
+ * 엔드포인트 URL 확인 요청에 대한 응답 본문
+ * @param {string} secret - 웹훅 시크릿 토큰
+ * @param {string} plainToken - 요청 payload의 plainToken
+ * @returns {Object} { plainToken, encryptedToken }
+ */
+function urlValidationResponse(secret, plainToken) {
+    return {
+        plainToken,
+        encryptedToken: crypto.createHmac('sha256', secret).update(plainToken).digest('hex')
+    };
+}
+
+module.exports = {
+    TIMESTAMP_TOLERANCE_SECONDS,
+    signZoomWebhook,
+    verifyZoomSignature,
+    urlValidationResponse
+};